@@ -7,7 +7,11 @@ const crypto = require('crypto');
 const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '../../data');
 const CONFIG_FILE = path.join(DATA_DIR, 'config.json');
 const ENDPOINTS_FILE = path.join(DATA_DIR, 'endpoints.json');
+// Scenario states and sequence counters shared by all workers (utils/scenarios.js).
+const SCENARIOS_FILE = path.join(DATA_DIR, 'scenarios.json');
 const ASSETS_DIR = path.join(DATA_DIR, 'assets');
+// Item collections of persisted `resource` endpoints, one JSON file each.
+const RESOURCES_DIR = path.join(DATA_DIR, 'resources');
 
 // Blueprint image: served by the default /blueprint endpoint, always stored as blueprint.png.
 // The built-in default ships in src/assets and is seeded into the data volume on first run.
@@ -36,7 +40,8 @@ function ensureDirectories() {
 // partially written JSON document (important once multiple nodes share EFS).
 const _cache = {
   config: { mtimeMs: -1, value: null },
-  endpoints: { mtimeMs: -1, value: null }
+  endpoints: { mtimeMs: -1, value: null },
+  scenarios: { mtimeMs: -1, value: null }
 };
 
 function _statMtime(file) {
@@ -67,6 +72,62 @@ const defaultConfig = {
     connectionTimeout: 30000,
     keepAliveTimeout: 5000
   },
+  // Default latency for every mock response; endpoints and response variants
+  // override it field by field (see utils/latency.js).
+  delay: {
+    fixed: 0,
+    distribution: 'none',
+    bytesPerSecond: 0
+  },
+  // Fault injection: master switch plus default fault probabilities for every
+  // endpoint (see routes/dynamic.js). Toggled at runtime via /api/admin/chaos.
+  chaos: {
+    enabled: true,
+    faults: {}
+  },
+  // Request journal (see utils/journal.js): ring buffer size and optional
+  // DATA_DIR/journal.jsonl, which makes the journal cluster-wide.
+  journal: {
+    enabled: true,
+    size: 500,
+    persist: false,
+    maxBodyBytes: 65536,
+    // Header names stored as "[redacted]"; null = journal.DEFAULT_REDACTED_HEADERS
+    redactHeaders: null,
+    // Body fields stored as "[redacted]"; null = journal.DEFAULT_REDACTED_FIELDS
+    redactBodyFields: null
+  },
+  // Passthrough for requests no endpoint matches (see utils/proxy.js).
+  proxy: {
+    enabled: false,
+    target: '',
+    routes: [],
+    record: false,
+    stripVolatileHeaders: true,
+    volatileHeaders: null, // null = the built-in list in utils/proxy.js
+    timeoutMs: 10000
+  },
+  // Built-in OAuth 2.0 / OpenID Connect server (see utils/oauthServer.js).
+  oauth: {
+    enabled: false,
+    issuer: '', // '' = the URL requests come in on
+    audience: '',
+    accessTokenTtl: 3600,
+    refreshTokenTtl: 86400,
+    clients: [],
+    users: []
+  },
+  // CORS for mock endpoints; endpoints override it with their own `cors`
+  // block (see utils/cors.js).
+  cors: {
+    enabled: false,
+    origins: ['*'],
+    methods: [], // [] = the methods the path has endpoints for
+    headers: [], // [] = whatever a preflight asks for
+    exposedHeaders: [],
+    credentials: false,
+    maxAge: 600
+  },
   logLevel: 'info'
 };
 
@@ -209,6 +270,20 @@ function load() {
   return { ...defaultConfig, ...structuredClone(parsed) };
 }
 
+// Read-only view of the config for the request hot path (no structuredClone).
+// Same shape as load(); callers MUST NOT mutate it.
+function getConfigSnapshot() {
+  const mtime = _statMtime(CONFIG_FILE);
+  if (mtime === -1 || !_cache.config.value || _cache.config.mtimeMs !== mtime) {
+    load(); // seeds / refreshes the cache
+  }
+  if (_cache.config.snapshotOf !== _cache.config.value) {
+    _cache.config.snapshot = { ...defaultConfig, ..._cache.config.value };
+    _cache.config.snapshotOf = _cache.config.value;
+  }
+  return _cache.config.snapshot;
+}
+
 // Save configuration
 function save(config) {
   ensureDirectories();
@@ -240,6 +315,18 @@ function loadEndpoints() {
   }
 }
 
+// Read-only view of the endpoints for the request hot path. Returns the cached
+// parsed array itself (no structuredClone) together with the file mtime it was
+// read at, so the route table can rebuild only when the file actually changes.
+// Callers MUST NOT mutate the returned endpoints.
+function getEndpointsSnapshot() {
+  const mtime = _statMtime(ENDPOINTS_FILE);
+  if (mtime === -1 || !_cache.endpoints.value || _cache.endpoints.mtimeMs !== mtime) {
+    loadEndpoints(); // seeds / refreshes the cache
+  }
+  return { mtimeMs: _cache.endpoints.mtimeMs, endpoints: _cache.endpoints.value || defaultEndpoints };
+}
+
 // Save endpoints
 function saveEndpoints(endpoints) {
   ensureDirectories();
@@ -247,6 +334,29 @@ function saveEndpoints(endpoints) {
   _cache.endpoints = { mtimeMs: _statMtime(ENDPOINTS_FILE), value: structuredClone(endpoints) };
 }
 
+// Scenario state: { scenarios: { name: state }, sequences: { endpointId: calls } }.
+// Read-only snapshot cached by mtime like the endpoints; callers MUST NOT mutate
+// it and save a new object instead.
+function getScenarioState() {
+  const mtime = _statMtime(SCENARIOS_FILE);
+  if (mtime === -1) return { scenarios: {}, sequences: {} };
+  if (_cache.scenarios.value && _cache.scenarios.mtimeMs === mtime) return _cache.scenarios.value;
+  try {
+    const parsed = JSON.parse(fs.readFileSync(SCENARIOS_FILE, 'utf8'));
+    _cache.scenarios = { mtimeMs: mtime, value: { scenarios: {}, sequences: {}, ...parsed } };
+  } catch (err) {
+    console.error('Error loading scenario state:', err);
+    return { scenarios: {}, sequences: {} };
+  }
+  return _cache.scenarios.value;
+}
+
+function saveScenarioState(state) {
+  ensureDirectories();
+  writeFileAtomic(SCENARIOS_FILE, JSON.stringify(state, null, 2));
+  _cache.scenarios = { mtimeMs: _statMtime(SCENARIOS_FILE), value: state };
+}
+
 // Get single endpoint
 function getEndpoint(id) {
   const endpoints = loadEndpoints();
@@ -352,6 +462,49 @@ function deleteAsset(assetId) {
   return false;
 }
 
+// ===== Resource collections =====
+
+// File holding a resource endpoint's items. Endpoint ids are UUIDs, but
+// imported configs can carry anything, so other ids are hashed into a safe name.
+function resourceFile(endpointId) {
+  const id = String(endpointId);
+  const name = /^[A-Za-z0-9_-]{1,100}$/.test(id) ? id : crypto.createHash('sha256').update(id).digest('hex');
+  return path.join(RESOURCES_DIR, `${name}.json`);
+}
+
+// Read a stored collection: { mtimeMs, items }, or null if none is stored.
+function readResourceItems(endpointId) {
+  const file = resourceFile(endpointId);
+  const mtimeMs = _statMtime(file);
+  if (mtimeMs === -1) return null;
+  try {
+    const items = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return Array.isArray(items) ? { mtimeMs, items } : null;
+  } catch (err) {
+    console.error('Error loading resource items:', err);
+    return null;
+  }
+}
+
+// Write a collection atomically; returns the new file mtime.
+function writeResourceItems(endpointId, items) {
+  if (!fs.existsSync(RESOURCES_DIR)) fs.mkdirSync(RESOURCES_DIR, { recursive: true });
+  const file = resourceFile(endpointId);
+  writeFileAtomic(file, JSON.stringify(items, null, 2));
+  return _statMtime(file);
+}
+
+function resourceItemsMtime(endpointId) {
+  return _statMtime(resourceFile(endpointId));
+}
+
+function deleteResourceItems(endpointId) {
+  const file = resourceFile(endpointId);
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
 // ===== Blueprint image management =====
 
 // Validate PNG by magic-byte signature
@@ -438,6 +591,12 @@ function importConfig(data) {
     save({
       ...currentConfig,
       scalability: data.config.scalability || currentConfig.scalability,
+      delay: data.config.delay || currentConfig.delay,
+      chaos: data.config.chaos || currentConfig.chaos,
+      proxy: data.config.proxy || currentConfig.proxy,
+      oauth: data.config.oauth || currentConfig.oauth,
+      cors: data.config.cors || currentConfig.cors,
+      journal: data.config.journal || currentConfig.journal,
       logLevel: data.config.logLevel || currentConfig.logLevel
     });
   }
@@ -511,6 +670,84 @@ function getScalability() {
   return config.scalability;
 }
 
+// Global latency defaults
+function updateDelayDefaults(settings) {
+  const config = load();
+  config.delay = { ...defaultConfig.delay, ...config.delay, ...settings };
+  save(config);
+  return config.delay;
+}
+
+function getDelayDefaults() {
+  const config = load();
+  return { ...defaultConfig.delay, ...config.delay };
+}
+
+// Request journal settings
+function updateJournalSettings(settings) {
+  const config = load();
+  config.journal = { ...defaultConfig.journal, ...config.journal, ...settings };
+  save(config);
+  return config.journal;
+}
+
+function getJournalSettings() {
+  const config = load();
+  return { ...defaultConfig.journal, ...config.journal };
+}
+
+// Proxy passthrough / recording settings
+function updateProxy(settings) {
+  const config = load();
+  config.proxy = { ...defaultConfig.proxy, ...config.proxy, ...settings };
+  save(config);
+  return config.proxy;
+}
+
+function getProxy() {
+  const config = load();
+  return { ...defaultConfig.proxy, ...config.proxy };
+}
+
+// Built-in OAuth server settings
+function updateOAuth(settings) {
+  const config = load();
+  config.oauth = { ...defaultConfig.oauth, ...config.oauth, ...settings };
+  save(config);
+  return config.oauth;
+}
+
+function getOAuth() {
+  const config = load();
+  return { ...defaultConfig.oauth, ...config.oauth };
+}
+
+// Global CORS policy
+function updateCors(settings) {
+  const config = load();
+  config.cors = { ...defaultConfig.cors, ...config.cors, ...settings };
+  save(config);
+  return config.cors;
+}
+
+function getCors() {
+  const config = load();
+  return { ...defaultConfig.cors, ...config.cors };
+}
+
+// Fault injection (chaos) settings
+function updateChaos(settings) {
+  const config = load();
+  config.chaos = { ...defaultConfig.chaos, ...config.chaos, ...settings };
+  save(config);
+  return config.chaos;
+}
+
+function getChaos() {
+  const config = load();
+  return { ...defaultConfig.chaos, ...config.chaos };
+}
+
 // Resource estimation
 function estimateResources(scalability) {
   const baseMemory = 50; // Base Node.js memory in MB
@@ -548,8 +785,12 @@ function estimateResources(scalability) {
 module.exports = {
   load,
   save,
+  getConfigSnapshot,
   loadEndpoints,
+  getEndpointsSnapshot,
   saveEndpoints,
+  getScenarioState,
+  saveScenarioState,
   getEndpoint,
   createEndpoint,
   updateEndpoint,
@@ -559,10 +800,26 @@ module.exports = {
   getAsset,
   deleteAsset,
   resolveAssetPath,
+  readResourceItems,
+  writeResourceItems,
+  resourceItemsMtime,
+  deleteResourceItems,
   exportConfig,
   importConfig,
   updateScalability,
   getScalability,
+  updateDelayDefaults,
+  getDelayDefaults,
+  updateChaos,
+  getChaos,
+  updateProxy,
+  getProxy,
+  updateOAuth,
+  getOAuth,
+  updateCors,
+  getCors,
+  updateJournalSettings,
+  getJournalSettings,
   estimateResources,
   ensureSetupToken,
   getExpectedSetupToken,
@@ -574,5 +831,6 @@ module.exports = {
   getBlueprintInfo,
   DATA_DIR,
   ASSETS_DIR,
+  RESOURCES_DIR,
   BLUEPRINT_FILE
 };
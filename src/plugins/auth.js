@@ -24,6 +24,8 @@ function verifyPassword(password, combined) {
 }
 
 const SESSION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+// Cookie holding the admin session token.
+const SESSION_COOKIE = 'sessionToken';
 
 // --- Stateless, signed session tokens ---------------------------------------
 // Sessions are HMAC-signed tokens (secret = config.sessionSecret) rather than
@@ -146,7 +148,7 @@ async function authPlugin(fastify, options) {
   
   // Auth decorator for routes
   fastify.decorate('requireAuth', async (request, reply) => {
-    const token = request.cookies?.sessionToken;
+    const token = request.cookies?.[SESSION_COOKIE];
     
     if (!fastify.validateSession(token)) {
       reply.code(401).send({ error: 'Unauthorized', needsAuth: true });
@@ -171,3 +173,4 @@ module.exports.createSessionToken = createSessionToken;
 module.exports.verifySessionToken = verifySessionToken;
 module.exports.verifyPassword = verifyPassword;
 module.exports.hashPassword = hashPassword;
+module.exports.SESSION_COOKIE = SESSION_COOKIE;
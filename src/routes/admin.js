@@ -3,9 +3,206 @@
 const configManager = require('../config/configManager');
 const certificates = require('../utils/certificates');
 const { createRateLimiter } = require('../plugins/rateLimit');
+const { compilePathPattern, patternsOverlap } = require('../utils/pathPattern');
+const { validateDelay } = require('../utils/latency');
+const { validateFaults } = require('../utils/faults');
+const { REDIRECT_STATUSES, HEADER_NAME, SAME_SITE_VALUES, cookieOptionError } = require('../utils/responseOptions');
+const { validateValidationConfig } = require('../utils/requestValidation');
+const { endpointPattern, claimsReservedPath } = require('../utils/routeTable');
+const resourceStore = require('../utils/resourceStore');
+const scenarios = require('../utils/scenarios');
+const { validateProxyConfig, DEFAULT_VOLATILE_HEADERS } = require('../utils/proxy');
+const journal = require('../utils/journal');
+const { convertOpenApi } = require('../utils/openapiImport');
+const { convertPostman, convertHar } = require('../utils/exchangeImport');
+const { convertWireMock, convertMockoon } = require('../utils/mockToolImport');
+const { buildOpenApiDocument } = require('../utils/openapiExport');
+const { findTemplateError } = require('../utils/templates');
+const { conditionError } = require('../utils/conditions');
+const { validateAuthConfig } = require('../utils/endpointAuth');
+const { validateOAuthConfig, PATHS: OAUTH_PATHS } = require('../utils/oauthServer');
+const { validateCorsConfig } = require('../utils/cors');
+const websocketEndpoints = require('../utils/websocketEndpoints');
+const { validateGraphQLConfig } = require('../utils/graphqlEndpoints');
+const { validateEventStreams } = require('../utils/sse');
+const { validateSoap } = require('../utils/soap');
+const { validateRepresentations } = require('../utils/negotiation');
+const yaml = require('../utils/yaml');
 const { exec } = require('child_process');
 const fs = require('fs');
 
+// Validate an endpoint's path pattern and method against the reserved paths and
+// the other configured endpoints. Returns { status, error } or null if valid.
+function validateEndpointRoute(path, method, excludeId = null, responseType = null) {
+  if (!path.startsWith('/')) {
+    return { status: 400, error: 'Path must start with /' };
+  }
+
+  const pattern = endpointPattern({ path, responseType });
+  let compiled;
+  try {
+    compiled = compilePathPattern(pattern);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+
+  if (claimsReservedPath(compiled)) {
+    return { status: 400, error: 'Path is reserved' };
+  }
+
+  const duplicate = configManager.loadEndpoints().find(e => {
+    if (e.id === excludeId || e.method !== method) return false;
+    try {
+      return patternsOverlap(endpointPattern(e), pattern);
+    } catch (err) {
+      return false;
+    }
+  });
+  if (duplicate) {
+    return { status: 409, error: `An endpoint for ${method} ${duplicate.path} already exists` };
+  }
+
+  return null;
+}
+
+const TEMPLATE = /\{\{[^}]+\}\}/;
+
+// Validate the per-response status, headers and cookies. Status/header/cookie
+// values may be templates, so only literal values are range-checked here;
+// templates in them and in the body, and the condition, must parse. Returns an
+// error message or null.
+function validateResponses(responses, responseType) {
+  if (responses === undefined) return null;
+  if (!Array.isArray(responses)) return 'responses must be an array';
+
+  for (const [i, resp] of responses.entries()) {
+    const where = `responses[${i}]`;
+    if (!resp || typeof resp !== 'object') return `${where} must be an object`;
+
+    const badCondition = conditionError(resp.condition);
+    if (badCondition) return `${where}.condition is invalid: ${badCondition}`;
+
+    if (resp.status !== undefined && resp.status !== null && resp.status !== '') {
+      const isTemplate = typeof resp.status === 'string' && TEMPLATE.test(resp.status);
+      const code = Number(resp.status);
+      if (!isTemplate) {
+        if (!Number.isInteger(code) || code < 100 || code > 599) {
+          return `${where}.status must be an HTTP status code (100-599)`;
+        }
+        if (responseType === 'redirect' && !REDIRECT_STATUSES.includes(code)) {
+          return `${where}.status must be one of ${REDIRECT_STATUSES.join(', ')} for redirects`;
+        }
+      }
+    }
+
+    if (resp.headers !== undefined && resp.headers !== null) {
+      if (typeof resp.headers !== 'object' || Array.isArray(resp.headers)) {
+        return `${where}.headers must be an object of header name to value`;
+      }
+      const bad = Object.keys(resp.headers).find(name => !HEADER_NAME.test(name));
+      if (bad !== undefined) return `${where}.headers has an invalid header name: ${bad}`;
+    }
+
+    if (resp.cookies !== undefined && resp.cookies !== null) {
+      if (!Array.isArray(resp.cookies)) return `${where}.cookies must be an array`;
+      for (const cookie of resp.cookies) {
+        if (!cookie || typeof cookie.name !== 'string' || !HEADER_NAME.test(cookie.name)) {
+          return `${where}.cookies entries need a valid name`;
+        }
+        if (cookie.sameSite !== undefined && !SAME_SITE_VALUES.includes(String(cookie.sameSite).toLowerCase())) {
+          return `${where}.cookies sameSite must be one of ${SAME_SITE_VALUES.join(', ')}`;
+        }
+        const optionError = cookieOptionError(cookie);
+        if (optionError) return `${where}.cookies ${optionError}`;
+      }
+    }
+
+    if (responseType === 'sse') {
+      const streamError = validateEventStreams([resp]);
+      if (streamError) return streamError.replace('responses[0]', where);
+    }
+
+    if (resp.soap !== undefined && resp.soap !== null) {
+      if (responseType !== 'xml') return `${where}.soap needs responseType xml`;
+      const soapError = validateSoap(resp.soap, `${where}.soap`);
+      if (soapError) return soapError;
+    }
+    if (resp.representations !== undefined && resp.representations !== null) {
+      if (!['json', 'text', 'xml'].includes(responseType || 'json')) return `${where}.representations needs responseType json, text or xml`;
+      const representationsError = validateRepresentations(resp.representations, `${where}.representations`);
+      if (representationsError) return representationsError;
+    }
+
+    const templateError = findTemplateError(resp.status) || findTemplateError(resp.headers) ||
+      findTemplateError((resp.cookies || []).map(cookie => cookie.value)) ||
+      findTemplateError(resp.text) || findTemplateError(resp.data) || findTemplateError(resp.xml);
+    if (templateError) return `${where} has a template error: ${templateError}`;
+  }
+
+  return null;
+}
+
+// The seed for random template helpers: a string or a number, or unset.
+function validateTemplateSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') return null;
+  return typeof seed === 'string' || Number.isFinite(seed) ? null : 'templateSeed must be a string or a number';
+}
+
+// Check the endpoint-level and per-response delay specs against the configured
+// connection timeout. Returns an error message or null.
+function validateDelays(endpointDelay, responses) {
+  const { connectionTimeout } = configManager.getScalability();
+  const endpointError = validateDelay(endpointDelay, connectionTimeout);
+  if (endpointError) return endpointError;
+  for (const [i, resp] of (Array.isArray(responses) ? responses : []).entries()) {
+    const error = validateDelay(resp?.delay, connectionTimeout);
+    if (error) return `responses[${i}].${error}`;
+  }
+  return null;
+}
+
+// Resource endpoints need a valid `resource` block (seed data, id settings).
+function validateResource(responseType, resource) {
+  return responseType === 'resource' ? resourceStore.validateResource(resource) : null;
+}
+
+// WebSocket endpoints need a valid `websocket` block (messages and rules).
+function validateWebSocket(responseType, websocket) {
+  return responseType === 'websocket' ? websocketEndpoints.validateWebSocketConfig(websocket) : null;
+}
+
+// GraphQL endpoints need a `graphql` block with a schema that builds.
+function validateGraphQL(responseType, graphql) {
+  return responseType === 'graphql' ? validateGraphQLConfig(graphql) : null;
+}
+
+// Check imported endpoint definitions against the configured endpoints and
+// each other. Returns { accepted, skipped: [{ method, path, error }] }.
+function planImport(definitions) {
+  const accepted = [];
+  const skipped = [];
+  for (const definition of definitions) {
+    const { method, path } = definition;
+    const invalid = validateEndpointRoute(path, method, null, definition.responseType);
+    let error = invalid ? invalid.error : validateResponses(definition.responses, definition.responseType) ||
+      validateDelays(definition.delay, definition.responses) || validateFaults(definition.faults) ||
+      validateResource(definition.responseType, definition.resource) ||
+      validateWebSocket(definition.responseType, definition.websocket) ||
+      validateGraphQL(definition.responseType, definition.graphql) ||
+      scenarios.validateScenarioFields(definition) || validateValidationConfig(definition.validation) ||
+      validateTemplateSeed(definition.templateSeed) || validateAuthConfig(definition.auth) ||
+      validateCorsConfig(definition.cors);
+    if (!error) {
+      const pattern = endpointPattern(definition);
+      const clash = accepted.find(other => other.method === method && patternsOverlap(endpointPattern(other), pattern));
+      if (clash) error = `Conflicts with ${clash.method} ${clash.path} in the same import`;
+    }
+    if (error) skipped.push({ method, path, error });
+    else accepted.push(definition);
+  }
+  return { accepted, skipped };
+}
+
 async function adminRoutes(fastify, options) {
 
   // Raised body limit for the authenticated admin routes that legitimately
@@ -134,32 +331,41 @@ async function adminRoutes(fastify, options) {
   
   // Create endpoint
   fastify.post('/endpoints', { preHandler: [fastify.requireAuth], bodyLimit: UPLOAD_BODY_LIMIT }, async (request, reply) => {
-    const { path, method, description, protected: isProtected, token, parameterSource, parameters, responseType, responses, enabled } = request.body;
+    const { path, description, protected: isProtected, token, auth, cors, parameterSource, parameters, responseType, responses, delay, faults, resource, websocket, graphql, scenario, sequence, validation, templateSeed, enabled } = request.body;
+    let { method } = request.body;
     
     if (!path || !method) {
       return reply.code(400).send({ error: 'Path and method are required' });
     }
+    // A resource endpoint answers every CRUD method itself
+    if (responseType === 'resource') method = 'ANY';
+    // WebSocket handshakes are GET requests
+    if (responseType === 'websocket') method = 'GET';
+    // GraphQL queries arrive as GET or POST; other methods get a 405
+    if (responseType === 'graphql') method = 'ANY';
     
-    // Validate path format
-    if (!path.startsWith('/')) {
-      return reply.code(400).send({ error: 'Path must start with /' });
+    // Validate path pattern, reserved paths and duplicates
+    const invalid = validateEndpointRoute(path, method.toUpperCase(), null, responseType);
+    if (invalid) {
+      return reply.code(invalid.status).send({ error: invalid.error });
     }
     
-    // Check for reserved paths
-    const reservedPaths = ['/admin', '/api/admin', '/health'];
-    if (reservedPaths.some(p => path.startsWith(p))) {
-      return reply.code(400).send({ error: 'Path is reserved' });
+    const responsesError = validateResponses(responses, responseType) || validateDelays(delay, responses) ||
+      validateFaults(faults) || validateResource(responseType, resource) || validateWebSocket(responseType, websocket) ||
+      validateGraphQL(responseType, graphql) || scenarios.validateScenarioFields({ scenario, sequence, responses }) || validateValidationConfig(validation) ||
+      validateTemplateSeed(templateSeed) || validateAuthConfig(auth) || validateCorsConfig(cors);
+    if (responsesError) {
+      return reply.code(400).send({ error: responsesError });
     }
     
     // Process binary file uploads
     let processedResponses = responses || [{ condition: null, data: {} }];
     if (responseType === 'binary' && responses?.[0]?.fileData) {
-      const resp = responses[0];
-      const asset = configManager.saveAssetFromBase64(resp.fileName || 'file.bin', resp.fileData);
+      const { fileData, ...resp } = responses[0];
+      const asset = configManager.saveAssetFromBase64(resp.fileName || 'file.bin', fileData);
       processedResponses = [{
+        ...resp,
         condition: resp.condition || null,
-        fileName: resp.fileName,
-        contentType: resp.contentType,
         assetPath: asset.assetPath
       }];
     }
@@ -170,10 +376,21 @@ async function adminRoutes(fastify, options) {
       description: description || '',
       protected: isProtected || false,
       token: token || null,
+      auth: auth || null,
+      cors: cors ?? null,
       parameterSource: parameterSource || 'none',
       parameters: parameters || [],
       responseType: responseType || 'json',
       responses: processedResponses,
+      delay: delay || null,
+      faults: faults || null,
+      ...(responseType === 'resource' && { resource: resource || {} }),
+      ...(responseType === 'websocket' && { websocket: websocket || {} }),
+      ...(responseType === 'graphql' && { graphql }),
+      scenario: scenario || null,
+      sequence: sequence || null,
+      validation: validation || null,
+      templateSeed: templateSeed ?? null,
       enabled: enabled !== false
     });
     
@@ -184,14 +401,40 @@ async function adminRoutes(fastify, options) {
   fastify.put('/endpoints/:id', { preHandler: [fastify.requireAuth], bodyLimit: UPLOAD_BODY_LIMIT }, async (request, reply) => {
     const updates = { ...request.body };
     
+    const existing = configManager.getEndpoint(request.params.id);
+    if (!existing) {
+      return reply.code(404).send({ error: 'Endpoint not found' });
+    }
+    
+    // Re-validate the route when the path, method or response type changes
+    const responseType = updates.responseType || existing.responseType;
+    if (updates.method) updates.method = String(updates.method).toUpperCase();
+    if (responseType === 'resource') updates.method = 'ANY';
+    if (responseType === 'websocket') updates.method = 'GET';
+    if (responseType === 'graphql') updates.method = 'ANY';
+    if (updates.path !== undefined || updates.method !== undefined || updates.responseType !== undefined) {
+      const invalid = validateEndpointRoute(String(updates.path ?? existing.path), updates.method || existing.method, existing.id, responseType);
+      if (invalid) {
+        return reply.code(invalid.status).send({ error: invalid.error });
+      }
+    }
+    
+    const responsesError = validateResponses(updates.responses, updates.responseType || existing.responseType) ||
+      validateDelays(updates.delay, updates.responses) || validateFaults(updates.faults) ||
+      validateResource(responseType, updates.resource) || validateWebSocket(responseType, updates.websocket) ||
+      validateGraphQL(responseType, updates.graphql ?? existing.graphql) || scenarios.validateScenarioFields(updates) || validateValidationConfig(updates.validation) ||
+      validateTemplateSeed(updates.templateSeed) || validateAuthConfig(updates.auth) || validateCorsConfig(updates.cors);
+    if (responsesError) {
+      return reply.code(400).send({ error: responsesError });
+    }
+    
     // Process binary file uploads for updates
     if (updates.responseType === 'binary' && updates.responses?.[0]?.fileData) {
-      const resp = updates.responses[0];
-      const asset = configManager.saveAssetFromBase64(resp.fileName || 'file.bin', resp.fileData);
+      const { fileData, ...resp } = updates.responses[0];
+      const asset = configManager.saveAssetFromBase64(resp.fileName || 'file.bin', fileData);
       updates.responses = [{
+        ...resp,
         condition: resp.condition || null,
-        fileName: resp.fileName,
-        contentType: resp.contentType,
         assetPath: asset.assetPath
       }];
     }
@@ -200,18 +443,39 @@ async function adminRoutes(fastify, options) {
     if (!endpoint) {
       return reply.code(404).send({ error: 'Endpoint not found' });
     }
+    // New seed data or id settings only take effect on a fresh collection
+    if (existing.responseType === 'resource' &&
+        JSON.stringify(existing.resource) !== JSON.stringify(endpoint.resource)) {
+      resourceStore.resetCollection(endpoint);
+    }
     return { endpoint };
   });
   
   // Delete endpoint
   fastify.delete('/endpoints/:id', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const existing = configManager.getEndpoint(request.params.id);
     const success = configManager.deleteEndpoint(request.params.id);
     if (!success) {
       return reply.code(404).send({ error: 'Endpoint not found' });
     }
+    if (existing.responseType === 'resource') {
+      resourceStore.resetCollection({ id: existing.id });
+    }
     return { success: true };
   });
   
+  // Reset a resource endpoint's collection to its seed data
+  fastify.post('/endpoints/:id/reset', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const endpoint = configManager.getEndpoint(request.params.id);
+    if (!endpoint) {
+      return reply.code(404).send({ error: 'Endpoint not found' });
+    }
+    if (endpoint.responseType !== 'resource') {
+      return reply.code(400).send({ error: 'Endpoint is not a resource' });
+    }
+    return { success: true, count: resourceStore.resetCollection(endpoint) };
+  });
+  
   // ===== ASSETS MANAGEMENT =====
   
   // Upload asset
@@ -313,6 +577,293 @@ async function adminRoutes(fastify, options) {
     return { config };
   });
   
+  // ===== LATENCY =====
+
+  // Get the global latency defaults
+  fastify.get('/delay', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const scalability = configManager.getScalability();
+    return { delay: configManager.getDelayDefaults(), connectionTimeout: scalability.connectionTimeout };
+  });
+
+  // Update the global latency defaults
+  fastify.put('/delay', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { fixed, distribution, min, max, mean, stdDev, bytesPerSecond } = request.body || {};
+    const updates = {};
+    for (const [key, value] of Object.entries({ fixed, min, max, mean, stdDev, bytesPerSecond })) {
+      if (value !== undefined && value !== '') updates[key] = Number(value);
+    }
+    if (distribution !== undefined) updates.distribution = distribution;
+
+    const { connectionTimeout } = configManager.getScalability();
+    const error = validateDelay({ ...configManager.getDelayDefaults(), ...updates }, connectionTimeout);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    const delay = configManager.updateDelayDefaults(updates);
+    return { delay, connectionTimeout };
+  });
+
+  // ===== REQUEST JOURNAL =====
+
+  // Journaled requests, newest first. Filters: method, path (substring),
+  // endpointId, status ("404" or "4xx"), matched, since; limit (default 100).
+  fastify.get('/requests', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { limit, ...filter } = request.query;
+    const entries = journal.filterEntries(journal.getEntries(), filter).reverse();
+    const max = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000);
+    return { total: entries.length, entries: entries.slice(0, max) };
+  });
+
+  // Clear the journal (memory and JSONL file)
+  fastify.delete('/requests', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    journal.clear();
+    return { success: true };
+  });
+
+  // Get the journal settings
+  fastify.get('/requests/settings', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return { journal: configManager.getJournalSettings() };
+  });
+
+  // Update the journal settings
+  fastify.put('/requests/settings', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { enabled, persist, size, maxBodyBytes, redactHeaders, redactBodyFields } = request.body || {};
+    const updates = {};
+    if (enabled !== undefined) updates.enabled = enabled === true;
+    if (persist !== undefined) updates.persist = persist === true;
+    for (const [key, value] of Object.entries({ redactHeaders, redactBodyFields })) {
+      if (value === undefined) continue;
+      if (value !== null && (!Array.isArray(value) || value.some(name => typeof name !== 'string'))) {
+        return reply.code(400).send({ error: `${key} must be an array of names or null` });
+      }
+      updates[key] = value;
+    }
+    for (const [key, value] of Object.entries({ size, maxBodyBytes })) {
+      if (value === undefined) continue;
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1) {
+        return reply.code(400).send({ error: `${key} must be a positive integer` });
+      }
+      updates[key] = n;
+    }
+    if (updates.size > 100000) {
+      return reply.code(400).send({ error: 'size must not exceed 100000' });
+    }
+
+    return { journal: configManager.updateJournalSettings(updates) };
+  });
+
+  // ===== VERIFICATION =====
+
+  // Count and return the journaled requests matching { endpointId, method,
+  // path, condition }, optionally checked against { count, atLeast, atMost }.
+  fastify.post('/verify', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { count, atLeast, atMost, limit, ...criteria } = request.body || {};
+
+    if (configManager.getJournalSettings().enabled === false) {
+      return reply.code(409).send({ error: 'Request journal is disabled' });
+    }
+    const expected = {};
+    for (const [key, value] of Object.entries({ count, atLeast, atMost })) {
+      if (value === undefined || value === null) continue;
+      if (!Number.isInteger(value) || value < 0) {
+        return reply.code(400).send({ error: `${key} must be a non-negative integer` });
+      }
+      expected[key] = value;
+    }
+    const matcher = journal.compileRequestMatcher(criteria);
+    if (matcher.error) {
+      return reply.code(400).send({ error: matcher.error });
+    }
+
+    const requests = journal.getEntries().filter(entry => matcher.test(entry));
+    const n = requests.length;
+    const result = { count: n, requests: requests.slice(-Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000)) };
+    // Requests beyond the journal size are gone, so the count may be too low
+    if (journal.windowExceeded()) {
+      result.windowExceeded = true;
+      result.warning = `More requests were made than the journal keeps (size ${configManager.getJournalSettings().size}); older ones are not counted`;
+    }
+    if (Object.keys(expected).length > 0) {
+      result.expected = expected;
+      result.verified = (expected.count === undefined || n === expected.count) &&
+        (expected.atLeast === undefined || n >= expected.atLeast) &&
+        (expected.atMost === undefined || n <= expected.atMost);
+    }
+    return result;
+  });
+
+  // Reset the counters (clears the request journal)
+  fastify.post('/verify/reset', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    journal.clear();
+    return { success: true };
+  });
+
+  // ===== WEBSOCKETS =====
+
+  // Open WebSocket connections (this worker's), optionally for one endpoint
+  fastify.get('/websockets', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return { connections: websocketEndpoints.listConnections({ endpointId: request.query.endpointId }) };
+  });
+
+  // Push a (templated) message to every open connection, or one endpoint's
+  fastify.post('/websockets/broadcast', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { message, endpointId } = request.body || {};
+    if (message === undefined || message === null) {
+      return reply.code(400).send({ error: 'message is required' });
+    }
+    const templateError = findTemplateError(message);
+    if (templateError) {
+      return reply.code(400).send({ error: `message has a template error: ${templateError}` });
+    }
+    if (endpointId !== undefined && !configManager.getEndpoint(endpointId)) {
+      return reply.code(404).send({ error: 'Endpoint not found' });
+    }
+    return { sent: websocketEndpoints.broadcast(message, { endpointId }) };
+  });
+
+  // Close one connection
+  fastify.delete('/websockets/:id', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    if (!websocketEndpoints.closeConnection(request.params.id)) {
+      return reply.code(404).send({ error: 'Connection not found' });
+    }
+    return { success: true };
+  });
+
+  // ===== PROXY =====
+
+  // Get the passthrough/recording settings
+  fastify.get('/proxy', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return { proxy: configManager.getProxy(), defaultVolatileHeaders: DEFAULT_VOLATILE_HEADERS };
+  });
+
+  // Update the passthrough/recording settings
+  fastify.put('/proxy', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { enabled, target, routes, record, stripVolatileHeaders, volatileHeaders, timeoutMs } = request.body || {};
+    const updates = {};
+    for (const [key, value] of Object.entries({ enabled, record, stripVolatileHeaders })) {
+      if (value !== undefined) updates[key] = value === true;
+    }
+    if (target !== undefined) updates.target = target ? String(target) : '';
+    if (routes !== undefined) updates.routes = routes;
+    if (volatileHeaders !== undefined) updates.volatileHeaders = volatileHeaders;
+    if (timeoutMs !== undefined) updates.timeoutMs = Number(timeoutMs);
+
+    const error = validateProxyConfig(updates);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return { proxy: configManager.updateProxy(updates) };
+  });
+
+  // ===== OAUTH =====
+
+  // Get the built-in OAuth server's settings and the paths it serves
+  fastify.get('/oauth', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return { oauth: configManager.getOAuth(), paths: OAUTH_PATHS };
+  });
+
+  // Enable/disable the OAuth server or change its clients, users and token lifetimes
+  fastify.put('/oauth', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const body = request.body || {};
+    const updates = {};
+    for (const key of ['enabled', 'issuer', 'audience', 'accessTokenTtl', 'refreshTokenTtl', 'clients', 'users']) {
+      if (body[key] !== undefined) updates[key] = body[key];
+    }
+
+    const error = validateOAuthConfig(updates);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return { oauth: configManager.updateOAuth(updates) };
+  });
+
+  // ===== CORS =====
+
+  // Get the global CORS policy
+  fastify.get('/cors', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return { cors: configManager.getCors() };
+  });
+
+  // Change the global CORS policy (endpoints override it with their own `cors`)
+  fastify.put('/cors', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const body = request.body || {};
+    const updates = {};
+    for (const key of ['enabled', 'origins', 'methods', 'headers', 'exposedHeaders', 'credentials', 'maxAge']) {
+      if (body[key] !== undefined) updates[key] = body[key];
+    }
+
+    const error = validateCorsConfig(updates);
+    if (error) {
+      return reply.code(400).send({ error });
+    }
+
+    return { cors: configManager.updateCors(updates) };
+  });
+
+  // ===== CHAOS =====
+
+  // Get the fault-injection switch, global faults and endpoints with their own
+  fastify.get('/chaos', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const endpoints = configManager.loadEndpoints()
+      .filter(e => e.faults && Object.keys(e.faults).length > 0)
+      .map(e => ({ id: e.id, method: e.method, path: e.path, faults: e.faults }));
+    return { chaos: configManager.getChaos(), endpoints };
+  });
+
+  // Switch fault injection on/off or change the global fault probabilities
+  fastify.put('/chaos', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { enabled, faults } = request.body || {};
+    const updates = {};
+    if (enabled !== undefined) {
+      if (typeof enabled !== 'boolean') {
+        return reply.code(400).send({ error: 'enabled must be a boolean' });
+      }
+      updates.enabled = enabled;
+    }
+    if (faults !== undefined) {
+      const error = validateFaults(faults);
+      if (error) {
+        return reply.code(400).send({ error });
+      }
+      updates.faults = faults || {};
+    }
+
+    return { chaos: configManager.updateChaos(updates) };
+  });
+
+  // ===== SCENARIOS =====
+
+  // Current scenario states and sequence positions
+  fastify.get('/scenarios', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    return scenarios.describeScenarios(configManager.loadEndpoints());
+  });
+
+  // Force a scenario into a state (e.g. to start a test mid-flow)
+  fastify.put('/scenarios/:name', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const { state } = request.body || {};
+    if (typeof state !== 'string' || !state.trim()) {
+      return reply.code(400).send({ error: 'state must be a non-empty string' });
+    }
+    scenarios.setScenarioState(request.params.name, state);
+    return { name: request.params.name, state };
+  });
+
+  // Reset every scenario to "Started" and every sequence to its first response
+  fastify.post('/scenarios/reset', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    scenarios.resetScenarios();
+    return { success: true };
+  });
+
+  // Reset one scenario and the sequences of its endpoints
+  fastify.post('/scenarios/:name/reset', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    scenarios.resetScenarios(request.params.name, configManager.loadEndpoints());
+    return { success: true };
+  });
+
   // ===== EXPORT/IMPORT =====
   
   // Export configuration
@@ -325,6 +876,27 @@ async function adminRoutes(fastify, options) {
     return data;
   });
   
+  // OpenAPI 3.1 description of the enabled endpoints, as JSON or (?format=yaml)
+  // YAML; ?download=true serves it as a file
+  fastify.get('/openapi', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
+    const format = String(request.query.format || 'json').toLowerCase();
+    if (!['json', 'yaml'].includes(format)) {
+      return reply.code(400).send({ error: 'format must be json or yaml' });
+    }
+    
+    const document = buildOpenApiDocument(configManager.loadEndpoints(), {
+      serverUrl: `${request.protocol}://${request.host}`
+    });
+    if (request.query.download === 'true' || request.query.download === '1') {
+      reply.header('Content-Disposition', `attachment; filename="roarinapi-openapi.${format}"`);
+    }
+    if (format === 'yaml') {
+      reply.header('Content-Type', 'application/yaml; charset=utf-8');
+      return yaml.stringify(document);
+    }
+    return document;
+  });
+  
   // Import configuration
   fastify.post('/import', { preHandler: [fastify.requireAuth], bodyLimit: UPLOAD_BODY_LIMIT }, async (request, reply) => {
     try {
@@ -333,6 +905,14 @@ async function adminRoutes(fastify, options) {
       if (!data || (!data.endpoints && !data.config)) {
         return reply.code(400).send({ error: 'Invalid configuration format' });
       }
+      // Imported settings get the same checks as their PUT routes; blocks
+      // left out (or falsy) keep the current settings.
+      for (const [name, validate] of Object.entries({ cors: validateCorsConfig, proxy: validateProxyConfig, oauth: validateOAuthConfig })) {
+        const settingsError = data.config?.[name] ? validate(data.config[name]) : null;
+        if (settingsError) {
+          return reply.code(400).send({ error: `Invalid config.${name}: ${settingsError}` });
+        }
+      }
       
       configManager.importConfig(data);
       
@@ -343,6 +923,53 @@ async function adminRoutes(fastify, options) {
     }
   });
   
+  // Preview or create the endpoints of a converted document. Binary bodies
+  // arrive as base64 `fileData` and are only saved as assets on a real import.
+  function applyImport(converted, dryRun) {
+    const { accepted, skipped } = planImport(converted.endpoints);
+    const endpoints = accepted.map(definition => {
+      const responses = definition.responses.map(({ fileData, fileName, ...resp }) => (
+        fileData === undefined || dryRun ? resp : { ...resp, assetPath: configManager.saveAssetFromBase64(fileName, fileData).assetPath }
+      ));
+      return dryRun ? { ...definition, responses } : configManager.createEndpoint({ ...definition, responses });
+    });
+    return {
+      dryRun: !!dryRun,
+      title: converted.title,
+      endpoints,
+      skipped: [...converted.skipped, ...skipped],
+      warnings: converted.warnings,
+      token: accepted.some(e => e.protected) ? converted.token : null
+    };
+  }
+  
+  // POST /import/<format> with { document, dryRun, ...options } where document
+  // is the parsed document or its text. A dry run returns the endpoints that
+  // would be created without saving anything; unreadable documents are a 400.
+  function importRoute(format, convert) {
+    fastify.post(`/import/${format}`, { preHandler: [fastify.requireAuth], bodyLimit: UPLOAD_BODY_LIMIT }, async (request, reply) => {
+      const { document, dryRun, ...options } = request.body || {};
+      let converted;
+      try {
+        converted = convert(document, options);
+      } catch (err) {
+        return reply.code(400).send({ error: err.message });
+      }
+      return applyImport(converted, dryRun);
+    });
+  }
+  
+  // OpenAPI 3.x document; { basePath } overrides the first server's path
+  importRoute('openapi', (document, { basePath }) => convertOpenApi(document, { basePath }));
+  // Postman v2.1 collection, from its saved examples
+  importRoute('postman', document => convertPostman(document));
+  // HAR capture; { host } keeps only the entries sent to that host
+  importRoute('har', (document, { host }) => convertHar(document, { host }));
+  // WireMock stub mappings ({ mappings: [...] }, an array or a single mapping)
+  importRoute('wiremock', document => convertWireMock(document));
+  // Mockoon environment file
+  importRoute('mockoon', document => convertMockoon(document));
+  
   // ===== SYSTEM INFO =====
   
   fastify.get('/system-info', { preHandler: [fastify.requireAuth] }, async (request, reply) => {
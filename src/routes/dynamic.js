@@ -4,18 +4,240 @@ const configManager = require('../config/configManager');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
+const { evaluateCondition, evaluateCompiledCondition, collectParams } = require('../utils/conditions');
+const { getRouteTable, isReservedPath } = require('../utils/routeTable');
+const { Readable } = require('stream');
+const { resolveDelay, sampleDelayMs, throttleStream, sleep } = require('../utils/latency');
+const { pickFault, corruptPayload, abortingStream, FAULT_STATUSES } = require('../utils/faults');
+const { handleResourceRequest, ITEM_PARAM } = require('../utils/resourceStore');
+const scenarios = require('../utils/scenarios');
+const { resolveUpstream, forward, toEndpoint, RECORDABLE_METHODS } = require('../utils/proxy');
+const { isPathPattern } = require('../utils/pathPattern');
+const journal = require('../utils/journal');
+const { validateRequest } = require('../utils/requestValidation');
+const { createTemplateContext, renderTemplate, renderTemplateData } = require('../utils/templates');
+const { resolveStatus, applyResponseHeaders, REDIRECT_STATUSES } = require('../utils/responseOptions');
+const { authenticate, needsRawBody } = require('../utils/endpointAuth');
+const { constantTimeEquals } = require('../utils/common');
+const { isOAuthPath, handleOAuthRequest } = require('../utils/oauthServer');
+const { isWebSocketUpgrade, handshakeError, rejectUpgrade } = require('../utils/websocket');
+const websocketEndpoints = require('../utils/websocketEndpoints');
+const { handleGraphQLRequest } = require('../utils/graphqlEndpoints');
+const { createEventStream } = require('../utils/sse');
+const { toXml, fromXml, XML_CONTENT_TYPE } = require('../utils/xml');
+const { matchesSoap, soapResponse } = require('../utils/soap');
+const { pickRepresentation, renderRepresentation } = require('../utils/negotiation');
+const { resolveCorsPolicy, applyCors, isPreflight, sendPreflight, addVary } = require('../utils/cors');
+const querystring = require('querystring');
+const { FST_ERR_CTP_INVALID_MEDIA_TYPE } = require('fastify').errorCodes;
+
+// The upstream an unmatched request is proxied to, or null.
+function proxyUpstreamFor(request, requestPath) {
+  const { proxy, oauth } = configManager.getConfigSnapshot();
+  if (oauth?.enabled && isOAuthPath(requestPath)) return null;
+  const queryIndex = request.url.indexOf('?');
+  return resolveUpstream(proxy, requestPath, queryIndex === -1 ? '' : request.url.slice(queryIndex));
+}
+
+// Pick the response variant for a compiled route: the first response whose
+// (pre-compiled) condition matches, else the first unconditional response, else
+// the first response. Returns the compiled response entry or null.
+//
+// On stateful routes only responses allowed in their scenario's current state
+// are considered, a sequenced route serves the matching ones in turn, and the
+// chosen response's state transition is recorded.
+function selectResponse(route, params, request) {
+  const responses = route.responses;
+  if (responses.length === 0) return null;
+
+  // A SOAP action/operation counts as (part of) the condition
+  const matches = entry => entry.hasCondition &&
+    (!entry.response.condition || evaluateCompiledCondition(entry.condition, params, request)) &&
+    (!entry.soap || matchesSoap(entry.soap, request));
+
+  if (!route.stateful) {
+    return responses.find(matches) || responses.find(entry => !entry.hasCondition) || responses[0];
+  }
+
+  const state = scenarios.getState();
+  const eligible = responses.filter(entry => scenarios.isEligible(entry, state));
+  let selected;
+  if (route.sequence) {
+    const candidates = eligible.filter(entry => !entry.hasCondition || matches(entry));
+    if (candidates.length === 0) return null;
+    selected = candidates[scenarios.sequenceIndex(state, route.endpoint.id, route.sequence, candidates.length)];
+  } else {
+    selected = eligible.find(matches) || eligible.find(entry => !entry.hasCondition) || eligible[0];
+    if (!selected) return null;
+  }
+  scenarios.recordServed(selected, route.endpoint.id, !!route.sequence);
+  return selected;
+}
+
+// Type-specific defaults must not clobber a Content-Type the response set.
+function setDefaultHeader(reply, name, value) {
+  if (!reply.hasHeader(name)) reply.header(name, value);
+}
 
-// Constant-time string comparison for bearer tokens (M1). Returns false on type
-// mismatch or unequal length; timingSafeEqual requires equal-length buffers.
-function constantTimeEquals(a, b) {
-  if (typeof a !== 'string' || typeof b !== 'string') return false;
-  const ba = Buffer.from(a);
-  const bb = Buffer.from(b);
-  if (ba.length !== bb.length) return false;
-  return crypto.timingSafeEqual(ba, bb);
+// The body of an xml response: the `xml` template, or `data` (a template
+// string, or a value written as XML).
+function renderXmlBody(responseData, template) {
+  const source = responseData.xml !== undefined ? responseData.xml : responseData.data;
+  if (source === undefined || source === null) return '';
+  if (typeof source === 'string') return renderTemplate(source, template);
+  return toXml(renderTemplateData(source, template));
 }
 
+// A multipart form as { field: value, file: { filename, contentType, size } },
+// repeated names as arrays. File contents are counted, not kept.
+async function readMultipartBody(request) {
+  const body = Object.create(null);
+  const add = (name, value) => {
+    if (!(name in body)) body[name] = value;
+    else if (Array.isArray(body[name])) body[name].push(value);
+    else body[name] = [body[name], value];
+  };
+  for await (const part of request.parts()) {
+    if (part.type === 'file') {
+      let size = 0;
+      for await (const chunk of part.file) size += chunk.length;
+      add(part.fieldname, { filename: part.filename, contentType: part.mimetype, size });
+    } else {
+      add(part.fieldname, part.value);
+    }
+  }
+  return body;
+}
+
+// Methods a preflight may be allowed by default: those the path has endpoints for.
+const PREFLIGHT_METHODS = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Answer a CORS preflight, or return null to handle the OPTIONS request as
+// usual (an OPTIONS endpoint, no endpoint for the method, CORS off).
+function answerPreflight(request, reply, requestPath) {
+  const table = getRouteTable(request.log);
+  const own = table.match('OPTIONS', requestPath);
+  if (own && own.route.endpoint.method === 'OPTIONS') return null;
+  const target = table.match(String(request.headers['access-control-request-method']).toUpperCase(), requestPath);
+  if (!target) return null;
+  const policy = resolveCorsPolicy(configManager.getConfigSnapshot().cors, target.route.endpoint.cors);
+  if (!policy) return null;
+  request.journalMatch = { endpoint: target.route.endpoint };
+  return sendPreflight(policy, request, reply, PREFLIGHT_METHODS.filter(method => table.match(method, requestPath)));
+}
+
+// Response types whose variants may list Accept-negotiated representations.
+const NEGOTIABLE_TYPES = ['json', 'text', 'xml'];
+
 async function dynamicRoutes(fastify, options) {
+
+  // Values captured from :params / * in the matched endpoint's path pattern.
+  fastify.decorateRequest('pathParams', null);
+  // Bandwidth cap for the response body, set by the handler from the delay spec.
+  fastify.decorateRequest('throttleBytesPerSecond', 0);
+  // Body-level fault (abort / malformed / truncate) chosen by the handler.
+  fastify.decorateRequest('injectedFault', null);
+  // What the handler resolved (endpoint, response variant, upstream, fault),
+  // recorded in the request journal once the response is sent.
+  fastify.decorateRequest('journalMatch', null);
+
+  // Keep the raw body of requests to HMAC-signed endpoints (the signature
+  // covers the bytes as sent, not the parsed body) and of proxied requests,
+  // which go upstream as they came. Bounded by the body limit.
+  fastify.decorateRequest('rawBody', null);
+  // Where an unmatched request is proxied to, decided before its body is
+  // parsed so that bodies the mock can't read still go upstream.
+  fastify.decorateRequest('proxyUpstream', null);
+
+  // XML bodies (SOAP requests included) reach conditions and templates as
+  // values (see fromXml); the text is kept for SOAP matching and the proxy.
+  fastify.decorateRequest('rawXml', null);
+  fastify.addContentTypeParser(XML_CONTENT_TYPE, { parseAs: 'string' }, (request, body, done) => {
+    request.rawXml = body;
+    if (body.trim() === '') return done(null, undefined);
+    try {
+      done(null, fromXml(body));
+    } catch (err) {
+      if (request.proxyUpstream) return done(null, body);
+      err.statusCode = 400;
+      done(err, undefined);
+    }
+  });
+  // Malformed JSON is the upstream's to refuse on proxied requests
+  const parseJson = fastify.getDefaultJsonParser('error', 'error');
+  fastify.removeContentTypeParser('application/json');
+  fastify.addContentTypeParser('application/json', { parseAs: 'string' }, (request, body, done) => {
+    parseJson(request, body, (err, value) => {
+      if (err && request.proxyUpstream) return done(null, body);
+      done(err, value);
+    });
+  });
+  // Other content types are only accepted on their way upstream
+  fastify.addContentTypeParser('*', { parseAs: 'buffer' }, (request, body, done) => {
+    if (request.proxyUpstream) return done(null, body);
+    done(new FST_ERR_CTP_INVALID_MEDIA_TYPE(request.headers['content-type']), undefined);
+  });
+  fastify.addHook('preParsing', async (request, reply, payload) => {
+    const requestPath = request.url.split('?')[0];
+    if (isReservedPath(requestPath)) return payload;
+    const match = getRouteTable(fastify.log).match(request.method, requestPath);
+    if (!match) request.proxyUpstream = proxyUpstreamFor(request, requestPath);
+    if (match ? !needsRawBody(match.route.auth) : !request.proxyUpstream) return payload;
+    const limit = request.routeOptions.bodyLimit;
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of payload) {
+      size += chunk.length;
+      if (size > limit) {
+        const err = new Error('Request body is too large');
+        err.statusCode = 413;
+        throw err;
+      }
+      chunks.push(chunk);
+    }
+    request.rawBody = Buffer.concat(chunks);
+    return Readable.from([request.rawBody], { objectMode: false });
+  });
+
+  // Apply body faults and drip throttled bodies out slowly. Runs after
+  // serialization so it works for every response type; Content-Length is kept
+  // so clients can show progress (and notice an aborted body).
+  fastify.addHook('onSend', async (request, reply, payload) => {
+    const bytesPerSecond = request.throttleBytesPerSecond;
+    const fault = request.injectedFault;
+    if ((!bytesPerSecond && !fault) || payload === null || payload === undefined || typeof payload.pipe === 'function') {
+      return payload;
+    }
+    let buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+    if (fault === 'abort') {
+      reply.header('Content-Length', buffer.length);
+      return abortingStream(buffer);
+    }
+    if (fault === 'malformed') buffer = corruptPayload(buffer);
+    if (fault === 'truncate') buffer = buffer.subarray(0, Math.floor(buffer.length / 2));
+    reply.header('Content-Length', buffer.length);
+    return bytesPerSecond ? throttleStream(buffer, bytesPerSecond) : buffer;
+  });
+  
+  fastify.addHook('onResponse', async (request, reply) => {
+    if (!isReservedPath(request.url.split('?')[0])) {
+      journal.record(request, reply, request.journalMatch || {});
+    }
+  });
+
+  // WebSocket endpoints are served from the HTTP server's upgrade event, which
+  // never reaches Fastify's routing; open connections are closed on shutdown.
+  fastify.server.on('upgrade', (req, socket, head) => {
+    try {
+      handleUpgrade(fastify, req, socket, head);
+    } catch (err) {
+      fastify.log.error({ err }, 'WebSocket upgrade failed');
+      if (!socket.destroyed) rejectUpgrade(socket, 500, { error: 'Internal Server Error' });
+    }
+  });
+  fastify.addHook('preClose', async () => {
+    websocketEndpoints.closeAll(fastify.server);
+  });
   
   // Wildcard route handler for all dynamic endpoints
   fastify.all('/*', async (request, reply) => {
@@ -23,60 +245,73 @@ async function dynamicRoutes(fastify, options) {
     const method = request.method;
     
     // Skip admin routes
-    if (requestPath.startsWith('/admin') || requestPath.startsWith('/api/admin') || requestPath === '/health') {
+    if (isReservedPath(requestPath)) {
       return reply.code(404).send({ error: 'Not found' });
     }
     
-    const endpoints = configManager.loadEndpoints();
+    // The built-in OAuth server, when enabled, owns its paths ahead of the mocks
+    const { oauth } = configManager.getConfigSnapshot();
+    if (oauth?.enabled && isOAuthPath(requestPath)) {
+      return sendOAuthResult(reply, handleOAuthRequest(oauth, requestPath, {
+        method,
+        origin: `${request.protocol}://${request.host}`,
+        query: request.query,
+        headers: request.headers,
+        body: request.body
+      }));
+    }
+    
+    // CORS preflights are answered for the endpoint they ask about, unless
+    // the path has its own OPTIONS endpoint
+    if (isPreflight(request)) {
+      const preflight = answerPreflight(request, reply, requestPath);
+      if (preflight) return preflight;
+    }
     
-    // Find matching endpoint
-    const endpoint = endpoints.find(e => 
-      e.enabled && 
-      e.path === requestPath && 
-      (e.method === method || e.method === 'ANY')
-    );
+    // Find matching endpoint in the compiled route table (no per-request clone)
+    const match = getRouteTable(fastify.log).match(method, requestPath);
     
-    if (!endpoint) {
+    if (!match) {
+      const upstream = request.proxyUpstream || proxyUpstreamFor(request, requestPath);
+      if (upstream) {
+        request.journalMatch = { upstream };
+        return proxyRequest(request, reply, requestPath, upstream, configManager.getConfigSnapshot().proxy);
+      }
       return reply.code(404).send({ error: 'Endpoint not found' });
     }
+    const { route } = match;
+    const endpoint = route.endpoint;
+    request.pathParams = match.params;
+    request.journalMatch = { endpoint };
+    applyCors(resolveCorsPolicy(configManager.getConfigSnapshot().cors, endpoint.cors), request, reply);
     
     // Check authentication if protected
-    if (endpoint.protected) {
-      const authHeader = request.headers['authorization'];
-      if (!authHeader) {
-        return reply.code(401).send({ error: 'Authorization required' });
-      }
-      
-      const token = authHeader.replace('Bearer ', '');
-      if (!constantTimeEquals(token, endpoint.token)) {
-        return reply.code(401).send({ error: 'Invalid token' });
+    if (route.auth) {
+      const denied = authenticate(route.auth, request);
+      if (denied) {
+        if (denied.challenges.length > 0) reply.header('WWW-Authenticate', denied.challenges);
+        return reply.code(denied.status).send({ error: denied.error });
       }
     }
     
-    // Collect parameters based on source
-    let params = {};
+    if (endpoint.responseType === 'websocket') {
+      return reply.code(426).header('Upgrade', 'websocket').header('Connection', 'Upgrade')
+        .send({ error: 'This endpoint only accepts WebSocket connections' });
+    }
     
-    switch (endpoint.parameterSource) {
-      case 'query':
-        params = { ...request.query };
-        break;
-      case 'header':
-        params = { ...request.headers };
-        break;
-      case 'body':
-        params = request.body || {};
-        break;
-      case 'mixed':
-        params = {
-          query: request.query,
-          headers: request.headers,
-          body: request.body || {}
-        };
-        break;
-      default:
-        params = {};
+    // Multipart forms are read here, once a mock endpoint wants them. Bodies
+    // already buffered for an HMAC signature can't be read again.
+    if (request.isMultipart() && !request.rawBody) {
+      try {
+        request.body = await readMultipartBody(request);
+      } catch (err) {
+        return reply.code(err.statusCode || 400).send({ error: err.message });
+      }
     }
     
+    // Collect parameters based on source
+    const params = collectParams(endpoint.parameterSource, request);
+    
     // Validate required parameters
     if (endpoint.parameters && endpoint.parameters.length > 0) {
       for (const param of endpoint.parameters) {
@@ -100,57 +335,108 @@ async function dynamicRoutes(fastify, options) {
       }
     }
     
+    // Validate body, query and headers against the endpoint's JSON Schemas
+    const invalid = validateRequest(route.validation, request);
+    if (invalid) {
+      return reply.code(invalid.status).send(invalid.body);
+    }
+    
     // Find matching response based on conditions
-    let responseData = null;
+    const selected = selectResponse(route, params, request);
+    // Resource and GraphQL endpoints build their own body; responses only add headers etc.
+    const buildsOwnBody = endpoint.responseType === 'resource' || endpoint.responseType === 'graphql';
+    const responseData = selected ? selected.response : (buildsOwnBody ? {} : null);
+    if (selected) {
+      request.journalMatch.responseIndex = route.responses.indexOf(selected);
+      request.journalMatch.condition = selected.response.condition || null;
+    }
     
-    if (endpoint.responses && endpoint.responses.length > 0) {
-      // Try to find conditional response first
-      for (const resp of endpoint.responses) {
-        if (resp.condition) {
-          try {
-            if (evaluateCondition(resp.condition, params, request)) {
-              responseData = resp;
-              break;
-            }
-          } catch (e) {
-            // Condition evaluation failed, skip
-          }
-        }
+    if (!responseData) {
+      if (route.stateful && route.responses.length > 0) {
+        return reply.code(404).send({ error: 'No response matches the current scenario state' });
+      }
+      return reply.code(500).send({ error: 'No response configured' });
+    }
+    
+    // Simulated latency and bandwidth (global default < endpoint < response).
+    // The delay is capped at the connection timeout the proxy enforces.
+    const { delay: defaultDelay, scalability, chaos } = configManager.getConfigSnapshot();
+    const delay = resolveDelay(defaultDelay, endpoint.delay, responseData.delay);
+    const delayMs = sampleDelayMs(delay, scalability?.connectionTimeout || Infinity);
+    if (delayMs > 0) {
+      await sleep(delayMs);
+    }
+    request.throttleBytesPerSecond = Number(delay.bytesPerSecond) > 0 ? Number(delay.bytesPerSecond) : 0;
+    
+    // Fault injection: drop the connection, fail with a 5xx, or flag a body
+    // fault for the onSend hook
+    const fault = pickFault(chaos, endpoint.faults);
+    if (fault) {
+      request.log.info({ fault, endpointId: endpoint.id }, 'Injecting fault');
+      request.journalMatch.fault = fault;
+      if (fault === 'close') {
+        // Hijacked replies skip onResponse, so journal this one here
+        journal.record(request, reply, { ...request.journalMatch, status: null });
+        reply.hijack();
+        request.raw.socket.destroy();
+        return;
       }
-      
-      // Fall back to default response (no condition)
-      if (!responseData) {
-        responseData = endpoint.responses.find(r => !r.condition) || endpoint.responses[0];
+      if (fault === 'error') {
+        const code = FAULT_STATUSES[crypto.randomInt(FAULT_STATUSES.length)];
+        return reply.code(code).send({ error: 'Injected fault', status: code });
       }
+      request.injectedFault = fault;
     }
     
-    if (!responseData) {
-      return reply.code(500).send({ error: 'No response configured' });
+    // Per-response status code, headers and cookies. One template context per
+    // request, so a seeded endpoint draws the same values in the same order.
+    const template = createTemplateContext(request, params, endpoint.templateSeed);
+    const status = resolveStatus(responseData.status, template);
+    applyResponseHeaders(reply, responseData, template);
+    if (status && endpoint.responseType !== 'redirect') {
+      reply.code(status);
+    }
+    
+    // Several representations: the Accept header picks one
+    if (Array.isArray(responseData.representations) && responseData.representations.length > 0 &&
+        NEGOTIABLE_TYPES.includes(endpoint.responseType) && !responseData.soap) {
+      addVary(reply, 'Accept');
+      const representation = pickRepresentation(responseData.representations, request.headers.accept);
+      if (!representation) {
+        return reply.code(406).send({
+          error: 'Not Acceptable',
+          available: responseData.representations.map(entry => entry.contentType)
+        });
+      }
+      const fallback = responseData.data !== undefined ? responseData.data : (responseData.xml ?? responseData.text);
+      const { contentType, body } = renderRepresentation(representation, fallback, template);
+      reply.header('Content-Type', contentType);
+      return reply.send(body);
     }
     
     // Process response based on type
     switch (endpoint.responseType) {
       case 'json':
-        const jsonData = processTemplateVariables(responseData.data, params, request);
+        const jsonData = renderTemplateData(responseData.data, template);
         return reply.send(jsonData);
         
       case 'text':
         const textResponse = responseData.text || responseData.data || '';
-        reply.header('Content-Type', 'text/plain');
-        return reply.send(processTemplateString(String(textResponse), params, request));
+        setDefaultHeader(reply, 'Content-Type', 'text/plain');
+        return reply.send(renderTemplate(String(textResponse), template));
         
       case 'binary':
       case 'image':
         // Handle assetPath (new format from UI upload)
         if (responseData.assetPath) {
-          const assetFullPath = configManager.resolveAssetPath(responseData.assetPath);
+          const assetFullPath = selected.assetFile;
           if (!assetFullPath || !fs.existsSync(assetFullPath)) {
             return reply.code(404).send({ error: 'Asset file not found' });
           }
           const buffer = fs.readFileSync(assetFullPath);
-          reply.header('Content-Type', responseData.contentType || 'application/octet-stream');
+          setDefaultHeader(reply, 'Content-Type', responseData.contentType || 'application/octet-stream');
           if (responseData.fileName) {
-            reply.header('Content-Disposition', `inline; filename="${responseData.fileName}"`);
+            setDefaultHeader(reply, 'Content-Disposition', `inline; filename="${responseData.fileName}"`);
           }
           return reply.send(buffer);
         }
@@ -175,17 +461,69 @@ async function dynamicRoutes(fastify, options) {
             '.bin': 'application/octet-stream'
           };
           
-          reply.header('Content-Type', contentTypes[ext] || 'application/octet-stream');
+          setDefaultHeader(reply, 'Content-Type', contentTypes[ext] || 'application/octet-stream');
           return reply.send(asset.buffer);
         } else if (responseData.base64) {
           const buffer = Buffer.from(responseData.base64, 'base64');
-          reply.header('Content-Type', responseData.contentType || 'application/octet-stream');
+          setDefaultHeader(reply, 'Content-Type', responseData.contentType || 'application/octet-stream');
           return reply.send(buffer);
         }
         return reply.code(500).send({ error: 'Binary response not configured properly' });
         
+      case 'resource': {
+        const result = handleResourceRequest(endpoint, {
+          method,
+          id: request.pathParams[ITEM_PARAM],
+          query: request.query,
+          body: request.body
+        });
+        reply.code(result.status);
+        for (const [name, value] of Object.entries(result.headers || {})) {
+          reply.header(name, value);
+        }
+        return result.status === 204 ? reply.send() : reply.send(result.body);
+      }
+        
+      case 'graphql': {
+        const result = handleGraphQLRequest(route.graphql, {
+          method,
+          url: request.url,
+          query: request.query,
+          headers: request.headers,
+          body: request.body,
+          pathParams: request.pathParams
+        }, { seed: endpoint.templateSeed });
+        reply.code(result.status);
+        for (const [name, value] of Object.entries(result.headers || {})) {
+          reply.header(name, value);
+        }
+        return reply.send(result.body);
+      }
+        
+      case 'xml': {
+        const xml = renderXmlBody(responseData, template);
+        if (responseData.soap) {
+          const soap = soapResponse(responseData.soap, xml, request, value => renderTemplate(value, template));
+          if (soap.status && !status) reply.code(soap.status);
+          setDefaultHeader(reply, 'Content-Type', soap.contentType);
+          return reply.send(soap.body);
+        }
+        setDefaultHeader(reply, 'Content-Type', responseData.contentType || 'application/xml; charset=utf-8');
+        return reply.send(xml);
+      }
+        
+      case 'sse':
+        // Stream the scripted events; nothing may buffer or transform them
+        setDefaultHeader(reply, 'Content-Type', 'text/event-stream; charset=utf-8');
+        setDefaultHeader(reply, 'Cache-Control', 'no-cache');
+        reply.header('X-Accel-Buffering', 'no');
+        return reply.send(createEventStream(responseData, template, { lastEventId: request.headers['last-event-id'] }));
+        
       case 'redirect':
-        return reply.redirect(responseData.redirectUrl || responseData.url || '/');
+        return reply.redirect(
+          responseData.redirectUrl || responseData.url || '/',
+          REDIRECT_STATUSES.includes(status) ? status : 302
+        );
         
       default:
         return reply.send(responseData.data);
@@ -193,275 +531,114 @@ async function dynamicRoutes(fastify, options) {
   });
 }
 
-// Evaluate a condition string safely.
-//
-// Supports the documented syntax — query.x == 'v', headers.x != 'v',
-// body.x > 0, params.x, method, string/number/boolean/null literals, the
-// comparison operators == != > < >= <=, logical && || and ! and parentheses.
-//
-// SECURITY: conditions are parsed into an AST and evaluated against the request
-// context. Request values are looked up as data — they are NEVER interpolated
-// into an evaluated string. This intentionally does not use eval()/new Function()
-// so no request input (query/header/body) can ever be executed as code.
-function evaluateCondition(condition, params, request) {
-  if (typeof condition !== 'string' || condition.trim() === '') return false;
-
-  const context = {
-    query: request.query || {},
-    headers: request.headers || {},
-    body: request.body || {},
-    params: params || {},
-    method: request.method
+// Accept or refuse a WebSocket handshake. The upgrade request goes through
+// the same route table and endpoint authentication as plain requests; browsers
+// can't set headers on a WebSocket, so a bearer token may also come as
+// ?access_token=. The outcome is journaled with status 101 or the refusal.
+function handleUpgrade(fastify, req, socket, head) {
+  const started = process.hrtime.bigint();
+  const queryIndex = req.url.indexOf('?');
+  const requestPath = queryIndex === -1 ? req.url : req.url.slice(0, queryIndex);
+  const request = {
+    method: req.method,
+    url: req.url,
+    query: { ...querystring.parse(queryIndex === -1 ? '' : req.url.slice(queryIndex + 1)) },
+    headers: req.headers,
+    pathParams: {},
+    body: undefined,
+    rawBody: Buffer.alloc(0)
+  };
+  const journalMatch = {};
+  const finish = status => {
+    if (isReservedPath(requestPath)) return;
+    const elapsedTime = Number(process.hrtime.bigint() - started) / 1e6;
+    journal.record(request, { statusCode: status, elapsedTime }, journalMatch);
+  };
+  const refuse = (status, error, headers) => {
+    rejectUpgrade(socket, status, { error }, headers);
+    finish(status);
   };
 
-  let ast;
-  try {
-    ast = parseConditionExpression(tokenizeCondition(condition));
-  } catch (e) {
-    // Malformed / unsupported condition -> treat as non-match. Never execute it.
-    return false;
+  if (isReservedPath(requestPath)) {
+    return refuse(404, 'Not found');
   }
-
-  try {
-    return isTruthy(ast(context));
-  } catch (e) {
-    return false;
+  if (!isWebSocketUpgrade(req)) {
+    return refuse(400, 'Unsupported upgrade');
   }
-}
-
-// --- Safe condition engine (tokenizer + recursive-descent parser) ---
-
-function tokenizeCondition(input) {
-  const tokens = [];
-  let i = 0;
-  const isIdentStart = (c) => /[A-Za-z_]/.test(c);
-  // '-' is permitted inside identifiers so header names like "x-flag" resolve.
-  // This is unambiguous because subtraction is not a supported operator and a
-  // leading '-' before a digit is tokenized as a negative number literal first.
-  const isIdentChar = (c) => /[A-Za-z0-9_.-]/.test(c);
-
-  while (i < input.length) {
-    const c = input[i];
-
-    if (/\s/.test(c)) { i++; continue; }
-
-    // String literal (single or double quoted), with backslash escaping
-    if (c === '"' || c === "'") {
-      const quote = c;
-      let j = i + 1;
-      let str = '';
-      while (j < input.length && input[j] !== quote) {
-        if (input[j] === '\\' && j + 1 < input.length) { str += input[j + 1]; j += 2; continue; }
-        str += input[j];
-        j++;
-      }
-      if (j >= input.length) throw new Error('Unterminated string literal');
-      tokens.push({ type: 'string', value: str });
-      i = j + 1;
-      continue;
-    }
-
-    // Number literal (optionally negative)
-    if (/[0-9]/.test(c) || (c === '-' && /[0-9]/.test(input[i + 1] || ''))) {
-      let j = i + (c === '-' ? 1 : 0);
-      while (j < input.length && /[0-9.]/.test(input[j])) j++;
-      tokens.push({ type: 'number', value: parseFloat(input.slice(i, j)) });
-      i = j;
-      continue;
-    }
-
-    // Two-character operators
-    const two = input.slice(i, i + 2);
-    if (['==', '!=', '>=', '<=', '&&', '||'].includes(two)) {
-      tokens.push({ type: 'op', value: two });
-      i += 2;
-      continue;
-    }
-
-    // Single-character operators / parens
-    if (c === '>' || c === '<' || c === '!') { tokens.push({ type: 'op', value: c }); i++; continue; }
-    if (c === '(' || c === ')') { tokens.push({ type: 'paren', value: c }); i++; continue; }
-
-    // Identifier (variable path or keyword)
-    if (isIdentStart(c)) {
-      let j = i;
-      while (j < input.length && isIdentChar(input[j])) j++;
-      tokens.push({ type: 'ident', value: input.slice(i, j) });
-      i = j;
-      continue;
-    }
-
-    throw new Error('Unexpected character in condition: ' + c);
+  const match = getRouteTable(fastify.log).match('GET', requestPath);
+  if (!match) {
+    return refuse(404, 'Endpoint not found');
   }
-
-  return tokens;
-}
-
-function parseConditionExpression(tokens) {
-  let pos = 0;
-  const peek = () => tokens[pos];
-  const nextTok = () => tokens[pos++];
-
-  function parseOr() {
-    let left = parseAnd();
-    while (peek() && peek().type === 'op' && peek().value === '||') {
-      nextTok();
-      const right = parseAnd();
-      const l = left;
-      left = (ctx) => isTruthy(l(ctx)) || isTruthy(right(ctx));
-    }
-    return left;
+  if (!match.route.websocket) {
+    return refuse(400, 'Endpoint does not accept WebSocket connections');
   }
-
-  function parseAnd() {
-    let left = parseComparison();
-    while (peek() && peek().type === 'op' && peek().value === '&&') {
-      nextTok();
-      const right = parseComparison();
-      const l = left;
-      left = (ctx) => isTruthy(l(ctx)) && isTruthy(right(ctx));
+  const { route } = match;
+  request.pathParams = match.params;
+  journalMatch.endpoint = route.endpoint;
+
+  if (route.auth) {
+    const accessToken = request.query.access_token;
+    const credentials = !req.headers.authorization && typeof accessToken === 'string'
+      ? { ...request, headers: { ...req.headers, authorization: `Bearer ${accessToken}` } }
+      : request;
+    const denied = authenticate(route.auth, credentials);
+    if (denied) {
+      return refuse(denied.status, denied.error, denied.challenges.length > 0 ? { 'WWW-Authenticate': denied.challenges } : {});
     }
-    return left;
   }
 
-  function parseComparison() {
-    const left = parseUnary();
-    const t = peek();
-    if (t && t.type === 'op' && ['==', '!=', '>', '<', '>=', '<='].includes(t.value)) {
-      nextTok();
-      const right = parseUnary();
-      const op = t.value;
-      return (ctx) => compareValues(op, left(ctx), right(ctx));
-    }
-    return left;
+  const invalid = handshakeError(req);
+  if (invalid) {
+    return refuse(400, invalid, { 'Sec-WebSocket-Version': '13' });
   }
-
-  function parseUnary() {
-    const t = peek();
-    if (t && t.type === 'op' && t.value === '!') {
-      nextTok();
-      const operand = parseUnary();
-      return (ctx) => !isTruthy(operand(ctx));
-    }
-    return parsePrimary();
+  if (!websocketEndpoints.hasCapacity()) {
+    return refuse(503, 'Too many WebSocket connections');
   }
 
-  function parsePrimary() {
-    const t = nextTok();
-    if (!t) throw new Error('Unexpected end of condition');
-
-    if (t.type === 'paren' && t.value === '(') {
-      const expr = parseOr();
-      const close = nextTok();
-      if (!close || close.type !== 'paren' || close.value !== ')') throw new Error('Expected )');
-      return expr;
-    }
-
-    if (t.type === 'string') return () => t.value;
-    if (t.type === 'number') return () => t.value;
-
-    if (t.type === 'ident') {
-      if (t.value === 'true') return () => true;
-      if (t.value === 'false') return () => false;
-      if (t.value === 'null') return () => null;
-      return (ctx) => resolveConditionVariable(t.value, ctx);
-    }
-
-    throw new Error('Unexpected token in condition: ' + t.value);
-  }
-
-  const ast = parseOr();
-  if (pos < tokens.length) throw new Error('Unexpected trailing tokens in condition');
-  return ast;
-}
-
-// Resolve a dotted variable path (query.x, headers.x, body.x, params.x, method)
-// against the request context. Only these known roots are allowed.
-function resolveConditionVariable(name, ctx) {
-  const dot = name.indexOf('.');
-  const root = dot === -1 ? name : name.slice(0, dot);
-  const key = dot === -1 ? '' : name.slice(dot + 1);
-
-  switch (root) {
-    case 'query': return ctx.query ? ctx.query[key] : undefined;
-    case 'headers': return ctx.headers ? ctx.headers[key.toLowerCase()] : undefined;
-    case 'body': return ctx.body ? ctx.body[key] : undefined;
-    case 'params': return ctx.params ? ctx.params[key] : undefined;
-    case 'method': return ctx.method;
-    default: return undefined;
-  }
+  const connection = websocketEndpoints.openConnection(route, request, req, socket, head, { server: fastify.server });
+  fastify.log.info({ connectionId: connection.id, endpointId: route.endpoint.id }, 'WebSocket connection opened');
+  finish(101);
 }
 
-function toComparableNumber(v) {
-  if (typeof v === 'number') return v;
-  if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return Number(v);
-  return null;
+// Reply with what the OAuth server decided: a redirect or status, headers and body.
+function sendOAuthResult(reply, result) {
+  if (result.redirect) return reply.redirect(result.redirect, 302);
+  return reply.code(result.status).headers(result.headers || {}).send(result.body);
 }
 
-function compareValues(op, a, b) {
-  const na = toComparableNumber(a);
-  const nb = toComparableNumber(b);
-  const bothNumeric = na !== null && nb !== null;
-
-  switch (op) {
-    case '==': return bothNumeric ? na === nb : String(a) === String(b);
-    case '!=': return bothNumeric ? na !== nb : String(a) !== String(b);
-    case '>': return bothNumeric ? na > nb : String(a) > String(b);
-    case '<': return bothNumeric ? na < nb : String(a) < String(b);
-    case '>=': return bothNumeric ? na >= nb : String(a) >= String(b);
-    case '<=': return bothNumeric ? na <= nb : String(a) <= String(b);
-    default: return false;
+// Forward an unmatched request upstream and, in record mode, turn the exchange
+// into an endpoint so the mock serves that method + path from now on.
+async function proxyRequest(request, reply, requestPath, upstream, proxy) {
+  let exchange;
+  try {
+    exchange = await forward(request, upstream, { timeoutMs: Number(proxy.timeoutMs) || undefined });
+  } catch (err) {
+    const timedOut = err.name === 'TimeoutError';
+    request.log.warn({ err, upstream }, 'Proxy request failed');
+    return reply.code(timedOut ? 504 : 502).send({ error: timedOut ? 'Upstream timed out' : 'Upstream request failed' });
   }
-}
-
-function isTruthy(v) {
-  if (v === undefined || v === null || v === false) return false;
-  if (v === '' || v === 0) return false;
-  return true;
-}
 
-// Process template variables in JSON data
-function processTemplateVariables(data, params, request) {
-  if (typeof data === 'string') {
-    return processTemplateString(data, params, request);
-  }
-  
-  if (Array.isArray(data)) {
-    return data.map(item => processTemplateVariables(item, params, request));
-  }
-  
-  if (typeof data === 'object' && data !== null) {
-    const result = {};
-    for (const [key, value] of Object.entries(data)) {
-      result[key] = processTemplateVariables(value, params, request);
+  // A literal ":" or "*" in the path would turn the recording into a pattern;
+  // a concurrent request may also have recorded it already.
+  if (proxy.record && RECORDABLE_METHODS.includes(request.method) && !isPathPattern(requestPath) &&
+      !getRouteTable(request.log).match(request.method, requestPath)) {
+    try {
+      const endpoint = configManager.createEndpoint(toEndpoint(request, requestPath, exchange, proxy));
+      request.log.info({ endpointId: endpoint.id, upstream }, 'Recorded upstream exchange');
+    } catch (err) {
+      request.log.error({ err, upstream }, 'Failed to record upstream exchange');
     }
-    return result;
   }
-  
-  return data;
-}
 
-// Process template string
-function processTemplateString(str, params, request) {
-  if (typeof str !== 'string') return str;
-  
-  return str
-    .replace(/\{\{timestamp\}\}/g, new Date().toISOString())
-    .replace(/\{\{date\}\}/g, new Date().toISOString().split('T')[0])
-    .replace(/\{\{time\}\}/g, new Date().toISOString().split('T')[1])
-    .replace(/\{\{method\}\}/g, request.method)
-    .replace(/\{\{path\}\}/g, request.url)
-    .replace(/\{\{body\}\}/g, JSON.stringify(request.body || {}))
-    .replace(/\{\{query\.(\w+)\}\}/g, (match, key) => request.query?.[key] || '')
-    .replace(/\{\{headers\.(\w+)\}\}/g, (match, key) => request.headers?.[key.toLowerCase()] || '')
-    .replace(/\{\{params\.(\w+)\}\}/g, (match, key) => params?.[key] || '')
-    .replace(/\{\{body\.(\w+)\}\}/g, (match, key) => {
-      const val = request.body?.[key];
-      return typeof val === 'object' ? JSON.stringify(val) : (val || '');
-    });
+  reply.code(exchange.status).headers(exchange.headers);
+  if (exchange.setCookies.length > 0) {
+    reply.header('set-cookie', exchange.setCookies);
+  }
+  return reply.send(exchange.body);
 }
 
 module.exports = dynamicRoutes;
 // Exposed for unit testing of the safe condition engine.
 module.exports.evaluateCondition = evaluateCondition;
 module.exports.constantTimeEquals = constantTimeEquals;
+module.exports.selectResponse = selectResponse;
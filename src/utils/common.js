@@ -0,0 +1,43 @@
+'use strict';
+
+// Small value checks shared by the settings validators, and the credential
+// comparison used wherever a secret is checked.
+
+const crypto = require('crypto');
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value !== '';
+}
+
+function isHttpUrl(value) {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+}
+
+function trimSlash(url) {
+  return url.replace(/\/+$/, '');
+}
+
+// Constant-time string comparison for credentials (M1). Returns false on type
+// mismatch or unequal length; timingSafeEqual requires equal-length buffers.
+function constantTimeEquals(a, b) {
+  if (typeof a !== 'string' || typeof b !== 'string') return false;
+  const ba = Buffer.from(a);
+  const bb = Buffer.from(b);
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+module.exports = {
+  isObject,
+  isNonEmptyString,
+  isHttpUrl,
+  trimSlash,
+  constantTimeEquals
+};
@@ -0,0 +1,486 @@
+'use strict';
+
+// Safe condition engine for conditional mock responses. Shared by the dynamic
+// route handler and the compiled route table.
+
+const vm = require('vm');
+const { xpath } = require('./xml');
+
+// Evaluate a condition string safely.
+//
+// Supports the documented syntax — query.x == 'v', headers.x != 'v',
+// body.x > 0, params.x, path.x (captured path segments), method,
+// variables.x and operationName (GraphQL requests),
+// string/number/boolean/null literals, the comparison operators
+// == != > < >= <=, logical && || and ! and parentheses. Paths reach into
+// nested values (body.user.role, body.items[0].id, body.items.length).
+// Further operators:
+//
+//   body.tags contains 'beta'          substring, array element or object key
+//   headers.accept startsWith 'text/'  (and endsWith)
+//   query.email matches '@example\\.com$'   or a /regex/i literal
+//   query.role in ['admin', 'owner']   (or a path to an array)
+//   body.user exists                   present, even when falsy
+//   isNumber(body.qty) && isArray(body.items)
+//
+// Type checks: isString, isNumber, isInteger, isBoolean, isArray, isObject,
+// isNull. xpath(body, '/order/item[2]/@sku') looks into XML bodies.
+//
+// SECURITY: conditions are parsed into an AST and evaluated against the request
+// context. Request values are looked up as data — they are NEVER interpolated
+// into an evaluated string. This intentionally does not use eval()/new Function()
+// so no request input (query/header/body) can ever be executed as code.
+// `matches` patterns come from the endpoint definition, are length-limited and
+// run under a time limit, so a request can't stall the server with
+// catastrophic backtracking.
+function evaluateCondition(condition, params, request) {
+  return evaluateCompiledCondition(compileCondition(condition), params, request);
+}
+
+// The `params` conditions see: the request values from the endpoint's
+// parameterSource ('query', 'header', 'body', 'mixed' or 'none').
+function collectParams(parameterSource, request) {
+  switch (parameterSource) {
+    case 'query':
+      return { ...request.query };
+    case 'header':
+      return { ...request.headers };
+    case 'body':
+      return request.body || {};
+    case 'mixed':
+      return { query: request.query, headers: request.headers, body: request.body || {} };
+    default:
+      return {};
+  }
+}
+
+// Parse a condition once into an evaluator (the route table caches these).
+// Returns null for empty, malformed or unsupported conditions, which never match.
+function compileCondition(condition) {
+  if (typeof condition !== 'string' || condition.trim() === '') return null;
+  try {
+    return parseConditionExpression(tokenizeCondition(condition));
+  } catch (e) {
+    // Malformed / unsupported condition -> treat as non-match. Never execute it.
+    return null;
+  }
+}
+
+// Why a condition does not compile, or null when it does (or is empty).
+function conditionError(condition) {
+  if (condition === undefined || condition === null || condition === '') return null;
+  if (typeof condition !== 'string') return 'condition must be a string';
+  try {
+    parseConditionExpression(tokenizeCondition(condition));
+    return null;
+  } catch (e) {
+    return e.message;
+  }
+}
+
+// Evaluate a compiled condition against the request context.
+function evaluateCompiledCondition(ast, params, request) {
+  if (typeof ast !== 'function') return false;
+
+  const context = {
+    query: request.query || {},
+    headers: request.headers || {},
+    body: request.body || {},
+    params: params || {},
+    path: request.pathParams || {},
+    method: request.method,
+    variables: request.variables || {},
+    operationName: request.operationName
+  };
+
+  try {
+    return isTruthy(ast(context));
+  } catch (e) {
+    return false;
+  }
+}
+
+// --- Safe condition engine (tokenizer + recursive-descent parser) ---
+
+// Word operators between two operands (`exists` takes only the left one).
+const WORD_OPERATORS = new Set(['contains', 'startsWith', 'endsWith', 'matches', 'in', 'exists']);
+
+function tokenizeCondition(input) {
+  const tokens = [];
+  let i = 0;
+  const isIdentStart = (c) => /[A-Za-z_]/.test(c);
+  // '-' is permitted inside identifiers so header names like "x-flag" resolve.
+  // This is unambiguous because subtraction is not a supported operator and a
+  // leading '-' before a digit is tokenized as a negative number literal first.
+  const isIdentChar = (c) => /[A-Za-z0-9_.-]/.test(c);
+
+  while (i < input.length) {
+    const c = input[i];
+
+    if (/\s/.test(c)) { i++; continue; }
+
+    // String literal (single or double quoted), with backslash escaping
+    if (c === '"' || c === "'") {
+      const quote = c;
+      let j = i + 1;
+      let str = '';
+      while (j < input.length && input[j] !== quote) {
+        if (input[j] === '\\' && j + 1 < input.length) { str += input[j + 1]; j += 2; continue; }
+        str += input[j];
+        j++;
+      }
+      if (j >= input.length) throw new Error('Unterminated string literal');
+      tokens.push({ type: 'string', value: str });
+      i = j + 1;
+      continue;
+    }
+
+    // Number literal (optionally negative)
+    if (/[0-9]/.test(c) || (c === '-' && /[0-9]/.test(input[i + 1] || ''))) {
+      let j = i + (c === '-' ? 1 : 0);
+      while (j < input.length && /[0-9.]/.test(input[j])) j++;
+      tokens.push({ type: 'number', value: parseFloat(input.slice(i, j)) });
+      i = j;
+      continue;
+    }
+
+    // Two-character operators
+    const two = input.slice(i, i + 2);
+    if (['==', '!=', '>=', '<=', '&&', '||'].includes(two)) {
+      tokens.push({ type: 'op', value: two });
+      i += 2;
+      continue;
+    }
+
+    // Single-character operators / parens / list brackets
+    if (c === '>' || c === '<' || c === '!') { tokens.push({ type: 'op', value: c }); i++; continue; }
+    if (c === '(' || c === ')') { tokens.push({ type: 'paren', value: c }); i++; continue; }
+    if (c === '[' || c === ']') { tokens.push({ type: 'bracket', value: c }); i++; continue; }
+    if (c === ',') { tokens.push({ type: 'comma', value: c }); i++; continue; }
+
+    // Regex literal: /pattern/flags
+    if (c === '/') {
+      let j = i + 1;
+      let inClass = false;
+      while (j < input.length && (input[j] !== '/' || inClass)) {
+        if (input[j] === '\\') j++;
+        else if (input[j] === '[') inClass = true;
+        else if (input[j] === ']') inClass = false;
+        j++;
+      }
+      if (j >= input.length) throw new Error('Unterminated regular expression');
+      let k = j + 1;
+      while (k < input.length && /[a-z]/.test(input[k])) k++;
+      tokens.push({ type: 'regex', value: input.slice(i + 1, j), flags: input.slice(j + 1, k) });
+      i = k;
+      continue;
+    }
+
+    // Identifier (variable path, keyword or function name). A path may use
+    // bracket indexes: body.items[0].id, body['odd key'].
+    if (isIdentStart(c)) {
+      let j = i;
+      while (j < input.length && isIdentChar(input[j])) j++;
+      const word = input.slice(i, j);
+      const segments = word.split('.');
+      while (!WORD_OPERATORS.has(word) && input[j] === '[') {
+        const rest = input.slice(j);
+        const index = rest.match(/^\[\s*(\d+|'(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")\s*\]/);
+        if (!index) throw new Error('Invalid index in ' + word);
+        const key = index[1];
+        segments.push(/^\d+$/.test(key) ? key : key.slice(1, -1).replace(/\\(.)/g, '$1'));
+        j += index[0].length;
+        if (input[j] === '.') {
+          let k = j + 1;
+          while (k < input.length && isIdentChar(input[k])) k++;
+          segments.push(...input.slice(j + 1, k).split('.'));
+          j = k;
+        }
+      }
+      if (segments.some(segment => segment === '')) throw new Error('Invalid path: ' + input.slice(i, j));
+      tokens.push({ type: 'ident', value: input.slice(i, j), segments });
+      i = j;
+      continue;
+    }
+
+    throw new Error('Unexpected character in condition: ' + c);
+  }
+
+  return tokens;
+}
+
+function parseConditionExpression(tokens) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const nextTok = () => tokens[pos++];
+
+  function parseOr() {
+    let left = parseAnd();
+    while (peek() && peek().type === 'op' && peek().value === '||') {
+      nextTok();
+      const right = parseAnd();
+      const l = left;
+      left = (ctx) => isTruthy(l(ctx)) || isTruthy(right(ctx));
+    }
+    return left;
+  }
+
+  function parseAnd() {
+    let left = parseComparison();
+    while (peek() && peek().type === 'op' && peek().value === '&&') {
+      nextTok();
+      const right = parseComparison();
+      const l = left;
+      left = (ctx) => isTruthy(l(ctx)) && isTruthy(right(ctx));
+    }
+    return left;
+  }
+
+  function parseComparison() {
+    const left = parseUnary();
+    const t = peek();
+    if (t && t.type === 'op' && ['==', '!=', '>', '<', '>=', '<='].includes(t.value)) {
+      nextTok();
+      const right = parseUnary();
+      const op = t.value;
+      return (ctx) => compareValues(op, left(ctx), right(ctx));
+    }
+    if (t && t.type === 'ident' && WORD_OPERATORS.has(t.value)) {
+      nextTok();
+      return parseWordOperator(t.value, left);
+    }
+    return left;
+  }
+
+  function parseWordOperator(op, left) {
+    switch (op) {
+      case 'exists':
+        return (ctx) => left(ctx) !== undefined;
+      case 'matches': {
+        const t = nextTok();
+        if (!t || (t.type !== 'string' && t.type !== 'regex')) throw new Error('matches needs a pattern: a string or /regex/');
+        const regex = compileRegex(t.value, t.type === 'regex' ? t.flags : '');
+        return (ctx) => {
+          const value = left(ctx);
+          return value !== undefined && value !== null && typeof value !== 'object' && safeRegexTest(regex, String(value));
+        };
+      }
+      case 'in': {
+        const right = parseUnary();
+        return (ctx) => containsValue(right(ctx), left(ctx));
+      }
+      case 'contains': {
+        const right = parseUnary();
+        return (ctx) => containsValue(left(ctx), right(ctx));
+      }
+      default: {
+        const right = parseUnary();
+        return (ctx) => {
+          const value = left(ctx);
+          const prefix = right(ctx);
+          if (value === undefined || value === null || typeof value === 'object') return false;
+          return op === 'startsWith' ? String(value).startsWith(String(prefix)) : String(value).endsWith(String(prefix));
+        };
+      }
+    }
+  }
+
+  function parseList() {
+    const items = [];
+    if (peek() && peek().type === 'bracket' && peek().value === ']') {
+      nextTok();
+      return () => [];
+    }
+    for (;;) {
+      items.push(parseUnary());
+      const t = nextTok();
+      if (t && t.type === 'bracket' && t.value === ']') break;
+      if (!t || t.type !== 'comma') throw new Error('Expected , or ] in list');
+    }
+    return (ctx) => items.map(item => item(ctx));
+  }
+
+  function parseCall(name) {
+    const fn = CONDITION_FUNCTIONS[name];
+    nextTok(); // (
+    const args = [];
+    if (peek() && peek().type === 'paren' && peek().value === ')') {
+      nextTok();
+    } else {
+      for (;;) {
+        args.push(parseOr());
+        const t = nextTok();
+        if (t && t.type === 'paren' && t.value === ')') break;
+        if (!t || t.type !== 'comma') throw new Error(`Expected , or ) after the arguments of ${name}`);
+      }
+    }
+    if (args.length !== fn.length) throw new Error(`${name}() takes ${fn.length} argument${fn.length === 1 ? '' : 's'}`);
+    return (ctx) => fn(...args.map(arg => arg(ctx)));
+  }
+
+  function parseUnary() {
+    const t = peek();
+    if (t && t.type === 'op' && t.value === '!') {
+      nextTok();
+      const operand = parseUnary();
+      return (ctx) => !isTruthy(operand(ctx));
+    }
+    return parsePrimary();
+  }
+
+  function parsePrimary() {
+    const t = nextTok();
+    if (!t) throw new Error('Unexpected end of condition');
+
+    if (t.type === 'paren' && t.value === '(') {
+      const expr = parseOr();
+      const close = nextTok();
+      if (!close || close.type !== 'paren' || close.value !== ')') throw new Error('Expected )');
+      return expr;
+    }
+
+    if (t.type === 'string') return () => t.value;
+    if (t.type === 'number') return () => t.value;
+    if (t.type === 'bracket' && t.value === '[') return parseList();
+
+    if (t.type === 'ident') {
+      if (t.value === 'true') return () => true;
+      if (t.value === 'false') return () => false;
+      if (t.value === 'null') return () => null;
+      if (WORD_OPERATORS.has(t.value)) throw new Error(`${t.value} needs a value on its left`);
+      const next = peek();
+      if (next && next.type === 'paren' && next.value === '(') {
+        if (!Object.hasOwn(CONDITION_FUNCTIONS, t.value)) throw new Error('Unknown function: ' + t.value);
+        return parseCall(t.value);
+      }
+      if (!CONDITION_ROOTS.has(t.segments[0])) throw new Error('Unknown variable: ' + t.value);
+      const segments = t.segments;
+      return (ctx) => resolveConditionVariable(segments, ctx);
+    }
+
+    throw new Error('Unexpected token in condition: ' + t.value);
+  }
+
+  const ast = parseOr();
+  if (pos < tokens.length) throw new Error('Unexpected trailing tokens in condition');
+  return ast;
+}
+
+const CONDITION_ROOTS = new Set(['query', 'headers', 'body', 'params', 'path', 'method', 'variables', 'operationName']);
+
+// Resolve a variable path (query.x, headers.x, body.a.b[0], params.x, path.x,
+// method, variables.x, operationName) against the request context. Only these known roots are allowed,
+// and only own properties are read, never the prototype chain.
+function resolveConditionVariable(segments, ctx) {
+  const [root, ...keys] = segments;
+  if (root === 'method' || root === 'operationName') return keys.length ? undefined : ctx[root];
+  // Header names are case-insensitive; their values are plain strings
+  if (root === 'headers') return keys.length === 1 ? childValue(ctx.headers, keys[0].toLowerCase()) : undefined;
+  const base = ctx[root];
+  if (keys.length === 0) return base;
+  // A flat key with dots (?filter.name=x) wins over walking into objects
+  const flat = keys.join('.');
+  if (keys.length > 1 && base && typeof base === 'object' && Object.hasOwn(base, flat)) return base[flat];
+  return keys.reduce(childValue, base);
+}
+
+function childValue(value, key) {
+  if (value === null || value === undefined) return undefined;
+  if (key === 'length' && (typeof value === 'string' || Array.isArray(value))) return value.length;
+  if (typeof value !== 'object') return undefined;
+  return Object.hasOwn(value, key) ? value[key] : undefined;
+}
+
+// `container contains item` / `item in container`: an array element, an
+// object key or (for strings) a substring.
+function containsValue(container, item) {
+  if (item === undefined) return false;
+  if (Array.isArray(container)) return container.some(element => compareValues('==', element, item));
+  if (container && typeof container === 'object') return Object.hasOwn(container, String(item));
+  if (container === undefined || container === null) return false;
+  return String(container).includes(String(item));
+}
+
+const CONDITION_FUNCTIONS = {
+  isString: (v) => typeof v === 'string',
+  isNumber: (v) => typeof v === 'number' && Number.isFinite(v),
+  isInteger: (v) => Number.isInteger(v),
+  isBoolean: (v) => typeof v === 'boolean',
+  isArray: (v) => Array.isArray(v),
+  isObject: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+  isNull: (v) => v === null,
+  xpath: (value, expression) => xpath(value, expression)
+};
+
+// --- Regular expressions for `matches` ---
+
+const MAX_PATTERN_LENGTH = 512;
+// Catastrophic backtracking ((a+)+$ against "aaaa…!") gives up after this
+const REGEX_TIMEOUT_MS = 50;
+const REGEX_FLAGS = /^[imsu]*$/;
+
+function compileRegex(pattern, flags) {
+  if (pattern.length > MAX_PATTERN_LENGTH) throw new Error(`matches pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+  if (!REGEX_FLAGS.test(flags)) throw new Error('matches flags may only be i, m, s and u');
+  try {
+    return new RegExp(pattern, flags);
+  } catch (e) {
+    throw new Error('Invalid matches pattern: ' + e.message);
+  }
+}
+
+// Run regex.test(subject) with a time limit. The script is a fixed string:
+// only the compiled pattern and the subject are passed in, as data.
+const regexSandbox = vm.createContext({ pattern: null, subject: '' });
+const regexTest = new vm.Script('pattern.test(subject)');
+
+function safeRegexTest(regex, subject) {
+  regexSandbox.pattern = regex;
+  regexSandbox.subject = subject;
+  try {
+    return regexTest.runInContext(regexSandbox, { timeout: REGEX_TIMEOUT_MS }) === true;
+  } catch (e) {
+    // Timed out: treat as no match
+    return false;
+  } finally {
+    regexSandbox.pattern = null;
+    regexSandbox.subject = '';
+  }
+}
+
+function toComparableNumber(v) {
+  if (typeof v === 'number') return v;
+  if (typeof v === 'string' && v.trim() !== '' && !isNaN(Number(v))) return Number(v);
+  return null;
+}
+
+function compareValues(op, a, b) {
+  const na = toComparableNumber(a);
+  const nb = toComparableNumber(b);
+  const bothNumeric = na !== null && nb !== null;
+
+  switch (op) {
+    case '==': return bothNumeric ? na === nb : String(a) === String(b);
+    case '!=': return bothNumeric ? na !== nb : String(a) !== String(b);
+    case '>': return bothNumeric ? na > nb : String(a) > String(b);
+    case '<': return bothNumeric ? na < nb : String(a) < String(b);
+    case '>=': return bothNumeric ? na >= nb : String(a) >= String(b);
+    case '<=': return bothNumeric ? na <= nb : String(a) <= String(b);
+    default: return false;
+  }
+}
+
+function isTruthy(v) {
+  if (v === undefined || v === null || v === false) return false;
+  if (v === '' || v === 0) return false;
+  return true;
+}
+
+module.exports = {
+  evaluateCondition,
+  compileCondition,
+  conditionError,
+  evaluateCompiledCondition,
+  collectParams,
+  isTruthy
+};
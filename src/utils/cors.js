@@ -0,0 +1,156 @@
+'use strict';
+
+// CORS for mock endpoints: a global policy in config.json (`cors`, edited via
+// /api/admin/cors) that endpoints override with their own `cors` block, or
+// switch off with `cors: false`.
+//
+//   { enabled: true, origins: ['https://app.example.com', 'https://*.example.dev'],
+//     methods: [], headers: [], exposedHeaders: ['X-Total-Count'], credentials: true, maxAge: 600 }
+//
+// origins may use * wildcards ('*' alone allows any origin). Empty methods
+// allow the methods the path has endpoints for, and empty headers allow what
+// a preflight asks for. An endpoint block turns CORS on for that endpoint
+// unless it says `enabled: false`; its fields replace the global ones.
+// Preflights are answered for every path with an endpoint for the requested
+// method, unless an endpoint is defined for OPTIONS on the path itself.
+
+const { HEADER_NAME } = require('./responseOptions');
+const { isObject } = require('./common');
+
+const METHOD = /^[A-Za-z]+$/;
+const ORIGIN = /^(\*|null|[a-z*][-a-z0-9+.*]*:\/\/[^\s/,]+)$/i;
+
+// Compiled policies, per global settings object and endpoint block
+const compiled = new WeakMap();
+const NO_OVERRIDE = {};
+
+function validateList(list, pattern, where, what) {
+  if (list === undefined) return null;
+  if (!Array.isArray(list) || list.some(item => typeof item !== 'string' || !pattern.test(item))) {
+    return `${where} must be an array of ${what}`;
+  }
+  return null;
+}
+
+// Validate global CORS settings or an endpoint's `cors` block (which may also
+// be false or null). Returns an error message or null.
+function validateCorsConfig(cors, where = 'cors') {
+  if (cors === undefined || cors === null || cors === false) return null;
+  if (!isObject(cors)) return `${where} must be an object or false`;
+  for (const field of ['enabled', 'credentials']) {
+    if (cors[field] !== undefined && typeof cors[field] !== 'boolean') return `${where}.${field} must be a boolean`;
+  }
+  const listError = validateList(cors.origins, ORIGIN, `${where}.origins`, 'origins such as https://app.example.com or https://*.example.com') ||
+    validateList(cors.methods, METHOD, `${where}.methods`, 'HTTP methods') ||
+    validateList(cors.headers, HEADER_NAME, `${where}.headers`, 'header names') ||
+    validateList(cors.exposedHeaders, HEADER_NAME, `${where}.exposedHeaders`, 'header names');
+  if (listError) return listError;
+  if (cors.maxAge !== undefined && !(Number.isInteger(cors.maxAge) && cors.maxAge >= 0)) {
+    return `${where}.maxAge must be a whole number of seconds`;
+  }
+  return null;
+}
+
+function originMatcher(pattern) {
+  if (pattern === '*') return () => true;
+  const source = pattern.toLowerCase().split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*');
+  const regex = new RegExp(`^${source}$`);
+  return origin => regex.test(origin.toLowerCase());
+}
+
+function compilePolicy(settings) {
+  const origins = Array.isArray(settings.origins) ? settings.origins : ['*'];
+  return {
+    anyOrigin: origins.includes('*'),
+    origins: origins.map(originMatcher),
+    methods: (settings.methods || []).map(method => method.toUpperCase()),
+    headers: (settings.headers || []).map(name => name.toLowerCase()),
+    exposedHeaders: settings.exposedHeaders || [],
+    credentials: settings.credentials === true,
+    maxAge: settings.maxAge
+  };
+}
+
+// The policy for an endpoint, or null when CORS is off for it.
+function resolveCorsPolicy(globalSettings, endpointSettings) {
+  if (endpointSettings === false) return null;
+  const global = isObject(globalSettings) ? globalSettings : NO_OVERRIDE;
+  const override = isObject(endpointSettings) ? endpointSettings : NO_OVERRIDE;
+  let byEndpoint = compiled.get(global);
+  if (!byEndpoint) compiled.set(global, byEndpoint = new WeakMap());
+  if (!byEndpoint.has(override)) {
+    const settings = override === NO_OVERRIDE ? global : { ...global, enabled: true, ...override };
+    byEndpoint.set(override, settings.enabled === true ? compilePolicy(settings) : null);
+  }
+  return byEndpoint.get(override);
+}
+
+// Add a name to the Vary header instead of replacing it.
+function addVary(reply, name) {
+  const current = reply.getHeader('Vary');
+  const names = current ? String(current).split(',').map(part => part.trim()).filter(Boolean) : [];
+  if (!names.some(existing => existing === '*' || existing.toLowerCase() === name.toLowerCase())) names.push(name);
+  reply.header('Vary', names.join(', '));
+}
+
+// The Access-Control-Allow-Origin value for a request's origin, or null.
+function allowedOrigin(policy, origin) {
+  if (!policy.origins.some(matches => matches(origin))) return null;
+  return policy.anyOrigin && !policy.credentials ? '*' : origin;
+}
+
+function setOriginHeaders(policy, reply, origin) {
+  const allowed = allowedOrigin(policy, origin);
+  if (!policy.anyOrigin || policy.credentials) addVary(reply, 'Origin');
+  if (!allowed) return false;
+  reply.header('Access-Control-Allow-Origin', allowed);
+  if (policy.credentials) reply.header('Access-Control-Allow-Credentials', 'true');
+  return true;
+}
+
+// CORS headers for an actual (non-preflight) request with an Origin header.
+function applyCors(policy, request, reply) {
+  const origin = request.headers.origin;
+  if (!policy || !origin) return;
+  if (setOriginHeaders(policy, reply, origin) && policy.exposedHeaders.length) {
+    reply.header('Access-Control-Expose-Headers', policy.exposedHeaders.join(', '));
+  }
+}
+
+function isPreflight(request) {
+  return request.method === 'OPTIONS' && !!request.headers.origin && !!request.headers['access-control-request-method'];
+}
+
+// Answer a preflight with 204. `pathMethods` are the methods the path has
+// endpoints for. A disallowed origin, method or header gets no
+// Access-Control-Allow-* headers, which the browser treats as a refusal.
+function sendPreflight(policy, request, reply, pathMethods) {
+  const method = String(request.headers['access-control-request-method']).toUpperCase();
+  const requested = String(request.headers['access-control-request-headers'] || '')
+    .split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const methods = policy.methods.length ? policy.methods : pathMethods;
+  const anyHeader = policy.headers.length === 0 || policy.headers.includes('*');
+
+  addVary(reply, 'Access-Control-Request-Method');
+  addVary(reply, 'Access-Control-Request-Headers');
+  reply.code(204);
+  if (!methods.includes(method) || (!anyHeader && requested.some(name => !policy.headers.includes(name)))) {
+    addVary(reply, 'Origin');
+    return reply.send();
+  }
+  if (!setOriginHeaders(policy, reply, request.headers.origin)) return reply.send();
+  reply.header('Access-Control-Allow-Methods', methods.join(', '));
+  const headers = anyHeader ? requested : policy.headers;
+  if (headers.length) reply.header('Access-Control-Allow-Headers', headers.join(', '));
+  if (policy.maxAge !== undefined) reply.header('Access-Control-Max-Age', String(policy.maxAge));
+  return reply.send();
+}
+
+module.exports = {
+  validateCorsConfig,
+  resolveCorsPolicy,
+  applyCors,
+  isPreflight,
+  sendPreflight,
+  addVary
+};
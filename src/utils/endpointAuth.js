@@ -0,0 +1,449 @@
+'use strict';
+
+// Authentication for protected dynamic endpoints. A protected endpoint with
+// just a `token` keeps the original bearer check; an `auth` block picks the
+// scheme instead:
+//
+//   auth: { type: 'bearer', token: 's3cret' }
+//   auth: { type: 'apiKey', in: 'header', name: 'X-API-Key', keys: ['k1', 'k2'] }
+//   auth: { type: 'basic', users: [{ username: 'ann', password: 'pw' }] }
+//   auth: { type: 'hmac', secret: 'shh', header: 'X-Signature', algorithm: 'sha256',
+//           encoding: 'hex', prefix: 'sha256=', timestampHeader: 'X-Timestamp', tolerance: 300 }
+//   auth: { type: 'jwt', secret: 'shh' | jwks: { keys: [...] } | jwksFile: '<asset>.json',
+//           algorithms: ['HS256'], issuer: 'https://idp', audience: 'api',
+//           requiredClaims: { scope: 'read', tenant: null }, clockTolerance: 30 }
+//
+// Every scheme takes an optional `realm`. `auth` may also be a list of schemes:
+// any one of them lets the request in, and a rejected request gets one
+// WWW-Authenticate challenge per scheme.
+//
+// HMAC signs the raw request body; with a timestampHeader the signed text is
+// "<timestamp>.<body>" and stale timestamps are refused. `components` (any of
+// method, path, timestamp, body) and `separator` change what is signed.
+//
+// JWTs are verified with node:crypto: HS* against `secret` (or "oct" JWKs),
+// RS*/PS*/ES*/EdDSA against the public keys of a JWK Set given inline or as an
+// uploaded asset. `exp` and `nbf` are checked when present; a required claim
+// matches an equal value, an array holding it or a space-separated list (e.g.
+// `scope`) containing it, and null only requires the claim to be present.
+// Missing required claims answer 403 insufficient_scope, as in RFC 6750.
+//
+//   auth: { type: 'oauth', scopes: ['orders:read'], audience: 'orders-api' }
+//
+// accepts access tokens issued by the built-in OAuth server (oauthServer.js)
+// that carry every listed scope.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const configManager = require('../config/configManager');
+const { JWT_ALGORITHMS, HMAC_JWT_ALGORITHMS, importJwks, verifyJwt } = require('./jwt');
+const { verifyAccessToken } = require('./oauthServer');
+const { isObject, isNonEmptyString, constantTimeEquals } = require('./common');
+
+const AUTH_TYPES = ['bearer', 'apiKey', 'basic', 'hmac', 'jwt', 'oauth'];
+const API_KEY_LOCATIONS = ['header', 'query'];
+const HMAC_ALGORITHMS = ['sha1', 'sha256', 'sha384', 'sha512'];
+const HMAC_ENCODINGS = ['hex', 'base64', 'base64url'];
+const HMAC_COMPONENTS = ['method', 'path', 'timestamp', 'body'];
+const DEFAULT_REALM = 'RoarinAPI';
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function isStringList(value) {
+  return Array.isArray(value) && value.length > 0 && value.every(isNonEmptyString);
+}
+
+// ===== CONFIGURATION =====
+
+// Keys of a JWKS asset, re-read only when the file's mtime changes.
+const jwksFileCache = new Map();
+function loadJwksFile(name) {
+  const file = configManager.resolveAssetPath(name);
+  if (!file) throw new Error('is not a valid asset name');
+  const mtime = fs.statSync(file).mtimeMs;
+  const cached = jwksFileCache.get(file);
+  if (cached && cached.mtime === mtime) return cached.keys;
+  const keys = importJwks(JSON.parse(fs.readFileSync(file, 'utf8')));
+  jwksFileCache.set(file, { mtime, keys });
+  return keys;
+}
+
+function validateScheme(scheme, where) {
+  if (!isObject(scheme)) return `${where} must be an object`;
+  if (!AUTH_TYPES.includes(scheme.type)) return `${where}.type must be one of ${AUTH_TYPES.join(', ')}`;
+  if (scheme.realm !== undefined && !isNonEmptyString(scheme.realm)) return `${where}.realm must be a non-empty string`;
+  if (typeof scheme.realm === 'string' && /["\\\r\n]/.test(scheme.realm)) return `${where}.realm must not contain quotes, backslashes or line breaks`;
+
+  switch (scheme.type) {
+    case 'bearer':
+      if (scheme.token !== undefined && !isNonEmptyString(scheme.token)) return `${where}.token must be a non-empty string`;
+      return null;
+    case 'apiKey':
+      if (!API_KEY_LOCATIONS.includes(scheme.in || 'header')) return `${where}.in must be one of ${API_KEY_LOCATIONS.join(', ')}`;
+      if (!isNonEmptyString(scheme.name)) return `${where}.name is required`;
+      if (!isStringList(scheme.keys)) return `${where}.keys must be a non-empty list of strings`;
+      return null;
+    case 'basic':
+      if (!Array.isArray(scheme.users) || scheme.users.length === 0) return `${where}.users must be a non-empty list`;
+      for (const [i, user] of scheme.users.entries()) {
+        if (!isObject(user) || !isNonEmptyString(user.username) || typeof user.password !== 'string') {
+          return `${where}.users[${i}] needs a username and a password`;
+        }
+        if (user.username.includes(':')) return `${where}.users[${i}].username must not contain ":"`;
+      }
+      return null;
+    case 'hmac':
+      return validateHmacScheme(scheme, where);
+    case 'jwt':
+      return validateJwtScheme(scheme, where);
+    case 'oauth':
+      if (scheme.scopes !== undefined && !(Array.isArray(scheme.scopes) && scheme.scopes.every(isNonEmptyString))) {
+        return `${where}.scopes must be a list of scope names`;
+      }
+      if (scheme.audience !== undefined && !isNonEmptyString(scheme.audience)) return `${where}.audience must be a non-empty string`;
+      return null;
+  }
+  return null;
+}
+
+function validateHmacScheme(scheme, where) {
+  if (!isNonEmptyString(scheme.secret)) return `${where}.secret is required`;
+  if (!isNonEmptyString(scheme.header)) return `${where}.header is required`;
+  if (scheme.algorithm !== undefined && !HMAC_ALGORITHMS.includes(scheme.algorithm)) {
+    return `${where}.algorithm must be one of ${HMAC_ALGORITHMS.join(', ')}`;
+  }
+  if (scheme.encoding !== undefined && !HMAC_ENCODINGS.includes(scheme.encoding)) {
+    return `${where}.encoding must be one of ${HMAC_ENCODINGS.join(', ')}`;
+  }
+  if (scheme.prefix !== undefined && typeof scheme.prefix !== 'string') return `${where}.prefix must be a string`;
+  if (scheme.timestampHeader !== undefined && !isNonEmptyString(scheme.timestampHeader)) {
+    return `${where}.timestampHeader must be a non-empty string`;
+  }
+  if (scheme.tolerance !== undefined && !(Number.isFinite(scheme.tolerance) && scheme.tolerance > 0)) {
+    return `${where}.tolerance must be a positive number of seconds`;
+  }
+  if (scheme.components !== undefined) {
+    if (!Array.isArray(scheme.components) || scheme.components.length === 0 ||
+        !scheme.components.every(c => HMAC_COMPONENTS.includes(c))) {
+      return `${where}.components must list some of ${HMAC_COMPONENTS.join(', ')}`;
+    }
+    if (scheme.components.includes('timestamp') && !scheme.timestampHeader) {
+      return `${where}.components includes timestamp but no timestampHeader is set`;
+    }
+  }
+  if (scheme.separator !== undefined && typeof scheme.separator !== 'string') return `${where}.separator must be a string`;
+  return null;
+}
+
+function validateJwtScheme(scheme, where) {
+  const sources = ['secret', 'jwks', 'jwksFile'].filter(key => scheme[key] !== undefined && scheme[key] !== null);
+  if (sources.length !== 1) return `${where} needs exactly one of secret, jwks or jwksFile`;
+  if (scheme.secret !== undefined && !isNonEmptyString(scheme.secret)) return `${where}.secret must be a non-empty string`;
+  try {
+    if (scheme.jwks !== undefined) importJwks(scheme.jwks);
+  } catch (err) {
+    return `${where}.jwks ${err.message}`;
+  }
+  if (scheme.jwksFile !== undefined) {
+    if (!isNonEmptyString(scheme.jwksFile)) return `${where}.jwksFile must be an asset name`;
+    try {
+      loadJwksFile(scheme.jwksFile);
+    } catch (err) {
+      return `${where}.jwksFile ${err.code === 'ENOENT' ? 'does not exist' : err.message}`;
+    }
+  }
+  if (scheme.algorithms !== undefined) {
+    if (!isStringList(scheme.algorithms) || !scheme.algorithms.every(alg => Object.hasOwn(JWT_ALGORITHMS, alg))) {
+      return `${where}.algorithms must list some of ${Object.keys(JWT_ALGORITHMS).join(', ')}`;
+    }
+    if (scheme.secret && !scheme.algorithms.every(alg => HMAC_JWT_ALGORITHMS.includes(alg))) {
+      return `${where}.algorithms must be HS256, HS384 or HS512 with a secret`;
+    }
+  }
+  if (scheme.issuer !== undefined && !isNonEmptyString(scheme.issuer)) return `${where}.issuer must be a non-empty string`;
+  if (scheme.audience !== undefined && !isNonEmptyString(scheme.audience) && !isStringList(scheme.audience)) {
+    return `${where}.audience must be a string or a list of strings`;
+  }
+  if (scheme.requiredClaims !== undefined && !isObject(scheme.requiredClaims) && !isStringList(scheme.requiredClaims)) {
+    return `${where}.requiredClaims must be an object of claim values or a list of claim names`;
+  }
+  if (scheme.clockTolerance !== undefined && !(Number.isFinite(scheme.clockTolerance) && scheme.clockTolerance >= 0)) {
+    return `${where}.clockTolerance must be a non-negative number of seconds`;
+  }
+  return null;
+}
+
+// Validate an endpoint's `auth` block. Returns an error message or null.
+function validateAuthConfig(auth) {
+  if (auth === undefined || auth === null) return null;
+  if (Array.isArray(auth)) {
+    if (auth.length === 0) return 'auth must not be an empty list';
+    for (const [i, scheme] of auth.entries()) {
+      const error = validateScheme(scheme, `auth[${i}]`);
+      if (error) return error;
+    }
+    return null;
+  }
+  return validateScheme(auth, 'auth');
+}
+
+// The schemes a protected endpoint checks, or null for an open endpoint. An
+// endpoint without `auth` uses its legacy bearer `token`.
+function compileAuth(endpoint) {
+  if (!endpoint.protected) return null;
+  const auth = endpoint.auth;
+  const schemes = auth === undefined || auth === null ? [{ type: 'bearer' }] : (Array.isArray(auth) ? auth : [auth]);
+  return schemes.map(scheme => {
+    const compiled = { ...scheme, realm: scheme.realm || DEFAULT_REALM };
+    if (scheme.type === 'bearer') compiled.token = scheme.token || endpoint.token;
+    if (scheme.type === 'jwt') {
+      compiled.algorithms = scheme.algorithms || (scheme.secret ? HMAC_JWT_ALGORITHMS : Object.keys(JWT_ALGORITHMS));
+      if (scheme.jwks) {
+        try {
+          compiled.jwksKeys = importJwks(scheme.jwks);
+        } catch {
+          compiled.jwksKeys = [];
+        }
+      }
+    }
+    return compiled;
+  });
+}
+
+// Whether the schemes sign the request body, which then has to be kept raw.
+function needsRawBody(schemes) {
+  return !!schemes && schemes.some(scheme => scheme.type === 'hmac');
+}
+
+// ===== CHALLENGES =====
+
+function quote(value) {
+  return `"${String(value).replace(/["\\\r\n]/g, '')}"`;
+}
+
+function challenge(scheme, params) {
+  return `${scheme} ` + Object.entries(params)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => `${name}=${quote(value)}`)
+    .join(', ');
+}
+
+// ===== SCHEMES =====
+//
+// Each check returns null when the request is let in, else { status, error,
+// challenge, presented } where presented says whether the request carried
+// credentials for that scheme at all.
+
+function bearerToken(request) {
+  const match = /^Bearer +(\S+) *$/i.exec(request.headers.authorization || '');
+  return match ? match[1] : null;
+}
+
+function checkBearer(scheme, request) {
+  const token = bearerToken(request);
+  if (token === null) {
+    return { status: 401, error: 'Authorization required', challenge: challenge('Bearer', { realm: scheme.realm }), presented: false };
+  }
+  if (constantTimeEquals(token, scheme.token)) return null;
+  return {
+    status: 401,
+    error: 'Invalid token',
+    challenge: challenge('Bearer', { realm: scheme.realm, error: 'invalid_token', error_description: 'The access token is invalid' }),
+    presented: true
+  };
+}
+
+function checkApiKey(scheme, request) {
+  const where = scheme.in || 'header';
+  const source = where === 'query' ? request.query || {} : request.headers;
+  const raw = source[where === 'query' ? scheme.name : scheme.name.toLowerCase()];
+  const value = Array.isArray(raw) ? raw[0] : raw;
+  const params = { realm: scheme.realm, in: where, name: scheme.name };
+  if (typeof value !== 'string' || value === '') {
+    return { status: 401, error: `API key required in ${where} ${scheme.name}`, challenge: challenge('ApiKey', params), presented: false };
+  }
+  // Compare against every key so the time taken doesn't tell which one is close.
+  const valid = scheme.keys.reduce((found, key) => constantTimeEquals(value, key) || found, false);
+  if (valid) return null;
+  return { status: 401, error: 'Invalid API key', challenge: challenge('ApiKey', { ...params, error: 'invalid_key' }), presented: true };
+}
+
+function checkBasic(scheme, request) {
+  const params = { realm: scheme.realm, charset: 'UTF-8' };
+  const match = /^Basic +([A-Za-z0-9+/]+=*) *$/i.exec(request.headers.authorization || '');
+  if (!match) return { status: 401, error: 'Authorization required', challenge: challenge('Basic', params), presented: false };
+  const decoded = Buffer.from(match[1], 'base64').toString('utf8');
+  const colon = decoded.indexOf(':');
+  const username = colon === -1 ? decoded : decoded.slice(0, colon);
+  const password = colon === -1 ? '' : decoded.slice(colon + 1);
+  const valid = colon !== -1 && scheme.users.reduce((found, user) => {
+    const nameMatches = constantTimeEquals(username, user.username);
+    const passwordMatches = constantTimeEquals(password, user.password);
+    return (nameMatches && passwordMatches) || found;
+  }, false);
+  if (valid) return null;
+  return { status: 401, error: 'Invalid credentials', challenge: challenge('Basic', params), presented: true };
+}
+
+function checkHmac(scheme, request) {
+  const algorithm = scheme.algorithm || 'sha256';
+  const encoding = scheme.encoding || 'hex';
+  const prefix = scheme.prefix || '';
+  const params = { realm: scheme.realm, algorithm: `hmac-${algorithm}`, header: scheme.header };
+  const fail = (error, presented = true) => ({
+    status: 401,
+    error,
+    challenge: challenge('HMAC', presented ? { ...params, error: 'invalid_signature' } : params),
+    presented
+  });
+
+  const signature = request.headers[scheme.header.toLowerCase()];
+  if (typeof signature !== 'string' || signature === '') return fail(`Signature required in header ${scheme.header}`, false);
+
+  let timestamp = null;
+  if (scheme.timestampHeader) {
+    timestamp = request.headers[scheme.timestampHeader.toLowerCase()];
+    const seconds = Number(timestamp);
+    if (typeof timestamp !== 'string' || timestamp === '' || !Number.isFinite(seconds)) {
+      return fail(`Timestamp required in header ${scheme.timestampHeader}`);
+    }
+    // Accept seconds or milliseconds since the epoch.
+    const ageSeconds = Math.abs(Date.now() / 1000 - (seconds > 1e12 ? seconds / 1000 : seconds));
+    if (ageSeconds > (scheme.tolerance || DEFAULT_TOLERANCE_SECONDS)) return fail('Signature timestamp is outside the allowed window');
+  }
+
+  const components = scheme.components || (scheme.timestampHeader ? ['timestamp', 'body'] : ['body']);
+  const separator = scheme.separator ?? (scheme.components ? '\n' : '.');
+  const parts = components.map(component => {
+    if (component === 'method') return Buffer.from(request.method);
+    if (component === 'path') return Buffer.from(request.url);
+    if (component === 'timestamp') return Buffer.from(timestamp);
+    return request.rawBody || Buffer.alloc(0);
+  });
+  const signed = [];
+  for (const [i, part] of parts.entries()) {
+    if (i > 0) signed.push(Buffer.from(separator));
+    signed.push(part);
+  }
+  const expected = prefix + crypto.createHmac(algorithm, scheme.secret).update(Buffer.concat(signed)).digest(encoding);
+  // Hex digests are case-insensitive; base64 ones are not.
+  const received = encoding === 'hex' ? signature.trim().toLowerCase() : signature.trim();
+  const compareTo = encoding === 'hex' ? expected.toLowerCase() : expected;
+  return constantTimeEquals(received, compareTo) ? null : fail('Invalid signature');
+}
+
+// ===== JWT =====
+
+function claimMatches(actual, expected) {
+  if (actual === undefined) return false;
+  if (expected === null) return true;
+  if (Array.isArray(actual)) return actual.some(item => claimMatches(item, expected));
+  if (typeof actual === 'string' && typeof expected === 'string' && actual.includes(' ')) {
+    return actual.split(' ').includes(expected);
+  }
+  return JSON.stringify(actual) === JSON.stringify(expected);
+}
+
+function checkJwt(scheme, request) {
+  const params = { realm: scheme.realm };
+  const invalid = description => ({
+    status: 401,
+    error: description,
+    challenge: challenge('Bearer', { ...params, error: 'invalid_token', error_description: description }),
+    presented: true
+  });
+
+  const token = bearerToken(request);
+  if (token === null) return { status: 401, error: 'Authorization required', challenge: challenge('Bearer', params), presented: false };
+
+  let keys;
+  if (scheme.secret) {
+    keys = [{ kty: 'oct', key: Buffer.from(scheme.secret) }];
+  } else {
+    try {
+      keys = scheme.jwksFile ? loadJwksFile(scheme.jwksFile) : scheme.jwksKeys;
+    } catch {
+      return { status: 500, error: 'JWKS file could not be loaded', challenge: null, presented: true };
+    }
+  }
+  const verified = verifyJwt(token, keys, {
+    algorithms: scheme.algorithms,
+    issuer: scheme.issuer,
+    audience: scheme.audience,
+    clockTolerance: scheme.clockTolerance
+  });
+  if (verified.error) return invalid(verified.error);
+
+  const claims = verified.payload;
+  const required = Array.isArray(scheme.requiredClaims)
+    ? Object.fromEntries(scheme.requiredClaims.map(name => [name, null]))
+    : scheme.requiredClaims || {};
+  for (const [name, expected] of Object.entries(required)) {
+    if (!claimMatches(Object.hasOwn(claims, name) ? claims[name] : undefined, expected)) {
+      const description = `Token is missing required claim ${name}`;
+      const scope = name === 'scope' && typeof expected === 'string' ? expected : undefined;
+      return {
+        status: 403,
+        error: description,
+        challenge: challenge('Bearer', { ...params, error: 'insufficient_scope', error_description: description, scope }),
+        presented: true
+      };
+    }
+  }
+  return null;
+}
+
+// Access tokens from the built-in OAuth server (see oauthServer.js).
+function checkOAuth(scheme, request) {
+  const params = { realm: scheme.realm };
+  const token = bearerToken(request);
+  if (token === null) return { status: 401, error: 'Authorization required', challenge: challenge('Bearer', params), presented: false };
+  const verified = verifyAccessToken(token, { audience: scheme.audience });
+  if (verified.error) {
+    return {
+      status: 401,
+      error: verified.error,
+      challenge: challenge('Bearer', { ...params, error: 'invalid_token', error_description: verified.error }),
+      presented: true
+    };
+  }
+  const granted = String(verified.payload.scope || '').split(' ');
+  const missing = (scheme.scopes || []).filter(scope => !granted.includes(scope));
+  if (missing.length === 0) return null;
+  const description = `Token is missing scope ${missing.join(' ')}`;
+  return {
+    status: 403,
+    error: description,
+    challenge: challenge('Bearer', { ...params, error: 'insufficient_scope', error_description: description, scope: scheme.scopes.join(' ') }),
+    presented: true
+  };
+}
+
+const CHECKS = { bearer: checkBearer, apiKey: checkApiKey, basic: checkBasic, hmac: checkHmac, jwt: checkJwt, oauth: checkOAuth };
+
+// Check a request against the endpoint's compiled schemes. Returns null when
+// any scheme lets it in, else { status, error, challenges } for the reply.
+function authenticate(schemes, request) {
+  const failures = [];
+  for (const scheme of schemes) {
+    const failure = CHECKS[scheme.type](scheme, request);
+    if (!failure) return null;
+    failures.push(failure);
+  }
+  // A valid but insufficient token, or a broken key file, outranks a plain 401.
+  const decisive = failures.find(f => f.status === 403) || failures.find(f => f.status === 500);
+  if (decisive) return { status: decisive.status, error: decisive.error, challenges: decisive.challenge ? [decisive.challenge] : [] };
+  const presented = failures.find(f => f.presented);
+  return {
+    status: 401,
+    error: presented ? presented.error : failures[0].error,
+    challenges: failures.map(f => f.challenge)
+  };
+}
+
+module.exports = {
+  AUTH_TYPES,
+  validateAuthConfig,
+  compileAuth,
+  needsRawBody,
+  authenticate
+};
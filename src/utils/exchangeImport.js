@@ -0,0 +1,469 @@
+'use strict';
+
+// Convert recorded request/response exchanges into endpoint definitions:
+// Postman v2.1 collections (each saved example response, or the request
+// itself when it has none) and HAR captures (each entry).
+//
+// Exchanges with the same method and path become one endpoint. The request
+// values that differ between them (query parameters, path variables, top-level
+// body fields) become the conditions of its response variants:
+//
+//   GET /users?page=2  -> { condition: "query.page == '2'", data: [...] }
+//   GET /users         -> { condition: null, data: [...] }   (the fallback)
+//
+// Exchanges that can't be told apart keep the first response; the rest are
+// reported as warnings. Entries that can't be imported at all are returned in
+// `skipped` with where they came from. Binary bodies are returned as base64
+// `fileData` (with a `fileName` for the extension) on the variant; saving
+// them as assets is up to the caller, like previewing and saving the
+// definitions. Recorded bodies and headers are samples, not templates: any
+// "{{" in them is escaped so it is served as it was recorded.
+
+const crypto = require('crypto');
+const { parseDocument } = require('./openapiImport');
+const { decodeSegment } = require('./pathPattern');
+const { DEFAULT_VOLATILE_HEADERS, HOP_BY_HOP, EXTENSIONS, RECORDABLE_METHODS } = require('./proxy');
+const { escapeTemplate } = require('./templates');
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+// Keys that can be referenced from a condition ("query.page", "body.user-id").
+const CONDITION_KEY = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const DROPPED_HEADERS = new Set([...HOP_BY_HOP, ...DEFAULT_VOLATILE_HEADERS, 'set-cookie', 'content-type']);
+const PREVIEW_TYPES = { json: 'application/json', html: 'text/html', xml: 'application/xml', text: 'text/plain' };
+
+function isTextual(contentType) {
+  return !contentType || contentType.startsWith('text/') || /json|xml|javascript|x-www-form-urlencoded/.test(contentType);
+}
+
+function mediaType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+// Response headers worth replaying, from [{ name|key, value }].
+function replayHeaders(list) {
+  const headers = {};
+  for (const header of Array.isArray(list) ? list : []) {
+    const name = String(header?.name ?? header?.key ?? '');
+    if (!name || name.startsWith(':') || header.disabled || DROPPED_HEADERS.has(name.toLowerCase())) continue;
+    headers[name] = headers[name] === undefined ? String(header.value ?? '') : `${headers[name]}, ${header.value ?? ''}`;
+  }
+  return headers;
+}
+
+// Request body as an object when it is JSON or a form, for conditions.
+function parseRequestBody(contentType, text, fields) {
+  if (Array.isArray(fields)) {
+    return Object.fromEntries(fields.filter(f => f && !f.disabled && f.type !== 'file' && !f.fileName).map(f => [f.name ?? f.key, f.value ?? '']));
+  }
+  if (typeof text !== 'string' || text === '') return undefined;
+  if (/x-www-form-urlencoded/.test(contentType)) return Object.fromEntries(new URLSearchParams(text));
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return undefined;
+  }
+}
+
+// The request values a condition could test, as [key, value] pairs.
+function requestFacts(exchange) {
+  const facts = [];
+  for (const [name, value] of Object.entries(exchange.query)) {
+    if (CONDITION_KEY.test(name) && typeof value === 'string') facts.push([`query.${name}`, value]);
+  }
+  for (const [name, value] of Object.entries(exchange.pathParams)) facts.push([`path.${name}`, String(value)]);
+  const body = exchange.body;
+  if (body && typeof body === 'object' && !Array.isArray(body)) {
+    for (const [name, value] of Object.entries(body)) {
+      if (CONDITION_KEY.test(name) && (value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+        facts.push([`body.${name}`, value]);
+      }
+    }
+  }
+  return facts;
+}
+
+function literal(value) {
+  return typeof value === 'string' ? `'${value.replace(/[\\']/g, '\\$&')}'` : String(value);
+}
+
+// How a recorded response body can be served: json, text or binary (null
+// when it is empty, which any of them can serve).
+function classify(response) {
+  const type = response.contentType;
+  if (response.base64 === undefined && response.text === '') return null;
+  if (response.base64 !== undefined && !isTextual(type)) return 'binary';
+  if (/json/.test(type)) {
+    try {
+      JSON.parse(response.text);
+      return 'json';
+    } catch (e) {
+      return 'text';
+    }
+  }
+  return isTextual(type) ? 'text' : 'binary';
+}
+
+// Apply `convert` to the strings inside a JSON value.
+function mapStrings(value, convert) {
+  if (typeof value === 'string') return convert(value);
+  if (Array.isArray(value)) return value.map(item => mapStrings(item, convert));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, mapStrings(item, convert)]));
+  }
+  return value;
+}
+
+function toVariant(response, responseType, condition, template) {
+  const variant = { condition, status: response.status, headers: mapStrings({ ...response.headers }, template) };
+  if (responseType === 'json') {
+    if (response.contentType && response.contentType !== 'application/json') variant.headers['Content-Type'] = response.contentType;
+    if (response.text !== '') variant.data = mapStrings(JSON.parse(response.text), template);
+  } else if (responseType === 'text') {
+    if (response.contentType) variant.headers['Content-Type'] = response.contentType;
+    variant.text = template(response.text);
+  } else {
+    const type = response.contentType || 'application/octet-stream';
+    variant.fileData = response.base64 ?? Buffer.from(response.text, 'utf8').toString('base64');
+    variant.fileName = `imported${EXTENSIONS[type] || '.bin'}`;
+    variant.contentType = type;
+  }
+  return variant;
+}
+
+// Variants for recorded responses served by one endpoint, with the response
+// type that fits them all. Entries are { response, condition, extra, template }
+// where extra holds more variant fields (delay, scenario states) and template,
+// when set, turns the body and header strings into templates; without it they
+// are escaped and served literally.
+function buildVariants(entries) {
+  const kinds = new Set(entries.map(entry => classify(entry.response)));
+  const responseType = kinds.has('binary') ? 'binary' : kinds.has('json') && !kinds.has('text') ? 'json' : 'text';
+  return {
+    responseType,
+    responses: entries.map(entry => ({
+      ...toVariant(entry.response, responseType, entry.condition, entry.template || escapeTemplate),
+      ...entry.extra
+    }))
+  };
+}
+
+// One endpoint per method and path. Exchanges carry
+// { where, description, method, path, pathParams, query, body, token, response }
+// with response { status, headers, contentType, text, base64 }.
+function mergeExchanges(exchanges, warnings) {
+  const groups = new Map();
+  for (const exchange of exchanges) {
+    const key = `${exchange.method} ${exchange.path}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(exchange);
+  }
+
+  const endpoints = [];
+  for (const group of groups.values()) {
+    const [first] = group;
+    // Only values that differ between the exchanges distinguish them.
+    const facts = group.map(requestFacts);
+    const keys = new Set(facts.flat().map(([key]) => key));
+    const varying = [...keys].filter(key => {
+      const values = facts.map(list => JSON.stringify(list.find(([k]) => k === key)?.[1]));
+      return values.some(value => value !== values[0]);
+    });
+    const candidates = group.map((exchange, i) => {
+      const tests = facts[i].filter(([key]) => varying.includes(key)).map(([key, value]) => `${key} == ${literal(value)}`);
+      return { exchange, tests, signature: tests.join(' && ') };
+    });
+
+    // The exchange with the fewest distinguishing values answers everything else.
+    const fallback = candidates.reduce((best, c) => (c.tests.length < best.tests.length ? c : best));
+    const kept = [];
+    for (const candidate of candidates) {
+      if (candidate === fallback) continue;
+      const twin = candidate.signature === fallback.signature ? fallback : kept.find(k => k.signature === candidate.signature);
+      if (twin) {
+        warnings.push(`${first.method} ${first.path}: ${candidate.exchange.where} sends the same request as ${twin.exchange.where}; kept the first response`);
+        continue;
+      }
+      kept.push(candidate);
+    }
+    kept.sort((a, b) => b.tests.length - a.tests.length);
+    const ordered = [...kept, { ...fallback, signature: null }];
+
+    const { responseType, responses } = buildVariants(ordered.map(c => ({ response: c.exchange.response, condition: c.signature || null })));
+    const token = first.token || null;
+    endpoints.push({
+      path: first.path,
+      method: first.method,
+      description: first.description,
+      protected: !!token,
+      token,
+      parameterSource: 'none',
+      parameters: [],
+      responseType,
+      responses,
+      delay: null,
+      faults: null,
+      scenario: null,
+      sequence: null,
+      validation: null,
+      enabled: true
+    });
+  }
+  return endpoints;
+}
+
+// ----- Postman -----
+
+function pairs(list) {
+  return (Array.isArray(list) ? list : []).filter(p => p && !p.disabled && p.key !== undefined && p.key !== null);
+}
+
+// Substitute known {{variables}}; unknown ones are left in place.
+function resolveVariables(value, variables) {
+  return String(value ?? '').replace(/\{\{\s*([^{}]+?)\s*\}\}/g, (match, name) => (variables.has(name) ? variables.get(name) : match));
+}
+
+// Path pattern of a Postman URL: host and {{baseUrl}}-style prefixes are
+// dropped, ":id" segments stay parameters and "{{id}}" segments become ones.
+function postmanPath(url, variables) {
+  const raw = typeof url === 'string' ? url : url?.raw ??
+    '/' + (Array.isArray(url?.path) ? url.path.map(seg => (typeof seg === 'object' ? seg?.value ?? '' : seg)).join('/') : '');
+  let rest = resolveVariables(raw, variables).split(/[?#]/)[0];
+  rest = rest.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '');
+  if (!rest.startsWith('/')) {
+    const slash = rest.indexOf('/');
+    rest = slash === -1 ? '/' : rest.slice(slash);
+  }
+  const segments = rest.split('/').slice(1).map(seg => {
+    const variable = seg.match(/^\{\{\s*([^{}]+?)\s*\}\}$/);
+    if (variable) return `:${variable[1].replace(/[^A-Za-z0-9_]/g, '_')}`;
+    if (seg.includes('{{')) return null;
+    return seg.startsWith(':') ? seg : decodeSegment(seg);
+  });
+  return segments.includes(null) ? null : '/' + segments.join('/');
+}
+
+function postmanQuery(url, variables) {
+  if (url && typeof url === 'object' && Array.isArray(url.query)) {
+    return Object.fromEntries(pairs(url.query).map(p => [p.key, resolveVariables(p.value, variables)]));
+  }
+  const raw = typeof url === 'string' ? url : url?.raw || '';
+  const index = raw.indexOf('?');
+  return index === -1 ? {} : Object.fromEntries(new URLSearchParams(resolveVariables(raw.slice(index + 1).split('#')[0], variables)));
+}
+
+function postmanBody(body, variables) {
+  if (!body || body.disabled) return undefined;
+  switch (body.mode) {
+    case 'raw': {
+      const language = body.options?.raw?.language;
+      return parseRequestBody(language === 'json' ? 'application/json' : '', resolveVariables(body.raw, variables));
+    }
+    case 'urlencoded':
+    case 'formdata':
+      return parseRequestBody('', null, pairs(body[body.mode]).map(p => ({ ...p, value: resolveVariables(p.value, variables) })));
+    default:
+      return undefined;
+  }
+}
+
+function authValue(auth, key) {
+  const list = Array.isArray(auth?.[auth.type]) ? auth[auth.type] : [];
+  return list.find(p => p && p.key === key)?.value;
+}
+
+// Walk the collection's folders, tracking the inherited auth.
+function collectPostmanItems(items, trail, inheritedAuth, out) {
+  for (const item of Array.isArray(items) ? items : []) {
+    if (!item || typeof item !== 'object') continue;
+    const name = [...trail, item.name || '(unnamed)'];
+    const auth = item.auth !== undefined && item.auth !== null ? item.auth : inheritedAuth;
+    if (Array.isArray(item.item)) collectPostmanItems(item.item, name, auth, out);
+    else out.push({ item, where: name.join(' / '), auth: item.request?.auth ?? auth });
+  }
+}
+
+// Convert a collection. Returns { title, endpoints, skipped: [{ entry, method,
+// path, error }], warnings, token } where token is set when protected
+// endpoints needed a generated one.
+function convertPostman(input) {
+  const doc = parseDocument(input);
+  if (!doc || typeof doc !== 'object' || !doc.info || !Array.isArray(doc.item)) {
+    throw new Error('Not a Postman v2.1 collection (missing info and item)');
+  }
+
+  const variables = new Map(pairs(doc.variable).map(v => [v.key, String(v.value ?? '')]));
+  const exchanges = [];
+  const skipped = [];
+  const warnings = [];
+  let generated = null;
+
+  const entries = [];
+  collectPostmanItems(doc.item, [], doc.auth || null, entries);
+  for (const { item, where, auth } of entries) {
+    const request = typeof item.request === 'string' ? { url: item.request, method: 'GET' } : item.request;
+    if (!request || !request.url) {
+      skipped.push({ entry: where, method: null, path: null, error: 'Request has no URL' });
+      continue;
+    }
+    const method = String(request.method || 'GET').toUpperCase();
+
+    let token = null;
+    if (auth && auth.type === 'bearer') {
+      token = resolveVariables(authValue(auth, 'token'), variables);
+      if (!token || token.includes('{{')) {
+        generated = generated || crypto.randomBytes(16).toString('hex');
+        token = generated;
+      }
+    } else if (auth && auth.type && auth.type !== 'noauth') {
+      warnings.push(`${where}: ${auth.type} auth can't be mocked; imported unprotected`);
+    }
+
+    const examples = Array.isArray(item.response) && item.response.length ? item.response : [null];
+    examples.forEach((example, i) => {
+      const exampleWhere = example ? `${where} / ${example.name || `example ${i + 1}`}` : where;
+      const original = example && example.originalRequest && typeof example.originalRequest === 'object'
+        ? example.originalRequest : request;
+      const exampleMethod = String(original.method || method).toUpperCase();
+      const url = original.url || request.url;
+      const path = postmanPath(url, variables);
+      if (!RECORDABLE_METHODS.includes(exampleMethod)) {
+        skipped.push({ entry: exampleWhere, method: exampleMethod, path, error: `${exampleMethod} requests are not supported` });
+        return;
+      }
+      if (!path) {
+        skipped.push({ entry: exampleWhere, method: exampleMethod, path: null, error: 'Path variables must span a whole segment' });
+        return;
+      }
+      const status = example ? Number(example.code ?? 200) : 200;
+      if (!Number.isInteger(status) || status < 100 || status > 599) {
+        skipped.push({ entry: exampleWhere, method: exampleMethod, path, error: `Invalid status code ${example.code}` });
+        return;
+      }
+      if (!example) warnings.push(`${where}: no saved example response; answers 200 with an empty body`);
+
+      const headerList = example ? example.header : [];
+      const contentHeader = (Array.isArray(headerList) ? headerList : []).find(h => String(h?.key).toLowerCase() === 'content-type');
+      const pathParams = {};
+      for (const variable of pairs(url && typeof url === 'object' ? url.variable : [])) {
+        if (PARAM_NAME.test(variable.key)) pathParams[variable.key] = resolveVariables(variable.value, variables);
+      }
+      exchanges.push({
+        where: exampleWhere,
+        description: item.name || '',
+        method: exampleMethod,
+        path,
+        pathParams,
+        query: postmanQuery(url, variables),
+        body: postmanBody(original.body, variables),
+        token,
+        response: {
+          status,
+          headers: replayHeaders(headerList),
+          contentType: mediaType(contentHeader ? contentHeader.value : PREVIEW_TYPES[example?._postman_previewlanguage] || (example?.body ? 'text/plain' : '')),
+          text: example && typeof example.body === 'string' ? example.body : ''
+        }
+      });
+    });
+  }
+
+  return {
+    title: String(doc.info.name || ''),
+    endpoints: mergeExchanges(exchanges, warnings),
+    skipped,
+    warnings,
+    token: generated
+  };
+}
+
+// ----- HAR -----
+
+// Convert a HAR capture. Options: { host } keeps only the entries for that
+// host. Returns the same shape as convertPostman (token is always null).
+function convertHar(input, { host } = {}) {
+  const doc = parseDocument(input);
+  if (!doc || typeof doc !== 'object' || !doc.log || !Array.isArray(doc.log.entries)) {
+    throw new Error('Not a HAR file (missing log.entries)');
+  }
+
+  const wantedHost = host ? String(host).toLowerCase() : null;
+  const exchanges = [];
+  const skipped = [];
+  const warnings = [];
+  const otherHosts = new Set();
+  let ignored = 0;
+
+  doc.log.entries.forEach((entry, index) => {
+    const where = `entries[${index}]`;
+    const request = entry && entry.request;
+    const response = entry && entry.response;
+    let url;
+    try {
+      url = new URL(request.url);
+    } catch (e) {
+      skipped.push({ entry: where, method: null, path: null, error: 'Request has no valid URL' });
+      return;
+    }
+    const method = String(request.method || '').toUpperCase();
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      skipped.push({ entry: where, method, path: null, error: `${url.protocol} URLs are not supported` });
+      return;
+    }
+    const path = url.pathname.split('/').map(seg => {
+      const decoded = decodeSegment(seg);
+      return decoded.includes('/') ? seg : decoded;
+    }).join('/');
+    const fail = error => skipped.push({ entry: where, method, path, error });
+
+    if (wantedHost && url.host.toLowerCase() !== wantedHost && url.hostname.toLowerCase() !== wantedHost) {
+      ignored++;
+      otherHosts.add(url.host);
+      return;
+    }
+    if (!RECORDABLE_METHODS.includes(method)) return fail(`${method || 'Missing'} requests are not supported`);
+    if (!response || typeof response !== 'object') return fail('Entry has no response');
+    const status = Number(response.status);
+    if (!Number.isInteger(status) || status < 100 || status > 599) {
+      return fail(status === 0 ? 'Request failed or was blocked (status 0)' : `Invalid status code ${response.status}`);
+    }
+
+    const content = response.content || {};
+    const contentHeader = (response.headers || []).find(h => String(h?.name).toLowerCase() === 'content-type');
+    const contentType = mediaType(content.mimeType || (contentHeader && contentHeader.value));
+    const body = { status, headers: replayHeaders(response.headers), contentType, text: typeof content.text === 'string' ? content.text : '' };
+    if (content.encoding === 'base64' && typeof content.text === 'string') {
+      if (isTextual(contentType)) body.text = Buffer.from(content.text, 'base64').toString('utf8');
+      else body.base64 = content.text;
+    }
+
+    const postData = request.postData || {};
+    exchanges.push({
+      where,
+      description: `Captured from ${method} ${url.origin}${url.pathname}`,
+      method,
+      path,
+      pathParams: {},
+      query: Object.fromEntries(url.searchParams),
+      body: parseRequestBody(mediaType(postData.mimeType), postData.text, postData.text ? undefined : postData.params),
+      token: null,
+      response: body
+    });
+  });
+
+  if (ignored) warnings.push(`Ignored ${ignored} entries for other hosts (${[...otherHosts].join(', ')})`);
+
+  return {
+    title: String(doc.log.pages?.[0]?.title || ''),
+    endpoints: mergeExchanges(exchanges, warnings),
+    skipped,
+    warnings,
+    token: null
+  };
+}
+
+module.exports = {
+  convertPostman,
+  convertHar,
+  mergeExchanges,
+  buildVariants,
+  literal
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+// Faker-style sample data for the template engine's {{faker 'group.method'}}
+// helper. Method names follow @faker-js/faker (and the older "name.*" /
+// "address.*" aliases), so Mockoon templates keep working. Every generator
+// draws from the `random` function it is given, which makes seeded output
+// reproducible.
+
+const FIRST_NAMES = [
+  'James', 'Mary', 'John', 'Patricia', 'Robert', 'Jennifer', 'Michael', 'Linda', 'William', 'Elizabeth',
+  'David', 'Barbara', 'Richard', 'Susan', 'Joseph', 'Jessica', 'Thomas', 'Sarah', 'Charles', 'Karen',
+  'Olivia', 'Liam', 'Emma', 'Noah', 'Ava', 'Lucas', 'Mia', 'Ethan', 'Sofia', 'Amelia'
+];
+const LAST_NAMES = [
+  'Smith', 'Johnson', 'Williams', 'Brown', 'Jones', 'Garcia', 'Miller', 'Davis', 'Rodriguez', 'Martinez',
+  'Hernandez', 'Lopez', 'Wilson', 'Anderson', 'Thomas', 'Taylor', 'Moore', 'Jackson', 'Martin', 'Lee',
+  'Walker', 'Hall', 'Allen', 'Young', 'King', 'Wright', 'Scott', 'Green', 'Baker', 'Nelson'
+];
+const STREETS = ['Main', 'Oak', 'Pine', 'Maple', 'Cedar', 'Elm', 'Washington', 'Lake', 'Hill', 'Park', 'Sunset', 'River', 'Church', 'Mill', 'Spring'];
+const STREET_SUFFIXES = ['Street', 'Avenue', 'Road', 'Lane', 'Drive', 'Court', 'Way', 'Boulevard'];
+const CITIES = [
+  'Springfield', 'Riverside', 'Franklin', 'Greenville', 'Bristol', 'Clinton', 'Fairview', 'Salem',
+  'Madison', 'Georgetown', 'Arlington', 'Ashland', 'Dover', 'Oxford', 'Jackson'
+];
+const COUNTRIES = [
+  'United States', 'Canada', 'United Kingdom', 'Germany', 'France', 'Spain', 'Italy', 'Netherlands',
+  'Sweden', 'Japan', 'Australia', 'Brazil', 'Mexico', 'India', 'Ireland'
+];
+const DOMAINS = ['example.com', 'example.org', 'example.net', 'mail.test', 'inbox.test'];
+const COMPANY_SUFFIXES = ['Inc', 'LLC', 'Group', 'Labs', 'Systems', 'Solutions', 'Holdings', 'Partners'];
+const JOB_TITLES = ['Engineer', 'Designer', 'Manager', 'Analyst', 'Consultant', 'Developer', 'Architect', 'Coordinator', 'Director', 'Specialist'];
+const LOREM = [
+  'lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod',
+  'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'ad', 'minim',
+  'veniam', 'quis', 'nostrud', 'exercitation', 'ullamco', 'laboris', 'nisi', 'aliquip', 'ex', 'ea',
+  'commodo', 'consequat', 'duis', 'aute', 'irure', 'in', 'voluptate', 'velit'
+];
+const ALPHANUMERIC = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function int(random, min, max) {
+  return min + Math.floor(random() * (max - min + 1));
+}
+
+function digits(random, count) {
+  let out = '';
+  for (let i = 0; i < count; i++) out += int(random, 0, 9);
+  return out;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+// RFC 4122 version 4 layout from the given random source.
+function uuid(random) {
+  const bytes = Array.from({ length: 16 }, () => int(random, 0, 255));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40;
+  bytes[8] = (bytes[8] & 0x3f) | 0x80;
+  const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function words(random, count) {
+  return Array.from({ length: count }, () => pick(random, LOREM)).join(' ');
+}
+
+function sentence(random) {
+  return capitalize(words(random, int(random, 4, 10))) + '.';
+}
+
+// Numeric option from the hash (min=1) or the positional arguments.
+function option(hash, args, name, position, fallback) {
+  const value = hash[name] !== undefined ? hash[name] : args[position];
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(n) ? fallback : n;
+}
+
+const GENERATORS = {
+  'person.firstName': random => pick(random, FIRST_NAMES),
+  'person.lastName': random => pick(random, LAST_NAMES),
+  'person.fullName': random => `${pick(random, FIRST_NAMES)} ${pick(random, LAST_NAMES)}`,
+  'person.jobTitle': random => pick(random, JOB_TITLES),
+  'internet.email': random =>
+    `${pick(random, FIRST_NAMES)}.${pick(random, LAST_NAMES)}${int(random, 1, 99)}@${pick(random, DOMAINS)}`.toLowerCase(),
+  'internet.userName': random => `${pick(random, FIRST_NAMES)}_${pick(random, LAST_NAMES)}${int(random, 1, 99)}`.toLowerCase(),
+  'internet.url': random => `https://${pick(random, LOREM)}.${pick(random, DOMAINS)}`,
+  'internet.ipv4': random => Array.from({ length: 4 }, () => int(random, 1, 254)).join('.'),
+  'location.streetAddress': random => `${int(random, 1, 9999)} ${pick(random, STREETS)} ${pick(random, STREET_SUFFIXES)}`,
+  'location.city': random => pick(random, CITIES),
+  'location.country': random => pick(random, COUNTRIES),
+  'location.zipCode': random => digits(random, 5),
+  'location.latitude': random => Number((random() * 180 - 90).toFixed(6)),
+  'location.longitude': random => Number((random() * 360 - 180).toFixed(6)),
+  'phone.number': random => `+1-555-${digits(random, 3)}-${digits(random, 4)}`,
+  'company.name': random => `${pick(random, LAST_NAMES)} ${pick(random, COMPANY_SUFFIXES)}`,
+  'lorem.word': random => pick(random, LOREM),
+  'lorem.words': (random, args, hash) => words(random, option(hash, args, 'count', 0, 3)),
+  'lorem.sentence': random => sentence(random),
+  'lorem.paragraph': random => Array.from({ length: int(random, 3, 6) }, () => sentence(random)).join(' '),
+  'string.uuid': random => uuid(random),
+  'string.alphanumeric': (random, args, hash) =>
+    Array.from({ length: option(hash, args, 'length', 0, 10) }, () => pick(random, ALPHANUMERIC)).join(''),
+  'number.int': (random, args, hash) => int(random, option(hash, args, 'min', 0, 0), option(hash, args, 'max', 1, 1000)),
+  'number.float': (random, args, hash) => {
+    const min = option(hash, args, 'min', 0, 0);
+    const max = option(hash, args, 'max', 1, 1);
+    return Number((min + random() * (max - min)).toFixed(option(hash, args, 'precision', 2, 2)));
+  },
+  'datatype.boolean': random => random() < 0.5,
+  'date.past': random => new Date(Date.now() - Math.floor(random() * YEAR_MS)).toISOString(),
+  'date.future': random => new Date(Date.now() + Math.floor(random() * YEAR_MS)).toISOString()
+};
+
+const ALIASES = {
+  'name.firstName': 'person.firstName',
+  'name.lastName': 'person.lastName',
+  'name.fullName': 'person.fullName',
+  'name.findName': 'person.fullName',
+  'name.jobTitle': 'person.jobTitle',
+  'internet.ip': 'internet.ipv4',
+  'address.streetAddress': 'location.streetAddress',
+  'address.city': 'location.city',
+  'address.country': 'location.country',
+  'address.zipCode': 'location.zipCode',
+  'phone.phoneNumber': 'phone.number',
+  'datatype.uuid': 'string.uuid',
+  'random.uuid': 'string.uuid',
+  'random.word': 'lorem.word',
+  'datatype.number': 'number.int'
+};
+
+function isFakerMethod(name) {
+  return Object.hasOwn(GENERATORS, name) || Object.hasOwn(ALIASES, name);
+}
+
+// Generate a value. `args` and `hash` are the helper's remaining arguments
+// (e.g. {{faker 'number.int' min=1 max=6}}).
+function generate(name, random, args = [], hash = {}) {
+  const method = Object.hasOwn(ALIASES, name) ? ALIASES[name] : name;
+  if (!Object.hasOwn(GENERATORS, method)) throw new Error(`Unknown faker method "${name}"`);
+  return GENERATORS[method](random, args, hash);
+}
+
+module.exports = {
+  generate,
+  isFakerMethod,
+  uuid
+};
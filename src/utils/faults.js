@@ -0,0 +1,88 @@
+'use strict';
+
+// Fault injection (chaos testing) for mock responses.
+//
+// An endpoint's `faults` maps each mode to the probability (0-1) that a request
+// gets it. The `chaos` block in config.json holds the master switch and default
+// faults for every endpoint; both are toggled at runtime via /api/admin/chaos.
+//   abort      send headers and half the body, then reset the connection
+//   close      destroy the connection without sending anything
+//   malformed  corrupt bytes in the body (same length)
+//   truncate   cut the body in half (valid HTTP framing, broken payload)
+//   error      replace the response with a random 5xx
+//
+// Endpoint probabilities replace the global ones mode by mode. Each map is
+// checked to add up to at most 1, but the merge of the two may not: then every
+// request gets a fault, picked in proportion to the probabilities.
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const FAULT_MODES = ['abort', 'close', 'malformed', 'truncate', 'error'];
+const FAULT_STATUSES = [500, 502, 503, 504];
+// Gives the partial body time to reach the client before an abort resets it.
+const ABORT_GRACE_MS = 50;
+
+// Validate a faults map. Returns an error message or null.
+function validateFaults(faults) {
+  if (faults === undefined || faults === null) return null;
+  if (typeof faults !== 'object' || Array.isArray(faults)) return 'faults must be an object of mode to probability';
+  let total = 0;
+  for (const [mode, probability] of Object.entries(faults)) {
+    if (!FAULT_MODES.includes(mode)) return `Unknown fault mode: ${mode} (expected one of ${FAULT_MODES.join(', ')})`;
+    const p = Number(probability);
+    if (!Number.isFinite(p) || p < 0 || p > 1) return `faults.${mode} must be a probability between 0 and 1`;
+    total += p;
+  }
+  if (total > 1) return 'fault probabilities must not add up to more than 1';
+  return null;
+}
+
+// Roll for a fault with the global and endpoint faults merged; returns the
+// chosen mode or null.
+function pickFault(chaos, endpointFaults) {
+  if (!chaos || chaos.enabled === false) return null;
+  const faults = { ...chaos.faults, ...endpointFaults };
+  const weights = FAULT_MODES.map(mode => Math.max(Number(faults[mode]) || 0, 0));
+  const total = weights.reduce((sum, p) => sum + p, 0);
+  let roll = Math.random() * Math.max(total, 1);
+  for (const [index, p] of weights.entries()) {
+    if (p <= 0) continue;
+    if (roll < p) return FAULT_MODES[index];
+    roll -= p;
+  }
+  return null;
+}
+
+// Overwrite ~10% of the bytes (always including the last one) with noise.
+function corruptPayload(buffer) {
+  const out = Buffer.from(buffer.length ? buffer : '{"');
+  const count = Math.max(1, Math.ceil(out.length / 10));
+  for (let i = 0; i < count; i++) {
+    out[crypto.randomInt(out.length)] = crypto.randomInt(256);
+  }
+  out[out.length - 1] = crypto.randomInt(256);
+  return out;
+}
+
+// Stream half the payload, then fail so Fastify resets the connection.
+function abortingStream(buffer) {
+  let started = false;
+  return new Readable({
+    read() {
+      if (started) return;
+      started = true;
+      this.push(buffer.subarray(0, Math.floor(buffer.length / 2)));
+      setTimeout(() => this.destroy(new Error('Injected fault: abort')), ABORT_GRACE_MS);
+    }
+  });
+}
+
+module.exports = {
+  validateFaults,
+  pickFault,
+  corruptPayload,
+  abortingStream,
+  FAULT_MODES,
+  FAULT_STATUSES
+};
@@ -0,0 +1,1550 @@
+'use strict';
+
+// Minimal GraphQL implementation for graphql mock endpoints: a parser for
+// schemas (SDL) and operations, the common validation rules, variable
+// coercion and an executor with introspection.
+//
+// Resolution is left to the caller: execute() reads each field from its
+// parent value (a function there is called with the field's arguments) and
+// asks `resolveMissing(parentType, field, args)` for fields the value doesn't
+// have. Objects of interfaces and unions take their type from `__typename`,
+// else from `resolveType(abstractType, candidates)`.
+//
+// parse() throws an Error with `locations` on a syntax error and buildSchema()
+// an Error on an invalid schema. validate() and execute() return errors as
+// { message, locations, path } objects, the way a GraphQL server sends them.
+
+const MAX_PARSE_DEPTH = 64;
+const MAX_SELECTION_DEPTH = 32;
+// Resolved fields per request; generated lists multiply quickly.
+const MAX_RESOLVED_FIELDS = 50000;
+const INT_MAX = 2147483647;
+const INT_MIN = -2147483648;
+
+const PUNCTUATORS = new Set(['!', '$', '&', '(', ')', ':', '=', '@', '[', ']', '{', '|', '}']);
+const NUMBER = /-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?/y;
+const NAME = /[_A-Za-z][_0-9A-Za-z]*/y;
+const ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+// ===== LEXER =====
+
+function syntaxError(message, line, column) {
+  const error = new Error(`Syntax Error: ${message}`);
+  error.locations = [{ line, column }];
+  return error;
+}
+
+// The value of a """block string""": common indentation and blank first and
+// last lines removed.
+function blockStringValue(raw) {
+  const lines = raw.split(/\r\n|[\n\r]/);
+  let indent = null;
+  for (const line of lines.slice(1)) {
+    const width = line.length - line.replace(/^[ \t]+/, '').length;
+    if (width < line.length && (indent === null || width < indent)) indent = width;
+  }
+  const trimmed = lines.map((line, i) => (i > 0 && indent ? line.slice(indent) : line));
+  while (trimmed.length && /^[ \t]*$/.test(trimmed[0])) trimmed.shift();
+  while (trimmed.length && /^[ \t]*$/.test(trimmed[trimmed.length - 1])) trimmed.pop();
+  return trimmed.join('\n');
+}
+
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+  let line = 1;
+  let lineStart = 0;
+  const fail = (message, at = i) => {
+    throw syntaxError(message, line, at - lineStart + 1);
+  };
+
+  while (i < source.length) {
+    const ch = source[i];
+    if (ch === '\n' || ch === '\r') {
+      i += ch === '\r' && source[i + 1] === '\n' ? 2 : 1;
+      line++;
+      lineStart = i;
+      continue;
+    }
+    if (ch === ' ' || ch === '\t' || ch === ',' || ch === '﻿') {
+      i++;
+      continue;
+    }
+    if (ch === '#') {
+      while (i < source.length && source[i] !== '\n' && source[i] !== '\r') i++;
+      continue;
+    }
+
+    const token = { kind: null, value: null, line, column: i - lineStart + 1 };
+    if (ch === '.') {
+      if (!source.startsWith('...', i)) fail('Unexpected ".".');
+      Object.assign(token, { kind: 'punct', value: '...' });
+      i += 3;
+    } else if (PUNCTUATORS.has(ch)) {
+      Object.assign(token, { kind: 'punct', value: ch });
+      i++;
+    } else if (/[_A-Za-z]/.test(ch)) {
+      NAME.lastIndex = i;
+      const [name] = NAME.exec(source);
+      Object.assign(token, { kind: 'name', value: name });
+      i += name.length;
+    } else if (ch === '-' || (ch >= '0' && ch <= '9')) {
+      NUMBER.lastIndex = i;
+      const match = NUMBER.exec(source);
+      if (!match) fail(`Invalid number, unexpected character ${JSON.stringify(source[i + 1] || '<EOF>')}.`);
+      i += match[0].length;
+      if (i < source.length && /[_A-Za-z.0-9]/.test(source[i])) fail(`Invalid number, unexpected character ${JSON.stringify(source[i])}.`);
+      Object.assign(token, { kind: match[2] || match[3] ? 'float' : 'int', value: match[0] });
+    } else if (source.startsWith('"""', i)) {
+      let j = i + 3;
+      let raw = '';
+      for (;;) {
+        if (j >= source.length) fail('Unterminated string.');
+        if (source.startsWith('\\"""', j)) {
+          raw += '"""';
+          j += 4;
+        } else if (source.startsWith('"""', j)) {
+          break;
+        } else {
+          if (source[j] === '\n' || (source[j] === '\r' && source[j + 1] !== '\n')) {
+            line++;
+            lineStart = j + 1;
+          }
+          raw += source[j++];
+        }
+      }
+      Object.assign(token, { kind: 'string', value: blockStringValue(raw) });
+      i = j + 3;
+    } else if (ch === '"') {
+      let j = i + 1;
+      let value = '';
+      for (;;) {
+        const c = source[j];
+        if (c === undefined || c === '\n' || c === '\r') fail('Unterminated string.', j);
+        if (c === '"') break;
+        if (c === '\\') {
+          const next = source[j + 1];
+          if (Object.hasOwn(ESCAPES, next)) {
+            value += ESCAPES[next];
+            j += 2;
+            continue;
+          }
+          const hex = next === 'u' && (/^\{([0-9A-Fa-f]{1,6})\}/.exec(source.slice(j + 2, j + 10)) || /^([0-9A-Fa-f]{4})/.exec(source.slice(j + 2, j + 6)));
+          if (!hex) fail(`Invalid character escape sequence: "\\${next || ''}".`, j);
+          value += String.fromCodePoint(parseInt(hex[1], 16));
+          j += 2 + hex[0].length;
+          continue;
+        }
+        value += c;
+        j++;
+      }
+      Object.assign(token, { kind: 'string', value });
+      i = j + 1;
+    } else {
+      fail(`Unexpected character ${JSON.stringify(ch)}.`);
+    }
+    tokens.push(token);
+  }
+  tokens.push({ kind: 'eof', value: null, line, column: i - lineStart + 1 });
+  return tokens;
+}
+
+// ===== PARSER =====
+
+function describeToken(token) {
+  switch (token.kind) {
+    case 'eof': return '<EOF>';
+    case 'punct': return `"${token.value}"`;
+    case 'name': return `Name "${token.value}"`;
+    case 'string': return `String ${JSON.stringify(token.value)}`;
+    default: return `${token.kind === 'int' ? 'Int' : 'Float'} "${token.value}"`;
+  }
+}
+
+// Parse an executable document (operations and fragments), a schema (type
+// system definitions) or a mix. Returns { definitions }.
+function parse(source) {
+  const tokens = tokenize(String(source));
+  let pos = 0;
+  let depth = 0;
+
+  const peek = () => tokens[pos];
+  const loc = token => ({ line: token.line, column: token.column });
+  const fail = (message, token = peek()) => {
+    throw syntaxError(message, token.line, token.column);
+  };
+  const isPunct = value => peek().kind === 'punct' && peek().value === value;
+  const isName = value => peek().kind === 'name' && (value === undefined || peek().value === value);
+  const skipPunct = value => (isPunct(value) ? (pos++, true) : false);
+  const expectPunct = value => {
+    if (!skipPunct(value)) fail(`Expected "${value}", found ${describeToken(peek())}.`);
+  };
+  const expectName = () => {
+    if (!isName()) fail(`Expected Name, found ${describeToken(peek())}.`);
+    return tokens[pos++].value;
+  };
+  const expectKeyword = value => {
+    if (!isName(value)) fail(`Expected "${value}", found ${describeToken(peek())}.`);
+    pos++;
+  };
+  const nested = parseFn => {
+    if (++depth > MAX_PARSE_DEPTH) fail('Document is nested too deeply.');
+    const result = parseFn();
+    depth--;
+    return result;
+  };
+  // One or more items between the delimiters.
+  const many = (open, item, close) => nested(() => {
+    expectPunct(open);
+    const items = [];
+    do items.push(item()); while (!skipPunct(close));
+    return items;
+  });
+  const optionalMany = (open, item, close) => (isPunct(open) ? many(open, item, close) : []);
+
+  function parseDefinition() {
+    const token = peek();
+    if (isPunct('{')) return parseOperation();
+    const described = token.kind === 'string';
+    const keyword = described ? tokens[pos + 1] : token;
+    if (keyword.kind === 'name') {
+      switch (keyword.value) {
+        case 'query':
+        case 'mutation':
+        case 'subscription':
+          if (!described) return parseOperation();
+          break;
+        case 'fragment':
+          if (!described) return parseFragment();
+          break;
+        case 'extend':
+          if (!described) {
+            pos++;
+            if (isName('directive')) fail('Unexpected Name "directive".');
+            return { ...parseTypeSystemDefinition(), extension: true };
+          }
+          break;
+        case 'schema':
+        case 'scalar':
+        case 'type':
+        case 'interface':
+        case 'union':
+        case 'enum':
+        case 'input':
+        case 'directive':
+          return parseTypeSystemDefinition();
+      }
+    }
+    return fail(`Unexpected ${describeToken(keyword)}.`, keyword);
+  }
+
+  function parseOperation() {
+    const start = peek();
+    if (isPunct('{')) {
+      return { kind: 'operation', operation: 'query', name: null, variables: [], directives: [], selectionSet: parseSelectionSet(), loc: loc(start) };
+    }
+    const operation = expectName();
+    const name = isName() ? expectName() : null;
+    const variables = optionalMany('(', parseVariableDefinition, ')');
+    const directives = parseDirectives(false);
+    return { kind: 'operation', operation, name, variables, directives, selectionSet: parseSelectionSet(), loc: loc(start) };
+  }
+
+  function parseVariableDefinition() {
+    const start = peek();
+    expectPunct('$');
+    const name = expectName();
+    expectPunct(':');
+    const type = parseTypeRef();
+    const defaultValue = skipPunct('=') ? parseValue(true) : null;
+    return { name, type, defaultValue, directives: parseDirectives(true), loc: loc(start) };
+  }
+
+  function parseSelectionSet() {
+    return many('{', parseSelection, '}');
+  }
+
+  function parseSelection() {
+    const start = peek();
+    if (skipPunct('...')) {
+      if (isName() && !isName('on')) {
+        return { kind: 'spread', name: expectName(), directives: parseDirectives(false), loc: loc(start) };
+      }
+      const typeCondition = isName('on') ? (pos++, expectName()) : null;
+      return { kind: 'inline', typeCondition, directives: parseDirectives(false), selectionSet: parseSelectionSet(), loc: loc(start) };
+    }
+    let alias = null;
+    let name = expectName();
+    if (skipPunct(':')) {
+      alias = name;
+      name = expectName();
+    }
+    const args = parseArguments(false);
+    const directives = parseDirectives(false);
+    const selectionSet = isPunct('{') ? parseSelectionSet() : null;
+    return { kind: 'field', alias, name, arguments: args, directives, selectionSet, loc: loc(start) };
+  }
+
+  function parseArguments(isConst) {
+    return optionalMany('(', () => {
+      const start = peek();
+      const name = expectName();
+      expectPunct(':');
+      return { name, value: parseValue(isConst), loc: loc(start) };
+    }, ')');
+  }
+
+  function parseDirectives(isConst) {
+    const directives = [];
+    while (isPunct('@')) {
+      const start = peek();
+      pos++;
+      directives.push({ name: expectName(), arguments: parseArguments(isConst), loc: loc(start) });
+    }
+    return directives;
+  }
+
+  function parseFragment() {
+    const start = peek();
+    expectKeyword('fragment');
+    if (isName('on')) fail('Unexpected Name "on".');
+    const name = expectName();
+    expectKeyword('on');
+    const typeCondition = expectName();
+    return { kind: 'fragment', name, typeCondition, directives: parseDirectives(false), selectionSet: parseSelectionSet(), loc: loc(start) };
+  }
+
+  function parseValue(isConst) {
+    const token = peek();
+    const at = loc(token);
+    switch (token.kind) {
+      case 'punct':
+        if (token.value === '[') {
+          return nested(() => {
+            pos++;
+            const values = [];
+            while (!skipPunct(']')) values.push(parseValue(isConst));
+            return { kind: 'array', values, loc: at };
+          });
+        }
+        if (token.value === '{') {
+          return nested(() => {
+            pos++;
+            const fields = [];
+            while (!skipPunct('}')) {
+              const fieldStart = peek();
+              const name = expectName();
+              expectPunct(':');
+              fields.push({ name, value: parseValue(isConst), loc: loc(fieldStart) });
+            }
+            return { kind: 'object', fields, loc: at };
+          });
+        }
+        if (token.value === '$' && !isConst) {
+          pos++;
+          return { kind: 'variable', name: expectName(), loc: at };
+        }
+        break;
+      case 'int':
+      case 'float':
+      case 'string':
+        pos++;
+        return { kind: token.kind, value: token.value, loc: at };
+      case 'name':
+        pos++;
+        if (token.value === 'true' || token.value === 'false') return { kind: 'boolean', value: token.value === 'true', loc: at };
+        if (token.value === 'null') return { kind: 'null', loc: at };
+        return { kind: 'enum', value: token.value, loc: at };
+    }
+    return fail(`Unexpected ${describeToken(token)}.`);
+  }
+
+  function parseTypeRef() {
+    return nested(() => {
+      let type;
+      if (skipPunct('[')) {
+        type = { kind: 'list', ofType: parseTypeRef() };
+        expectPunct(']');
+      } else {
+        type = { kind: 'named', name: expectName() };
+      }
+      return skipPunct('!') ? { kind: 'nonNull', ofType: type } : type;
+    });
+  }
+
+  // --- Type system (SDL) ---
+
+  function parseDescription() {
+    return peek().kind === 'string' ? tokens[pos++].value : null;
+  }
+
+  function parseInputValue() {
+    const start = peek();
+    const description = parseDescription();
+    const name = expectName();
+    expectPunct(':');
+    const type = parseTypeRef();
+    const defaultValue = skipPunct('=') ? parseValue(true) : null;
+    return { name, description, type, defaultValue, directives: parseDirectives(true), loc: loc(start) };
+  }
+
+  function parseFieldDefinition() {
+    const start = peek();
+    const description = parseDescription();
+    const name = expectName();
+    const args = optionalMany('(', parseInputValue, ')');
+    expectPunct(':');
+    return { name, description, args, type: parseTypeRef(), directives: parseDirectives(true), loc: loc(start) };
+  }
+
+  function parseEnumValue() {
+    const start = peek();
+    const description = parseDescription();
+    if (isName('true') || isName('false') || isName('null')) fail(`${describeToken(peek())} is reserved and cannot be used for an enum value.`);
+    return { name: expectName(), description, directives: parseDirectives(true), loc: loc(start) };
+  }
+
+  function parseNameList(keyword, separator) {
+    if (keyword && !isName(keyword)) return [];
+    if (keyword) pos++;
+    skipPunct(separator);
+    const names = [expectName()];
+    while (skipPunct(separator)) names.push(expectName());
+    return names;
+  }
+
+  function parseTypeSystemDefinition() {
+    const start = peek();
+    const description = parseDescription();
+    const keyword = expectName();
+    const at = loc(start);
+    switch (keyword) {
+      case 'schema': {
+        const directives = parseDirectives(true);
+        const operationTypes = optionalMany('{', () => {
+          const operation = expectName();
+          if (!['query', 'mutation', 'subscription'].includes(operation)) fail(`Unexpected Name "${operation}".`, tokens[pos - 1]);
+          expectPunct(':');
+          return { operation, type: expectName() };
+        }, '}');
+        return { kind: 'schema', description, directives, operationTypes, loc: at };
+      }
+      case 'scalar':
+        return { kind: 'scalar', description, name: expectName(), directives: parseDirectives(true), loc: at };
+      case 'type':
+      case 'interface': {
+        const name = expectName();
+        const interfaces = parseNameList('implements', '&');
+        const directives = parseDirectives(true);
+        const fields = optionalMany('{', parseFieldDefinition, '}');
+        return { kind: keyword === 'type' ? 'object' : 'interface', description, name, interfaces, directives, fields, loc: at };
+      }
+      case 'union': {
+        const name = expectName();
+        const directives = parseDirectives(true);
+        const types = skipPunct('=') ? parseNameList(null, '|') : [];
+        return { kind: 'union', description, name, directives, types, loc: at };
+      }
+      case 'enum': {
+        const name = expectName();
+        const directives = parseDirectives(true);
+        return { kind: 'enum', description, name, directives, values: optionalMany('{', parseEnumValue, '}'), loc: at };
+      }
+      case 'input': {
+        const name = expectName();
+        const directives = parseDirectives(true);
+        return { kind: 'input', description, name, directives, fields: optionalMany('{', parseInputValue, '}'), loc: at };
+      }
+      case 'directive': {
+        expectPunct('@');
+        const name = expectName();
+        const args = optionalMany('(', parseInputValue, ')');
+        const repeatable = isName('repeatable') ? (pos++, true) : false;
+        expectKeyword('on');
+        return { kind: 'directive', description, name, args, repeatable, locations: parseNameList(null, '|'), loc: at };
+      }
+    }
+    return fail(`Unexpected Name "${keyword}".`, tokens[pos - 1]);
+  }
+
+  const definitions = [];
+  do definitions.push(parseDefinition()); while (peek().kind !== 'eof');
+  return { definitions };
+}
+
+// A value literal as GraphQL source, e.g. for introspection's defaultValue.
+function printValue(node) {
+  switch (node.kind) {
+    case 'variable': return `$${node.name}`;
+    case 'string': return JSON.stringify(node.value);
+    case 'null': return 'null';
+    case 'array': return `[${node.values.map(printValue).join(', ')}]`;
+    case 'object': return `{${node.fields.map(field => `${field.name}: ${printValue(field.value)}`).join(', ')}}`;
+    default: return String(node.value);
+  }
+}
+
+// ===== SCHEMA =====
+
+const BUILT_IN_SDL = `
+directive @skip(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
+directive @include(if: Boolean!) on FIELD | FRAGMENT_SPREAD | INLINE_FRAGMENT
+directive @deprecated(reason: String = "No longer supported") on FIELD_DEFINITION | ARGUMENT_DEFINITION | INPUT_FIELD_DEFINITION | ENUM_VALUE
+directive @specifiedBy(url: String!) on SCALAR
+directive @oneOf on INPUT_OBJECT
+
+type __Schema {
+  description: String
+  types: [__Type!]!
+  queryType: __Type!
+  mutationType: __Type
+  subscriptionType: __Type
+  directives: [__Directive!]!
+}
+
+type __Type {
+  kind: __TypeKind!
+  name: String
+  description: String
+  specifiedByURL: String
+  fields(includeDeprecated: Boolean = false): [__Field!]
+  interfaces: [__Type!]
+  possibleTypes: [__Type!]
+  enumValues(includeDeprecated: Boolean = false): [__EnumValue!]
+  inputFields(includeDeprecated: Boolean = false): [__InputValue!]
+  ofType: __Type
+  isOneOf: Boolean
+}
+
+enum __TypeKind { SCALAR OBJECT INTERFACE UNION ENUM INPUT_OBJECT LIST NON_NULL }
+
+type __Field {
+  name: String!
+  description: String
+  args(includeDeprecated: Boolean = false): [__InputValue!]!
+  type: __Type!
+  isDeprecated: Boolean!
+  deprecationReason: String
+}
+
+type __InputValue {
+  name: String!
+  description: String
+  type: __Type!
+  defaultValue: String
+  isDeprecated: Boolean!
+  deprecationReason: String
+}
+
+type __EnumValue {
+  name: String!
+  description: String
+  isDeprecated: Boolean!
+  deprecationReason: String
+}
+
+type __Directive {
+  name: String!
+  description: String
+  isRepeatable: Boolean!
+  locations: [__DirectiveLocation!]!
+  args(includeDeprecated: Boolean = false): [__InputValue!]!
+}
+
+enum __DirectiveLocation {
+  QUERY MUTATION SUBSCRIPTION FIELD FRAGMENT_DEFINITION FRAGMENT_SPREAD INLINE_FRAGMENT VARIABLE_DEFINITION
+  SCHEMA SCALAR OBJECT FIELD_DEFINITION ARGUMENT_DEFINITION INTERFACE UNION ENUM ENUM_VALUE INPUT_OBJECT INPUT_FIELD_DEFINITION
+}
+`;
+
+const SCALARS = ['Int', 'Float', 'String', 'Boolean', 'ID'];
+const DIRECTIVE_LOCATIONS = new Set([
+  'QUERY', 'MUTATION', 'SUBSCRIPTION', 'FIELD', 'FRAGMENT_DEFINITION', 'FRAGMENT_SPREAD', 'INLINE_FRAGMENT', 'VARIABLE_DEFINITION',
+  'SCHEMA', 'SCALAR', 'OBJECT', 'FIELD_DEFINITION', 'ARGUMENT_DEFINITION', 'INTERFACE', 'UNION', 'ENUM', 'ENUM_VALUE',
+  'INPUT_OBJECT', 'INPUT_FIELD_DEFINITION'
+]);
+const TYPE_KINDS = { scalar: 'SCALAR', object: 'OBJECT', interface: 'INTERFACE', union: 'UNION', enum: 'ENUM', input: 'INPUT_OBJECT' };
+
+const nonNull = ofType => ({ kind: 'nonNull', ofType });
+const named = name => ({ kind: 'named', name });
+
+// Fields every selection may use beyond the schema's own.
+const TYPENAME_FIELD = { name: '__typename', description: 'The name of the current Object type at runtime.', args: new Map(), type: nonNull(named('String')), deprecationReason: null };
+const SCHEMA_FIELD = { name: '__schema', description: 'Access the current type schema of this server.', args: new Map(), type: nonNull(named('__Schema')), deprecationReason: null };
+const TYPE_FIELD = {
+  name: '__type',
+  description: 'Request the type information of a single type.',
+  args: new Map([['name', { name: 'name', description: null, type: nonNull(named('String')), defaultValue: null, deprecationReason: null }]]),
+  type: named('__Type'),
+  deprecationReason: null
+};
+
+function deprecationReason(directives) {
+  const directive = (directives || []).find(d => d.name === 'deprecated');
+  if (!directive) return null;
+  const reason = directive.arguments.find(arg => arg.name === 'reason');
+  return reason && reason.value.kind === 'string' ? reason.value.value : 'No longer supported';
+}
+
+function inputValueMap(values, owner) {
+  const map = new Map();
+  for (const value of values) {
+    if (map.has(value.name)) throw new Error(`Argument or input field "${owner}.${value.name}" can only be defined once.`);
+    map.set(value.name, {
+      name: value.name,
+      description: value.description,
+      type: value.type,
+      defaultValue: value.defaultValue,
+      deprecationReason: deprecationReason(value.directives)
+    });
+  }
+  return map;
+}
+
+function addFields(type, fields) {
+  for (const field of fields) {
+    if (type.fields.has(field.name)) throw new Error(`Field "${type.name}.${field.name}" can only be defined once.`);
+    if (type.kind === 'INPUT_OBJECT') {
+      type.fields.set(field.name, inputValueMap([field], type.name).get(field.name));
+    } else {
+      type.fields.set(field.name, {
+        name: field.name,
+        description: field.description,
+        args: inputValueMap(field.args, `${type.name}.${field.name}`),
+        type: field.type,
+        deprecationReason: deprecationReason(field.directives)
+      });
+    }
+  }
+}
+
+function addEnumValues(type, values) {
+  for (const value of values) {
+    if (type.values.has(value.name)) throw new Error(`Enum value "${type.name}.${value.name}" can only be defined once.`);
+    type.values.set(value.name, { name: value.name, description: value.description, deprecationReason: deprecationReason(value.directives) });
+  }
+}
+
+function createType(definition) {
+  const type = { kind: TYPE_KINDS[definition.kind], name: definition.name, description: definition.description };
+  switch (definition.kind) {
+    case 'scalar': {
+      const specifiedBy = definition.directives.find(d => d.name === 'specifiedBy');
+      const url = specifiedBy && specifiedBy.arguments.find(arg => arg.name === 'url');
+      type.specifiedByURL = url && url.value.kind === 'string' ? url.value.value : null;
+      break;
+    }
+    case 'object':
+    case 'interface':
+      type.interfaces = [...definition.interfaces];
+      type.fields = new Map();
+      addFields(type, definition.fields);
+      break;
+    case 'union':
+      type.types = [...definition.types];
+      break;
+    case 'enum':
+      type.values = new Map();
+      addEnumValues(type, definition.values);
+      break;
+    case 'input':
+      type.fields = new Map();
+      addFields(type, definition.fields);
+      type.oneOf = definition.directives.some(d => d.name === 'oneOf');
+      break;
+  }
+  return type;
+}
+
+function extendType(type, extension) {
+  if (!type) throw new Error(`Cannot extend type "${extension.name}" because it is not defined.`);
+  if (type.kind !== TYPE_KINDS[extension.kind]) throw new Error(`Cannot extend non-${TYPE_KINDS[extension.kind]} type "${type.name}".`);
+  if (extension.interfaces) type.interfaces.push(...extension.interfaces.filter(name => !type.interfaces.includes(name)));
+  if (extension.types) type.types.push(...extension.types.filter(name => !type.types.includes(name)));
+  if (extension.values) addEnumValues(type, extension.values);
+  if (extension.fields) addFields(type, extension.fields);
+}
+
+function unwrapType(ref) {
+  while (ref.kind !== 'named') ref = ref.ofType;
+  return ref.name;
+}
+
+function typeString(ref) {
+  if (ref.kind === 'nonNull') return `${typeString(ref.ofType)}!`;
+  if (ref.kind === 'list') return `[${typeString(ref.ofType)}]`;
+  return ref.name;
+}
+
+function isInputType(schema, ref) {
+  const type = schema.types.get(unwrapType(ref));
+  return !!type && ['SCALAR', 'ENUM', 'INPUT_OBJECT'].includes(type.kind);
+}
+
+function isOutputType(schema, ref) {
+  const type = schema.types.get(unwrapType(ref));
+  return !!type && type.kind !== 'INPUT_OBJECT';
+}
+
+function isCompositeType(type) {
+  return type.kind === 'OBJECT' || type.kind === 'INTERFACE' || type.kind === 'UNION';
+}
+
+function isLeafType(type) {
+  return type.kind === 'SCALAR' || type.kind === 'ENUM';
+}
+
+// Names of the object types a value of `type` can be.
+function possibleTypes(schema, type) {
+  if (type.kind === 'OBJECT') return [type.name];
+  if (type.kind === 'UNION') return type.types;
+  if (type.kind === 'INTERFACE') return schema.implementations.get(type.name) || [];
+  return [];
+}
+
+function checkSchemaTypes(schema) {
+  const where = (type, field) => `${type.name}.${field.name}`;
+  for (const type of schema.types.values()) {
+    if (type.builtIn) continue;
+    if (type.kind === 'OBJECT' || type.kind === 'INTERFACE') {
+      if (type.fields.size === 0) throw new Error(`Type ${type.name} must define one or more fields.`);
+      for (const field of type.fields.values()) {
+        if (!isOutputType(schema, field.type)) throw new Error(`The type of ${where(type, field)} must be an output type but got: ${typeString(field.type)}.`);
+        for (const arg of field.args.values()) {
+          if (!isInputType(schema, arg.type)) throw new Error(`The type of ${where(type, field)}(${arg.name}:) must be an input type but got: ${typeString(arg.type)}.`);
+        }
+      }
+      for (const name of type.interfaces) {
+        const iface = schema.types.get(name);
+        if (!iface || iface.kind !== 'INTERFACE') throw new Error(`Type ${type.name} must only implement interfaces, it cannot implement ${name}.`);
+        for (const field of iface.fields.values()) {
+          if (!type.fields.has(field.name)) throw new Error(`Interface field ${name}.${field.name} expected but ${type.name} does not provide it.`);
+        }
+      }
+    } else if (type.kind === 'UNION') {
+      if (type.types.length === 0) throw new Error(`Union type ${type.name} must define one or more member types.`);
+      for (const name of type.types) {
+        if (schema.types.get(name)?.kind !== 'OBJECT') throw new Error(`Union type ${type.name} can only include Object types, it cannot include ${name}.`);
+      }
+    } else if (type.kind === 'ENUM') {
+      if (type.values.size === 0) throw new Error(`Enum type ${type.name} must define one or more values.`);
+    } else if (type.kind === 'INPUT_OBJECT') {
+      if (type.fields.size === 0) throw new Error(`Input Object type ${type.name} must define one or more fields.`);
+      for (const field of type.fields.values()) {
+        if (!isInputType(schema, field.type)) throw new Error(`The type of ${where(type, field)} must be an input type but got: ${typeString(field.type)}.`);
+      }
+    }
+  }
+  for (const directive of schema.directives.values()) {
+    for (const location of directive.locations) {
+      if (!DIRECTIVE_LOCATIONS.has(location)) throw new Error(`Unknown directive location "${location}" on @${directive.name}.`);
+    }
+  }
+}
+
+// Build a schema from SDL. Throws an Error naming the first problem.
+function buildSchema(sdl) {
+  const schema = { description: null, types: new Map(), directives: new Map(), implementations: new Map(), queryType: null, mutationType: null, subscriptionType: null };
+  for (const name of SCALARS) schema.types.set(name, { kind: 'SCALAR', name, description: null, specifiedByURL: null, builtIn: true });
+
+  const define = (definition, builtIn) => {
+    if (definition.kind === 'directive') {
+      if (schema.directives.has(definition.name)) throw new Error(`Directive "@${definition.name}" can only be defined once.`);
+      schema.directives.set(definition.name, {
+        name: definition.name,
+        description: definition.description,
+        args: inputValueMap(definition.args, `@${definition.name}`),
+        repeatable: definition.repeatable,
+        locations: definition.locations
+      });
+      return;
+    }
+    if (!builtIn && definition.name.startsWith('__')) {
+      throw new Error(`Name "${definition.name}" must not begin with "__", which is reserved by GraphQL introspection.`);
+    }
+    if (schema.types.has(definition.name)) throw new Error(`There can be only one type named "${definition.name}".`);
+    schema.types.set(definition.name, { ...createType(definition), builtIn });
+  };
+  for (const definition of parse(BUILT_IN_SDL).definitions) define(definition, true);
+
+  let schemaDefinition = null;
+  const extensions = [];
+  for (const definition of parse(sdl).definitions) {
+    if (definition.kind === 'operation' || definition.kind === 'fragment') {
+      throw new Error('A schema may only contain type system definitions, not operations or fragments.');
+    }
+    if (definition.extension) {
+      extensions.push(definition);
+    } else if (definition.kind === 'schema') {
+      if (schemaDefinition) throw new Error('Must provide only one schema definition.');
+      schemaDefinition = definition;
+    } else {
+      define(definition, false);
+    }
+  }
+  for (const extension of extensions) {
+    if (extension.kind === 'schema') {
+      if (!schemaDefinition) schemaDefinition = { description: null, operationTypes: [] };
+      schemaDefinition.operationTypes.push(...extension.operationTypes);
+    } else {
+      extendType(schema.types.get(extension.name), extension);
+    }
+  }
+
+  if (schemaDefinition) {
+    schema.description = schemaDefinition.description;
+    for (const { operation, type } of schemaDefinition.operationTypes) {
+      if (schema.types.get(type)?.kind !== 'OBJECT') throw new Error(`The ${operation} root type must be an Object type, got "${type}".`);
+      schema[`${operation}Type`] = type;
+    }
+  } else {
+    for (const operation of ['query', 'mutation', 'subscription']) {
+      const name = operation[0].toUpperCase() + operation.slice(1);
+      if (schema.types.get(name)?.kind === 'OBJECT') schema[`${operation}Type`] = name;
+    }
+  }
+  if (!schema.queryType) throw new Error('Query root type must be provided.');
+
+  for (const type of schema.types.values()) {
+    if (type.kind !== 'OBJECT') continue;
+    for (const name of type.interfaces) {
+      if (!schema.implementations.has(name)) schema.implementations.set(name, []);
+      schema.implementations.get(name).push(type.name);
+    }
+  }
+  checkSchemaTypes(schema);
+  return schema;
+}
+
+// The definition of field `name` on a composite type, including the meta fields.
+function fieldDefinition(schema, parentType, name) {
+  if (name === '__typename') return TYPENAME_FIELD;
+  if (parentType.name === schema.queryType) {
+    if (name === '__schema') return SCHEMA_FIELD;
+    if (name === '__type') return TYPE_FIELD;
+  }
+  return parentType.fields && parentType.kind !== 'INPUT_OBJECT' ? parentType.fields.get(name) || null : null;
+}
+
+// ===== VALIDATION =====
+
+function typesOverlap(schema, a, b) {
+  const names = new Set(possibleTypes(schema, a));
+  return possibleTypes(schema, b).some(name => names.has(name));
+}
+
+// Can a variable of `variableType` be used where `locationType` is expected?
+function isTypeCompatible(variableType, locationType) {
+  if (locationType.kind === 'nonNull') {
+    return variableType.kind === 'nonNull' && isTypeCompatible(variableType.ofType, locationType.ofType);
+  }
+  if (variableType.kind === 'nonNull') return isTypeCompatible(variableType.ofType, locationType);
+  if (locationType.kind === 'list') return variableType.kind === 'list' && isTypeCompatible(variableType.ofType, locationType.ofType);
+  return variableType.kind === 'named' && variableType.name === locationType.name;
+}
+
+function isValidScalarLiteral(typeName, node) {
+  switch (typeName) {
+    case 'Int': return node.kind === 'int' && Number(node.value) <= INT_MAX && Number(node.value) >= INT_MIN;
+    case 'Float': return node.kind === 'int' || node.kind === 'float';
+    case 'String': return node.kind === 'string';
+    case 'Boolean': return node.kind === 'boolean';
+    case 'ID': return node.kind === 'string' || node.kind === 'int';
+    default: return true;
+  }
+}
+
+function describeDefinition(definition) {
+  const name = definition.name ? ` "${definition.name}"` : '';
+  return definition.kind === 'schema' ? 'schema' : `${definition.name ? '' : 'schema '}${definition.kind}${name}`.trim();
+}
+
+// Check a parsed document against the schema. Returns a list of errors (empty
+// when the document can be executed).
+function validate(schema, document) {
+  const errors = [];
+  const report = (message, ...nodes) => {
+    errors.push({ message, locations: nodes.filter(Boolean).map(node => node.loc) });
+  };
+
+  const operations = [];
+  const fragments = new Map();
+  for (const definition of document.definitions) {
+    if (definition.kind === 'operation') {
+      operations.push(definition);
+    } else if (definition.kind === 'fragment') {
+      if (fragments.has(definition.name)) report(`There can be only one fragment named "${definition.name}".`, fragments.get(definition.name), definition);
+      else fragments.set(definition.name, definition);
+    } else {
+      report(`The ${describeDefinition(definition)} definition is not executable.`, definition);
+    }
+  }
+  const operationNames = new Map();
+  for (const operation of operations) {
+    if (!operation.name) {
+      if (operations.length > 1) report('This anonymous operation must be the only defined operation.', operation);
+    } else if (operationNames.has(operation.name)) {
+      report(`There can be only one operation named "${operation.name}".`, operationNames.get(operation.name), operation);
+    } else {
+      operationNames.set(operation.name, operation);
+    }
+  }
+
+  function checkValue(node, ref, entry, hasLocationDefault = false) {
+    if (node.kind === 'variable') {
+      entry.usages.push({ name: node.name, type: ref, hasLocationDefault, node });
+      return;
+    }
+    if (ref.kind === 'nonNull') {
+      if (node.kind === 'null') report(`Expected value of type "${typeString(ref)}", found null.`, node);
+      else checkValue(node, ref.ofType, entry);
+      return;
+    }
+    if (node.kind === 'null') return;
+    if (ref.kind === 'list') {
+      if (node.kind === 'array') node.values.forEach(value => checkValue(value, ref.ofType, entry));
+      else checkValue(node, ref.ofType, entry);
+      return;
+    }
+    const type = schema.types.get(ref.name);
+    if (!type) return;
+    if (type.kind === 'INPUT_OBJECT') {
+      if (node.kind !== 'object') {
+        report(`Expected value of type "${type.name}", found ${printValue(node)}.`, node);
+        return;
+      }
+      const given = new Set();
+      for (const field of node.fields) {
+        if (given.has(field.name)) report(`There can be only one input field named "${field.name}".`, field);
+        given.add(field.name);
+        const definition = type.fields.get(field.name);
+        if (definition) checkValue(field.value, definition.type, entry);
+        else report(`Field "${field.name}" is not defined by type "${type.name}".`, field);
+      }
+      for (const definition of type.fields.values()) {
+        if (definition.type.kind === 'nonNull' && !definition.defaultValue && !given.has(definition.name)) {
+          report(`Field "${type.name}.${definition.name}" of required type "${typeString(definition.type)}" was not provided.`, node);
+        }
+      }
+    } else if (type.kind === 'ENUM') {
+      if (node.kind !== 'enum' || !type.values.has(node.value)) report(`Value ${printValue(node)} does not exist in "${type.name}" enum.`, node);
+    } else if (!isValidScalarLiteral(type.name, node)) {
+      report(`Expected value of type "${type.name}", found ${printValue(node)}.`, node);
+    }
+  }
+
+  function checkArguments(nodes, definitions, labels, owner, entry) {
+    const given = new Set();
+    for (const arg of nodes) {
+      if (given.has(arg.name)) report(`There can be only one argument named "${arg.name}".`, arg);
+      given.add(arg.name);
+      const definition = definitions.get(arg.name);
+      if (definition) checkValue(arg.value, definition.type, entry, !!definition.defaultValue);
+      else report(`Unknown argument "${arg.name}" on ${labels.unknown}.`, arg);
+    }
+    for (const definition of definitions.values()) {
+      if (definition.type.kind === 'nonNull' && !definition.defaultValue && !given.has(definition.name)) {
+        report(`${labels.required} argument "${definition.name}" of type "${typeString(definition.type)}" is required, but it was not provided.`, owner);
+      }
+    }
+  }
+
+  function checkDirectives(directives, location, entry) {
+    const seen = new Set();
+    for (const directive of directives) {
+      const definition = schema.directives.get(directive.name);
+      if (!definition) {
+        report(`Unknown directive "@${directive.name}".`, directive);
+        continue;
+      }
+      if (!definition.locations.includes(location)) report(`Directive "@${directive.name}" may not be used on ${location}.`, directive);
+      if (seen.has(directive.name) && !definition.repeatable) report(`The directive "@${directive.name}" can only be used once at this location.`, directive);
+      seen.add(directive.name);
+      checkArguments(directive.arguments, definition.args, { unknown: `directive "@${directive.name}"`, required: `Directive "@${directive.name}"` }, directive, entry);
+    }
+  }
+
+  function checkSelections(selections, parentType, entry, depth) {
+    if (depth > MAX_SELECTION_DEPTH) {
+      report(`Selections are nested too deeply (more than ${MAX_SELECTION_DEPTH} levels).`, selections[0]);
+      return;
+    }
+    for (const selection of selections) {
+      if (selection.kind === 'field') {
+        checkDirectives(selection.directives, 'FIELD', entry);
+        const field = fieldDefinition(schema, parentType, selection.name);
+        if (!field) {
+          report(`Cannot query field "${selection.name}" on type "${parentType.name}".`, selection);
+          continue;
+        }
+        checkArguments(selection.arguments, field.args,
+          { unknown: `field "${parentType.name}.${selection.name}"`, required: `Field "${selection.name}"` }, selection, entry);
+        const type = schema.types.get(unwrapType(field.type));
+        if (isLeafType(type)) {
+          if (selection.selectionSet) report(`Field "${selection.name}" must not have a selection since type "${typeString(field.type)}" has no subfields.`, selection);
+        } else if (!selection.selectionSet) {
+          report(`Field "${selection.name}" of type "${typeString(field.type)}" must have a selection of subfields. Did you mean "${selection.name} { ... }"?`, selection);
+        } else {
+          checkSelections(selection.selectionSet, type, entry, depth + 1);
+        }
+      } else if (selection.kind === 'spread') {
+        checkDirectives(selection.directives, 'FRAGMENT_SPREAD', entry);
+        entry.spreads.add(selection.name);
+        const fragment = fragments.get(selection.name);
+        if (!fragment) {
+          report(`Unknown fragment "${selection.name}".`, selection);
+          continue;
+        }
+        const fragmentType = schema.types.get(fragment.typeCondition);
+        if (fragmentType && isCompositeType(fragmentType) && !typesOverlap(schema, parentType, fragmentType)) {
+          report(`Fragment "${selection.name}" cannot be spread here as objects of type "${parentType.name}" can never be of type "${fragmentType.name}".`, selection);
+        }
+      } else {
+        checkDirectives(selection.directives, 'INLINE_FRAGMENT', entry);
+        let type = parentType;
+        if (selection.typeCondition) {
+          type = schema.types.get(selection.typeCondition);
+          if (!type) {
+            report(`Unknown type "${selection.typeCondition}".`, selection);
+            continue;
+          }
+          if (!isCompositeType(type)) {
+            report(`Fragment cannot condition on non composite type "${type.name}".`, selection);
+            continue;
+          }
+          if (!typesOverlap(schema, parentType, type)) {
+            report(`Fragment cannot be spread here as objects of type "${parentType.name}" can never be of type "${type.name}".`, selection);
+          }
+        }
+        checkSelections(selection.selectionSet, type, entry, depth);
+      }
+    }
+  }
+
+  // Each operation and fragment once: fields, arguments and directives, with
+  // the variables and fragments it uses.
+  const used = new Map();
+  for (const definition of [...operations, ...fragments.values()]) {
+    const entry = { usages: [], spreads: new Set() };
+    let rootType;
+    if (definition.kind === 'operation') {
+      const rootName = schema[`${definition.operation}Type`];
+      rootType = rootName && schema.types.get(rootName);
+      if (!rootType) {
+        report(`Schema is not configured to execute ${definition.operation} operation.`, definition);
+        continue;
+      }
+      checkDirectives(definition.directives, definition.operation.toUpperCase(), entry);
+      const seen = new Set();
+      for (const variable of definition.variables) {
+        if (seen.has(variable.name)) report(`There can be only one variable named "$${variable.name}".`, variable);
+        seen.add(variable.name);
+        if (!schema.types.has(unwrapType(variable.type))) report(`Unknown type "${unwrapType(variable.type)}".`, variable);
+        else if (!isInputType(schema, variable.type)) report(`Variable "$${variable.name}" cannot be non-input type "${typeString(variable.type)}".`, variable);
+        else if (variable.defaultValue) checkValue(variable.defaultValue, variable.type, entry);
+        checkDirectives(variable.directives, 'VARIABLE_DEFINITION', entry);
+      }
+    } else {
+      rootType = schema.types.get(definition.typeCondition);
+      if (!rootType) {
+        report(`Unknown type "${definition.typeCondition}".`, definition);
+        continue;
+      }
+      if (!isCompositeType(rootType)) {
+        report(`Fragment "${definition.name}" cannot condition on non composite type "${definition.typeCondition}".`, definition);
+        continue;
+      }
+      checkDirectives(definition.directives, 'FRAGMENT_DEFINITION', entry);
+    }
+    checkSelections(definition.selectionSet, rootType, entry, 1);
+    used.set(definition, entry);
+  }
+
+  const spreadsOf = name => (fragments.has(name) && used.get(fragments.get(name))?.spreads) || new Set();
+  for (const name of fragments.keys()) {
+    const seen = new Set();
+    const stack = [...spreadsOf(name)];
+    while (stack.length) {
+      const next = stack.pop();
+      if (next === name) {
+        report(`Cannot spread fragment "${name}" within itself.`, fragments.get(name));
+        break;
+      }
+      if (seen.has(next)) continue;
+      seen.add(next);
+      stack.push(...spreadsOf(next));
+    }
+  }
+
+  // Variables per operation, following its fragments.
+  const usedFragments = new Set();
+  for (const operation of operations) {
+    const entry = used.get(operation);
+    if (!entry) continue;
+    const usages = [...entry.usages];
+    const stack = [...entry.spreads];
+    const visited = new Set();
+    while (stack.length) {
+      const name = stack.pop();
+      if (visited.has(name)) continue;
+      visited.add(name);
+      usedFragments.add(name);
+      const fragmentEntry = fragments.has(name) && used.get(fragments.get(name));
+      if (!fragmentEntry) continue;
+      usages.push(...fragmentEntry.usages);
+      stack.push(...fragmentEntry.spreads);
+    }
+
+    const defined = new Map(operation.variables.map(variable => [variable.name, variable]));
+    const by = operation.name ? ` by operation "${operation.name}"` : '';
+    for (const usage of usages) {
+      const variable = defined.get(usage.name);
+      if (!variable) {
+        report(`Variable "$${usage.name}" is not defined${by}.`, usage.node, operation);
+        continue;
+      }
+      if (!isInputType(schema, variable.type)) continue;
+      let locationType = usage.type;
+      const hasDefault = variable.defaultValue && variable.defaultValue.kind !== 'null';
+      if (locationType.kind === 'nonNull' && variable.type.kind !== 'nonNull' && (hasDefault || usage.hasLocationDefault)) {
+        locationType = locationType.ofType;
+      }
+      if (!isTypeCompatible(variable.type, locationType)) {
+        report(`Variable "$${usage.name}" of type "${typeString(variable.type)}" used in position expecting type "${typeString(usage.type)}".`, variable, usage.node);
+      }
+    }
+    const usedNames = new Set(usages.map(usage => usage.name));
+    for (const variable of operation.variables) {
+      if (!usedNames.has(variable.name)) report(`Variable "$${variable.name}" is never used${by}.`, variable);
+    }
+  }
+  for (const [name, fragment] of fragments) {
+    if (!usedFragments.has(name)) report(`Fragment "${name}" is never used.`, fragment);
+  }
+  return errors;
+}
+
+// ===== EXECUTION =====
+
+// Pick the operation to run. Returns { operation } or { error }.
+function getOperation(document, operationName) {
+  const operations = document.definitions.filter(definition => definition.kind === 'operation');
+  if (operationName) {
+    const operation = operations.find(candidate => candidate.name === operationName);
+    return operation ? { operation } : { error: `Unknown operation named "${operationName}".` };
+  }
+  if (operations.length === 1) return { operation: operations[0] };
+  return { error: operations.length ? 'Must provide operation name if query contains multiple operations.' : 'Must provide an operation.' };
+}
+
+function inspect(value) {
+  return value === undefined ? 'undefined' : JSON.stringify(value);
+}
+
+// Coerce one variable value (JSON) to its input type. Problems are pushed as
+// { path, value, reason }.
+function coerceInput(schema, value, ref, problems, path) {
+  if (ref.kind === 'nonNull') {
+    if (value === null || value === undefined) {
+      problems.push({ path, value, reason: `Expected non-nullable type "${typeString(ref)}" not to be null.` });
+      return null;
+    }
+    return coerceInput(schema, value, ref.ofType, problems, path);
+  }
+  if (value === null || value === undefined) return null;
+  if (ref.kind === 'list') {
+    return Array.isArray(value)
+      ? value.map((item, index) => coerceInput(schema, item, ref.ofType, problems, [...path, index]))
+      : [coerceInput(schema, value, ref.ofType, problems, path)];
+  }
+  const type = schema.types.get(ref.name);
+  if (type.kind === 'INPUT_OBJECT') {
+    if (typeof value !== 'object' || Array.isArray(value)) {
+      problems.push({ path, value, reason: `Expected type "${type.name}" to be an object.` });
+      return null;
+    }
+    const result = {};
+    for (const field of type.fields.values()) {
+      if (Object.hasOwn(value, field.name)) {
+        result[field.name] = coerceInput(schema, value[field.name], field.type, problems, [...path, field.name]);
+      } else if (field.defaultValue) {
+        result[field.name] = valueFromLiteral(schema, field.defaultValue, field.type, {});
+      } else if (field.type.kind === 'nonNull') {
+        problems.push({ path, value, reason: `Field "${field.name}" of required type "${typeString(field.type)}" was not provided.` });
+      }
+    }
+    for (const key of Object.keys(value)) {
+      if (!type.fields.has(key)) problems.push({ path, value, reason: `Field "${key}" is not defined by type "${type.name}".` });
+    }
+    return result;
+  }
+  if (type.kind === 'ENUM') {
+    if (typeof value === 'string' && type.values.has(value)) return value;
+    problems.push({ path, value, reason: `Value ${inspect(value)} does not exist in "${type.name}" enum.` });
+    return null;
+  }
+  const invalid = reason => {
+    problems.push({ path, value, reason });
+    return null;
+  };
+  switch (type.name) {
+    case 'Int':
+      return Number.isInteger(value) && value <= INT_MAX && value >= INT_MIN ? value : invalid(`Int cannot represent non-integer value: ${inspect(value)}`);
+    case 'Float':
+      return typeof value === 'number' && Number.isFinite(value) ? value : invalid(`Float cannot represent non numeric value: ${inspect(value)}`);
+    case 'String':
+      return typeof value === 'string' ? value : invalid(`String cannot represent a non string value: ${inspect(value)}`);
+    case 'Boolean':
+      return typeof value === 'boolean' ? value : invalid(`Boolean cannot represent a non boolean value: ${inspect(value)}`);
+    case 'ID':
+      return typeof value === 'string' || Number.isInteger(value) ? String(value) : invalid(`ID cannot represent value: ${inspect(value)}`);
+    default:
+      return value;
+  }
+}
+
+function coerceVariables(schema, operation, inputs) {
+  const values = {};
+  const errors = [];
+  for (const variable of operation.variables) {
+    const { name, type } = variable;
+    if (!Object.hasOwn(inputs, name)) {
+      if (variable.defaultValue) {
+        values[name] = valueFromLiteral(schema, variable.defaultValue, type, {});
+      } else if (type.kind === 'nonNull') {
+        errors.push({ message: `Variable "$${name}" of required type "${typeString(type)}" was not provided.`, locations: [variable.loc] });
+      }
+      continue;
+    }
+    const problems = [];
+    const value = coerceInput(schema, inputs[name], type, problems, []);
+    if (problems.length === 0) {
+      values[name] = value;
+      continue;
+    }
+    for (const problem of problems) {
+      const at = problem.path.length ? ` at "${name}${problem.path.map(key => (typeof key === 'number' ? `[${key}]` : `.${key}`)).join('')}"` : '';
+      errors.push({ message: `Variable "$${name}" got invalid value ${inspect(problem.value)}${at}; ${problem.reason}`, locations: [variable.loc] });
+    }
+  }
+  return { values, errors };
+}
+
+// A literal (already validated) as a JS value of its type.
+function valueFromLiteral(schema, node, ref, variables) {
+  if (node.kind === 'variable') return variables[node.name];
+  if (ref.kind === 'nonNull') return valueFromLiteral(schema, node, ref.ofType, variables);
+  if (node.kind === 'null') return null;
+  if (ref.kind === 'list') {
+    return node.kind === 'array'
+      ? node.values.map(value => valueFromLiteral(schema, value, ref.ofType, variables))
+      : [valueFromLiteral(schema, node, ref.ofType, variables)];
+  }
+  const type = schema.types.get(ref.name);
+  if (type.kind === 'INPUT_OBJECT') {
+    const result = {};
+    for (const field of type.fields.values()) {
+      const given = node.fields && node.fields.find(entry => entry.name === field.name);
+      const missingVariable = given && given.value.kind === 'variable' && variables[given.value.name] === undefined;
+      if (given && !missingVariable) result[field.name] = valueFromLiteral(schema, given.value, field.type, variables);
+      else if (field.defaultValue) result[field.name] = valueFromLiteral(schema, field.defaultValue, field.type, {});
+    }
+    return result;
+  }
+  return literalToJs(node, variables, type.name);
+}
+
+function literalToJs(node, variables, typeName) {
+  switch (node.kind) {
+    case 'variable': return variables[node.name];
+    case 'int': return typeName === 'ID' ? node.value : Number(node.value);
+    case 'float': return Number(node.value);
+    case 'null': return null;
+    case 'array': return node.values.map(value => literalToJs(value, variables));
+    case 'object': return Object.fromEntries(node.fields.map(field => [field.name, literalToJs(field.value, variables)]));
+    default: return node.value;
+  }
+}
+
+function argumentValues(schema, definitions, nodes, variables) {
+  const args = {};
+  for (const definition of definitions.values()) {
+    const node = nodes.find(arg => arg.name === definition.name);
+    const missingVariable = node && node.value.kind === 'variable' && variables[node.value.name] === undefined;
+    if (node && !missingVariable) args[definition.name] = valueFromLiteral(schema, node.value, definition.type, variables);
+    else if (definition.defaultValue) args[definition.name] = valueFromLiteral(schema, definition.defaultValue, definition.type, {});
+  }
+  return args;
+}
+
+function shouldInclude(ctx, directives) {
+  for (const directive of directives) {
+    if (directive.name !== 'skip' && directive.name !== 'include') continue;
+    const { if: condition } = argumentValues(ctx.schema, ctx.schema.directives.get(directive.name).args, directive.arguments, ctx.variables);
+    if (directive.name === 'skip' ? condition === true : condition === false) return false;
+  }
+  return true;
+}
+
+function doesTypeApply(schema, objectType, conditionName) {
+  if (conditionName === objectType.name) return true;
+  const condition = schema.types.get(conditionName);
+  return !!condition && possibleTypes(schema, condition).includes(objectType.name);
+}
+
+// Response key -> field nodes, following fragments that apply to objectType.
+function collectFields(ctx, objectType, selections, fields = new Map(), visited = new Set()) {
+  for (const selection of selections) {
+    if (!shouldInclude(ctx, selection.directives)) continue;
+    if (selection.kind === 'field') {
+      const key = selection.alias || selection.name;
+      if (!fields.has(key)) fields.set(key, []);
+      fields.get(key).push(selection);
+    } else if (selection.kind === 'inline') {
+      if (!selection.typeCondition || doesTypeApply(ctx.schema, objectType, selection.typeCondition)) {
+        collectFields(ctx, objectType, selection.selectionSet, fields, visited);
+      }
+    } else if (!visited.has(selection.name)) {
+      visited.add(selection.name);
+      const fragment = ctx.fragments.get(selection.name);
+      if (fragment && doesTypeApply(ctx.schema, objectType, fragment.typeCondition)) {
+        collectFields(ctx, objectType, fragment.selectionSet, fields, visited);
+      }
+    }
+  }
+  return fields;
+}
+
+// Thrown to null out the nearest nullable parent after a non-null field failed
+// (its error is already recorded).
+const NULL_BUBBLE = { bubble: true };
+
+function serializeScalar(typeName, value) {
+  switch (typeName) {
+    case 'Int': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (!Number.isInteger(n) || n > INT_MAX || n < INT_MIN) throw new Error(`Int cannot represent non-integer value: ${inspect(value)}`);
+      return n;
+    }
+    case 'Float': {
+      const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof n !== 'number' || !Number.isFinite(n)) throw new Error(`Float cannot represent non numeric value: ${inspect(value)}`);
+      return n;
+    }
+    case 'String':
+    case 'ID':
+      if (typeof value === 'object') throw new Error(`${typeName} cannot represent value: ${inspect(value)}`);
+      return String(value);
+    case 'Boolean':
+      if (typeof value !== 'boolean') throw new Error(`Boolean cannot represent a non boolean value: ${inspect(value)}`);
+      return value;
+    default:
+      return value;
+  }
+}
+
+// Run `complete`; on failure record the error and return null, or bubble up
+// when the type is non-null.
+function completeOrNull(ctx, ref, path, node, complete) {
+  try {
+    return complete();
+  } catch (error) {
+    if (error.fatal) throw error;
+    if (error !== NULL_BUBBLE) ctx.errors.push({ message: error.message, locations: [node.loc], path });
+    if (ref.kind === 'nonNull') throw NULL_BUBBLE;
+    return null;
+  }
+}
+
+function completeValue(ctx, ref, nodes, value, path, label) {
+  if (ref.kind === 'nonNull') {
+    const completed = completeValue(ctx, ref.ofType, nodes, value, path, label);
+    if (completed === null) throw new Error(`Cannot return null for non-nullable field ${label}.`);
+    return completed;
+  }
+  if (value === null || value === undefined) return null;
+  if (ref.kind === 'list') {
+    if (!Array.isArray(value)) throw new Error(`Expected a list for field ${label}, got ${inspect(value)}.`);
+    return value.map((item, index) => {
+      const itemPath = [...path, index];
+      return completeOrNull(ctx, ref.ofType, itemPath, nodes[0], () => completeValue(ctx, ref.ofType, nodes, item, itemPath, label));
+    });
+  }
+  const type = ctx.schema.types.get(ref.name);
+  if (type.kind === 'SCALAR') return serializeScalar(type.name, value);
+  if (type.kind === 'ENUM') {
+    if (!type.values.has(String(value))) throw new Error(`Enum "${type.name}" cannot represent value: ${inspect(value)}`);
+    return String(value);
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) throw new Error(`Expected an object for field ${label}, got ${inspect(value)}.`);
+  let objectType = type;
+  if (type.kind !== 'OBJECT') {
+    const candidates = possibleTypes(ctx.schema, type);
+    const name = typeof value.__typename === 'string' && candidates.includes(value.__typename)
+      ? value.__typename
+      : ctx.resolveType ? ctx.resolveType(type, candidates, value) : candidates[0];
+    if (!name) throw new Error(`Abstract type "${type.name}" has no possible types.`);
+    objectType = ctx.schema.types.get(name);
+  }
+  return executeSelections(ctx, objectType, value, nodes.flatMap(node => node.selectionSet || []), path);
+}
+
+function resolveValue(ctx, parentType, field, source, args) {
+  if (field === TYPENAME_FIELD) return parentType.name;
+  if (field === SCHEMA_FIELD) return introspectSchema(ctx.schema);
+  if (field === TYPE_FIELD) {
+    const type = ctx.schema.types.get(args.name);
+    return type ? introspectType(ctx.schema, type) : null;
+  }
+  let value = source !== null && typeof source === 'object' && Object.hasOwn(source, field.name) ? source[field.name] : undefined;
+  if (typeof value === 'function') return value(args);
+  if (value === undefined && !parentType.name.startsWith('__') && ctx.resolveMissing) {
+    value = ctx.resolveMissing(parentType, field, args);
+  }
+  return value === undefined ? null : value;
+}
+
+function executeSelections(ctx, objectType, source, selections, path) {
+  const result = {};
+  for (const [key, nodes] of collectFields(ctx, objectType, selections)) {
+    const node = nodes[0];
+    const field = fieldDefinition(ctx.schema, objectType, node.name);
+    const fieldPath = [...path, key];
+    if (++ctx.resolved > MAX_RESOLVED_FIELDS) {
+      throw Object.assign(new Error(`The response would have more than ${MAX_RESOLVED_FIELDS} fields.`), { fatal: true });
+    }
+    result[key] = completeOrNull(ctx, field.type, fieldPath, node, () => {
+      const args = argumentValues(ctx.schema, field.args, node.arguments, ctx.variables);
+      const value = resolveValue(ctx, objectType, field, source, args);
+      return completeValue(ctx, field.type, nodes, value, fieldPath, `${objectType.name}.${field.name}`);
+    });
+  }
+  return result;
+}
+
+// Run a validated operation. Returns { data, errors? }, or { errors } when the
+// variables can't be used.
+function execute(schema, document, operation, { variables = {}, rootValue = {}, resolveMissing = null, resolveType = null } = {}) {
+  const coerced = coerceVariables(schema, operation, variables || {});
+  if (coerced.errors.length) return { errors: coerced.errors };
+
+  const ctx = {
+    schema,
+    fragments: new Map(document.definitions.filter(d => d.kind === 'fragment').map(fragment => [fragment.name, fragment])),
+    variables: coerced.values,
+    errors: [],
+    resolved: 0,
+    resolveMissing,
+    resolveType
+  };
+  const rootType = schema.types.get(schema[`${operation.operation}Type`]);
+  let data;
+  try {
+    data = executeSelections(ctx, rootType, rootValue, operation.selectionSet, []);
+  } catch (error) {
+    if (error.fatal) return { errors: [{ message: error.message }], data: null };
+    if (error !== NULL_BUBBLE) throw error;
+    data = null;
+  }
+  return ctx.errors.length ? { errors: ctx.errors, data } : { data };
+}
+
+// ===== INTROSPECTION =====
+
+// Introspection answers are plain objects; list fields are functions of their
+// arguments so the graph is only built as far as it is queried.
+
+function introspectInputValue(schema, value) {
+  return {
+    name: value.name,
+    description: value.description ?? null,
+    type: introspectRef(schema, value.type),
+    defaultValue: value.defaultValue ? printValue(value.defaultValue) : null,
+    isDeprecated: !!value.deprecationReason,
+    deprecationReason: value.deprecationReason ?? null
+  };
+}
+
+function introspectInputValues(schema, values, includeDeprecated) {
+  return [...values.values()].filter(value => includeDeprecated || !value.deprecationReason).map(value => introspectInputValue(schema, value));
+}
+
+function introspectType(schema, type) {
+  const hasFields = type.kind === 'OBJECT' || type.kind === 'INTERFACE';
+  const isAbstract = type.kind === 'INTERFACE' || type.kind === 'UNION';
+  const byName = names => names.map(name => introspectType(schema, schema.types.get(name)));
+  return {
+    kind: type.kind,
+    name: type.name,
+    description: type.description ?? null,
+    specifiedByURL: type.kind === 'SCALAR' ? type.specifiedByURL ?? null : null,
+    fields: ({ includeDeprecated }) => (hasFields
+      ? [...type.fields.values()].filter(field => includeDeprecated || !field.deprecationReason).map(field => ({
+        name: field.name,
+        description: field.description ?? null,
+        args: ({ includeDeprecated: deprecatedArgs }) => introspectInputValues(schema, field.args, deprecatedArgs),
+        type: introspectRef(schema, field.type),
+        isDeprecated: !!field.deprecationReason,
+        deprecationReason: field.deprecationReason ?? null
+      }))
+      : null),
+    interfaces: () => (hasFields ? byName(type.interfaces) : null),
+    possibleTypes: () => (isAbstract ? byName(possibleTypes(schema, type)) : null),
+    enumValues: ({ includeDeprecated }) => (type.kind === 'ENUM'
+      ? [...type.values.values()].filter(value => includeDeprecated || !value.deprecationReason).map(value => ({
+        name: value.name,
+        description: value.description ?? null,
+        isDeprecated: !!value.deprecationReason,
+        deprecationReason: value.deprecationReason ?? null
+      }))
+      : null),
+    inputFields: ({ includeDeprecated }) => (type.kind === 'INPUT_OBJECT' ? introspectInputValues(schema, type.fields, includeDeprecated) : null),
+    ofType: null,
+    isOneOf: type.kind === 'INPUT_OBJECT' ? !!type.oneOf : null
+  };
+}
+
+function introspectRef(schema, ref) {
+  if (ref.kind === 'named') return introspectType(schema, schema.types.get(ref.name));
+  return {
+    kind: ref.kind === 'list' ? 'LIST' : 'NON_NULL',
+    name: null,
+    description: null,
+    specifiedByURL: null,
+    fields: null,
+    interfaces: null,
+    possibleTypes: null,
+    enumValues: null,
+    inputFields: null,
+    ofType: introspectRef(schema, ref.ofType),
+    isOneOf: null
+  };
+}
+
+function introspectSchema(schema) {
+  const typeNamed = name => (name ? introspectType(schema, schema.types.get(name)) : null);
+  return {
+    description: schema.description ?? null,
+    types: () => [...schema.types.values()].map(type => introspectType(schema, type)),
+    queryType: typeNamed(schema.queryType),
+    mutationType: typeNamed(schema.mutationType),
+    subscriptionType: typeNamed(schema.subscriptionType),
+    directives: () => [...schema.directives.values()].map(directive => ({
+      name: directive.name,
+      description: directive.description ?? null,
+      isRepeatable: directive.repeatable,
+      locations: directive.locations,
+      args: ({ includeDeprecated }) => introspectInputValues(schema, directive.args, includeDeprecated)
+    }))
+  };
+}
+
+module.exports = {
+  parse,
+  buildSchema,
+  validate,
+  getOperation,
+  execute,
+  typeString,
+  unwrapType
+};
@@ -0,0 +1,342 @@
+'use strict';
+
+// GraphQL mocks for `responseType: 'graphql'` endpoints.
+//
+// endpoint.graphql holds an SDL schema and the data to answer with:
+//   {
+//     schema: 'type Query { user(id: ID!): User users(first: Int): [User!]! } type User { id: ID! name: String email: String }',
+//     // or schemaFile: 'schema.graphql' (an uploaded asset)
+//     data: {                                   // fixtures by type name
+//       Query: { user: { id: '{{args.id}}', name: 'Ada Lovelace' } },
+//       User: { email: "{{faker 'internet.email'}}" }
+//     },
+//     listLength: 3,                            // items generated per list
+//     overrides: [                              // first match replaces root fields / adds errors
+//       { operationName: 'GetUser', condition: "variables.id == '3'", data: { user: null },
+//         errors: [{ message: 'User 3 is gone', path: ['user'] }] }
+//     ]
+//   }
+//
+// Queries are parsed and validated against the schema like a real server
+// would, then resolved field by field: a value present on the parent object
+// wins, then the fixture for the parent type (`data.User.email`), and anything
+// left is generated from the field's type and name (an `email` String gets an
+// address, an Int a number, lists `listLength` items or as many as a
+// first/limit/... argument asks for). Fixtures are templates with {{args.x}}
+// (the field's arguments) and {{variables.x}} besides the usual request values;
+// conditions see `variables` and `operationName` too. `__schema` / `__type`
+// introspection works, so GraphiQL and codegen tools can load the schema.
+//
+// GET (?query=&variables=&operationName=) and POST (JSON body) are accepted;
+// mutations only over POST.
+
+const fs = require('fs');
+const configManager = require('../config/configManager');
+const fakeData = require('./fakeData');
+const graphql = require('./graphql');
+const { compileCondition, evaluateCompiledCondition, conditionError } = require('./conditions');
+const { createTemplateContext, renderTemplateData, findTemplateError } = require('./templates');
+const { isObject } = require('./common');
+
+const DEFAULT_LIST_LENGTH = 3;
+const MAX_LIST_LENGTH = 100;
+// Arguments that say how many items a list field should return
+const PAGE_SIZE_ARGS = ['first', 'last', 'limit', 'count', 'take', 'size', 'pageSize', 'perPage'];
+
+const schemaFileCache = new Map(); // file path -> { mtime, schema }
+
+function loadSchemaFile(name) {
+  const file = configManager.resolveAssetPath(name);
+  if (!file) throw new Error('is not a valid asset name');
+  const mtime = fs.statSync(file).mtimeMs;
+  const cached = schemaFileCache.get(file);
+  if (cached && cached.mtime === mtime) return cached.schema;
+  const schema = graphql.buildSchema(fs.readFileSync(file, 'utf8'));
+  schemaFileCache.set(file, { mtime, schema });
+  return schema;
+}
+
+function loadSchema(config) {
+  return typeof config.schemaFile === 'string' && config.schemaFile
+    ? loadSchemaFile(config.schemaFile)
+    : graphql.buildSchema(config.schema);
+}
+
+// Validate an endpoint's `graphql` block. Returns an error message or null.
+function validateGraphQLConfig(config) {
+  if (!isObject(config)) return 'graphql must be an object with a schema';
+  const hasSchema = typeof config.schema === 'string' && config.schema.trim() !== '';
+  const hasSchemaFile = typeof config.schemaFile === 'string' && config.schemaFile !== '';
+  if (hasSchema === hasSchemaFile) return 'graphql needs either a schema (SDL text) or a schemaFile';
+
+  let schema;
+  try {
+    schema = loadSchema(config);
+  } catch (err) {
+    if (hasSchemaFile) return `graphql.schemaFile ${err.code === 'ENOENT' ? 'does not exist' : err.message}`;
+    return `graphql.schema is invalid: ${err.message}`;
+  }
+
+  if (config.data !== undefined) {
+    if (!isObject(config.data)) return 'graphql.data must be an object of fixtures by type name';
+    for (const [typeName, fields] of Object.entries(config.data)) {
+      const type = schema.types.get(typeName);
+      if (!type || (type.kind !== 'OBJECT' && type.kind !== 'INTERFACE')) return `graphql.data.${typeName} is not an object type in the schema`;
+      if (!isObject(fields)) return `graphql.data.${typeName} must be an object of field values`;
+    }
+    const templateError = findTemplateError(config.data);
+    if (templateError) return `graphql.data has a template error: ${templateError}`;
+  }
+
+  if (config.listLength !== undefined && !(Number.isInteger(config.listLength) && config.listLength >= 0 && config.listLength <= MAX_LIST_LENGTH)) {
+    return `graphql.listLength must be a whole number from 0 to ${MAX_LIST_LENGTH}`;
+  }
+
+  if (config.overrides !== undefined) {
+    if (!Array.isArray(config.overrides)) return 'graphql.overrides must be an array';
+    for (const [i, override] of config.overrides.entries()) {
+      const where = `graphql.overrides[${i}]`;
+      if (!isObject(override)) return `${where} must be an object`;
+      if (override.operationName !== undefined && (typeof override.operationName !== 'string' || override.operationName === '')) {
+        return `${where}.operationName must be a non-empty string`;
+      }
+      const badCondition = conditionError(override.condition);
+      if (badCondition) return `${where}.condition is invalid: ${badCondition}`;
+      if (override.data !== undefined && !isObject(override.data)) return `${where}.data must be an object of root field values`;
+      if (override.errors !== undefined && !(Array.isArray(override.errors) && override.errors.every(e => isObject(e) && typeof e.message === 'string'))) {
+        return `${where}.errors must be a list of { message } objects`;
+      }
+      if (override.data === undefined && override.errors === undefined) return `${where} needs data or errors`;
+      const templateError = findTemplateError([override.data, override.errors]);
+      if (templateError) return `${where} has a template error: ${templateError}`;
+    }
+  }
+  return null;
+}
+
+// Compile an endpoint's graphql block for the route table (an inline schema is
+// built and conditions parsed once). Null for other response types.
+function compileGraphQL(endpoint) {
+  if (endpoint.responseType !== 'graphql') return null;
+  const config = isObject(endpoint.graphql) ? endpoint.graphql : {};
+  let schema = null;
+  let schemaError = null;
+  if (!config.schemaFile) {
+    try {
+      schema = graphql.buildSchema(String(config.schema || ''));
+    } catch (err) {
+      schemaError = err.message;
+    }
+  }
+  return {
+    config,
+    schema,
+    schemaError,
+    data: isObject(config.data) ? config.data : {},
+    listLength: Number.isInteger(config.listLength) ? Math.min(Math.max(config.listLength, 0), MAX_LIST_LENGTH) : DEFAULT_LIST_LENGTH,
+    overrides: (Array.isArray(config.overrides) ? config.overrides : []).filter(isObject).map(override => ({
+      override,
+      hasCondition: !!override.condition,
+      condition: override.condition ? compileCondition(override.condition) : null
+    }))
+  };
+}
+
+// ===== GENERATED VALUES =====
+
+// A String-like value suggested by the field's name, or null.
+function valueForFieldName(name, random) {
+  const key = name.toLowerCase();
+  const fake = method => fakeData.generate(method, random);
+  if (key.includes('email')) return fake('internet.email');
+  if (/^(user_?name|login|handle|nickname)$/.test(key)) return fake('internet.userName');
+  if (/^(first_?name|given_?name)$/.test(key)) return fake('person.firstName');
+  if (/^(last_?name|family_?name|surname)$/.test(key)) return fake('person.lastName');
+  if (/company|organi[sz]ation|employer/.test(key)) return fake('company.name');
+  if (key === 'name' || /^(full|display|author|owner|customer|contact)_?name$/.test(key)) return fake('person.fullName');
+  if (/url|link|website|avatar|image|photo|picture/.test(key)) return fake('internet.url');
+  if (/phone|mobile/.test(key)) return fake('phone.number');
+  if (key === 'city') return fake('location.city');
+  if (key === 'country') return fake('location.country');
+  if (/zip|postal/.test(key)) return fake('location.zipCode');
+  if (/address|street/.test(key)) return fake('location.streetAddress');
+  if (/^ip(v4)?(_?address)?$/.test(key)) return fake('internet.ipv4');
+  if (/(date|time|_at|[a-z]At)$/.test(name) || /^(date|time)/.test(key)) return fake('date.past');
+  if (/job_?title/.test(key)) return fake('person.jobTitle');
+  if (/title|headline|subject|label/.test(key)) return capitalize(fake('lorem.words'));
+  if (/description|summary|body|content|text|bio|comment|message/.test(key)) return fake('lorem.sentence');
+  return null;
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function generateScalar(type, fieldName, random) {
+  switch (type.name) {
+    case 'Int':
+      return fakeData.generate('number.int', random, [], { min: 1, max: 1000 });
+    case 'Float':
+      return fakeData.generate('number.float', random, [], { min: 0, max: 1000, precision: 0.01 });
+    case 'Boolean':
+      return fakeData.generate('datatype.boolean', random);
+    case 'ID':
+      return fakeData.generate('string.uuid', random);
+    case 'String':
+      return valueForFieldName(fieldName, random) ?? fakeData.generate('lorem.words', random);
+    default:
+      // Custom scalars: dates by their name, otherwise whatever the field suggests
+      if (/date|time/i.test(type.name)) return fakeData.generate('date.past', random);
+      if (/^(json|object)$/i.test(type.name)) return {};
+      return valueForFieldName(fieldName, random) ?? fakeData.generate('lorem.word', random);
+  }
+}
+
+function listLength(args, fallback) {
+  for (const name of PAGE_SIZE_ARGS) {
+    if (Number.isInteger(args[name]) && args[name] >= 0) return Math.min(args[name], MAX_LIST_LENGTH);
+  }
+  return fallback;
+}
+
+// A value for `ref`: composite types become empty objects whose fields are
+// resolved (and generated) in turn.
+function generateValue(schema, ref, fieldName, args, ctx) {
+  if (ref.kind === 'nonNull') return generateValue(schema, ref.ofType, fieldName, args, ctx);
+  if (ref.kind === 'list') {
+    return Array.from({ length: listLength(args, ctx.listLength) }, () => generateValue(schema, ref.ofType, fieldName, {}, ctx));
+  }
+  const type = schema.types.get(ref.name);
+  if (type.kind === 'ENUM') {
+    const values = [...type.values.keys()];
+    return values[Math.floor(ctx.random() * values.length)];
+  }
+  if (type.kind === 'SCALAR') return generateScalar(type, fieldName, ctx.random);
+  return {};
+}
+
+// ===== REQUESTS =====
+
+function graphqlError(status, message, extra = {}) {
+  return { status, body: { errors: [{ message, ...extra }] } };
+}
+
+// The GraphQL parameters of an HTTP request: { query, variables,
+// operationName } or { error }.
+function readParams(request) {
+  let source;
+  if (request.method === 'GET') {
+    source = request.query || {};
+  } else if (typeof request.body === 'string') {
+    source = { query: request.body };
+  } else if (isObject(request.body)) {
+    source = request.body;
+  } else {
+    return { error: 'POST body must be a JSON object with a query.' };
+  }
+
+  const { query, operationName } = source;
+  let variables = source.variables;
+  if (typeof query !== 'string' || query.trim() === '') return { error: 'Must provide query string.' };
+  if (typeof variables === 'string' && variables !== '') {
+    try {
+      variables = JSON.parse(variables);
+    } catch {
+      return { error: 'Variables are invalid JSON.' };
+    }
+  }
+  if (variables !== undefined && variables !== null && variables !== '' && !isObject(variables)) {
+    return { error: 'Variables must be an object.' };
+  }
+  if (operationName !== undefined && operationName !== null && operationName !== '' && typeof operationName !== 'string') {
+    return { error: 'Operation name must be a string.' };
+  }
+  return { query, variables: isObject(variables) ? variables : {}, operationName: operationName || null };
+}
+
+// Answer a GraphQL request for a compiled graphql endpoint. `request` is
+// { method, url, query, headers, body, pathParams }. Returns { status,
+// headers?, body }.
+function handleGraphQLRequest(compiled, request, { seed } = {}) {
+  if (request.method !== 'GET' && request.method !== 'POST') {
+    return { ...graphqlError(405, 'GraphQL only supports GET and POST requests.'), headers: { Allow: 'GET, POST' } };
+  }
+
+  let schema = compiled.schema;
+  if (!schema) {
+    try {
+      schema = compiled.config.schemaFile ? loadSchemaFile(compiled.config.schemaFile) : null;
+    } catch (err) {
+      return graphqlError(500, `The endpoint's schema file can't be used: ${err.code === 'ENOENT' ? 'it does not exist' : err.message}`);
+    }
+    if (!schema) return graphqlError(500, `The endpoint's schema is invalid: ${compiled.schemaError}`);
+  }
+
+  const params = readParams(request);
+  if (params.error) return graphqlError(400, params.error);
+
+  let document;
+  try {
+    document = graphql.parse(params.query);
+  } catch (err) {
+    if (!err.locations) throw err;
+    return graphqlError(400, err.message, { locations: err.locations });
+  }
+  const validationErrors = graphql.validate(schema, document);
+  if (validationErrors.length) return { status: 400, body: { errors: validationErrors } };
+
+  const { operation, error } = graphql.getOperation(document, params.operationName);
+  if (error) return graphqlError(400, error);
+  if (operation.operation === 'subscription') return graphqlError(400, 'Subscriptions are not supported over HTTP.');
+  if (operation.operation === 'mutation' && request.method === 'GET') {
+    return { ...graphqlError(405, 'Can only perform a mutation operation from a POST request.'), headers: { Allow: 'POST' } };
+  }
+
+  // Conditions and templates see the operation's variables and name
+  const view = { ...request, variables: params.variables, operationName: operation.name || null };
+  const template = createTemplateContext(view, {}, seed);
+  const render = (value, args) => {
+    template.root.args = args || {};
+    return renderTemplateData(value, template);
+  };
+
+  const matched = compiled.overrides.find(entry =>
+    (entry.override.operationName === undefined || entry.override.operationName === operation.name) &&
+    (!entry.hasCondition || evaluateCompiledCondition(entry.condition, {}, view))
+  );
+  const override = matched ? matched.override : {};
+
+  // Root fields render when resolved, with their arguments
+  const rootTypeName = schema[`${operation.operation}Type`];
+  const rootValue = {};
+  for (const fields of [compiled.data[rootTypeName], override.data]) {
+    if (!isObject(fields)) continue;
+    for (const [name, value] of Object.entries(fields)) rootValue[name] = args => render(value, args);
+  }
+  const ctx = { listLength: compiled.listLength, random: template.random };
+
+  const result = graphql.execute(schema, document, operation, {
+    variables: params.variables,
+    rootValue,
+    resolveMissing(parentType, field, args) {
+      const fixture = compiled.data[parentType.name];
+      if (isObject(fixture) && Object.hasOwn(fixture, field.name) && parentType.name !== rootTypeName) {
+        return render(fixture[field.name], args);
+      }
+      return generateValue(schema, field.type, field.name, args, ctx);
+    },
+    resolveType: (type, candidates) => candidates[Math.floor(template.random() * candidates.length)]
+  });
+
+  if (!Object.hasOwn(result, 'data')) return { status: 400, body: result };
+  if (Array.isArray(override.errors) && override.errors.length) {
+    result.errors = [...(result.errors || []), ...render(override.errors)];
+  }
+  return { status: 200, body: result.errors ? { errors: result.errors, data: result.data } : { data: result.data } };
+}
+
+module.exports = {
+  validateGraphQLConfig,
+  compileGraphQL,
+  handleGraphQLRequest
+};
@@ -0,0 +1,261 @@
+'use strict';
+
+// Request journal: what clients sent to the mock and what it answered.
+//
+// Every request handled by the dynamic routes is recorded once the response
+// has been sent: method, path, query, headers, body, the matched endpoint and
+// response variant (with the condition that selected it) and the status. The
+// newest `size` entries are kept in a ring buffer. With `persist` on they are
+// also appended to DATA_DIR/journal.jsonl, which is then what queries read, so
+// every cluster worker's traffic shows up no matter which worker answers the
+// admin request. The append is synchronous so that a verification right after
+// a request sees it.
+//
+// Credentials are never stored: the `redactHeaders` (default
+// DEFAULT_REDACTED_HEADERS), body fields named in `redactBodyFields` (default
+// DEFAULT_REDACTED_FIELDS, at any depth, so OAuth token requests and sign-in
+// forms are covered) and the API key of the matched endpoint's auth schemes,
+// in whichever of these it is sent, as well as ?access_token= and
+// ?code_challenge=, are kept as "[redacted]".
+//
+//   journal: { enabled: true, size: 500, persist: false, maxBodyBytes: 65536,
+//              redactHeaders: null, redactBodyFields: null }
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const configManager = require('../config/configManager');
+const { compileCondition, evaluateCompiledCondition, collectParams } = require('./conditions');
+const { compilePathPattern, matchPath } = require('./pathPattern');
+
+const JOURNAL_FILE = path.join(configManager.DATA_DIR, 'journal.jsonl');
+// The JSONL file is rotated to journal.jsonl.1 beyond this size.
+const MAX_FILE_BYTES = 10 * 1024 * 1024;
+
+const DEFAULT_REDACTED_HEADERS = [
+  'authorization', 'proxy-authorization', 'cookie', 'x-api-key', 'api-key', 'x-auth-token', 'x-access-token'
+];
+const DEFAULT_REDACTED_FIELDS = [
+  'password', 'client_secret', 'client_assertion', 'assertion', 'code', 'code_verifier', 'code_challenge',
+  'refresh_token', 'access_token'
+];
+// A plain PKCE code_challenge is the verifier itself.
+const REDACTED_QUERY = ['access_token', 'code_challenge'];
+const REDACTED = '[redacted]';
+
+let buffer = [];
+// Entries pushed out of the ring buffer since it was last cleared
+let dropped = 0;
+const fileCache = { mtimeMs: -1, size: -1, entries: [] };
+
+function settings() {
+  return { ...configManager.getConfigSnapshot().journal };
+}
+
+// Bodies are kept as parsed when small enough, else as a truncated string.
+function captureBody(body, maxBytes) {
+  if (body === undefined || body === null) return null;
+  const text = Buffer.isBuffer(body) ? body.toString('utf8') : typeof body === 'string' ? body : JSON.stringify(body);
+  if (Buffer.byteLength(text) <= maxBytes) return Buffer.isBuffer(body) ? text : body;
+  return { truncated: true, bytes: Buffer.byteLength(text), preview: text.slice(0, maxBytes) };
+}
+
+function lowerCaseSet(names) {
+  return new Set(names.map(name => String(name).toLowerCase()));
+}
+
+// Header, query and body field names to redact for a request to `endpoint`
+// (if any).
+function redactedNames(options, endpoint) {
+  const headers = lowerCaseSet(Array.isArray(options.redactHeaders) ? options.redactHeaders : DEFAULT_REDACTED_HEADERS);
+  const fields = lowerCaseSet(Array.isArray(options.redactBodyFields) ? options.redactBodyFields : DEFAULT_REDACTED_FIELDS);
+  const query = new Set(REDACTED_QUERY);
+  for (const scheme of [].concat(endpoint?.auth || [])) {
+    if (scheme?.type !== 'apiKey' || typeof scheme.name !== 'string') continue;
+    if (scheme.in === 'query') query.add(scheme.name);
+    else headers.add(scheme.name.toLowerCase());
+    fields.add(scheme.name.toLowerCase());
+  }
+  return { headers, query, fields };
+}
+
+function redact(values, names, caseless) {
+  const copy = { ...values };
+  for (const key of Object.keys(copy)) {
+    if (names.has(caseless ? key.toLowerCase() : key)) copy[key] = REDACTED;
+  }
+  return copy;
+}
+
+// Parsed bodies (JSON, forms, XML) with the named fields redacted wherever
+// they are nested; raw bodies are kept as they are.
+function redactBody(body, names) {
+  if (Array.isArray(body)) return body.map(item => redactBody(item, names));
+  if (body === null || typeof body !== 'object' || Buffer.isBuffer(body)) return body;
+  const copy = {};
+  for (const [key, value] of Object.entries(body)) {
+    copy[key] = names.has(key.toLowerCase()) ? REDACTED : redactBody(value, names);
+  }
+  return copy;
+}
+
+function appendToFile(entry) {
+  try {
+    if (fs.statSync(JOURNAL_FILE).size > MAX_FILE_BYTES) fs.renameSync(JOURNAL_FILE, `${JOURNAL_FILE}.1`);
+  } catch (e) { /* not there yet, or another worker rotated it */ }
+  try {
+    fs.appendFileSync(JOURNAL_FILE, JSON.stringify(entry) + '\n');
+  } catch (err) {
+    console.error('Error writing request journal:', err);
+  }
+}
+
+// Record a finished request. `match` is what the handler resolved:
+// { endpoint, responseIndex, condition, upstream, fault, status } (all optional).
+function record(request, reply, match = {}) {
+  const options = settings();
+  if (options.enabled === false) return null;
+
+  const queryIndex = request.url.indexOf('?');
+  const redacted = redactedNames(options, match.endpoint);
+  const entry = {
+    id: crypto.randomUUID(),
+    timestamp: new Date().toISOString(),
+    method: request.method,
+    path: queryIndex === -1 ? request.url : request.url.slice(0, queryIndex),
+    query: redact(request.query, redacted.query, false),
+    pathParams: { ...request.pathParams },
+    // How the endpoint reads `params`, so verification conditions can use them
+    parameterSource: match.endpoint ? match.endpoint.parameterSource || 'none' : null,
+    headers: redact(request.headers, redacted.headers, true),
+    body: captureBody(redactBody(request.body, redacted.fields), options.maxBodyBytes || 65536),
+    endpointId: match.endpoint ? match.endpoint.id : null,
+    endpointPath: match.endpoint ? match.endpoint.path : null,
+    responseIndex: match.responseIndex ?? null,
+    condition: match.condition || null,
+    upstream: match.upstream || null,
+    fault: match.fault || null,
+    // null when the connection was dropped without a response
+    status: 'status' in match ? match.status : reply.statusCode,
+    durationMs: Math.round(reply.elapsedTime)
+  };
+
+  const size = Math.max(1, options.size || 500);
+  buffer.push(entry);
+  if (buffer.length > size) dropped += buffer.splice(0, buffer.length - size).length;
+  if (options.persist) appendToFile(entry);
+  return entry;
+}
+
+// Newest `size` entries from the JSONL file, re-read only when it changes.
+function readFileEntries(size) {
+  let stat;
+  try {
+    stat = fs.statSync(JOURNAL_FILE);
+  } catch (e) {
+    return [];
+  }
+  if (stat.mtimeMs !== fileCache.mtimeMs || stat.size !== fileCache.size) {
+    const entries = [];
+    for (const line of fs.readFileSync(JOURNAL_FILE, 'utf8').split('\n')) {
+      if (!line) continue;
+      try { entries.push(JSON.parse(line)); } catch (e) { /* partial line from a concurrent write */ }
+    }
+    Object.assign(fileCache, { mtimeMs: stat.mtimeMs, size: stat.size, entries });
+  }
+  return fileCache.entries.slice(-size);
+}
+
+// Whether requests recorded since the last clear have left the retained
+// window (`size` entries, or the rotated-away part of the file), so counts
+// over getEntries() may be too low.
+function windowExceeded() {
+  const options = settings();
+  if (!options.persist) return dropped > 0;
+  const size = Math.max(1, options.size || 500);
+  readFileEntries(size);
+  return fileCache.entries.length > size || fs.existsSync(`${JOURNAL_FILE}.1`);
+}
+
+// All retained entries, oldest first.
+function getEntries() {
+  const options = settings();
+  return options.persist ? readFileEntries(Math.max(1, options.size || 500)) : buffer.slice();
+}
+
+function statusMatches(status, filter) {
+  const wanted = String(filter).toLowerCase();
+  return /^[1-5]xx$/.test(wanted) ? String(status)[0] === wanted[0] : String(status) === wanted;
+}
+
+// Filter entries by method, path (substring), endpointId, status ("404" or
+// "4xx"), matched ("true"/"false") and since (ISO time or epoch ms).
+function filterEntries(entries, filter = {}) {
+  const since = filter.since ? (/^\d+$/.test(filter.since) ? Number(filter.since) : Date.parse(filter.since)) : null;
+  return entries.filter(entry => {
+    if (filter.method && entry.method !== String(filter.method).toUpperCase()) return false;
+    if (filter.path && !entry.path.includes(filter.path)) return false;
+    if (filter.endpointId && entry.endpointId !== filter.endpointId) return false;
+    if (filter.status && !statusMatches(entry.status, filter.status)) return false;
+    if (filter.matched !== undefined && filter.matched !== '' &&
+        (entry.endpointId !== null) !== (String(filter.matched) === 'true')) return false;
+    if (since !== null && !(Date.parse(entry.timestamp) > since)) return false;
+    return true;
+  });
+}
+
+// Predicate for the verification API. Criteria: endpointId, method, path (a
+// pattern such as "/users/:id", whose captures become path.<name>) and a
+// condition in the same safe language as conditional responses, evaluated
+// against the journaled request (params.<name> as the endpoint read them).
+// Returns { test } or { error }.
+function compileRequestMatcher({ endpointId, method, path: pattern, condition } = {}) {
+  let compiledPath = null;
+  if (pattern !== undefined && pattern !== null && pattern !== '') {
+    try {
+      compiledPath = compilePathPattern(String(pattern));
+    } catch (err) {
+      return { error: err.message };
+    }
+  }
+  let ast = null;
+  if (condition !== undefined && condition !== null && condition !== '') {
+    ast = compileCondition(condition);
+    if (!ast) return { error: 'Invalid condition' };
+  }
+  const wantedMethod = method ? String(method).toUpperCase() : null;
+
+  return {
+    test(entry) {
+      if (endpointId && entry.endpointId !== endpointId) return false;
+      if (wantedMethod && wantedMethod !== 'ANY' && entry.method !== wantedMethod) return false;
+      let pathParams = entry.pathParams || {};
+      if (compiledPath) {
+        pathParams = matchPath(compiledPath, entry.path);
+        if (!pathParams) return false;
+      }
+      return !ast || evaluateCompiledCondition(ast, collectParams(entry.parameterSource, entry), { ...entry, pathParams });
+    }
+  };
+}
+
+function clear() {
+  buffer = [];
+  dropped = 0;
+  Object.assign(fileCache, { mtimeMs: -1, size: -1, entries: [] });
+  for (const file of [JOURNAL_FILE, `${JOURNAL_FILE}.1`]) {
+    try { fs.unlinkSync(file); } catch (e) { /* not there */ }
+  }
+}
+
+module.exports = {
+  record,
+  getEntries,
+  windowExceeded,
+  filterEntries,
+  compileRequestMatcher,
+  clear,
+  JOURNAL_FILE,
+  DEFAULT_REDACTED_HEADERS,
+  DEFAULT_REDACTED_FIELDS
+};
@@ -0,0 +1,158 @@
+'use strict';
+
+// Minimal JWS/JWT support on node:crypto for the endpoint JWT checks and the
+// built-in OAuth server: JWK Set import, compact-token decoding, signature and
+// registered-claim verification, and signing.
+
+const crypto = require('crypto');
+const { isObject } = require('./common');
+
+// JWS algorithm -> how to sign/verify it.
+const JWT_ALGORITHMS = {
+  HS256: { kind: 'hmac', hash: 'sha256' },
+  HS384: { kind: 'hmac', hash: 'sha384' },
+  HS512: { kind: 'hmac', hash: 'sha512' },
+  RS256: { kind: 'rsa', hash: 'sha256' },
+  RS384: { kind: 'rsa', hash: 'sha384' },
+  RS512: { kind: 'rsa', hash: 'sha512' },
+  PS256: { kind: 'pss', hash: 'sha256' },
+  PS384: { kind: 'pss', hash: 'sha384' },
+  PS512: { kind: 'pss', hash: 'sha512' },
+  ES256: { kind: 'ec', hash: 'sha256' },
+  ES384: { kind: 'ec', hash: 'sha384' },
+  ES512: { kind: 'ec', hash: 'sha512' },
+  EdDSA: { kind: 'eddsa', hash: null }
+};
+const HMAC_JWT_ALGORITHMS = ['HS256', 'HS384', 'HS512'];
+const KEY_TYPES = { hmac: 'oct', rsa: 'RSA', pss: 'RSA', ec: 'EC', eddsa: 'OKP' };
+
+// Turn a JWK Set into [{ kid, kty, alg, use, key }] with KeyObjects. Throws on
+// anything that isn't a usable key.
+function importJwks(jwks) {
+  if (!isObject(jwks) || !Array.isArray(jwks.keys) || jwks.keys.length === 0) {
+    throw new Error('must be a JWK Set with a non-empty "keys" list');
+  }
+  return jwks.keys.map((jwk, i) => {
+    if (!isObject(jwk)) throw new Error(`keys[${i}] must be an object`);
+    try {
+      const key = jwk.kty === 'oct'
+        ? crypto.createSecretKey(Buffer.from(String(jwk.k || ''), 'base64url'))
+        : crypto.createPublicKey({ key: jwk, format: 'jwk' });
+      return { kid: jwk.kid, kty: jwk.kty, alg: jwk.alg, use: jwk.use, key };
+    } catch (err) {
+      throw new Error(`keys[${i}] is not a valid key: ${err.message}`);
+    }
+  });
+}
+
+function decodeSegment(segment) {
+  if (!/^[A-Za-z0-9_-]*$/.test(segment)) throw new Error('not base64url');
+  return Buffer.from(segment, 'base64url');
+}
+
+function encodeSegment(value) {
+  return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+// Split a compact JWS into its parsed parts, or null when it isn't one.
+function decodeJwt(token) {
+  const parts = String(token).split('.');
+  if (parts.length !== 3) return null;
+  try {
+    const header = JSON.parse(decodeSegment(parts[0]).toString('utf8'));
+    const payload = JSON.parse(decodeSegment(parts[1]).toString('utf8'));
+    if (!isObject(header) || !isObject(payload)) return null;
+    return { header, payload, signingInput: `${parts[0]}.${parts[1]}`, signature: decodeSegment(parts[2]) };
+  } catch {
+    return null;
+  }
+}
+
+// Keys that may verify a token signed with `alg` (and `kid`, when given).
+function candidateKeys(keys, alg, kid) {
+  const kind = JWT_ALGORITHMS[alg].kind;
+  return keys.filter(entry =>
+    (kid === undefined || entry.kid === kid) &&
+    entry.kty === KEY_TYPES[kind] &&
+    (!entry.alg || entry.alg === alg) &&
+    (!entry.use || entry.use === 'sig')
+  );
+}
+
+function signatureOptions(kind, key) {
+  const options = { key };
+  if (kind === 'pss') {
+    options.padding = crypto.constants.RSA_PKCS1_PSS_PADDING;
+    options.saltLength = crypto.constants.RSA_PSS_SALTLEN_DIGEST;
+  }
+  if (kind === 'ec') options.dsaEncoding = 'ieee-p1363';
+  return options;
+}
+
+function verifySignature(alg, key, jwt) {
+  const { kind, hash } = JWT_ALGORITHMS[alg];
+  const data = Buffer.from(jwt.signingInput);
+  if (kind === 'hmac') {
+    const expected = crypto.createHmac(hash, key).update(data).digest();
+    return expected.length === jwt.signature.length && crypto.timingSafeEqual(expected, jwt.signature);
+  }
+  try {
+    return crypto.verify(hash, data, signatureOptions(kind, key), jwt.signature);
+  } catch {
+    return false;
+  }
+}
+
+// Verify a compact JWT. `keys` come from importJwks (or { kty: 'oct', key } for
+// a shared secret); options: { algorithms, typ, issuer, audience,
+// clockTolerance }. `exp` and `nbf` are checked when present. Returns
+// { header, payload } or { error } with a description fit for a client.
+function verifyJwt(token, keys, { algorithms, typ, issuer, audience, clockTolerance = 0 } = {}) {
+  const jwt = decodeJwt(token);
+  if (!jwt) return { error: 'Malformed token' };
+  const alg = jwt.header.alg;
+  if (typeof alg !== 'string' || !Object.hasOwn(JWT_ALGORITHMS, alg) || !algorithms.includes(alg)) {
+    return { error: 'Token algorithm is not allowed' };
+  }
+  const kid = keys.every(entry => entry.kid === undefined) ? undefined : jwt.header.kid;
+  if (!candidateKeys(keys, alg, kid).some(entry => verifySignature(alg, entry.key, jwt))) {
+    return { error: 'Invalid token signature' };
+  }
+  if (typ !== undefined && String(jwt.header.typ).toLowerCase() !== typ) return { error: 'Wrong token type' };
+
+  const claims = jwt.payload;
+  const now = Date.now() / 1000;
+  if (claims.exp !== undefined && !(typeof claims.exp === 'number' && now <= claims.exp + clockTolerance)) {
+    return { error: 'Token expired' };
+  }
+  if (claims.nbf !== undefined && !(typeof claims.nbf === 'number' && now >= claims.nbf - clockTolerance)) {
+    return { error: 'Token not yet valid' };
+  }
+  if (issuer !== undefined && claims.iss !== issuer) return { error: 'Invalid token issuer' };
+  if (audience !== undefined) {
+    const allowed = [].concat(audience);
+    const audiences = [].concat(claims.aud ?? []);
+    if (!audiences.some(aud => allowed.includes(aud))) return { error: 'Invalid token audience' };
+  }
+  return { header: jwt.header, payload: claims };
+}
+
+// Sign `payload` as a compact JWS. `key` is a private KeyObject (or a secret
+// for HS*); header may add kid/typ.
+function signJwt(payload, alg, key, header = {}) {
+  const { kind, hash } = JWT_ALGORITHMS[alg];
+  const input = `${encodeSegment({ alg, ...header })}.${encodeSegment(payload)}`;
+  const signature = kind === 'hmac'
+    ? crypto.createHmac(hash, key).update(input).digest()
+    : crypto.sign(hash, Buffer.from(input), signatureOptions(kind, key));
+  return `${input}.${signature.toString('base64url')}`;
+}
+
+module.exports = {
+  JWT_ALGORITHMS,
+  HMAC_JWT_ALGORITHMS,
+  importJwks,
+  decodeJwt,
+  verifyJwt,
+  signJwt
+};
@@ -0,0 +1,136 @@
+'use strict';
+
+// Latency, jitter and bandwidth shaping for mock responses.
+//
+// A delay spec may be set globally (config.json "delay"), per endpoint and per
+// response variant; the more specific one overrides the less specific field by
+// field:
+//
+//   {
+//     fixed: 200,                  // ms added to every response
+//     distribution: 'uniform',     // 'none' | 'uniform' | 'normal' random jitter
+//     min: 0, max: 300,            // uniform jitter bounds (ms)
+//     mean: 100, stdDev: 25,       // normal jitter parameters (ms)
+//     bytesPerSecond: 4096         // drip the body out at this rate (0 = off)
+//   }
+
+const { Readable } = require('stream');
+
+const DISTRIBUTIONS = ['none', 'uniform', 'normal'];
+// Drip interval for throttled bodies; each tick writes bytesPerSecond / 10.
+const THROTTLE_TICK_MS = 100;
+
+function toNonNegative(value) {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : 0;
+}
+
+// Merge global, endpoint and response delay specs (later wins per field).
+function resolveDelay(...specs) {
+  const merged = {};
+  for (const spec of specs) {
+    if (spec && typeof spec === 'object') Object.assign(merged, spec);
+  }
+  return merged;
+}
+
+// Standard normal sample (Box-Muller).
+function randomNormal() {
+  let u = 0;
+  while (u === 0) u = Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+// Draw the delay in ms for one request. `maxMs` caps it (the connection
+// timeout) so a long jitter tail can't outlive the proxy's read timeout.
+function sampleDelayMs(spec, maxMs = Infinity) {
+  let ms = toNonNegative(spec.fixed);
+
+  if (spec.distribution === 'uniform') {
+    const min = toNonNegative(spec.min);
+    const max = Math.max(min, toNonNegative(spec.max));
+    ms += min + Math.random() * (max - min);
+  } else if (spec.distribution === 'normal') {
+    const mean = toNonNegative(spec.mean);
+    const stdDev = toNonNegative(spec.stdDev);
+    ms += Math.max(0, mean + randomNormal() * stdDev);
+  }
+
+  return Math.round(Math.min(ms, maxMs));
+}
+
+// Worst-case delay for validation against the connection timeout. A normal
+// distribution is unbounded, so mean + 3 standard deviations stands in for it.
+function maxDelayMs(spec) {
+  let ms = toNonNegative(spec.fixed);
+  if (spec.distribution === 'uniform') ms += Math.max(toNonNegative(spec.min), toNonNegative(spec.max));
+  if (spec.distribution === 'normal') ms += toNonNegative(spec.mean) + 3 * toNonNegative(spec.stdDev);
+  return ms;
+}
+
+// Validate a delay spec. Returns an error message or null.
+function validateDelay(spec, connectionTimeout) {
+  if (spec === undefined || spec === null) return null;
+  if (typeof spec !== 'object' || Array.isArray(spec)) return 'delay must be an object';
+
+  for (const key of ['fixed', 'min', 'max', 'mean', 'stdDev', 'bytesPerSecond']) {
+    if (spec[key] === undefined || spec[key] === null) continue;
+    const n = Number(spec[key]);
+    if (!Number.isFinite(n) || n < 0) return `delay.${key} must be a non-negative number`;
+  }
+  if (spec.distribution !== undefined && !DISTRIBUTIONS.includes(spec.distribution)) {
+    return `delay.distribution must be one of ${DISTRIBUTIONS.join(', ')}`;
+  }
+  if (spec.distribution === 'uniform' && toNonNegative(spec.min) > toNonNegative(spec.max)) {
+    return 'delay.min must not exceed delay.max';
+  }
+
+  const worst = maxDelayMs(spec);
+  if (connectionTimeout > 0 && worst >= connectionTimeout) {
+    return `delay of up to ${Math.round(worst)}ms would exceed the ${connectionTimeout}ms connection timeout`;
+  }
+  return null;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Wrap a serialized payload in a stream that emits it at ~bytesPerSecond.
+function throttleStream(payload, bytesPerSecond) {
+  const buffer = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  const chunkSize = Math.max(1, Math.floor(bytesPerSecond * THROTTLE_TICK_MS / 1000));
+  let offset = 0;
+  let timer = null;
+
+  return new Readable({
+    read() {
+      if (timer) return;
+      const tick = () => {
+        timer = null;
+        const chunk = buffer.subarray(offset, offset + chunkSize);
+        offset += chunk.length;
+        this.push(chunk);
+        if (offset >= buffer.length) this.push(null);
+      };
+      // First chunk goes out immediately so headers + a prefix arrive at once.
+      if (offset === 0) tick();
+      else timer = setTimeout(tick, THROTTLE_TICK_MS);
+    },
+    destroy(err, callback) {
+      if (timer) clearTimeout(timer);
+      callback(err);
+    }
+  });
+}
+
+module.exports = {
+  resolveDelay,
+  sampleDelayMs,
+  maxDelayMs,
+  validateDelay,
+  throttleStream,
+  sleep,
+  DISTRIBUTIONS
+};
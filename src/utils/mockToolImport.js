@@ -0,0 +1,602 @@
+'use strict';
+
+// Convert the definitions of other mock servers into endpoint definitions:
+// WireMock stub mappings and Mockoon environment files.
+//
+// WireMock stubs for the same method and path become the response variants of
+// one endpoint, in priority order. Their request matchers become conditions
+// (equalTo, absent, and/or, simple equalToJson / matchesJsonPath body checks),
+// scenario states become the variants' scenario states, and fixed, uniform and
+// lognormal delays, chunked dribble and faults map onto delay specs and fault
+// modes. When every stub has a condition a 404 variant answers the rest, as
+// WireMock does for unmatched requests.
+//
+// Every Mockoon route becomes an endpoint. Response rules become conditions
+// (joined with the route's AND/OR), the default response is the fallback,
+// sequential routes cycle through their responses and CRUD routes become
+// resource endpoints seeded from their data bucket.
+//
+// Handlebars templates are translated to the template engine's names
+// ({{request.query.x}} and {{queryParam 'x'}} -> {{query.x}}); helpers and
+// blocks it shares (now, faker, jsonPath, each, if, repeat, ...) are kept.
+// Expressions without an equivalent are escaped, so they are served as text.
+// Those, and matchers, rules and settings that can't be expressed, are listed
+// in `warnings` (dropped from the definition) or, when nothing sensible can be
+// imported, in `skipped`.
+
+const { parseDocument } = require('./openapiImport');
+const { buildVariants, literal } = require('./exchangeImport');
+const { findTemplateError, escapeTemplate, isHelper, BLOCKS } = require('./templates');
+
+const METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'ANY'];
+// Names usable in conditions and templates.
+const CONDITION_KEY = /^[A-Za-z_][A-Za-z0-9_-]*$/;
+const WIREMOCK_DEFAULT_PRIORITY = 5;
+const WIREMOCK_FAULTS = {
+  CONNECTION_RESET_BY_PEER: 'close',
+  EMPTY_RESPONSE: 'close',
+  MALFORMED_RESPONSE_CHUNK: 'malformed',
+  RANDOM_DATA_THEN_CLOSE: 'abort'
+};
+// A regular expression that matches one whole path segment.
+const SEGMENT_REGEX = /^\(?(?:\[[^\]]+\]|\\[dwsS]|\.)(?:[+*]|\{\d+(?:,\d*)?\})\)?$/;
+const NOT_MATCHED = { status: 404, contentType: 'application/json', headers: {}, text: '{"error":"No stub matched this request"}' };
+
+function endpointDefaults() {
+  return {
+    protected: false,
+    token: null,
+    parameterSource: 'none',
+    parameters: [],
+    delay: null,
+    faults: null,
+    scenario: null,
+    sequence: null,
+    validation: null,
+    enabled: true
+  };
+}
+
+function mediaType(value) {
+  return String(value || '').split(';')[0].trim().toLowerCase();
+}
+
+// ----- Handlebars templates -----
+
+// Mockoon accessors: {{queryParam 'page' '1'}} -> {{default query.page '1'}}
+const MOCKOON_ACCESSORS = { queryParam: 'query', urlParam: 'path', header: 'headers', body: 'body' };
+
+// Whole expressions with a different form here.
+const TEMPLATE_HELPERS = [
+  [/^(queryParam|urlParam|header|body) '([\w.-]+)'(?:\s+(.+))?$/, (helper, name, fallback) => {
+    const ref = `${MOCKOON_ACCESSORS[helper]}.${name}`;
+    return fallback ? `default ${ref} ${fallback}` : ref;
+  }],
+  [/^bodyRaw$/, () => 'body'],
+  [/^randomValue type='UUID'$/, () => 'uuid']
+];
+
+// WireMock request references inside any expression.
+const REQUEST_REFERENCES = [
+  [/\brequest\.query\.(\w+)(?:\.\[?0\]?)?/g, 'query.$1'],
+  [/\brequest\.headers\.\[?([\w-]+)\]?/g, 'headers.$1'],
+  [/\brequest\.path\.([A-Za-z_]\w*)/g, 'path.$1'],
+  [/\brequest\.method\b/g, 'method'],
+  [/\brequest\.(?:url|path)\b/g, 'path'],
+  [/\brequest\.body\b/g, 'body']
+];
+const REQUEST_ROOT = /^(?:(?:query|headers|body|params|path|method|url)(?:[.[]|$)|this\b|@|\.\.\/)/;
+
+function translateExpression(expression) {
+  for (const [pattern, replace] of TEMPLATE_HELPERS) {
+    const m = expression.match(pattern);
+    if (m) return replace(...m.slice(1));
+  }
+  return REQUEST_REFERENCES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), expression);
+}
+
+// Whether the template engine can render an expression. Plain names are
+// request values, or fields of the current item inside a block.
+function isSupported(expression, insideBlock) {
+  const [, prefix, head] = expression.match(/^([#/]?)\s*([^\s()]*)/);
+  if (prefix) return BLOCKS.has(head);
+  if (head === 'else') return true;
+  if (findTemplateError(`{{${expression}}}`)) return false;
+  return isHelper(head) || REQUEST_ROOT.test(head) || (insideBlock && !/\s/.test(expression));
+}
+
+// Translate {{...}} expressions for the template engine. Those it can't
+// render are escaped and their text is added to `unmapped`; when the result
+// still doesn't parse (e.g. a block closed by an unmapped tag) the whole text
+// is kept literal.
+function translateTemplate(text, unmapped) {
+  const tags = /\{\{\{?\s*([^{}]+?)\s*\}?\}\}/g;
+  let depth = 0;
+  const translated = String(text).replace(tags, (match, expression) => {
+    const target = translateExpression(expression);
+    if (!isSupported(target, depth > 0)) {
+      unmapped.add(match);
+      return escapeTemplate(match);
+    }
+    if (target.startsWith('#')) depth++;
+    else if (target.startsWith('/')) depth--;
+    return `{{${target}}}`;
+  });
+  if (!findTemplateError(translated)) return translated;
+  for (const [match] of String(text).matchAll(tags)) unmapped.add(match);
+  return escapeTemplate(String(text));
+}
+
+function reportTemplates(where, unmapped, warnings) {
+  if (unmapped.size) warnings.push(`${where}: template expressions kept as text: ${[...unmapped].join(', ')}`);
+}
+
+// ----- WireMock -----
+
+// Condition for one WireMock value matcher, or null when it can't be expressed.
+function matcherCondition(variable, matcher, notes) {
+  if (!matcher || typeof matcher !== 'object') return null;
+  if ('equalTo' in matcher) {
+    if (matcher.caseInsensitive) notes.push(`${variable} is compared case-sensitively`);
+    return `${variable} == ${literal(String(matcher.equalTo))}`;
+  }
+  if ('absent' in matcher) return matcher.absent ? `!${variable}` : variable;
+  for (const op of ['and', 'or']) {
+    if (!Array.isArray(matcher[op])) continue;
+    const parts = matcher[op].map(m => matcherCondition(variable, m, notes));
+    if (parts.length === 0 || parts.includes(null)) return null;
+    return `(${parts.join(op === 'and' ? ' && ' : ' || ')})`;
+  }
+  return null;
+}
+
+// Conditions for a body pattern: top-level fields of equalToJson, simple
+// "$.field" matchesJsonPath expressions.
+function bodyPatternConditions(pattern, notes) {
+  if ('equalToJson' in pattern) {
+    let json = pattern.equalToJson;
+    if (typeof json === 'string') {
+      try { json = JSON.parse(json); } catch (e) { return null; }
+    }
+    if (!json || typeof json !== 'object' || Array.isArray(json)) return null;
+    const conditions = [];
+    for (const [key, value] of Object.entries(json)) {
+      if (CONDITION_KEY.test(key) && (value === null || typeof value !== 'object')) {
+        conditions.push(`body.${key} == ${literal(value)}`);
+      } else {
+        notes.push(`equalToJson field "${key}" is not matched`);
+      }
+    }
+    if (pattern.ignoreExtraElements !== true) notes.push('equalToJson also accepts extra fields');
+    return conditions.length ? conditions : null;
+  }
+  if ('matchesJsonPath' in pattern) {
+    const spec = pattern.matchesJsonPath;
+    const expression = typeof spec === 'string' ? spec : spec && spec.expression;
+    const field = String(expression || '').match(/^\$\.([A-Za-z_][A-Za-z0-9_-]*)$/);
+    if (!field) return null;
+    if (typeof spec === 'string') return [`body.${field[1]}`];
+    const condition = matcherCondition(`body.${field[1]}`, spec, notes);
+    return condition ? [condition] : null;
+  }
+  return null;
+}
+
+// Split a regular expression on the "/" that are not inside [] or ().
+function splitRegexPath(source) {
+  const parts = [];
+  let depth = 0;
+  let current = '';
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') { current += c + (source[i + 1] || ''); i++; continue; }
+    if (c === '[' || c === '(') depth++;
+    if (c === ']' || c === ')') depth--;
+    if (c === '/' && depth === 0) { parts.push(current); current = ''; continue; }
+    current += c;
+  }
+  parts.push(current);
+  return parts;
+}
+
+// Path pattern for a urlPathPattern/urlPattern regex, or null. Literal segments
+// stay, segments matched by a class such as [^/]+ or \d+ become :paramN and a
+// trailing .* becomes a wildcard.
+function pathFromRegex(regex) {
+  const source = String(regex).replace(/^\^/, '').replace(/\$$/, '').split(/\\\?/)[0];
+  if (!source.startsWith('/')) return null;
+  const segments = splitRegexPath(source).slice(1);
+  let params = 0;
+  const converted = segments.map((segment, i) => {
+    const literalText = segment.replace(/\\([.\-/])/g, '$1');
+    if (!/[\\^$.|?*+()[\]{}]/.test(literalText)) return literalText;
+    if (i === segments.length - 1 && /^\(?\.[*+]\)?$/.test(segment)) return '*';
+    if (SEGMENT_REGEX.test(segment)) return `:param${++params}`;
+    return null;
+  });
+  return converted.includes(null) ? null : '/' + converted.join('/');
+}
+
+// Method, path and query conditions of a stub's request, or { error }.
+function wireMockTarget(request, notes) {
+  const method = String(request.method || 'ANY').toUpperCase();
+  if (!METHODS.includes(method)) return { error: `${method} requests are not supported` };
+  const conditions = [];
+
+  if (request.url !== undefined || request.urlPath !== undefined) {
+    const url = String(request.url ?? request.urlPath);
+    const index = url.indexOf('?');
+    if (index !== -1) {
+      for (const [key, value] of new URLSearchParams(url.slice(index + 1))) {
+        if (CONDITION_KEY.test(key)) conditions.push(`query.${key} == ${literal(value)}`);
+        else notes.push(`query parameter "${key}" is not matched`);
+      }
+    }
+    return { method, path: index === -1 ? url : url.slice(0, index), conditions };
+  }
+  if (request.urlPathTemplate !== undefined) {
+    return { method, path: String(request.urlPathTemplate).replace(/\{([A-Za-z_][A-Za-z0-9_]*)\}/g, ':$1'), conditions };
+  }
+  const regex = request.urlPathPattern ?? request.urlPattern;
+  if (regex !== undefined) {
+    const path = pathFromRegex(regex);
+    if (!path) return { error: `URL pattern ${regex} can't be expressed as a path pattern` };
+    notes.push(`URL pattern ${regex} is matched as ${path}`);
+    if (request.urlPattern !== undefined && /\\\?/.test(regex)) notes.push('the query part of urlPattern is not matched');
+    return { method, path, conditions };
+  }
+  return { method, path: '/*', conditions };
+}
+
+function wireMockConditions(request, conditions, notes) {
+  for (const [source, root] of [['queryParameters', 'query'], ['headers', 'headers']]) {
+    for (const [name, matcher] of Object.entries(request[source] || {})) {
+      const key = root === 'headers' ? name.toLowerCase() : name;
+      const condition = CONDITION_KEY.test(key) ? matcherCondition(`${root}.${key}`, matcher, notes) : null;
+      if (condition) conditions.push(condition);
+      else notes.push(`${root === 'query' ? 'query parameter' : 'header'} matcher on "${name}" is not matched`);
+    }
+  }
+  for (const [name, matcher] of Object.entries(request.pathParameters || {})) {
+    const condition = matcherCondition(`path.${name}`, matcher, notes);
+    if (condition) conditions.push(condition);
+    else notes.push(`path parameter matcher on "${name}" is not matched`);
+  }
+  for (const pattern of Array.isArray(request.bodyPatterns) ? request.bodyPatterns : []) {
+    const matched = pattern && typeof pattern === 'object' ? bodyPatternConditions(pattern, notes) : null;
+    if (matched) conditions.push(...matched);
+    else notes.push(`body pattern ${JSON.stringify(pattern)} is not matched`);
+  }
+  if (request.cookies) notes.push('cookie matchers are not matched');
+  if (request.basicAuthCredentials) notes.push('basic auth credentials are not checked');
+}
+
+// Delay spec for a stub response, or null.
+function wireMockDelay(response, bodyBytes, notes) {
+  const delay = {};
+  if (Number(response.fixedDelayMilliseconds) > 0) delay.fixed = Number(response.fixedDelayMilliseconds);
+  const distribution = response.delayDistribution;
+  if (distribution && distribution.type === 'uniform') {
+    Object.assign(delay, { distribution: 'uniform', min: Number(distribution.lower) || 0, max: Number(distribution.upper) || 0 });
+  } else if (distribution && distribution.type === 'lognormal') {
+    const median = Number(distribution.median) || 0;
+    Object.assign(delay, { distribution: 'normal', mean: median, stdDev: Math.round(median * (Number(distribution.sigma) || 0)) });
+    notes.push('the lognormal delay is approximated by a normal distribution');
+  } else if (distribution && distribution.type === 'fixed') {
+    delay.fixed = (delay.fixed || 0) + (Number(distribution.milliseconds) || 0);
+  } else if (distribution) {
+    notes.push(`${distribution.type} delay distribution is not supported`);
+  }
+  const dribble = response.chunkedDribbleDelay;
+  if (dribble && Number(dribble.totalDuration) > 0 && bodyBytes > 0) {
+    delay.bytesPerSecond = Math.max(1, Math.ceil(bodyBytes * 1000 / Number(dribble.totalDuration)));
+  }
+  return Object.keys(delay).length ? delay : null;
+}
+
+// The recorded-response shape exchangeImport.buildVariants takes.
+function wireMockResponse(response, notes) {
+  const headers = {};
+  let contentType = '';
+  for (const [name, value] of Object.entries(response.headers || {})) {
+    const text = Array.isArray(value) ? value.join(', ') : String(value);
+    if (name.toLowerCase() === 'content-type') contentType = mediaType(text);
+    else if (name.toLowerCase() !== 'content-length') headers[name] = text;
+  }
+  const result = { status: Number(response.status) || 200, headers, contentType, text: '' };
+  if (response.jsonBody !== undefined) {
+    result.text = JSON.stringify(response.jsonBody);
+    result.contentType = contentType || 'application/json';
+  } else if (response.base64Body !== undefined) {
+    result.base64 = String(response.base64Body);
+    result.contentType = contentType || 'application/octet-stream';
+  } else if (response.body !== undefined) {
+    result.text = String(response.body);
+  } else if (response.bodyFileName) {
+    notes.push(`body file ${response.bodyFileName} is not imported; the response is empty`);
+  }
+  return result;
+}
+
+function wireMockMappings(doc) {
+  if (Array.isArray(doc)) return doc;
+  if (doc && Array.isArray(doc.mappings)) return doc.mappings;
+  if (doc && doc.request && doc.response) return [doc];
+  return null;
+}
+
+// Convert stub mappings: { mappings: [...] }, an array of mappings or a single
+// one. Returns { title, endpoints, skipped: [{ entry, method, path, error }],
+// warnings, token }.
+function convertWireMock(input) {
+  const doc = parseDocument(input);
+  const mappings = wireMockMappings(doc);
+  if (!mappings) throw new Error('Not WireMock stub mappings (missing mappings, or request and response)');
+
+  const skipped = [];
+  const warnings = [];
+  const groups = new Map();
+
+  mappings.forEach((mapping, index) => {
+    const where = `mappings[${index}]${mapping && mapping.name ? ` (${mapping.name})` : ''}`;
+    if (!mapping || typeof mapping !== 'object' || !mapping.request || !mapping.response) {
+      skipped.push({ entry: where, method: null, path: null, error: 'Mapping needs a request and a response' });
+      return;
+    }
+    const notes = [];
+    const target = wireMockTarget(mapping.request, notes);
+    if (target.error) {
+      skipped.push({ entry: where, method: mapping.request.method || null, path: null, error: target.error });
+      return;
+    }
+    if (mapping.response.proxyBaseUrl) {
+      skipped.push({ entry: where, method: target.method, path: target.path, error: 'Proxy stubs are not supported (use the proxy settings instead)' });
+      return;
+    }
+    wireMockConditions(mapping.request, target.conditions, notes);
+
+    const transformers = [...(mapping.response.transformers || []), ...(mapping.transformers || [])];
+    const templated = transformers.includes('response-template');
+    const unmapped = new Set();
+    const response = wireMockResponse(mapping.response, notes);
+    const extra = {};
+    const delay = wireMockDelay(mapping.response, Buffer.byteLength(response.text || ''), notes);
+    if (delay) extra.delay = delay;
+    if (mapping.scenarioName) {
+      extra.scenario = String(mapping.scenarioName);
+      if (mapping.requiredScenarioState) extra.requiredState = String(mapping.requiredScenarioState);
+      if (mapping.newScenarioState) extra.newState = String(mapping.newScenarioState);
+    }
+    if (mapping.response.statusMessage) notes.push('the status message is not imported');
+
+    for (const note of notes) warnings.push(`${where}: ${note}`);
+
+    const key = `${target.method} ${target.path}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push({
+      where,
+      index,
+      target,
+      priority: Number.isInteger(mapping.priority) ? mapping.priority : WIREMOCK_DEFAULT_PRIORITY,
+      fault: mapping.response.fault,
+      unmapped,
+      entry: {
+        response,
+        condition: target.conditions.join(' && ') || null,
+        extra,
+        template: templated ? value => translateTemplate(value, unmapped) : null
+      }
+    });
+  });
+
+  const endpoints = [];
+  for (const stubs of groups.values()) {
+    // Lower priority numbers win; among equals the stub added last does.
+    stubs.sort((a, b) => a.priority - b.priority || b.index - a.index);
+    const { method, path } = stubs[0].target;
+
+    let faults = null;
+    for (const stub of stubs.filter(s => s.fault)) {
+      const mode = WIREMOCK_FAULTS[stub.fault];
+      if (mode && stubs.length === 1 && !stub.entry.condition && !stub.entry.extra.requiredState) faults = { [mode]: 1 };
+      else warnings.push(`${stub.where}: the ${stub.fault} fault can only be imported for an unconditional stub of its own; served as a normal response`);
+    }
+
+    const entries = stubs.map(stub => stub.entry);
+    if (!entries.some(entry => !entry.condition && !entry.extra.requiredState)) {
+      entries.push({ response: NOT_MATCHED, condition: null, extra: {} });
+    }
+    const { responseType, responses } = buildVariants(entries);
+    for (const stub of stubs) reportTemplates(stub.where, stub.unmapped, warnings);
+    const names = stubs.map(s => s.where).join(', ');
+    endpoints.push({
+      ...endpointDefaults(),
+      path,
+      method,
+      description: `Imported from WireMock ${names}`,
+      responseType,
+      responses,
+      faults
+    });
+  }
+
+  return { title: '', endpoints, skipped, warnings, token: null };
+}
+
+// ----- Mockoon -----
+
+function mockoonHeaders(list) {
+  return (Array.isArray(list) ? list : []).filter(h => h && h.key);
+}
+
+// Condition for one Mockoon rule, or null when it can't be expressed.
+function ruleCondition(rule) {
+  const roots = { query: 'query', header: 'headers', params: 'path', body: 'body' };
+  let variable;
+  if (rule.target === 'method') variable = 'method';
+  else if (roots[rule.target] && CONDITION_KEY.test(String(rule.modifier || ''))) {
+    variable = `${roots[rule.target]}.${rule.target === 'header' ? rule.modifier.toLowerCase() : rule.modifier}`;
+  } else {
+    return null;
+  }
+  const value = rule.target === 'method' ? String(rule.value).toUpperCase() : String(rule.value ?? '');
+  switch (rule.operator || 'equals') {
+    case 'equals': return `${variable} ${rule.invert ? '!=' : '=='} ${literal(value)}`;
+    case 'null': return rule.invert ? variable : `!${variable}`;
+    default: return null;
+  }
+}
+
+function mockoonPath(prefix, endpoint) {
+  return '/' + [prefix, endpoint].map(part => String(part || '').replace(/^\/+|\/+$/g, '')).filter(Boolean).join('/');
+}
+
+// Convert an environment file. Returns the same shape as convertWireMock.
+function convertMockoon(input) {
+  const doc = parseDocument(input);
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.routes)) {
+    throw new Error('Not a Mockoon environment (missing routes)');
+  }
+
+  const skipped = [];
+  const warnings = [];
+  const endpoints = [];
+  const buckets = new Map((Array.isArray(doc.data) ? doc.data : []).flatMap(b => [[b.uuid, b], [b.id, b]]));
+  const envHeaders = mockoonHeaders(doc.headers);
+  const envLatency = Number(doc.latency) > 0 ? { fixed: Number(doc.latency) } : null;
+  if (doc.proxyMode) warnings.push(`Proxying to ${doc.proxyHost || 'the upstream'} is not imported; set it up under Settings → Proxy`);
+
+  doc.routes.forEach((route, index) => {
+    const method = String(route && route.method || '').toUpperCase() === 'ALL' ? 'ANY' : String(route && route.method || '').toUpperCase();
+    const path = route ? mockoonPath(doc.endpointPrefix, route.endpoint) : null;
+    const where = `routes[${index}] (${method || '?'} ${path || '?'})`;
+    const skip = error => skipped.push({ entry: where, method: method || null, path, error });
+
+    if (!route || typeof route !== 'object' || !Array.isArray(route.responses)) return skip('Route has no responses');
+    if (route.type === 'ws') return skip('WebSocket routes are not supported');
+    if (/[()+]|\*(?!$)/.test(path) || /\?(?<!:\w+\?)/.test(path)) return skip('Paths with regular expressions are not supported');
+
+    if (route.type === 'crud') {
+      const bucket = buckets.get(route.responses[0] && route.responses[0].databucketID);
+      let seed = [];
+      try {
+        seed = bucket ? JSON.parse(bucket.value) : [];
+      } catch (e) {
+        warnings.push(`${where}: data bucket ${bucket.name || bucket.id} is not JSON; the collection starts empty`);
+      }
+      if (!Array.isArray(seed) || seed.some(item => !item || typeof item !== 'object' || Array.isArray(item))) {
+        warnings.push(`${where}: data bucket is not an array of objects; the collection starts empty`);
+        seed = [];
+      }
+      const idField = route.responses[0]?.crudKey || 'id';
+      endpoints.push({
+        ...endpointDefaults(),
+        path,
+        method: 'ANY',
+        description: route.documentation || '',
+        responseType: 'resource',
+        responses: [],
+        resource: { idField, idStrategy: 'uuid', persist: false, seed },
+        delay: envLatency
+      });
+      return;
+    }
+    if (!METHODS.includes(method)) return skip(`${method || 'Missing'} routes are not supported`);
+    if (route.responses.length === 0) return skip('Route has no responses');
+
+    const mode = route.responseMode || null;
+    if (mode === 'RANDOM') warnings.push(`${where}: random responses are not supported; responses are picked by their rules`);
+    if (mode === 'SEQUENTIAL' && route.responses.some(r => (r.rules || []).length)) {
+      warnings.push(`${where}: rules are ignored in sequential mode`);
+    }
+    const useRules = mode !== 'SEQUENTIAL' && mode !== 'DISABLE_RULES';
+    const defaultIndex = Math.max(0, route.responses.findIndex(r => r && r.default));
+    const entries = [];
+    const templateReports = [];
+    let fallback = null;
+
+    route.responses.forEach((response, i) => {
+      const at = `${where} response ${i + 1}${response && response.label ? ` (${response.label})` : ''}`;
+      if (!response || typeof response !== 'object') return;
+      if (mode === 'DISABLE_RULES' && i !== defaultIndex) {
+        warnings.push(`${at}: not imported (rules are disabled, only the default response is served)`);
+        return;
+      }
+
+      const notes = [];
+      let condition = null;
+      if (useRules && i !== defaultIndex) {
+        const rules = Array.isArray(response.rules) ? response.rules : [];
+        const parts = [];
+        for (const rule of rules) {
+          const part = ruleCondition(rule || {});
+          if (part) parts.push(part);
+          else notes.push(`rule ${rule && rule.target} ${rule && rule.modifier ? `"${rule.modifier}" ` : ''}${rule && rule.operator || 'equals'} is not matched`);
+        }
+        if (parts.length === 0) {
+          for (const note of notes) warnings.push(`${at}: ${note}`);
+          warnings.push(`${at}: not imported (none of its rules can be expressed${rules.length ? '' : '; it has no rules and is never reached'})`);
+          return;
+        }
+        condition = parts.join(response.rulesOperator === 'AND' ? ' && ' : ' || ');
+      }
+
+      const templated = !response.disableTemplating;
+      const unmapped = new Set();
+      const headers = {};
+      let contentType = '';
+      for (const header of [...envHeaders, ...mockoonHeaders(response.headers)]) {
+        if (header.key.toLowerCase() === 'content-type') contentType = mediaType(header.value);
+        else if (header.key.toLowerCase() !== 'content-length') {
+          headers[header.key] = String(header.value ?? '');
+        }
+      }
+      let text = '';
+      if (response.bodyType === 'FILE') notes.push(`file ${response.filePath || ''} is not imported; the response is empty`);
+      else if (response.bodyType === 'DATABUCKET') text = String(buckets.get(response.databucketID)?.value ?? '');
+      else text = String(response.body ?? '');
+      if (!contentType) {
+        try {
+          JSON.parse(text);
+          contentType = 'application/json';
+        } catch (e) {
+          contentType = 'text/plain';
+        }
+      }
+
+      for (const note of notes) warnings.push(`${at}: ${note}`);
+      templateReports.push([at, unmapped]);
+      const latency = Number(response.latency) > 0 ? { delay: { fixed: Number(response.latency) } } : {};
+      const entry = {
+        response: { status: Number(response.statusCode) || 200, headers, contentType, text },
+        condition,
+        extra: latency,
+        template: templated ? value => translateTemplate(value, unmapped) : null
+      };
+      if (i === defaultIndex && useRules) fallback = entry;
+      else entries.push(entry);
+    });
+
+    if (fallback) entries.push(fallback);
+    const { responseType, responses } = buildVariants(entries);
+    for (const [at, unmapped] of templateReports) reportTemplates(at, unmapped, warnings);
+    endpoints.push({
+      ...endpointDefaults(),
+      path,
+      method,
+      description: route.documentation || '',
+      responseType,
+      responses,
+      sequence: mode === 'SEQUENTIAL' ? 'cycle' : null,
+      delay: envLatency
+    });
+  });
+
+  return { title: String(doc.name || ''), endpoints, skipped, warnings, token: null };
+}
+
+module.exports = {
+  convertWireMock,
+  convertMockoon,
+  translateTemplate
+};
@@ -0,0 +1,174 @@
+'use strict';
+
+// Accept-based content negotiation for json, text and xml endpoints.
+//
+// A response variant may list the representations it can be served as:
+//
+//   {
+//     data: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }],
+//     representations: [
+//       { contentType: 'application/json' },
+//       { contentType: 'application/xml', root: 'users', item: 'user' },
+//       { contentType: 'text/csv' },
+//       { contentType: 'text/plain', data: 'Ann and Bob (page {{query.page}})' }
+//     ]
+//   }
+//
+// The request's Accept header picks one (quality values and wildcards as in
+// RFC 9110; ties go to the earlier representation, no Accept to the first).
+// A representation's own `data` is a template sent as rendered; without one
+// the variant's `data` is rendered and written as JSON, XML (see xml.js) or
+// CSV (rows of objects, arrays or values) for the content type. Nothing
+// acceptable is a 406.
+
+const { renderTemplate, renderTemplateData, findTemplateError } = require('./templates');
+const { toXml, isXmlContentType } = require('./xml');
+const { isObject } = require('./common');
+
+const MEDIA_TYPE = /^[-\w.+!#$&^]+\/[-\w.+!#$&^]+$/;
+const XML_NAME = /^[A-Za-z_][-A-Za-z0-9_.]*$/;
+
+function mediaType(contentType) {
+  return String(contentType).split(';')[0].trim().toLowerCase();
+}
+
+// Validate a variant's representations. Returns an error message or null.
+function validateRepresentations(representations, where) {
+  if (representations === undefined || representations === null) return null;
+  if (!Array.isArray(representations) || representations.length === 0) return `${where} must be a non-empty array`;
+  const seen = new Set();
+  for (const [i, representation] of representations.entries()) {
+    const at = `${where}[${i}]`;
+    if (!isObject(representation)) return `${at} must be an object`;
+    if (typeof representation.contentType !== 'string' || !MEDIA_TYPE.test(mediaType(representation.contentType))) {
+      return `${at}.contentType must be a media type such as application/json`;
+    }
+    if (/[\r\n]/.test(representation.contentType)) return `${at}.contentType must be a single line`;
+    const type = mediaType(representation.contentType);
+    if (seen.has(type)) return `${at}.contentType repeats ${type}`;
+    seen.add(type);
+    for (const field of ['root', 'item']) {
+      if (representation[field] !== undefined && !(typeof representation[field] === 'string' && XML_NAME.test(representation[field]))) {
+        return `${at}.${field} must be an XML element name`;
+      }
+    }
+    const templateError = findTemplateError(representation.data);
+    if (templateError) return `${at}.data has a template error: ${templateError}`;
+  }
+  return null;
+}
+
+// Accept header -> [{ type, subtype, q, params }] in header order.
+function parseAccept(header) {
+  const ranges = [];
+  for (const part of String(header).split(',')) {
+    const [range, ...params] = part.split(';').map(piece => piece.trim());
+    const match = /^([-\w.+!#$&^*]+)\/([-\w.+!#$&^*]+)$/.exec(range.toLowerCase());
+    if (!match) continue;
+    let q = 1;
+    const extra = [];
+    for (const param of params) {
+      const [name, value = ''] = param.split('=').map(piece => piece.trim());
+      if (name.toLowerCase() === 'q') q = Number(value);
+      else if (name) extra.push(`${name.toLowerCase()}=${value.replace(/^"(.*)"$/, '$1').toLowerCase()}`);
+    }
+    if (!(q >= 0 && q <= 1)) q = 0;
+    ranges.push({ type: match[1], subtype: match[2], q, params: extra });
+  }
+  return ranges;
+}
+
+// How specifically `range` names `type`/`subtype`: -1 when it doesn't match.
+function specificity(range, type, subtype, params) {
+  if (range.type !== '*' && range.type !== type) return -1;
+  if (range.subtype !== '*' && range.subtype !== subtype) return -1;
+  if (range.params.some(param => !params.includes(param))) return -1;
+  return (range.type === '*' ? 0 : 1) + (range.subtype === '*' ? 0 : 2) + (range.params.length ? 4 : 0);
+}
+
+// The representation the Accept header prefers, or null when none is acceptable.
+function pickRepresentation(representations, acceptHeader) {
+  if (acceptHeader === undefined || String(acceptHeader).trim() === '') return representations[0] || null;
+  const ranges = parseAccept(acceptHeader);
+  if (ranges.length === 0) return representations[0] || null;
+
+  let best = null;
+  let bestQ = 0;
+  for (const representation of representations) {
+    const [full, ...rawParams] = String(representation.contentType).toLowerCase().split(';').map(piece => piece.trim());
+    const [type, subtype] = full.split('/');
+    const params = rawParams.map(param => param.replace(/\s*=\s*/, '=').replace(/"/g, ''));
+    // The most specific matching range decides the quality
+    let q = 0;
+    let rank = -1;
+    for (const range of ranges) {
+      const score = specificity(range, type, subtype, params);
+      if (score > rank) {
+        rank = score;
+        q = range.q;
+      }
+    }
+    if (q > bestQ) {
+      best = representation;
+      bestQ = q;
+    }
+  }
+  return best;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Rows of objects get a header line with every key; rows of arrays and single
+// values are written as they are.
+function toCsv(value) {
+  const rows = Array.isArray(value) ? value : [value];
+  const lines = [];
+  if (rows.some(isObject)) {
+    const columns = [...new Set(rows.flatMap(row => (isObject(row) ? Object.keys(row) : [])))];
+    lines.push(columns.map(csvCell).join(','));
+    for (const row of rows) lines.push(columns.map(column => csvCell(isObject(row) ? row[column] : undefined)).join(','));
+  } else {
+    for (const row of rows) lines.push(Array.isArray(row) ? row.map(csvCell).join(',') : csvCell(row));
+  }
+  return lines.join('\r\n') + '\r\n';
+}
+
+function withCharset(contentType) {
+  const type = mediaType(contentType);
+  const textual = type.startsWith('text/') || type === 'application/json' || type.endsWith('+json') || isXmlContentType(type);
+  return textual && !/;\s*charset=/i.test(contentType) ? `${contentType}; charset=utf-8` : contentType;
+}
+
+// Render a chosen representation: { contentType, body }. `fallback` is the
+// variant's data.
+function renderRepresentation(representation, fallback, template) {
+  const contentType = withCharset(representation.contentType);
+  if (representation.data !== undefined) {
+    const own = representation.data;
+    if (typeof own === 'string') return { contentType, body: renderTemplate(own, template) };
+    return { contentType, body: serialize(renderTemplateData(own, template), representation) };
+  }
+  const value = typeof fallback === 'string' ? renderTemplate(fallback, template) : renderTemplateData(fallback ?? null, template);
+  return { contentType, body: typeof value === 'string' ? value : serialize(value, representation) };
+}
+
+// A value written in a representation's content type.
+function serialize(value, representation) {
+  const type = mediaType(representation.contentType);
+  if (isXmlContentType(type)) return toXml(value, { rootName: representation.root || 'response', itemName: representation.item || 'item' });
+  if (type === 'text/csv') return toCsv(value);
+  if (type.startsWith('text/') && typeof value !== 'object') return String(value ?? '');
+  return JSON.stringify(value);
+}
+
+module.exports = {
+  validateRepresentations,
+  pickRepresentation,
+  renderRepresentation,
+  serialize,
+  toCsv
+};
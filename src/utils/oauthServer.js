@@ -0,0 +1,586 @@
+'use strict';
+
+// Built-in OAuth 2.0 / OpenID Connect authorization server, so apps can sign
+// in against the mock instead of a separate IdP in dev. Configured through
+// config.json `oauth` (Settings tab / PUT /api/admin/oauth):
+//
+//   oauth: {
+//     enabled: true,
+//     issuer: '',                  // '' = the URL the request came in on
+//     audience: 'orders-api',      // optional `aud` of access tokens
+//     accessTokenTtl: 3600,        // seconds
+//     refreshTokenTtl: 86400,
+//     clients: [{ clientId: 'web', clientSecret: 's3cret', redirectUris: ['http://localhost:3000/cb'],
+//                 grantTypes: ['authorization_code', 'refresh_token'], scopes: ['openid', 'orders:read'],
+//                 claims: { tenant: 'acme' }, allowPlainPkce: false }],
+//     users: [{ username: 'ann', password: 'pw', sub: 'u-1', claims: { email: 'ann@example.com', roles: ['admin'] } }]
+//   }
+//
+// While enabled it owns discovery (/.well-known/openid-configuration and
+// /.well-known/oauth-authorization-server), /oauth/jwks, /oauth/authorize (a
+// sign-in form; `login_hint=<username>` signs in straight away), /oauth/token
+// (client_credentials, password, authorization_code with PKCE, refresh_token)
+// and /oauth/userinfo, ahead of any mock endpoint on those paths.
+//
+// Access and ID tokens are RS256 JWTs carrying the user's (or, for
+// client_credentials, the client's) claims. The key is generated on first use
+// and kept in DATA_DIR/oauth-signing-key.pem. Authorization codes and refresh
+// tokens are signed JWTs too, so they work across cluster workers and
+// restarts. A code can be redeemed once: its jti is marked in
+// DATA_DIR/oauth-codes until it expires. A client without a clientSecret is
+// public and must use PKCE, with S256 unless `allowPlainPkce` is set.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const configManager = require('../config/configManager');
+const { importJwks, verifyJwt, signJwt } = require('./jwt');
+const { isObject, isNonEmptyString, isHttpUrl, trimSlash, constantTimeEquals } = require('./common');
+
+const GRANT_TYPES = ['authorization_code', 'client_credentials', 'password', 'refresh_token'];
+const STANDARD_SCOPES = ['openid', 'profile', 'email', 'offline_access'];
+const PKCE_METHODS = ['S256', 'plain'];
+// Claims the server sets itself; users and clients can't override them.
+const RESERVED_CLAIMS = ['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'jti', 'scope', 'client_id', 'azp', 'nonce', 'auth_time'];
+const SIGNING_ALGORITHM = 'RS256';
+const CODE_TTL_SECONDS = 120;
+const TOKEN_TYPES = { access: 'at+jwt', refresh: 'rt+jwt', code: 'code+jwt', id: 'JWT' };
+const KEY_FILENAME = 'oauth-signing-key.pem';
+// One empty "<exp>-<jti>" file per redeemed authorization code.
+const REDEEMED_CODES_DIRNAME = 'oauth-codes';
+
+const PATHS = {
+  discovery: '/.well-known/openid-configuration',
+  metadata: '/.well-known/oauth-authorization-server',
+  jwks: '/oauth/jwks',
+  authorize: '/oauth/authorize',
+  token: '/oauth/token',
+  userinfo: '/oauth/userinfo'
+};
+
+// ===== SETTINGS =====
+
+function validateClaims(claims, where) {
+  if (claims === undefined) return null;
+  if (!isObject(claims)) return `${where}.claims must be an object`;
+  const reserved = Object.keys(claims).find(name => RESERVED_CLAIMS.includes(name));
+  return reserved ? `${where}.claims must not set the reserved claim ${reserved}` : null;
+}
+
+function validateScopeList(scopes, where) {
+  if (scopes === undefined) return null;
+  if (!Array.isArray(scopes) || !scopes.every(scope => isNonEmptyString(scope) && !/\s/.test(scope))) {
+    return `${where} must be a list of scope names without spaces`;
+  }
+  return null;
+}
+
+function validateClient(client, where, seen) {
+  if (!isObject(client)) return `${where} must be an object`;
+  if (!isNonEmptyString(client.clientId)) return `${where}.clientId is required`;
+  if (seen.has(client.clientId)) return `${where}.clientId ${client.clientId} is listed twice`;
+  seen.add(client.clientId);
+  if (client.clientSecret !== undefined && client.clientSecret !== null && !isNonEmptyString(client.clientSecret)) {
+    return `${where}.clientSecret must be a non-empty string`;
+  }
+  if (client.redirectUris !== undefined &&
+      (!Array.isArray(client.redirectUris) || !client.redirectUris.every(isHttpUrl))) {
+    return `${where}.redirectUris must be a list of http(s) URLs`;
+  }
+  if (client.grantTypes !== undefined &&
+      (!Array.isArray(client.grantTypes) || !client.grantTypes.every(grant => GRANT_TYPES.includes(grant)))) {
+    return `${where}.grantTypes must list some of ${GRANT_TYPES.join(', ')}`;
+  }
+  if (client.allowPlainPkce !== undefined && typeof client.allowPlainPkce !== 'boolean') {
+    return `${where}.allowPlainPkce must be a boolean`;
+  }
+  if (!client.clientSecret && client.grantTypes?.includes('client_credentials')) {
+    return `${where} needs a clientSecret for client_credentials`;
+  }
+  return validateScopeList(client.scopes, `${where}.scopes`) || validateClaims(client.claims, where);
+}
+
+function validateUser(user, where, seen) {
+  if (!isObject(user)) return `${where} must be an object`;
+  if (!isNonEmptyString(user.username)) return `${where}.username is required`;
+  if (typeof user.password !== 'string') return `${where}.password must be a string`;
+  if (user.sub !== undefined && user.sub !== null && !isNonEmptyString(user.sub)) return `${where}.sub must be a non-empty string`;
+  const sub = user.sub || user.username;
+  if (seen.has(sub)) return `${where} has the same subject (${sub}) as another user`;
+  seen.add(sub);
+  return validateClaims(user.claims, where);
+}
+
+// Validate (partial) oauth settings. Returns an error message or null.
+function validateOAuthConfig(oauth) {
+  if (!isObject(oauth)) return 'oauth settings must be an object';
+  if (oauth.enabled !== undefined && typeof oauth.enabled !== 'boolean') return 'enabled must be a boolean';
+  if (oauth.issuer !== undefined && oauth.issuer !== '' && !isHttpUrl(oauth.issuer)) return 'issuer must be an http(s) URL';
+  if (oauth.audience !== undefined && typeof oauth.audience !== 'string') return 'audience must be a string';
+  for (const name of ['accessTokenTtl', 'refreshTokenTtl']) {
+    if (oauth[name] !== undefined && !(Number.isInteger(oauth[name]) && oauth[name] > 0)) {
+      return `${name} must be a positive number of seconds`;
+    }
+  }
+  if (oauth.clients !== undefined) {
+    if (!Array.isArray(oauth.clients)) return 'clients must be an array';
+    const seen = new Set();
+    for (const [i, client] of oauth.clients.entries()) {
+      const error = validateClient(client, `clients[${i}]`, seen);
+      if (error) return error;
+    }
+  }
+  if (oauth.users !== undefined) {
+    if (!Array.isArray(oauth.users)) return 'users must be an array';
+    const seen = new Set();
+    for (const [i, user] of oauth.users.entries()) {
+      const error = validateUser(user, `users[${i}]`, seen);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// ===== SIGNING KEY =====
+
+let signingKey = null;
+
+function keyFile() {
+  return path.join(configManager.DATA_DIR, KEY_FILENAME);
+}
+
+// Generate the key and publish it with link(), which fails if the file exists:
+// when workers race on first use, every one of them ends up with the winner's key.
+function createSigningKey(file) {
+  const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const tmp = `${file}.tmp.${process.pid}`;
+  fs.writeFileSync(tmp, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+  try {
+    fs.linkSync(tmp, file);
+  } catch (err) {
+    if (err.code !== 'EEXIST') throw err;
+  } finally {
+    fs.unlinkSync(tmp);
+  }
+}
+
+// The signing key as { privateKey, jwk, keys }, re-read when the file changes.
+// Returns null when there is no key yet and `create` is false.
+function getSigningKey(create = true) {
+  const file = keyFile();
+  let mtime;
+  try {
+    mtime = fs.statSync(file).mtimeMs;
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    if (!create) return null;
+    createSigningKey(file);
+    mtime = fs.statSync(file).mtimeMs;
+  }
+  if (signingKey && signingKey.file === file && signingKey.mtime === mtime) return signingKey;
+
+  const privateKey = crypto.createPrivateKey(fs.readFileSync(file));
+  const { kty, n, e } = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  // RFC 7638 thumbprint as the key id.
+  const kid = crypto.createHash('sha256').update(JSON.stringify({ e, kty, n })).digest('base64url');
+  const jwk = { kty, n, e, kid, alg: SIGNING_ALGORITHM, use: 'sig' };
+  signingKey = { file, mtime, privateKey, jwk, keys: importJwks({ keys: [jwk] }) };
+  return signingKey;
+}
+
+function sign(payload, typ) {
+  const key = getSigningKey();
+  return signJwt(payload, SIGNING_ALGORITHM, key.privateKey, { typ, kid: key.jwk.kid });
+}
+
+function verify(token, typ, options = {}) {
+  const key = getSigningKey(false);
+  if (!key) return { error: 'Invalid token signature' };
+  return verifyJwt(token, key.keys, { algorithms: [SIGNING_ALGORITHM], typ, ...options });
+}
+
+// Verify an access token issued here, for endpoints protected with the
+// `oauth` auth scheme. Returns { payload } or { error }.
+function verifyAccessToken(token, { audience } = {}) {
+  const { oauth } = configManager.getConfigSnapshot();
+  return verify(token, TOKEN_TYPES.access, { issuer: oauth?.issuer || undefined, audience });
+}
+
+// ===== HELPERS =====
+
+function issuerFor(settings, origin) {
+  return settings.issuer ? trimSlash(settings.issuer) : origin;
+}
+
+function findClient(settings, clientId) {
+  return (settings.clients || []).find(client => client.clientId === clientId) || null;
+}
+
+function subjectOf(user) {
+  return user.sub || user.username;
+}
+
+function findUserBySubject(settings, sub) {
+  return (settings.users || []).find(user => subjectOf(user) === sub) || null;
+}
+
+// Public clients can't use client_credentials; everything else is allowed
+// unless the client lists its grant types.
+function clientGrantTypes(client) {
+  if (client.grantTypes) return client.grantTypes;
+  return client.clientSecret ? GRANT_TYPES : GRANT_TYPES.filter(grant => grant !== 'client_credentials');
+}
+
+function oauthError(status, error, description, headers = {}) {
+  return { status, headers: { 'Cache-Control': 'no-store', ...headers }, body: { error, error_description: description } };
+}
+
+function scopeList(value) {
+  return typeof value === 'string' ? value.split(' ').filter(Boolean) : [];
+}
+
+// The granted scopes: the requested ones (which must all be allowed for the
+// client) or, when none are requested, everything the client may ask for.
+function grantScopes(client, requested) {
+  const scopes = scopeList(requested);
+  if (scopes.length === 0) return { scopes: client.scopes || [] };
+  const denied = client.scopes ? scopes.find(scope => !client.scopes.includes(scope)) : undefined;
+  return denied ? { error: `Scope ${denied} is not allowed for this client` } : { scopes: [...new Set(scopes)] };
+}
+
+// Client authentication: HTTP Basic (form-encoded id and secret) or
+// client_id/client_secret in the body. Public clients only send client_id.
+function authenticateClient(settings, headers, params) {
+  let clientId = params.client_id;
+  let secret = params.client_secret;
+  const basic = /^Basic +([A-Za-z0-9+/]+=*) *$/i.exec(headers.authorization || '');
+  if (basic) {
+    const decoded = Buffer.from(basic[1], 'base64').toString('utf8');
+    const colon = decoded.indexOf(':');
+    try {
+      clientId = decodeURIComponent(decoded.slice(0, colon === -1 ? undefined : colon).replace(/\+/g, ' '));
+      secret = colon === -1 ? '' : decodeURIComponent(decoded.slice(colon + 1).replace(/\+/g, ' '));
+    } catch {
+      clientId = undefined;
+    }
+  }
+  const challenge = basic ? { 'WWW-Authenticate': 'Basic realm="oauth", charset="UTF-8"' } : {};
+  const client = typeof clientId === 'string' ? findClient(settings, clientId) : null;
+  if (!client) return { error: oauthError(401, 'invalid_client', 'Unknown client', challenge) };
+  if (client.clientSecret && !constantTimeEquals(String(secret ?? ''), client.clientSecret)) {
+    return { error: oauthError(401, 'invalid_client', 'Invalid client credentials', challenge) };
+  }
+  return { client };
+}
+
+// Access token (+ refresh and ID token where they apply) for a grant.
+function issueTokens(settings, issuer, client, { user, scopes, nonce, authTime }) {
+  const now = Math.floor(Date.now() / 1000);
+  const accessTtl = settings.accessTokenTtl || 3600;
+  const subject = user ? subjectOf(user) : client.clientId;
+  const claims = user ? user.claims || {} : client.claims || {};
+  const accessToken = sign({
+    ...claims,
+    iss: issuer,
+    sub: subject,
+    ...(settings.audience && { aud: settings.audience }),
+    client_id: client.clientId,
+    scope: scopes.join(' '),
+    iat: now,
+    exp: now + accessTtl,
+    jti: crypto.randomUUID()
+  }, TOKEN_TYPES.access);
+
+  const body = { access_token: accessToken, token_type: 'Bearer', expires_in: accessTtl, scope: scopes.join(' ') };
+  if (user && clientGrantTypes(client).includes('refresh_token')) {
+    body.refresh_token = sign({
+      iss: issuer,
+      sub: subject,
+      client_id: client.clientId,
+      scope: scopes.join(' '),
+      ...(authTime && { auth_time: authTime }),
+      iat: now,
+      exp: now + (settings.refreshTokenTtl || 86400),
+      jti: crypto.randomUUID()
+    }, TOKEN_TYPES.refresh);
+  }
+  if (user && scopes.includes('openid')) {
+    body.id_token = sign({
+      ...claims,
+      iss: issuer,
+      sub: subject,
+      aud: client.clientId,
+      azp: client.clientId,
+      iat: now,
+      exp: now + accessTtl,
+      auth_time: authTime || now,
+      ...(nonce && { nonce })
+    }, TOKEN_TYPES.id);
+  }
+  return { status: 200, headers: { 'Cache-Control': 'no-store', Pragma: 'no-cache' }, body };
+}
+
+// Mark an authorization code as redeemed. The marker is created exclusively,
+// so of two redemptions (on any worker) only the first succeeds; markers of
+// expired codes are pruned on the way. Returns false if it was already used.
+function redeemCode(code) {
+  if (!/^[A-Za-z0-9-]+$/.test(String(code.jti)) || !Number.isInteger(code.exp)) return false;
+  const dir = path.join(configManager.DATA_DIR, REDEEMED_CODES_DIRNAME);
+  fs.mkdirSync(dir, { recursive: true });
+  const now = Math.floor(Date.now() / 1000);
+  for (const name of fs.readdirSync(dir)) {
+    if (Number(name.split('-')[0]) < now) fs.rmSync(path.join(dir, name), { force: true });
+  }
+  try {
+    fs.closeSync(fs.openSync(path.join(dir, `${code.exp}-${code.jti}`), 'wx'));
+    return true;
+  } catch (err) {
+    if (err.code === 'EEXIST') return false;
+    throw err;
+  }
+}
+
+function pkceMatches(method, challenge, verifier) {
+  if (typeof verifier !== 'string' || !/^[A-Za-z0-9._~-]{43,128}$/.test(verifier)) return false;
+  const computed = method === 'S256' ? crypto.createHash('sha256').update(verifier).digest('base64url') : verifier;
+  return constantTimeEquals(computed, challenge);
+}
+
+// ===== ENDPOINTS =====
+
+function discovery(settings, { origin }) {
+  const scopes = new Set(STANDARD_SCOPES);
+  for (const client of settings.clients || []) for (const scope of client.scopes || []) scopes.add(scope);
+  const claims = new Set(['sub', 'iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce']);
+  for (const user of settings.users || []) for (const name of Object.keys(user.claims || {})) claims.add(name);
+  return {
+    status: 200,
+    body: {
+      issuer: issuerFor(settings, origin),
+      authorization_endpoint: origin + PATHS.authorize,
+      token_endpoint: origin + PATHS.token,
+      userinfo_endpoint: origin + PATHS.userinfo,
+      jwks_uri: origin + PATHS.jwks,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [SIGNING_ALGORITHM],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: (settings.clients || []).some(client => client.allowPlainPkce) ? PKCE_METHODS : ['S256'],
+      scopes_supported: [...scopes],
+      claims_supported: [...claims],
+      authorization_response_iss_parameter_supported: true
+    }
+  };
+}
+
+function jwks() {
+  return { status: 200, body: { keys: [getSigningKey().jwk] } };
+}
+
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+}
+
+const AUTHORIZE_PARAMS = ['response_type', 'client_id', 'redirect_uri', 'scope', 'state', 'nonce', 'code_challenge', 'code_challenge_method'];
+
+function signInForm(settings, client, params, message, status = 200) {
+  const hidden = AUTHORIZE_PARAMS
+    .filter(name => typeof params[name] === 'string')
+    .map(name => `<input type="hidden" name="${name}" value="${escapeHtml(params[name])}">`)
+    .join('\n    ');
+  const users = (settings.users || []).map(user => `<option value="${escapeHtml(user.username)}">`).join('');
+  const html = `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>Sign in</title></head>
+<body style="font-family: sans-serif; max-width: 22rem; margin: 4rem auto;">
+  <h1>Sign in to ${escapeHtml(client.clientId)}</h1>
+  ${message ? `<p style="color: #b91c1c;">${escapeHtml(message)}</p>` : ''}
+  <form method="post" action="${PATHS.authorize}">
+    ${hidden}
+    <p><label>Username<br><input name="username" list="users" autocomplete="username" autofocus></label></p>
+    <p><label>Password<br><input name="password" type="password" autocomplete="current-password"></label></p>
+    <datalist id="users">${users}</datalist>
+    <p><button type="submit">Sign in</button></p>
+  </form>
+</body>
+</html>
+`;
+  return { status, headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' }, body: html };
+}
+
+function redirectTo(uri, params) {
+  const url = new URL(uri);
+  for (const [name, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') url.searchParams.set(name, value);
+  }
+  return { redirect: url.toString() };
+}
+
+// GET shows the sign-in form (or signs in `login_hint` right away); the form
+// POSTs back here. Problems with the client or redirect_uri are answered
+// directly, everything else is redirected back to the client as OAuth says.
+function authorize(settings, { method, origin, query, body }) {
+  const params = method === 'POST' && isObject(body) ? { ...query, ...body } : { ...query };
+  const client = typeof params.client_id === 'string' ? findClient(settings, params.client_id) : null;
+  if (!client) return oauthError(400, 'invalid_request', 'Unknown client_id');
+  const registered = client.redirectUris || [];
+  let redirectUri = params.redirect_uri;
+  if (redirectUri === undefined && registered.length === 1) redirectUri = registered[0];
+  if (typeof redirectUri !== 'string' || !registered.includes(redirectUri)) {
+    return oauthError(400, 'invalid_request', 'redirect_uri is not registered for this client');
+  }
+
+  const issuer = issuerFor(settings, origin);
+  const fail = (error, description) => redirectTo(redirectUri, { error, error_description: description, state: params.state, iss: issuer });
+  if (params.response_type !== 'code') return fail('unsupported_response_type', 'Only response_type=code is supported');
+  if (!clientGrantTypes(client).includes('authorization_code')) return fail('unauthorized_client', 'The client may not use authorization_code');
+  const granted = grantScopes(client, params.scope);
+  if (granted.error) return fail('invalid_scope', granted.error);
+  const pkceMethod = params.code_challenge ? params.code_challenge_method || 'plain' : null;
+  if (!params.code_challenge && !client.clientSecret) return fail('invalid_request', 'Public clients must send a PKCE code_challenge');
+  if (pkceMethod && !PKCE_METHODS.includes(pkceMethod)) return fail('invalid_request', 'code_challenge_method must be S256 or plain');
+  if (pkceMethod === 'plain' && !client.allowPlainPkce) return fail('invalid_request', 'code_challenge_method must be S256 for this client');
+
+  let user = null;
+  if (method === 'POST' && params.username !== undefined) {
+    user = (settings.users || []).find(candidate => candidate.username === params.username) || null;
+    if (!user || !constantTimeEquals(String(params.password ?? ''), user.password)) {
+      return signInForm(settings, client, params, 'Wrong username or password', 401);
+    }
+  } else if (typeof params.login_hint === 'string') {
+    user = (settings.users || []).find(candidate => candidate.username === params.login_hint || subjectOf(candidate) === params.login_hint) || null;
+  }
+  if (!user) {
+    if (params.prompt === 'none') return fail('login_required', 'The user must sign in');
+    return signInForm(settings, client, params);
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  const code = sign({
+    iss: issuer,
+    sub: subjectOf(user),
+    client_id: client.clientId,
+    redirect_uri: redirectUri,
+    scope: granted.scopes.join(' '),
+    ...(params.nonce && { nonce: params.nonce }),
+    ...(pkceMethod && { code_challenge: params.code_challenge, code_challenge_method: pkceMethod }),
+    auth_time: now,
+    iat: now,
+    exp: now + CODE_TTL_SECONDS,
+    jti: crypto.randomUUID()
+  }, TOKEN_TYPES.code);
+  return redirectTo(redirectUri, { code, state: params.state, iss: issuer });
+}
+
+function token(settings, { origin, headers, body }) {
+  const params = isObject(body) ? body : {};
+  const authenticated = authenticateClient(settings, headers, params);
+  if (authenticated.error) return authenticated.error;
+  const { client } = authenticated;
+  const issuer = issuerFor(settings, origin);
+  const grant = params.grant_type;
+  if (!GRANT_TYPES.includes(grant)) return oauthError(400, 'unsupported_grant_type', `Unsupported grant_type ${grant ?? ''}`.trim());
+  if (!clientGrantTypes(client).includes(grant)) return oauthError(400, 'unauthorized_client', `The client may not use ${grant}`);
+
+  if (grant === 'client_credentials') {
+    const granted = grantScopes(client, params.scope);
+    if (granted.error) return oauthError(400, 'invalid_scope', granted.error);
+    return issueTokens(settings, issuer, client, { scopes: granted.scopes });
+  }
+
+  if (grant === 'password') {
+    const user = (settings.users || []).find(candidate => candidate.username === params.username);
+    if (!user || !constantTimeEquals(String(params.password ?? ''), user.password)) {
+      return oauthError(400, 'invalid_grant', 'Wrong username or password');
+    }
+    const granted = grantScopes(client, params.scope);
+    if (granted.error) return oauthError(400, 'invalid_scope', granted.error);
+    return issueTokens(settings, issuer, client, { user, scopes: granted.scopes });
+  }
+
+  if (grant === 'authorization_code') {
+    const verified = verify(String(params.code ?? ''), TOKEN_TYPES.code);
+    const code = verified.payload;
+    if (verified.error || code.client_id !== client.clientId) return oauthError(400, 'invalid_grant', 'Invalid or expired authorization code');
+    if (params.redirect_uri !== undefined && params.redirect_uri !== code.redirect_uri) {
+      return oauthError(400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+    if (code.code_challenge && !pkceMatches(code.code_challenge_method, code.code_challenge, params.code_verifier)) {
+      return oauthError(400, 'invalid_grant', 'PKCE code_verifier does not match the code_challenge');
+    }
+    const user = findUserBySubject(settings, code.sub);
+    if (!user) return oauthError(400, 'invalid_grant', 'The user no longer exists');
+    if (!redeemCode(code)) return oauthError(400, 'invalid_grant', 'The authorization code has already been used');
+    return issueTokens(settings, issuer, client, { user, scopes: scopeList(code.scope), nonce: code.nonce, authTime: code.auth_time });
+  }
+
+  // refresh_token
+  const verified = verify(String(params.refresh_token ?? ''), TOKEN_TYPES.refresh);
+  const refresh = verified.payload;
+  if (verified.error || refresh.client_id !== client.clientId) return oauthError(400, 'invalid_grant', 'Invalid or expired refresh token');
+  const original = scopeList(refresh.scope);
+  const requested = scopeList(params.scope);
+  if (requested.some(scope => !original.includes(scope))) return oauthError(400, 'invalid_scope', 'A refresh can only narrow the original scope');
+  const user = findUserBySubject(settings, refresh.sub);
+  if (!user) return oauthError(400, 'invalid_grant', 'The user no longer exists');
+  return issueTokens(settings, issuer, client, { user, scopes: requested.length ? requested : original, authTime: refresh.auth_time });
+}
+
+function userinfo(settings, { headers }) {
+  const bearer = /^Bearer +(\S+) *$/i.exec(headers.authorization || '');
+  if (!bearer) return { status: 401, headers: { 'WWW-Authenticate': 'Bearer realm="oauth"' }, body: { error: 'Authorization required' } };
+  const invalid = description => ({
+    status: 401,
+    headers: { 'WWW-Authenticate': `Bearer realm="oauth", error="invalid_token", error_description="${description}"` },
+    body: { error: 'invalid_token', error_description: description }
+  });
+  const verified = verify(bearer[1], TOKEN_TYPES.access);
+  if (verified.error) return invalid(verified.error);
+  if (!scopeList(verified.payload.scope).includes('openid')) {
+    return {
+      status: 403,
+      headers: { 'WWW-Authenticate': 'Bearer realm="oauth", error="insufficient_scope", scope="openid"' },
+      body: { error: 'insufficient_scope', error_description: 'The token lacks the openid scope' }
+    };
+  }
+  const user = findUserBySubject(settings, verified.payload.sub);
+  if (!user) return invalid('The token has no user');
+  return { status: 200, headers: { 'Cache-Control': 'no-store' }, body: { ...(user.claims || {}), sub: subjectOf(user) } };
+}
+
+const ROUTES = {
+  [PATHS.discovery]: { methods: ['GET'], handle: discovery },
+  [PATHS.metadata]: { methods: ['GET'], handle: discovery },
+  [PATHS.jwks]: { methods: ['GET'], handle: jwks },
+  [PATHS.authorize]: { methods: ['GET', 'POST'], handle: authorize },
+  [PATHS.token]: { methods: ['POST'], handle: token },
+  [PATHS.userinfo]: { methods: ['GET', 'POST'], handle: userinfo }
+};
+
+function isOAuthPath(requestPath) {
+  return Object.hasOwn(ROUTES, requestPath);
+}
+
+// Answer a request to one of the server's paths. `request` is { method,
+// origin, query, headers, body }. Returns { status, headers, body } or
+// { redirect } for the authorize endpoint.
+function handleOAuthRequest(settings, requestPath, request) {
+  const route = ROUTES[requestPath];
+  const method = request.method === 'HEAD' ? 'GET' : request.method;
+  if (!route.methods.includes(method)) {
+    return { status: 405, headers: { Allow: route.methods.join(', ') }, body: { error: 'Method not allowed' } };
+  }
+  return route.handle(settings, { ...request, method, query: request.query || {}, headers: request.headers || {} });
+}
+
+module.exports = {
+  validateOAuthConfig,
+  isOAuthPath,
+  handleOAuthRequest,
+  verifyAccessToken,
+  getSigningKey,
+  GRANT_TYPES,
+  PATHS
+};
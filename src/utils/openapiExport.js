@@ -0,0 +1,416 @@
+'use strict';
+
+// Describe the configured mock endpoints as an OpenAPI 3.1 document, so other
+// teams get a spec of exactly what the mock serves.
+//
+// Each enabled endpoint contributes its path (":id" -> "{id}", optional
+// segments expanded, a resource endpoint as its collection and item paths)
+// and method (ANY as every CRUD method). Parameters come from the endpoint's
+// parameter list and source. Request validation schemas are used where they
+// exist. Protected endpoints require their auth schemes (the bearer token by
+// default), any one of them being enough. Each response variant
+// becomes an example under its status code, with the schema inferred from
+// the JSON bodies. WebSocket endpoints appear as their GET handshake, event
+// streams as one pass of their script and GraphQL endpoints as the standard
+// GET / POST request and response envelopes.
+
+const { compilePathPattern } = require('./pathPattern');
+const { endpointPattern } = require('./routeTable');
+const { ITEM_PARAM } = require('./resourceStore');
+const { compileAuth } = require('./endpointAuth');
+const { PATHS } = require('./oauthServer');
+const { formatEvent } = require('./sse');
+const { toXml } = require('./xml');
+const { serialize } = require('./negotiation');
+
+const ANY_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+// Security scheme names per auth type; a second, different apiKey scheme
+// becomes apiKeyAuth2 and so on.
+const SCHEME_NAMES = { bearer: 'bearerAuth', apiKey: 'apiKeyAuth', basic: 'basicAuth', hmac: 'hmacAuth', jwt: 'jwtAuth', oauth: 'oauth' };
+
+// The OpenAPI security scheme object for one endpoint auth scheme.
+function securityScheme(scheme) {
+  switch (scheme.type) {
+    case 'apiKey':
+      return { type: 'apiKey', in: scheme.in || 'header', name: scheme.name };
+    case 'basic':
+      return { type: 'http', scheme: 'basic' };
+    case 'hmac':
+      return {
+        type: 'apiKey',
+        in: 'header',
+        name: scheme.header,
+        description: `HMAC-${(scheme.algorithm || 'sha256').toUpperCase()} signature of the request` +
+          (scheme.timestampHeader ? `, timestamped by the ${scheme.timestampHeader} header` : '')
+      };
+    case 'jwt':
+      return { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' };
+    case 'oauth':
+      return { type: 'openIdConnect', openIdConnectUrl: PATHS.discovery };
+    default:
+      return { type: 'http', scheme: 'bearer' };
+  }
+}
+
+// Register the endpoint's schemes in `securitySchemes` (reusing identical
+// ones) and return the operation's security requirements.
+function securityRequirements(endpoint, securitySchemes) {
+  return compileAuth(endpoint).map(scheme => {
+    const definition = securityScheme(scheme);
+    const serialized = JSON.stringify(definition);
+    const base = SCHEME_NAMES[scheme.type];
+    let name = base;
+    for (let n = 2; securitySchemes[name] && JSON.stringify(securitySchemes[name]) !== serialized; n++) name = `${base}${n}`;
+    securitySchemes[name] = definition;
+    return { [name]: scheme.type === 'oauth' ? scheme.scopes || [] : [] };
+  });
+}
+
+function needsScope(endpoint) {
+  return [].concat(endpoint.auth || []).some(scheme =>
+    (scheme?.type === 'jwt' && scheme.requiredClaims) || (scheme?.type === 'oauth' && scheme.scopes?.length));
+}
+
+// JSON Schema for a sample value. Objects list every key they have as required.
+function inferSchema(value) {
+  if (value === null || value === undefined) return { type: 'null' };
+  if (Array.isArray(value)) {
+    const items = mergeSchemas(value.map(inferSchema));
+    return items ? { type: 'array', items } : { type: 'array' };
+  }
+  switch (typeof value) {
+    case 'object': {
+      const properties = {};
+      for (const [key, item] of Object.entries(value)) properties[key] = inferSchema(item);
+      const required = Object.keys(properties);
+      return required.length ? { type: 'object', properties, required } : { type: 'object' };
+    }
+    case 'number':
+      return { type: Number.isInteger(value) ? 'integer' : 'number' };
+    case 'boolean':
+      return { type: 'boolean' };
+    default:
+      return { type: 'string' };
+  }
+}
+
+// One schema covering several samples: identical ones collapse, objects merge
+// their properties (required only when every sample has them), others become oneOf.
+function mergeSchemas(schemas) {
+  const unique = [];
+  for (const schema of schemas) {
+    if (!unique.some(u => JSON.stringify(u) === JSON.stringify(schema))) unique.push(schema);
+  }
+  if (unique.length <= 1) return unique[0] || null;
+  if (unique.every(s => s.type === 'object')) {
+    const properties = {};
+    for (const schema of unique) {
+      for (const [key, prop] of Object.entries(schema.properties || {})) {
+        properties[key] = properties[key] ? mergeSchemas([properties[key], prop]) : prop;
+      }
+    }
+    const required = Object.keys(properties).filter(key => unique.every(s => (s.required || []).includes(key)));
+    return { type: 'object', properties, ...(required.length && { required }) };
+  }
+  if (unique.every(s => s.type === 'integer' || s.type === 'number')) return { type: 'number' };
+  return { oneOf: unique };
+}
+
+// OpenAPI path templates for an endpoint ("/orders/:id?" -> "/orders", "/orders/{id}").
+function pathTemplates(endpoint) {
+  let compiled;
+  try {
+    compiled = compilePathPattern(endpointPattern(endpoint));
+  } catch (e) {
+    return [];
+  }
+  return compiled.variants.map(variant => {
+    const path = variant.map(seg => (seg.type === 'static' ? seg.value : `{${seg.name}}`)).join('/');
+    return { path: '/' + path.replace(/^\//, ''), params: variant.filter(seg => seg.type !== 'static').map(seg => seg.name) };
+  });
+}
+
+function statusKey(status) {
+  const code = parseInt(status, 10);
+  return String(status).includes('{{') || !(code >= 100 && code <= 599) ? 'default' : String(code);
+}
+
+function defaultStatus(endpoint, method) {
+  if (endpoint.responseType === 'redirect') return '302';
+  if (endpoint.responseType === 'resource' && method === 'post') return '201';
+  return '200';
+}
+
+// The media types and example bodies of a response variant.
+function variantContents(endpoint, response) {
+  if (Array.isArray(response.representations) && response.representations.length && ['json', 'text', 'xml'].includes(endpoint.responseType || 'json')) {
+    const fallback = response.data !== undefined ? response.data : (response.xml ?? response.text ?? '');
+    return response.representations.map(representation => {
+      const type = String(representation.contentType).split(';')[0].trim();
+      const value = representation.data !== undefined ? representation.data : fallback;
+      return { type, value: typeof value === 'string' || type === 'application/json' ? value : serialize(value, representation) };
+    });
+  }
+  const content = variantContent(endpoint, response);
+  return content ? [content] : [];
+}
+
+// The media type and example body of a response variant.
+function variantContent(endpoint, response) {
+  switch (endpoint.responseType) {
+    case 'xml':
+      return {
+        type: response.contentType || (response.soap ? 'text/xml' : 'application/xml'),
+        value: typeof (response.xml ?? response.data) === 'string' ? (response.xml ?? response.data) : toXml(response.data ?? null)
+      };
+    case 'text':
+      return { type: response.headers?.['Content-Type'] || 'text/plain', value: response.text ?? response.data ?? '' };
+    case 'binary':
+    case 'image':
+      return { type: response.contentType || 'application/octet-stream', binary: true };
+    case 'redirect':
+      return null;
+    case 'sse':
+      return {
+        type: 'text/event-stream',
+        value: (Array.isArray(response.events) ? response.events : []).map((event, position) => formatEvent({
+          event: event.event,
+          id: event.id !== undefined ? event.id : String(position),
+          data: typeof event.data === 'string' ? event.data : JSON.stringify(event.data ?? '')
+        })).join('')
+      };
+    default:
+      return response.data === undefined ? null : { type: 'application/json', value: response.data };
+  }
+}
+
+function describeVariant(response) {
+  return response.condition ? `When ${response.condition}` : 'Default response';
+}
+
+// The responses object of an operation, one example per variant.
+function buildResponses(endpoint, method) {
+  const byStatus = new Map();
+  const variants = Array.isArray(endpoint.responses) ? endpoint.responses : [];
+  variants.forEach((response, index) => {
+    const key = response.status !== undefined && response.status !== null && response.status !== ''
+      ? statusKey(response.status)
+      : defaultStatus(endpoint, method);
+    if (!byStatus.has(key)) byStatus.set(key, []);
+    byStatus.get(key).push({ response, index });
+  });
+  if (byStatus.size === 0) byStatus.set(defaultStatus(endpoint, method), []);
+
+  const responses = {};
+  for (const [status, entries] of byStatus) {
+    const result = { description: entries.map(e => describeVariant(e.response)).join('; ') || 'Response' };
+    const content = {};
+    const headers = {};
+    for (const { response, index } of entries) {
+      for (const [name, value] of Object.entries(response.headers || {})) {
+        if (name.toLowerCase() !== 'content-type') headers[name] = { schema: { type: 'string' }, example: String(value) };
+      }
+      if (endpoint.responseType === 'redirect') {
+        headers.Location = { schema: { type: 'string' }, example: response.redirectUrl || response.url || '/' };
+      }
+      for (const body of variantContents(endpoint, response)) {
+        const media = content[body.type] || (content[body.type] = { samples: [], examples: {} });
+        if (body.binary) continue;
+        media.samples.push(body.value);
+        media.examples[`variant${index + 1}`] = { summary: describeVariant(response), value: body.value };
+      }
+    }
+    for (const [type, media] of Object.entries(content)) {
+      content[type] = media.samples.length === 0
+        ? { schema: { type: 'string', format: 'binary' } }
+        : { schema: type === 'application/json' ? mergeSchemas(media.samples.map(inferSchema)) : { type: 'string' }, examples: media.examples };
+    }
+    if (Object.keys(headers).length) result.headers = headers;
+    if (Object.keys(content).length) result.content = content;
+    responses[status] = result;
+  }
+  return responses;
+}
+
+// Parameters and request body from the endpoint's parameter list, its source
+// and its request validation schemas.
+function buildInputs(endpoint, pathParams, method) {
+  const parameters = pathParams.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  const validation = endpoint.validation || {};
+  const declared = Array.isArray(endpoint.parameters) ? endpoint.parameters.filter(p => p && p.name) : [];
+  const source = endpoint.parameterSource;
+
+  const queryProps = (validation.query && validation.query.properties) || {};
+  const queryRequired = (validation.query && validation.query.required) || [];
+  for (const [name, schema] of Object.entries(queryProps)) {
+    parameters.push({ name, in: 'query', required: queryRequired.includes(name), schema });
+  }
+  const headerProps = (validation.headers && validation.headers.properties) || {};
+  const headerRequired = (validation.headers && validation.headers.required) || [];
+  for (const [name, schema] of Object.entries(headerProps)) {
+    parameters.push({ name, in: 'header', required: headerRequired.includes(name), schema });
+  }
+
+  const bodyParams = [];
+  for (const param of declared) {
+    if (source === 'body') {
+      bodyParams.push(param);
+      continue;
+    }
+    const location = source === 'header' ? 'header' : 'query';
+    const name = location === 'header' ? param.name.toLowerCase() : param.name;
+    if (parameters.some(p => p.in === location && p.name.toLowerCase() === name.toLowerCase())) continue;
+    const entry = { name: param.name, in: location, required: !!param.required, schema: { type: 'string' } };
+    if (source === 'mixed') entry.description = 'Accepted from the query string, a header or a JSON body field';
+    parameters.push(entry);
+  }
+
+  return { parameters, requestBody: requestBodyFor(endpoint, method, bodyParams) };
+}
+
+function requestBodyFor(endpoint, method, bodyParams) {
+  const validation = endpoint.validation || {};
+  // ANY endpoints are listed under every method; GET and DELETE get no body
+  if (endpoint.method === 'ANY' && (method === 'get' || method === 'delete')) return null;
+  if (validation.body !== undefined && validation.body !== null) {
+    return { required: true, content: { 'application/json': { schema: validation.body } } };
+  }
+  if (bodyParams.length) {
+    const properties = Object.fromEntries(bodyParams.map(p => [p.name, {}]));
+    const required = bodyParams.filter(p => p.required).map(p => p.name);
+    return {
+      required: required.length > 0,
+      content: { 'application/json': { schema: { type: 'object', properties, ...(required.length && { required }) } } }
+    };
+  }
+  if (endpoint.responseType === 'resource' && ['post', 'put', 'patch'].includes(method)) {
+    return { required: true, content: { 'application/json': { schema: { type: 'object' } } } };
+  }
+  return null;
+}
+
+// Methods a resource endpoint answers on its collection and item paths.
+function resourceMethods(pathParams) {
+  return pathParams.includes(ITEM_PARAM) ? ['get', 'put', 'patch', 'delete'] : ['get', 'post'];
+}
+
+// Resource endpoints document their collection behaviour instead of variants.
+function resourceResponses(endpoint, method, isItem) {
+  const seed = endpoint.resource && Array.isArray(endpoint.resource.seed) ? endpoint.resource.seed : [];
+  const item = mergeSchemas(seed.map(inferSchema)) || { type: 'object' };
+  const json = schema => ({ content: { 'application/json': { schema } } });
+  if (!isItem && method === 'get') {
+    return {
+      200: {
+        description: 'The items (filter with ?field=value, sort with _sort/_order, page with _limit/_offset)',
+        headers: { 'X-Total-Count': { schema: { type: 'integer' } } },
+        ...json({ type: 'array', items: item })
+      }
+    };
+  }
+  if (!isItem) return { 201: { description: 'Created', ...json(item) }, 409: { description: 'An item with this id already exists' } };
+  if (method === 'delete') return { 204: { description: 'Deleted' }, 404: { description: 'Item not found' } };
+  return { 200: { description: 'The item', ...json(item) }, 404: { description: 'Item not found' } };
+}
+
+// OpenAPI can't describe the messages, only the handshake.
+function websocketResponses() {
+  return {
+    101: { description: 'Switching Protocols: the WebSocket connection is open' },
+    426: { description: 'Upgrade Required: not a WebSocket handshake' }
+  };
+}
+
+// GraphQL over HTTP: the operation in the query string (GET) or a JSON body
+// (POST), answered with { data, errors }.
+const GRAPHQL_PARAMS = {
+  query: { type: 'string', description: 'The GraphQL document' },
+  variables: { type: 'object', additionalProperties: true },
+  operationName: { type: 'string' }
+};
+
+function graphqlInputs(params, method) {
+  const parameters = params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+  if (method === 'get') {
+    parameters.push(
+      { name: 'query', in: 'query', required: true, schema: { type: 'string' } },
+      { name: 'variables', in: 'query', required: false, description: 'JSON-encoded variables', schema: { type: 'string' } },
+      { name: 'operationName', in: 'query', required: false, schema: { type: 'string' } }
+    );
+    return { parameters, requestBody: null };
+  }
+  const schema = { type: 'object', required: ['query'], properties: GRAPHQL_PARAMS };
+  return { parameters, requestBody: { required: true, content: { 'application/json': { schema } } } };
+}
+
+function graphqlResponses() {
+  const error = { type: 'object', properties: { message: { type: 'string' }, locations: { type: 'array' }, path: { type: 'array' } }, required: ['message'] };
+  const errors = { type: 'array', items: error };
+  return {
+    200: { description: 'The operation ran; field errors are listed in errors', content: { 'application/json': { schema: { type: 'object', properties: { data: { type: ['object', 'null'] }, errors } } } } },
+    400: { description: 'The query is missing, malformed or invalid for the schema', content: { 'application/json': { schema: { type: 'object', properties: { errors }, required: ['errors'] } } } }
+  };
+}
+
+function operationId(method, path) {
+  const words = path.split('/').filter(Boolean).map(part => part.replace(/[{}]/g, '').replace(/[^A-Za-z0-9]+/g, '_'));
+  return [method, ...words].join('_') || method;
+}
+
+// Build the document. `endpoints` is loadEndpoints(); options: { title, version, serverUrl }.
+function buildOpenApiDocument(endpoints, { title = 'RoarinAPI mock', version = '1.0.0', serverUrl } = {}) {
+  const paths = {};
+  const securitySchemes = {};
+
+  for (const endpoint of endpoints) {
+    if (endpoint.enabled === false) continue;
+    for (const { path, params } of pathTemplates(endpoint)) {
+      const isResource = endpoint.responseType === 'resource';
+      const isGraphQL = endpoint.responseType === 'graphql';
+      const methods = isResource
+        ? resourceMethods(params)
+        : isGraphQL ? ['get', 'post']
+          : endpoint.method === 'ANY' ? ANY_METHODS : [String(endpoint.method).toLowerCase()];
+      const item = paths[path] || (paths[path] = {});
+
+      for (const method of methods) {
+        if (item[method]) continue; // an earlier endpoint already serves this
+        const { parameters, requestBody } = isGraphQL ? graphqlInputs(params, method) : buildInputs(endpoint, params, method);
+        const operation = {
+          operationId: operationId(method, path),
+          ...(endpoint.description && { summary: endpoint.description }),
+          ...(parameters.length && { parameters }),
+          ...(requestBody && { requestBody }),
+          responses: isResource ? resourceResponses(endpoint, method, params.includes(ITEM_PARAM))
+            : endpoint.responseType === 'websocket' ? websocketResponses()
+              : isGraphQL ? graphqlResponses() : buildResponses(endpoint, method)
+        };
+        if (endpoint.protected) {
+          operation.security = securityRequirements(endpoint, securitySchemes);
+          operation.responses[401] = operation.responses[401] || { description: 'Missing or invalid credentials' };
+          if (needsScope(endpoint)) {
+            operation.responses[403] = operation.responses[403] || { description: 'The token lacks a required claim' };
+          }
+        }
+        item[method] = operation;
+      }
+    }
+  }
+
+  const document = {
+    openapi: '3.1.0',
+    info: { title, version },
+    ...(serverUrl && { servers: [{ url: serverUrl }] }),
+    paths
+  };
+  if (Object.keys(securitySchemes).length > 0) {
+    document.components = { securitySchemes };
+  }
+  return document;
+}
+
+module.exports = {
+  buildOpenApiDocument,
+  inferSchema
+};
@@ -0,0 +1,412 @@
+'use strict';
+
+// Convert an OpenAPI 3.x document into endpoint definitions.
+//
+// Every operation becomes one endpoint. The path template ("/users/{id}")
+// becomes a path pattern ("/users/:id"), prefixed with the base path of the
+// first server. Query and header parameters become endpoint parameters. A
+// JSON request body schema becomes the endpoint's request validation. Each
+// documented response becomes a response variant with its status code. The
+// body comes from the media type's examples or is generated from its schema.
+//
+// The first success response is served by default; the others are picked by
+// request header, the way Prism does it:
+//   X-Mock-Status: 404          the variant for that status code
+//   X-Mock-Example: notFound    a named example of the default status (or of
+//                               X-Mock-Status when both are sent)
+//
+// Example bodies are escaped so they render as written rather than as templates.
+//
+// Secured operations are imported as protected endpoints sharing one generated
+// secret: the bearer token for http bearer, oauth2 and openIdConnect schemes,
+// the key for apiKey schemes (header or query) and the password of user
+// "mock" for http basic. Each security requirement of the operation becomes
+// one of the endpoint's auth schemes. This module only builds the
+// definitions; previewing and saving them is up to the caller.
+
+const crypto = require('crypto');
+const yaml = require('./yaml');
+const { escapeTemplate } = require('./templates');
+
+const METHODS = ['get', 'put', 'post', 'delete', 'patch'];
+const IGNORED_METHODS = ['head', 'options', 'trace'];
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const BASIC_USERNAME = 'mock';
+// Generated samples follow at most this many nested $refs.
+const MAX_SAMPLE_DEPTH = 16;
+
+const FORMAT_SAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00Z',
+  email: 'user@example.com',
+  uuid: '3fa85f64-5717-4562-b3fc-2c963f66afa6',
+  uri: 'https://example.com',
+  url: 'https://example.com',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  ipv6: '2001:db8::1',
+  byte: 'c3RyaW5n',
+  password: 'password'
+};
+
+// Accept a parsed document or its JSON/YAML text. Throws on unreadable input.
+function parseDocument(input) {
+  if (input && typeof input === 'object') return input;
+  if (typeof input !== 'string' || input.trim() === '') throw new Error('Document is empty');
+  const text = input.trim();
+  if (text.startsWith('{')) {
+    try {
+      return JSON.parse(text);
+    } catch (err) {
+      throw new Error(`Invalid JSON: ${err.message}`);
+    }
+  }
+  return yaml.parse(text);
+}
+
+// Follow a local "#/..." reference (chains included). External references
+// resolve to null.
+function resolveRef(doc, value) {
+  const seen = new Set();
+  while (value && typeof value === 'object' && typeof value.$ref === 'string') {
+    const ref = value.$ref;
+    if (!ref.startsWith('#/') || seen.has(ref)) return null;
+    seen.add(ref);
+    value = ref.slice(2).split('/').reduce((node, part) => {
+      const key = decodeURIComponent(part).replace(/~1/g, '/').replace(/~0/g, '~');
+      return node && typeof node === 'object' ? node[key] : undefined;
+    }, doc);
+  }
+  return value === undefined ? null : value;
+}
+
+// Inline every local $ref of a schema so it can be used on its own (request
+// validation). A reference back into its own ancestry becomes {}.
+function inlineSchema(doc, schema, stack = []) {
+  if (Array.isArray(schema)) return schema.map(item => inlineSchema(doc, item, stack));
+  if (!schema || typeof schema !== 'object') return schema;
+  if (typeof schema.$ref === 'string') {
+    if (stack.includes(schema.$ref)) return {};
+    const target = resolveRef(doc, schema);
+    return target === null ? {} : inlineSchema(doc, target, [...stack, schema.$ref]);
+  }
+  const result = {};
+  for (const [key, value] of Object.entries(schema)) {
+    // OpenAPI 3.0 keywords that JSON Schema 2020-12 doesn't know
+    if (key === 'nullable' || key === 'example' || key === 'xml' || key === 'discriminator') continue;
+    result[key] = key === 'properties' || key === '$defs'
+      ? Object.fromEntries(Object.entries(value || {}).map(([k, v]) => [k, inlineSchema(doc, v, stack)]))
+      : inlineSchema(doc, value, stack);
+  }
+  if (schema.nullable === true && typeof schema.type === 'string') result.type = [schema.type, 'null'];
+  return result;
+}
+
+// A plausible value for a schema: its example/default/enum, else built from
+// the type. A $ref back into its own ancestry (recursive schemas) yields null.
+function sampleFromSchema(doc, schema, stack = []) {
+  if (schema && typeof schema.$ref === 'string') {
+    if (stack.includes(schema.$ref) || stack.length > MAX_SAMPLE_DEPTH) return null;
+    stack = [...stack, schema.$ref];
+    schema = resolveRef(doc, schema);
+  }
+  if (!schema || typeof schema !== 'object') return null;
+  if (schema.example !== undefined) return schema.example;
+  if (Array.isArray(schema.examples) && schema.examples.length) return schema.examples[0];
+  if (schema.default !== undefined) return schema.default;
+  if (schema.const !== undefined) return schema.const;
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+
+  if (Array.isArray(schema.allOf)) {
+    const parts = schema.allOf.map(part => sampleFromSchema(doc, part, stack));
+    if (parts.every(p => p && typeof p === 'object' && !Array.isArray(p))) return Object.assign({}, ...parts);
+    return parts.find(p => p !== null) ?? null;
+  }
+  for (const key of ['oneOf', 'anyOf']) {
+    if (Array.isArray(schema[key]) && schema[key].length) return sampleFromSchema(doc, schema[key][0], stack);
+  }
+
+  const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+  switch (type || (schema.properties ? 'object' : schema.items ? 'array' : undefined)) {
+    case 'object': {
+      const result = {};
+      for (const [name, prop] of Object.entries(schema.properties || {})) {
+        result[name] = sampleFromSchema(doc, prop, stack);
+      }
+      return result;
+    }
+    case 'array': {
+      const item = schema.items ? sampleFromSchema(doc, schema.items, stack) : null;
+      return item === null ? [] : [item];
+    }
+    case 'string':
+      return FORMAT_SAMPLES[schema.format] || 'string';
+    case 'integer':
+      return typeof schema.minimum === 'number' ? Math.ceil(schema.minimum) : 0;
+    case 'number':
+      return typeof schema.minimum === 'number' ? schema.minimum : 0;
+    case 'boolean':
+      return true;
+    default:
+      return null;
+  }
+}
+
+// "/users/{id}" -> "/users/:id". Returns null for templates a path pattern
+// can't express (a parameter sharing its segment with other text).
+function toPathPattern(template) {
+  const segments = template.split('/').map(segment => {
+    const m = segment.match(/^\{([^{}]+)\}$/);
+    if (m) {
+      const name = m[1].replace(/[^A-Za-z0-9_]/g, '_');
+      return ':' + (PARAM_NAME.test(name) ? name : `_${name}`);
+    }
+    return /[{}]/.test(segment) ? null : segment;
+  });
+  return segments.includes(null) ? null : segments.join('/');
+}
+
+// Base path of the first server ("https://api.example.com/v1" -> "/v1").
+function serverBasePath(doc) {
+  const server = Array.isArray(doc.servers) ? doc.servers[0] : null;
+  if (!server || typeof server.url !== 'string') return '';
+  const url = server.url.replace(/\{([^}]+)\}/g, (m, name) => {
+    const variable = server.variables && server.variables[name];
+    return variable && variable.default !== undefined ? String(variable.default) : '';
+  });
+  try {
+    const pathname = new URL(url, 'http://localhost').pathname;
+    return pathname === '/' ? '' : pathname.replace(/\/$/, '');
+  } catch (e) {
+    return '';
+  }
+}
+
+// Pick the media type to mock from a content map: JSON first, then text.
+function pickMediaType(content) {
+  const types = Object.keys(content || {});
+  return types.find(t => t === 'application/json') ||
+    types.find(t => /[/+]json\b/.test(t)) ||
+    types.find(t => t.startsWith('text/') || t.includes('xml')) ||
+    types[0] || null;
+}
+
+// The examples of a media type as [{ name, value }], generated from the schema
+// when none are given. A response without content has an undefined value.
+function mediaExamples(doc, media, warnings, where) {
+  if (!media) return [{ name: null, value: undefined }];
+  const examples = [];
+  for (const [name, raw] of Object.entries(media.examples || {})) {
+    const example = resolveRef(doc, raw);
+    if (example && example.value !== undefined) examples.push({ name, value: example.value });
+    else if (example && example.externalValue) warnings.push(`${where}: external example "${name}" skipped`);
+  }
+  if (examples.length) return examples;
+  if (media.example !== undefined) return [{ name: null, value: media.example }];
+  return [{ name: null, value: sampleFromSchema(doc, media.schema) }];
+}
+
+function defaultStatusOf(codes) {
+  return codes.find(code => /^2\d\d$/.test(code)) || codes.find(code => /^2XX$/i.test(code)) ||
+    codes.find(code => code !== 'default') || 'default';
+}
+
+function statusNumber(code) {
+  if (code === 'default') return 500;
+  return /^\dXX$/i.test(code) ? Number(code[0]) * 100 : Number(code);
+}
+
+// Response variants for an operation (see the header comment for how they're selected).
+function buildResponses(doc, operation, warnings, where) {
+  const codes = Object.keys(operation.responses || {});
+  if (codes.length === 0) return { responseType: 'json', responses: [{ condition: null, status: 200, data: {} }] };
+
+  const defaultCode = defaultStatusOf(codes);
+  const defaultMedia = pickMediaType((resolveRef(doc, operation.responses[defaultCode]) || {}).content);
+  const responseType = defaultMedia && !/json/.test(defaultMedia) && (defaultMedia.startsWith('text/') || defaultMedia.includes('xml'))
+    ? 'text'
+    : 'json';
+
+  const specific = [];
+  const byExample = [];
+  let fallback = null;
+  for (const code of codes) {
+    const response = resolveRef(doc, operation.responses[code]);
+    if (!response) {
+      warnings.push(`${where}: response ${code} has an unresolvable $ref`);
+      continue;
+    }
+    const mediaType = pickMediaType(response.content);
+    const media = mediaType ? response.content[mediaType] : null;
+    const status = statusNumber(code);
+    const headers = {};
+    if (mediaType && responseType === 'text') headers['Content-Type'] = mediaType;
+    for (const [name, raw] of Object.entries(response.headers || {})) {
+      const header = resolveRef(doc, raw);
+      const value = header && (header.example ?? sampleFromSchema(doc, header.schema));
+      if (value !== null && value !== undefined && name.toLowerCase() !== 'content-type') headers[name] = escapeTemplate(String(value));
+    }
+
+    const statusCondition = `headers.x-mock-status == '${status}'`;
+    mediaExamples(doc, media, warnings, `${where} ${code}`).forEach((example, index) => {
+      const variant = { condition: null, status };
+      if (responseType === 'text') {
+        variant.text = escapeTemplate(typeof example.value === 'string' || example.value === undefined ? example.value || '' : JSON.stringify(example.value));
+      } else if (example.value !== undefined) {
+        variant.data = escapeTemplate(example.value);
+      }
+      if (Object.keys(headers).length) variant.headers = { ...headers };
+
+      const exampleCondition = example.name ? `headers.x-mock-example == '${example.name.replace(/'/g, '')}'` : null;
+      if (code === defaultCode) {
+        if (index === 0) fallback = variant;
+        if (exampleCondition) byExample.push({ ...variant, condition: exampleCondition });
+      } else if (index === 0) {
+        specific.push({ ...variant, condition: statusCondition });
+        if (exampleCondition) specific.unshift({ ...variant, condition: `${statusCondition} && ${exampleCondition}` });
+      } else if (exampleCondition) {
+        specific.unshift({ ...variant, condition: `${statusCondition} && ${exampleCondition}` });
+      }
+    });
+  }
+
+  // Most specific conditions first; the default status answers everything else.
+  return { responseType, responses: [...specific, ...byExample, ...(fallback ? [fallback] : [])] };
+}
+
+// The endpoint auth scheme for an OpenAPI security scheme, checking `secret`,
+// or null when it can't be mocked.
+function authSchemeFor(scheme, secret) {
+  const httpScheme = scheme.type === 'http' ? String(scheme.scheme).toLowerCase() : null;
+  if (httpScheme === 'bearer' || scheme.type === 'oauth2' || scheme.type === 'openIdConnect') return { type: 'bearer' };
+  if (httpScheme === 'basic') return { type: 'basic', users: [{ username: BASIC_USERNAME, password: secret }] };
+  if (scheme.type === 'apiKey' && ['header', 'query'].includes(scheme.in) && typeof scheme.name === 'string' && scheme.name) {
+    return { type: 'apiKey', in: scheme.in, name: scheme.name, keys: [secret] };
+  }
+  return null;
+}
+
+// The auth schemes an operation needs (any one of them lets a request in), and
+// the names of the schemes that can't be mocked.
+function securityOf(doc, operation, secret, warnings, where) {
+  const requirements = operation.security !== undefined ? operation.security : doc.security;
+  if (!Array.isArray(requirements) || requirements.length === 0) return { schemes: [] };
+  // An empty requirement ({}) makes authentication optional
+  if (requirements.some(req => req && Object.keys(req).length === 0)) return { schemes: [] };
+  const definitions = (doc.components && doc.components.securitySchemes) || {};
+  const schemes = [];
+  const unsupported = [];
+  for (const requirement of requirements) {
+    const names = Object.keys(requirement || {});
+    let checked = null;
+    for (const name of names) {
+      const scheme = authSchemeFor(resolveRef(doc, definitions[name]) || {}, secret);
+      if (!scheme) unsupported.push(name);
+      else if (!checked) checked = { name, scheme };
+    }
+    if (!checked) continue;
+    // Schemes required together can't be expressed; the first one is checked
+    if (names.length > 1) warnings.push(`${where}: ${names.join(' + ')} are required together; only ${checked.name} is checked`);
+    const key = JSON.stringify(checked.scheme);
+    if (!schemes.some(existing => JSON.stringify(existing) === key)) schemes.push(checked.scheme);
+  }
+  return { schemes, unsupported: schemes.length === 0 && unsupported.length ? unsupported : null };
+}
+
+// Convert a document. Returns { title, endpoints, skipped: [{ method, path, error }],
+// warnings, token } where token is the secret of the protected endpoints.
+function convertOpenApi(input, { basePath } = {}) {
+  const doc = parseDocument(input);
+  if (!doc || typeof doc !== 'object' || typeof doc.openapi !== 'string' || !doc.openapi.startsWith('3.')) {
+    throw new Error('Not an OpenAPI 3.x document (missing "openapi: 3.x")');
+  }
+
+  const prefix = typeof basePath === 'string' ? basePath.replace(/\/$/, '') : serverBasePath(doc);
+  const token = crypto.randomBytes(16).toString('hex');
+  const endpoints = [];
+  const skipped = [];
+  const warnings = [];
+  let usesToken = false;
+
+  for (const [template, rawItem] of Object.entries(doc.paths || {})) {
+    const item = resolveRef(doc, rawItem) || {};
+    const pattern = toPathPattern(prefix + template);
+
+    for (const [key, operation] of Object.entries(item)) {
+      const method = key.toUpperCase();
+      if (!METHODS.includes(key)) {
+        if (IGNORED_METHODS.includes(key)) skipped.push({ method, path: template, error: `${method} operations are not supported` });
+        continue;
+      }
+      const where = `${method} ${template}`;
+      if (!pattern) {
+        skipped.push({ method, path: template, error: 'Path parameters must span a whole segment' });
+        continue;
+      }
+
+      const parameters = [];
+      const sources = new Set();
+      for (const raw of [...(item.parameters || []), ...(operation.parameters || [])]) {
+        const param = resolveRef(doc, raw);
+        if (!param || !['query', 'header'].includes(param.in)) continue;
+        const existing = parameters.findIndex(p => p.name === param.name);
+        const entry = { name: param.name, required: param.required === true };
+        if (existing === -1) parameters.push(entry);
+        else parameters[existing] = entry; // operation parameters override path-level ones
+        sources.add(param.in);
+      }
+
+      let validation = null;
+      const requestBody = resolveRef(doc, operation.requestBody);
+      const bodyType = requestBody && pickMediaType(requestBody.content);
+      if (bodyType && /json/.test(bodyType) && requestBody.content[bodyType].schema) {
+        const schema = inlineSchema(doc, requestBody.content[bodyType].schema);
+        validation = { body: requestBody.required ? schema : { anyOf: [{ type: 'null' }, schema] } };
+      }
+
+      const { schemes, unsupported } = securityOf(doc, operation, token, warnings, where);
+      if (unsupported) {
+        warnings.push(`${where}: security scheme ${unsupported.join(', ')} can't be mocked; imported unprotected`);
+      }
+      const bearer = schemes.some(scheme => scheme.type === 'bearer');
+      usesToken = usesToken || schemes.length > 0;
+
+      const { responseType, responses } = buildResponses(doc, operation, warnings, where);
+      endpoints.push({
+        path: pattern,
+        method,
+        description: operation.summary || operation.operationId || (operation.description || '').split('\n')[0],
+        protected: schemes.length > 0,
+        token: bearer ? token : null,
+        // A lone bearer scheme is the endpoint's plain token check
+        auth: schemes.length === 0 || (bearer && schemes.length === 1) ? null : schemes,
+        parameterSource: sources.size === 0 ? 'none' : sources.size > 1 ? 'mixed' : sources.has('query') ? 'query' : 'header',
+        parameters,
+        responseType,
+        responses,
+        delay: null,
+        faults: null,
+        scenario: null,
+        sequence: null,
+        validation,
+        enabled: true
+      });
+    }
+  }
+
+  return {
+    title: doc.info && doc.info.title ? String(doc.info.title) : '',
+    endpoints,
+    skipped,
+    warnings,
+    token: usesToken ? token : null
+  };
+}
+
+module.exports = {
+  parseDocument,
+  convertOpenApi,
+  sampleFromSchema,
+  toPathPattern
+};
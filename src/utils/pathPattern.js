@@ -0,0 +1,160 @@
+'use strict';
+
+// Path patterns for dynamic endpoints.
+//
+// An endpoint path is either a plain static path ("/users/list") or a pattern
+// made of "/"-separated segments:
+//   :name    captures exactly one segment        /users/:id
+//   :name?   optional segment                    /orders/:id?
+//   *        captures the rest of the path       /files/*      (as "wildcard")
+//   *name    same, under a custom name           /files/*rest
+//
+// Captured values are exposed to conditions (path.id == '42') and templates
+// ({{path.id}}). A wildcard may only be the last segment. Optional segments are
+// expanded into plain variants at compile time ("/a/:b?" -> "/a", "/a/:b"), so
+// matching never has to backtrack over optionality.
+
+const PARAM_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const DEFAULT_WILDCARD_NAME = 'wildcard';
+// Each optional segment doubles the number of variants; cap it so a careless
+// pattern can't blow up memory.
+const MAX_OPTIONAL_SEGMENTS = 6;
+
+// Parse a pattern into segment descriptors. Throws on malformed patterns with a
+// message suitable for returning to the admin UI.
+function parsePathPattern(pattern) {
+  if (typeof pattern !== 'string' || !pattern.startsWith('/')) {
+    throw new Error('Path must start with /');
+  }
+
+  const raw = pattern.split('/').slice(1);
+  const segments = [];
+  const names = new Set();
+  let optionalCount = 0;
+
+  raw.forEach((seg, i) => {
+    if (seg.startsWith(':')) {
+      const optional = seg.endsWith('?');
+      const name = seg.slice(1, optional ? -1 : undefined);
+      if (!PARAM_NAME.test(name)) {
+        throw new Error(`Invalid path parameter name: ${seg}`);
+      }
+      if (names.has(name)) throw new Error(`Duplicate path parameter: ${name}`);
+      names.add(name);
+      if (optional) optionalCount++;
+      segments.push({ type: 'param', name, optional });
+    } else if (seg.startsWith('*')) {
+      if (i !== raw.length - 1) throw new Error('Wildcard (*) must be the last path segment');
+      const name = seg.length > 1 ? seg.slice(1) : DEFAULT_WILDCARD_NAME;
+      if (!PARAM_NAME.test(name)) throw new Error(`Invalid wildcard name: ${seg}`);
+      if (names.has(name)) throw new Error(`Duplicate path parameter: ${name}`);
+      names.add(name);
+      segments.push({ type: 'wildcard', name });
+    } else {
+      segments.push({ type: 'static', value: seg });
+    }
+  });
+
+  if (optionalCount > MAX_OPTIONAL_SEGMENTS) {
+    throw new Error(`Too many optional segments (max ${MAX_OPTIONAL_SEGMENTS})`);
+  }
+
+  return segments;
+}
+
+// Expand optional segments into every concrete variant.
+function expandVariants(segments) {
+  let variants = [[]];
+  for (const seg of segments) {
+    if (seg.type === 'param' && seg.optional) {
+      const concrete = { type: 'param', name: seg.name };
+      variants = variants.flatMap(v => [v, [...v, concrete]]);
+    } else {
+      variants = variants.map(v => [...v, seg]);
+    }
+  }
+  return variants;
+}
+
+// Compile a pattern for matching. Static paths are flagged so callers can keep
+// the old exact-string fast path.
+function compilePathPattern(pattern) {
+  const segments = parsePathPattern(pattern);
+  const isStatic = segments.every(s => s.type === 'static');
+  return {
+    pattern,
+    isStatic,
+    segments,
+    variants: expandVariants(segments)
+  };
+}
+
+function isPathPattern(pattern) {
+  return typeof pattern === 'string' && /(^|\/)[:*]/.test(pattern);
+}
+
+function decodeSegment(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    return value;
+  }
+}
+
+// Match one variant against pre-split request segments. Returns captured params
+// or null.
+function matchVariant(variant, parts) {
+  const params = {};
+  for (let i = 0; i < variant.length; i++) {
+    const seg = variant[i];
+    if (seg.type === 'wildcard') {
+      params[seg.name] = decodeSegment(parts.slice(i).join('/'));
+      return params;
+    }
+    if (i >= parts.length) return null;
+    if (seg.type === 'static') {
+      if (seg.value !== parts[i]) return null;
+    } else {
+      if (parts[i] === '') return null;
+      params[seg.name] = decodeSegment(parts[i]);
+    }
+  }
+  return variant.length === parts.length ? params : null;
+}
+
+// Test a compiled pattern against a request path (query string already
+// stripped). Returns the captured params, or null if no variant matches.
+// Endpoint precedence across patterns is decided by the route table.
+function matchPath(compiled, requestPath) {
+  if (compiled.isStatic) {
+    return compiled.pattern === requestPath ? {} : null;
+  }
+  const parts = requestPath.split('/').slice(1);
+  for (const variant of compiled.variants) {
+    const params = matchVariant(variant, parts);
+    if (params) return params;
+  }
+  return null;
+}
+
+// Canonical key for a concrete variant, ignoring parameter names:
+// "/users/:id" and "/users/:userId" are the same route.
+function variantKey(variant) {
+  return '/' + variant.map(s => (s.type === 'static' ? s.value : s.type === 'param' ? ':' : '*')).join('/');
+}
+
+// Two patterns overlap when any of their concrete variants are identical.
+function patternsOverlap(a, b) {
+  const keys = new Set(compilePathPattern(a).variants.map(variantKey));
+  return compilePathPattern(b).variants.some(v => keys.has(variantKey(v)));
+}
+
+module.exports = {
+  parsePathPattern,
+  compilePathPattern,
+  isPathPattern,
+  matchPath,
+  decodeSegment,
+  variantKey,
+  patternsOverlap
+};
@@ -0,0 +1,204 @@
+'use strict';
+
+// Proxy passthrough with record-and-replay for unmatched requests.
+//
+// When no dynamic endpoint matches, the request is forwarded to an upstream
+// taken from config.json `proxy`: the longest matching `routes[].prefix`, else
+// the global `target`. The body goes upstream as the bytes that came in
+// (captured before parsing, see dynamic.js), whatever its content type, and
+// the admin session cookie is left out. In record mode each upstream exchange becomes a new
+// endpoint (via configManager.createEndpoint), so the next identical request is
+// served by the mock instead of the upstream.
+//
+//   proxy: {
+//     enabled: true,
+//     target: 'https://api.example.com',
+//     routes: [{ prefix: '/payments', target: 'http://localhost:9000', stripPrefix: true }],
+//     record: true,
+//     stripVolatileHeaders: true,          // drop volatileHeaders from recordings
+//     volatileHeaders: null,               // null = DEFAULT_VOLATILE_HEADERS
+//     timeoutMs: 10000
+//   }
+
+const configManager = require('../config/configManager');
+const { SESSION_COOKIE } = require('../plugins/auth');
+const { escapeTemplate } = require('./templates');
+const { isObject, isHttpUrl, trimSlash } = require('./common');
+
+// Hop-by-hop headers (RFC 9110 7.6.1) plus ones fetch/Fastify recompute.
+const HOP_BY_HOP = new Set([
+  'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'proxy-connection',
+  'te', 'trailer', 'transfer-encoding', 'upgrade', 'host', 'content-length', 'content-encoding'
+]);
+
+const DEFAULT_VOLATILE_HEADERS = [
+  'date', 'etag', 'last-modified', 'age', 'expires', 'via', 'server-timing',
+  'x-request-id', 'x-correlation-id', 'x-amzn-requestid', 'x-amz-cf-id', 'cf-ray', 'x-runtime'
+];
+
+// Methods a recorded exchange can become an endpoint for.
+const RECORDABLE_METHODS = ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'];
+
+const EXTENSIONS = {
+  'image/png': '.png',
+  'image/jpeg': '.jpg',
+  'image/gif': '.gif',
+  'image/webp': '.webp',
+  'image/svg+xml': '.svg',
+  'application/pdf': '.pdf',
+  'application/zip': '.zip'
+};
+
+// Validate a (partial) proxy config. Returns an error message or null.
+function validateProxyConfig(proxy) {
+  if (!isObject(proxy)) return 'proxy settings must be an object';
+  if (proxy.target && !isHttpUrl(proxy.target)) return 'target must be an http(s) URL';
+  if (proxy.routes !== undefined) {
+    if (!Array.isArray(proxy.routes)) return 'routes must be an array';
+    for (const [i, route] of proxy.routes.entries()) {
+      if (!route || typeof route.prefix !== 'string' || !route.prefix.startsWith('/')) {
+        return `routes[${i}].prefix must start with /`;
+      }
+      if (!isHttpUrl(route.target)) return `routes[${i}].target must be an http(s) URL`;
+    }
+  }
+  if (proxy.volatileHeaders !== undefined && proxy.volatileHeaders !== null &&
+      (!Array.isArray(proxy.volatileHeaders) || proxy.volatileHeaders.some(h => typeof h !== 'string'))) {
+    return 'volatileHeaders must be an array of header names';
+  }
+  if (proxy.timeoutMs !== undefined && !(Number(proxy.timeoutMs) > 0)) return 'timeoutMs must be a positive number';
+  return null;
+}
+
+// Upstream URL for a request path + query string, or null when the request
+// should not be proxied.
+function resolveUpstream(proxy, requestPath, search = '') {
+  if (!proxy || !proxy.enabled) return null;
+
+  let best = null;
+  for (const route of Array.isArray(proxy.routes) ? proxy.routes : []) {
+    const prefix = trimSlash(route.prefix);
+    const matches = prefix === '' || requestPath === prefix || requestPath.startsWith(prefix + '/');
+    if (matches && (!best || prefix.length > trimSlash(best.prefix).length)) best = route;
+  }
+
+  if (best) {
+    const rest = best.stripPrefix ? requestPath.slice(trimSlash(best.prefix).length) || '/' : requestPath;
+    return trimSlash(best.target) + rest + search;
+  }
+  return proxy.target ? trimSlash(proxy.target) + requestPath + search : null;
+}
+
+// The request body for the upstream: the raw bytes when they were captured,
+// else the parsed body re-encoded.
+function encodeBody(request) {
+  if (['GET', 'HEAD'].includes(request.method)) return undefined;
+  if (Buffer.isBuffer(request.rawBody)) return request.rawBody.length > 0 ? request.rawBody : undefined;
+  const body = request.body;
+  if (body === undefined || body === null) return undefined;
+  if (Buffer.isBuffer(body) || typeof body === 'string') return body;
+  // XML was parsed into a value; send the text as it came
+  if (typeof request.rawXml === 'string') return request.rawXml;
+  const contentType = String(request.headers['content-type'] || '');
+  if (contentType.includes('application/x-www-form-urlencoded')) return new URLSearchParams(body).toString();
+  return JSON.stringify(body);
+}
+
+// The Cookie header without the admin session, or null when nothing is left.
+function withoutSessionCookie(cookie) {
+  const kept = String(cookie).split(';').map(pair => pair.trim())
+    .filter(pair => pair && pair.split('=')[0].trim() !== SESSION_COOKIE);
+  return kept.length > 0 ? kept.join('; ') : null;
+}
+
+// Forward a request upstream. Resolves to { url, status, headers, setCookies, body }
+// where headers excludes hop-by-hop ones and body is a Buffer.
+async function forward(request, url, { timeoutMs = 10000 } = {}) {
+  const headers = {};
+  for (const [name, value] of Object.entries(request.headers)) {
+    if (!HOP_BY_HOP.has(name) && value !== undefined) headers[name] = Array.isArray(value) ? value.join(', ') : value;
+  }
+  if (headers.cookie !== undefined) {
+    const cookie = withoutSessionCookie(headers.cookie);
+    if (cookie) headers.cookie = cookie;
+    else delete headers.cookie;
+  }
+
+  const response = await fetch(url, {
+    method: request.method,
+    headers,
+    body: encodeBody(request),
+    redirect: 'manual',
+    signal: AbortSignal.timeout(timeoutMs)
+  });
+
+  const responseHeaders = {};
+  response.headers.forEach((value, name) => {
+    if (!HOP_BY_HOP.has(name) && name !== 'set-cookie') responseHeaders[name] = value;
+  });
+
+  return {
+    url,
+    status: response.status,
+    headers: responseHeaders,
+    setCookies: response.headers.getSetCookie(),
+    body: Buffer.from(await response.arrayBuffer())
+  };
+}
+
+// Build the endpoint definition for a recorded exchange. Its body and headers
+// are escaped so they replay as recorded, never as templates.
+function toEndpoint(request, requestPath, exchange, proxy) {
+  const stripped = new Set(
+    proxy.stripVolatileHeaders === false ? [] : (proxy.volatileHeaders || DEFAULT_VOLATILE_HEADERS).map(h => h.toLowerCase())
+  );
+  const headers = {};
+  for (const [name, value] of Object.entries(exchange.headers)) {
+    if (!stripped.has(name)) headers[name] = escapeTemplate(value);
+  }
+
+  const contentType = String(exchange.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const response = { condition: null, status: exchange.status, headers };
+  let responseType = 'text';
+
+  if (contentType.includes('json')) {
+    try {
+      response.data = escapeTemplate(JSON.parse(exchange.body.toString('utf8') || 'null'));
+      responseType = 'json';
+    } catch (e) {
+      response.text = escapeTemplate(exchange.body.toString('utf8'));
+    }
+  } else if (!contentType || contentType.startsWith('text/') || contentType.includes('xml') ||
+             contentType === 'application/javascript') {
+    response.text = escapeTemplate(exchange.body.toString('utf8'));
+  } else {
+    const asset = configManager.saveAsset(`recorded${EXTENSIONS[contentType] || '.bin'}`, exchange.body);
+    response.assetPath = `${asset.id}${asset.ext}`;
+    response.contentType = contentType;
+    responseType = 'binary';
+  }
+
+  return {
+    path: requestPath,
+    method: request.method,
+    description: `Recorded from ${request.method} ${exchange.url}`,
+    protected: false,
+    token: null,
+    parameterSource: 'none',
+    parameters: [],
+    responseType,
+    responses: [response],
+    enabled: true
+  };
+}
+
+module.exports = {
+  validateProxyConfig,
+  resolveUpstream,
+  forward,
+  toEndpoint,
+  DEFAULT_VOLATILE_HEADERS,
+  HOP_BY_HOP,
+  EXTENSIONS,
+  RECORDABLE_METHODS
+};
@@ -0,0 +1,138 @@
+'use strict';
+
+// JSON Schema (draft 2020-12) validation of incoming requests on dynamic
+// endpoints, so mocks reject malformed payloads the way the real API would.
+//
+//   validation: {
+//     body:    { type: 'object', required: ['name'], properties: { ... } },
+//     query:   { properties: { page: { type: 'integer', minimum: 1 } } },
+//     headers: { required: ['x-api-version'] },   // header names in lowercase
+//     status:  422                                 // 400 (default) or 422
+//   }
+//
+// Query and header values arrive as strings and are coerced to the schema's
+// types ("2" passes `type: integer`); bodies are validated as parsed. A
+// mismatch answers `status` with { error, details: [{ location, path, message,
+// keyword, params }] }.
+
+const Ajv2020 = require('ajv/dist/2020');
+const addFormats = require('ajv-formats');
+
+const LOCATIONS = ['body', 'query', 'headers'];
+const VALIDATION_STATUSES = [400, 422];
+
+// Distinct schemas compiled before the Ajv instances are replaced. Ajv keeps
+// every schema and validator it compiles, so long-running servers whose
+// endpoints keep changing would otherwise grow without limit.
+const MAX_CACHED_SCHEMAS = 500;
+
+// addUsedSchema: false lets different endpoints reuse the same $id.
+const options = { allErrors: true, strict: false, addUsedSchema: false };
+
+function createCompilers() {
+  return {
+    body: addFormats(new Ajv2020(options)),
+    coercing: addFormats(new Ajv2020({ ...options, coerceTypes: 'array' }))
+  };
+}
+
+let compilers = createCompilers();
+// Validators by compiler and serialized schema, so route table rebuilds and
+// admin checks reuse them instead of compiling the same schema again.
+const validators = new Map();
+
+function isSchema(value) {
+  return typeof value === 'boolean' || (value !== null && typeof value === 'object' && !Array.isArray(value));
+}
+
+function compileFor(location, schema) {
+  const kind = location === 'body' ? 'body' : 'coercing';
+  const key = `${kind}:${JSON.stringify(schema)}`;
+  let validate = validators.get(key);
+  if (validate) return validate;
+  if (validators.size >= MAX_CACHED_SCHEMAS) {
+    // Validators already handed out keep working; they just aren't shared any more
+    compilers = createCompilers();
+    validators.clear();
+  }
+  const compiler = compilers[kind];
+  try {
+    validate = compiler.compile(schema);
+  } finally {
+    // Our cache replaces Ajv's own, which is keyed by object identity
+    if (typeof schema === 'object') compiler.removeSchema(schema);
+  }
+  validators.set(key, validate);
+  return validate;
+}
+
+// Validate an endpoint's `validation` block. Returns an error message or null.
+function validateValidationConfig(validation) {
+  if (validation === undefined || validation === null) return null;
+  if (typeof validation !== 'object' || Array.isArray(validation)) return 'validation must be an object';
+  if (validation.status !== undefined && !VALIDATION_STATUSES.includes(validation.status)) {
+    return `validation.status must be one of ${VALIDATION_STATUSES.join(', ')}`;
+  }
+  for (const location of LOCATIONS) {
+    const schema = validation[location];
+    if (schema === undefined || schema === null) continue;
+    if (!isSchema(schema)) return `validation.${location} must be a JSON Schema`;
+    try {
+      compileFor(location, schema);
+    } catch (err) {
+      return `validation.${location} is not a valid JSON Schema: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+// Compile the schemas once per route table build. Returns null when the
+// endpoint validates nothing. Broken schemas (e.g. from a hand-edited
+// endpoints.json) are skipped rather than failing every request, with a
+// message pushed to `warnings` for the caller to log.
+function compileRequestValidation(validation, label = 'endpoint', warnings = []) {
+  if (!validation || typeof validation !== 'object') return null;
+  const validators = [];
+  for (const location of LOCATIONS) {
+    if (!isSchema(validation[location])) continue;
+    try {
+      validators.push({ location, validate: compileFor(location, validation[location]) });
+    } catch (err) {
+      warnings.push(`Ignoring invalid ${location} schema on ${label}: ${err.message}`);
+    }
+  }
+  if (validators.length === 0) return null;
+  return { validators, status: VALIDATION_STATUSES.includes(validation.status) ? validation.status : 400 };
+}
+
+// Check a request against compiled validation. Returns null when it passes,
+// else { status, body } for the error response.
+function validateRequest(compiled, request) {
+  if (!compiled) return null;
+  const details = [];
+  for (const { location, validate } of compiled.validators) {
+    // Coercion rewrites values in place, so the coercing validators get a copy.
+    const data = location === 'body'
+      ? (request.body === undefined ? null : request.body)
+      : { ...request[location] };
+    if (validate(data)) continue;
+    for (const err of validate.errors) {
+      details.push({
+        location,
+        path: err.instancePath || '/',
+        message: err.message,
+        keyword: err.keyword,
+        params: err.params
+      });
+    }
+  }
+  if (details.length === 0) return null;
+  return { status: compiled.status, body: { error: 'Request validation failed', details } };
+}
+
+module.exports = {
+  validateValidationConfig,
+  compileRequestValidation,
+  validateRequest,
+  VALIDATION_STATUSES
+};
@@ -0,0 +1,252 @@
+'use strict';
+
+// Stateful REST collections for `responseType: 'resource'` endpoints.
+//
+// One resource endpoint serves a whole collection. For an endpoint at /users:
+//   GET    /users        list  (?field=value filters, ?_sort=name&_order=desc,
+//                               ?_limit=10&_offset=20; X-Total-Count header)
+//   POST   /users        create (id generated unless the body supplies one)
+//   GET    /users/:id    fetch one
+//   PUT    /users/:id    replace
+//   PATCH  /users/:id    shallow merge
+//   DELETE /users/:id    remove
+//
+// endpoint.resource configures the collection:
+//   { idField: 'id', idStrategy: 'uuid' | 'increment', persist: false, seed: [...] }
+//
+// Persisted collections live in DATA_DIR/resources/<endpoint id>.json and are
+// re-read when the file's mtime changes, so cluster workers (and nodes on shared
+// storage) see each other's writes; the seed is written on first use. In-memory
+// collections are per process and start again from the seed data on restart.
+
+const crypto = require('crypto');
+const configManager = require('../config/configManager');
+
+const ID_STRATEGIES = ['uuid', 'increment'];
+// Path parameter that carries the item id ("/users" serves "/users/:id?").
+const ITEM_PARAM = 'id';
+const FIELD_NAME = /^[A-Za-z_$][A-Za-z0-9_$-]*$/;
+
+const collections = new Map(); // endpoint id -> { items, mtimeMs }
+
+// The route pattern a resource endpoint is served under.
+function resourcePattern(endpointPath) {
+  const base = endpointPath.endsWith('/') ? endpointPath.slice(0, -1) : endpointPath;
+  return `${base}/:${ITEM_PARAM}?`;
+}
+
+function resourceOptions(endpoint) {
+  const resource = endpoint.resource || {};
+  return {
+    idField: resource.idField || 'id',
+    idStrategy: resource.idStrategy || 'uuid',
+    persist: resource.persist === true,
+    seed: Array.isArray(resource.seed) ? resource.seed : []
+  };
+}
+
+// Validate an endpoint's `resource` block. Returns an error message or null.
+function validateResource(resource) {
+  if (resource === undefined || resource === null) return null;
+  if (typeof resource !== 'object' || Array.isArray(resource)) return 'resource must be an object';
+  if (resource.idField !== undefined && (typeof resource.idField !== 'string' || !FIELD_NAME.test(resource.idField))) {
+    return 'resource.idField must be a field name';
+  }
+  if (resource.idStrategy !== undefined && !ID_STRATEGIES.includes(resource.idStrategy)) {
+    return `resource.idStrategy must be one of ${ID_STRATEGIES.join(', ')}`;
+  }
+  if (resource.persist !== undefined && typeof resource.persist !== 'boolean') {
+    return 'resource.persist must be a boolean';
+  }
+  if (resource.seed !== undefined) {
+    if (!Array.isArray(resource.seed)) return 'resource.seed must be an array';
+    if (resource.seed.some(item => !isPlainObject(item))) return 'resource.seed items must be objects';
+  }
+  return null;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function nextId(items, options) {
+  if (options.idStrategy === 'increment') {
+    const max = items.reduce((m, item) => {
+      const n = Number(item[options.idField]);
+      return Number.isInteger(n) && n > m ? n : m;
+    }, 0);
+    return max + 1;
+  }
+  return crypto.randomUUID();
+}
+
+function seedItems(options) {
+  const items = [];
+  for (const item of structuredClone(options.seed)) {
+    if (item[options.idField] === undefined) item[options.idField] = nextId(items, options);
+    items.push(item);
+  }
+  return items;
+}
+
+function loadCollection(endpoint) {
+  const options = resourceOptions(endpoint);
+  let collection = collections.get(endpoint.id);
+
+  if (options.persist) {
+    const mtimeMs = configManager.resourceItemsMtime(endpoint.id);
+    if (collection && mtimeMs !== -1 && collection.mtimeMs === mtimeMs) return collection;
+    collection = mtimeMs !== -1 && configManager.readResourceItems(endpoint.id);
+    if (!collection) {
+      // Written at once, so ids generated for the seed stay the same for later
+      // requests and other workers.
+      collection = { items: seedItems(options), mtimeMs: -1 };
+      saveCollection(endpoint, collection);
+    }
+    collections.set(endpoint.id, collection);
+    return collection;
+  }
+
+  if (!collection) {
+    collection = { items: seedItems(options), mtimeMs: -1 };
+    collections.set(endpoint.id, collection);
+  }
+  return collection;
+}
+
+function saveCollection(endpoint, collection) {
+  if (resourceOptions(endpoint).persist) {
+    collection.mtimeMs = configManager.writeResourceItems(endpoint.id, collection.items);
+  }
+}
+
+// Drop a collection so the next request starts again from the seed data.
+// Returns the number of items after reseeding (0 for a deleted endpoint).
+function resetCollection(endpoint) {
+  collections.delete(endpoint.id);
+  configManager.deleteResourceItems(endpoint.id);
+  return endpoint.responseType === 'resource' ? loadCollection(endpoint).items.length : 0;
+}
+
+function getField(item, field) {
+  let value = item;
+  for (const key of field.split('.')) {
+    if (value === null || typeof value !== 'object') return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+// Items missing the field sort last whatever the order.
+function compareField(a, b, descending) {
+  if (a === b) return 0;
+  if (a === undefined || a === null) return 1;
+  if (b === undefined || b === null) return -1;
+  const cmp = typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b));
+  return descending ? -cmp : cmp;
+}
+
+function toList(value) {
+  return (Array.isArray(value) ? value : [value]).flatMap(v => String(v).split(',')).filter(Boolean);
+}
+
+// Filter (?field=value, repeated for OR, dotted for nested fields), sort
+// (?_sort=a,b&_order=asc,desc) and page (?_limit, ?_offset) a list.
+function queryItems(items, query = {}) {
+  let result = items;
+
+  for (const [field, value] of Object.entries(query)) {
+    if (field.startsWith('_')) continue;
+    const accepted = (Array.isArray(value) ? value : [value]).map(String);
+    result = result.filter(item => {
+      const actual = getField(item, field);
+      return actual !== undefined && accepted.includes(String(actual));
+    });
+  }
+
+  if (query._sort) {
+    const fields = toList(query._sort);
+    const orders = query._order ? toList(query._order) : [];
+    result = [...result].sort((a, b) => {
+      for (const [i, field] of fields.entries()) {
+        const cmp = compareField(getField(a, field), getField(b, field), orders[i] === 'desc');
+        if (cmp !== 0) return cmp;
+      }
+      return 0;
+    });
+  }
+
+  const total = result.length;
+  const offset = Math.max(0, parseInt(query._offset, 10) || 0);
+  const limit = parseInt(query._limit, 10);
+  result = result.slice(offset, Number.isInteger(limit) && limit >= 0 ? offset + limit : undefined);
+
+  return { items: result, total };
+}
+
+function methodNotAllowed(allow) {
+  return { status: 405, headers: { Allow: allow }, body: { error: 'Method not allowed' } };
+}
+
+// Serve one request against an endpoint's collection. `id` is the item id from
+// the path (undefined for the collection itself). Returns { status, body, headers }.
+function handleResourceRequest(endpoint, { method, id, query, body }) {
+  const options = resourceOptions(endpoint);
+  const collection = loadCollection(endpoint);
+  const { items } = collection;
+  const idField = options.idField;
+  const index = id === undefined ? -1 : items.findIndex(item => String(item[idField]) === id);
+
+  if (id === undefined) {
+    if (method === 'GET' || method === 'HEAD') {
+      const result = queryItems(items, query);
+      return { status: 200, headers: { 'X-Total-Count': String(result.total) }, body: result.items };
+    }
+    if (method === 'POST') {
+      if (!isPlainObject(body)) return { status: 400, body: { error: 'Body must be a JSON object' } };
+      const item = { ...body };
+      if (item[idField] === undefined || item[idField] === null || item[idField] === '') {
+        item[idField] = nextId(items, options);
+      } else if (items.some(existing => String(existing[idField]) === String(item[idField]))) {
+        return { status: 409, body: { error: `Item ${item[idField]} already exists` } };
+      }
+      items.push(item);
+      saveCollection(endpoint, collection);
+      return { status: 201, body: item };
+    }
+    return methodNotAllowed('GET, HEAD, POST');
+  }
+
+  if (!['GET', 'HEAD', 'PUT', 'PATCH', 'DELETE'].includes(method)) {
+    return methodNotAllowed('GET, HEAD, PUT, PATCH, DELETE');
+  }
+  if (index === -1) return { status: 404, body: { error: 'Item not found' } };
+
+  switch (method) {
+    case 'PUT':
+    case 'PATCH': {
+      if (!isPlainObject(body)) return { status: 400, body: { error: 'Body must be a JSON object' } };
+      const base = method === 'PATCH' ? items[index] : {};
+      // The id always comes from the URL; it can't be changed through the body.
+      items[index] = { ...base, ...body, [idField]: items[index][idField] };
+      saveCollection(endpoint, collection);
+      return { status: 200, body: items[index] };
+    }
+    case 'DELETE':
+      items.splice(index, 1);
+      saveCollection(endpoint, collection);
+      return { status: 204, body: null };
+    default:
+      return { status: 200, body: items[index] };
+  }
+}
+
+module.exports = {
+  resourcePattern,
+  validateResource,
+  handleResourceRequest,
+  resetCollection,
+  queryItems,
+  ID_STRATEGIES,
+  ITEM_PARAM
+};
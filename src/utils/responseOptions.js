@@ -0,0 +1,101 @@
+'use strict';
+
+// Status codes, headers and cookies of mock response variants. Each may be a
+// template rendered per request; the admin API validates the literal ones
+// with the same rules.
+//
+//   { status: '{{query.code}}', headers: { 'X-Trace': '{{query.trace}}' },
+//     cookies: [{ name: 'sid', value: 'abc', httpOnly: true, sameSite: 'lax' }] }
+
+const { renderTemplate } = require('./templates');
+
+// Redirect codes a response may choose; anything else falls back to 302.
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+// An HTTP token (RFC 9110 5.1), as header and cookie names must be.
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const SAME_SITE_VALUES = ['strict', 'lax', 'none'];
+const COOKIE_OPTIONS = ['path', 'domain', 'maxAge', 'expires', 'httpOnly', 'secure', 'sameSite'];
+
+// Characters Node refuses in a header value (http.validateHeaderValue).
+const INVALID_HEADER_CHAR = /[^\t\x20-\x7e\x80-\xff]/gu;
+
+// Templated values end up in response headers, where an invalid character
+// would throw from writeHead, outside the handler. CR/LF become a space so
+// request input can never split the response, and whatever else Node rejects
+// is percent-encoded as UTF-8.
+function toHeaderValue(value, template) {
+  return renderTemplate(String(value ?? ''), template)
+    .replace(/[\r\n]+/g, ' ')
+    .replace(INVALID_HEADER_CHAR, c => [...Buffer.from(c)].map(b => `%${b.toString(16).toUpperCase().padStart(2, '0')}`).join(''));
+}
+
+// Cookie values are percent-encoded by @fastify/cookie itself, which only
+// chokes on lone surrogates; those become U+FFFD.
+function toCookieValue(value, template) {
+  const text = renderTemplate(String(value ?? ''), template).replace(/[\r\n]+/g, ' ');
+  return Buffer.from(text).toString();
+}
+
+function isValidMaxAge(value) {
+  return (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value));
+}
+
+function isValidExpires(value) {
+  return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime());
+}
+
+// Check a cookie's maxAge and expires, which are never templated. Returns an
+// error message or null.
+function cookieOptionError(cookie) {
+  if (cookie.maxAge !== undefined && cookie.maxAge !== null && !isValidMaxAge(cookie.maxAge)) {
+    return 'maxAge must be a number of seconds';
+  }
+  if (cookie.expires !== undefined && cookie.expires !== null && !isValidExpires(cookie.expires)) {
+    return 'expires must be a date';
+  }
+  return null;
+}
+
+// Resolve a response's (optionally templated) status code. Returns null when
+// unset or not a valid HTTP status.
+function resolveStatus(status, template) {
+  if (status === undefined || status === null || status === '') return null;
+  const code = parseInt(renderTemplate(String(status), template), 10);
+  return code >= 100 && code <= 599 ? code : null;
+}
+
+// Apply a response variant's templated headers and Set-Cookie values.
+function applyResponseHeaders(reply, responseData, template) {
+  if (responseData.headers && typeof responseData.headers === 'object') {
+    for (const [name, value] of Object.entries(responseData.headers)) {
+      if (!HEADER_NAME.test(name)) continue;
+      reply.header(name, toHeaderValue(value, template));
+    }
+  }
+
+  if (Array.isArray(responseData.cookies)) {
+    for (const cookie of responseData.cookies) {
+      if (!cookie || typeof cookie.name !== 'string' || !HEADER_NAME.test(cookie.name)) continue;
+      const options = {};
+      for (const key of COOKIE_OPTIONS) {
+        if (cookie[key] !== undefined && cookie[key] !== null) options[key] = cookie[key];
+      }
+      // Saved endpoints are validated; skip what still would make setCookie throw
+      if ('maxAge' in options && !isValidMaxAge(options.maxAge)) delete options.maxAge;
+      if ('expires' in options) {
+        if (isValidExpires(options.expires)) options.expires = new Date(options.expires);
+        else delete options.expires;
+      }
+      reply.setCookie(cookie.name, toCookieValue(cookie.value, template), options);
+    }
+  }
+}
+
+module.exports = {
+  resolveStatus,
+  applyResponseHeaders,
+  cookieOptionError,
+  REDIRECT_STATUSES,
+  HEADER_NAME,
+  SAME_SITE_VALUES
+};
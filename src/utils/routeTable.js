@@ -0,0 +1,236 @@
+'use strict';
+
+// Compiled routing index for dynamic endpoints.
+//
+// Instead of cloning the endpoint list and scanning it on every request, the
+// endpoints are compiled once into a radix tree per method (segment-keyed: a
+// node has static children, at most one :param child and at most one * tail),
+// with each response's condition parsed to an evaluator, request schemas
+// compiled, websocket rules parsed, GraphQL schemas built and asset paths resolved up front. The table is rebuilt only when configManager hands back a
+// different endpoints snapshot, i.e. when endpoints.json's mtime changes.
+//
+// Precedence matches the documented rules: walking the tree, a static segment
+// is tried before a :param, which is tried before *, so the first hit is the
+// most specific route. Between the method's own tree and the ANY tree the more
+// specific match wins, and an exact method wins a tie. Within one tree, ties go
+// to the endpoint defined first.
+
+const configManager = require('../config/configManager');
+const { compileCondition } = require('./conditions');
+const { compilePathPattern, decodeSegment } = require('./pathPattern');
+const { resourcePattern } = require('./resourceStore');
+const { DEFAULT_SCENARIO, SEQUENCE_MODES } = require('./scenarios');
+const { compileRequestValidation } = require('./requestValidation');
+const { compileAuth } = require('./endpointAuth');
+const { compileWebSocket } = require('./websocketEndpoints');
+const { compileGraphQL } = require('./graphqlEndpoints');
+const { compileSoapMatch } = require('./soap');
+
+// Per-segment specificity, compared left to right (higher wins).
+const RANK_STATIC = 3;
+const RANK_PARAM = 2;
+const RANK_WILDCARD = 1;
+// Terminal marker: ending exactly on a route beats an empty * tail.
+const RANK_END = 2;
+const RANK_EMPTY_TAIL = 1;
+
+// Paths owned by the server itself: everything below these prefixes, and
+// these exact paths. Dynamic endpoints never serve (or journal) them.
+const RESERVED_PREFIXES = ['/admin', '/api/admin'];
+const RESERVED_EXACT = ['/health'];
+
+function underReservedPrefix(requestPath) {
+  return RESERVED_PREFIXES.some(p => requestPath === p || requestPath.startsWith(`${p}/`));
+}
+
+function isReservedPath(requestPath) {
+  return RESERVED_EXACT.includes(requestPath) || underReservedPrefix(requestPath);
+}
+
+// Whether a compiled pattern is written inside a reserved path, i.e. its
+// leading static segments (of any optional-segment variant) already put it
+// there. Patterns that merely can match one ("/:page", "/api/*") are fine: the
+// handler skips reserved paths before routing.
+function claimsReservedPath(compiled) {
+  return compiled.variants.some(variant => {
+    const end = variant.findIndex(s => s.type !== 'static');
+    const prefix = '/' + variant.slice(0, end === -1 ? variant.length : end).map(s => s.value).join('/');
+    return end === -1 ? isReservedPath(prefix) : underReservedPrefix(prefix);
+  });
+}
+
+// The pattern an endpoint is routed under. A resource endpoint also serves the
+// items below its path ("/users" -> "/users/:id?").
+function endpointPattern(endpoint) {
+  return endpoint.responseType === 'resource' ? resourcePattern(endpoint.path) : endpoint.path;
+}
+
+function createNode() {
+  return { static: new Map(), param: null, wildcard: null, routes: [] };
+}
+
+// Compile one endpoint into what the handler needs at request time. The
+// endpoint object itself is shared with configManager's cache and must not be
+// mutated. Problems worth logging are pushed to `warnings`.
+function compileRoute(endpoint, index, warnings = []) {
+  const responses = (Array.isArray(endpoint.responses) ? endpoint.responses : []).map(resp => ({
+    response: resp,
+    hasCondition: !!resp.condition || !!compileSoapMatch(resp.soap),
+    condition: resp.condition ? compileCondition(resp.condition) : null,
+    soap: compileSoapMatch(resp.soap),
+    assetFile: resp.assetPath ? configManager.resolveAssetPath(resp.assetPath) : null,
+    scenario: resp.scenario || endpoint.scenario || DEFAULT_SCENARIO,
+    requiredState: resp.requiredState || null,
+    newState: resp.newState || null
+  }));
+  const sequence = SEQUENCE_MODES.includes(endpoint.sequence) ? endpoint.sequence : null;
+  // Only stateful routes pay for reading scenario state on each request.
+  const stateful = !!sequence || responses.some(r => r.requiredState || r.newState);
+  const validation = compileRequestValidation(endpoint.validation, `${endpoint.method} ${endpoint.path}`, warnings);
+  const auth = compileAuth(endpoint);
+  const websocket = compileWebSocket(endpoint);
+  const graphql = compileGraphQL(endpoint);
+  return { endpoint, index, responses, sequence, stateful, validation, auth, websocket, graphql };
+}
+
+function insert(root, variant, route) {
+  let node = root;
+  const names = [];
+  for (const seg of variant) {
+    if (seg.type === 'static') {
+      if (!node.static.has(seg.value)) node.static.set(seg.value, createNode());
+      node = node.static.get(seg.value);
+    } else if (seg.type === 'param') {
+      node.param = node.param || createNode();
+      node = node.param;
+      names.push(seg.name);
+    } else {
+      node.wildcard = node.wildcard || { routes: [] };
+      node.wildcard.routes.push({ route, names: [...names, seg.name] });
+      return;
+    }
+  }
+  node.routes.push({ route, names });
+}
+
+// Depth-first lookup in priority order. `values` and `rank` are shared stacks;
+// the returned result takes copies.
+function lookup(node, parts, i, values, rank) {
+  if (i === parts.length) {
+    if (node.routes.length) {
+      return { leaf: node.routes[0], values: [...values], rank: [...rank, RANK_END] };
+    }
+    if (node.wildcard) {
+      return { leaf: node.wildcard.routes[0], values: [...values, ''], rank: [...rank, RANK_EMPTY_TAIL] };
+    }
+    return null;
+  }
+
+  const part = parts[i];
+
+  const child = node.static.get(part);
+  if (child) {
+    rank.push(RANK_STATIC);
+    const found = lookup(child, parts, i + 1, values, rank);
+    rank.pop();
+    if (found) return found;
+  }
+
+  if (node.param && part !== '') {
+    values.push(part);
+    rank.push(RANK_PARAM);
+    const found = lookup(node.param, parts, i + 1, values, rank);
+    rank.pop();
+    values.pop();
+    if (found) return found;
+  }
+
+  if (node.wildcard) {
+    const tail = parts.length - i;
+    return {
+      leaf: node.wildcard.routes[0],
+      values: [...values, parts.slice(i).join('/')],
+      rank: [...rank, ...new Array(tail).fill(RANK_WILDCARD), RANK_EMPTY_TAIL]
+    };
+  }
+
+  return null;
+}
+
+function compareRanks(a, b) {
+  const len = Math.max(a.length, b.length);
+  for (let i = 0; i < len; i++) {
+    const x = a[i] || 0;
+    const y = b[i] || 0;
+    if (x !== y) return x > y ? 1 : -1;
+  }
+  return 0;
+}
+
+// Build a route table from an endpoints array. Disabled endpoints and paths
+// that are not valid patterns are left out (they never match). The table's
+// `warnings` list what was skipped inside the endpoints that are served.
+function buildRouteTable(endpoints, { mtimeMs = -1 } = {}) {
+  const trees = new Map(); // method -> root node
+  const warnings = [];
+
+  endpoints.forEach((endpoint, index) => {
+    if (!endpoint || !endpoint.enabled || typeof endpoint.method !== 'string') return;
+    let compiled;
+    try {
+      compiled = compilePathPattern(endpointPattern(endpoint));
+    } catch (e) {
+      return;
+    }
+    if (!trees.has(endpoint.method)) trees.set(endpoint.method, createNode());
+    const root = trees.get(endpoint.method);
+    const route = compileRoute(endpoint, index, warnings);
+    for (const variant of compiled.variants) insert(root, variant, route);
+  });
+
+  function matchIn(method, parts) {
+    const root = trees.get(method);
+    return root ? lookup(root, parts, 0, [], []) : null;
+  }
+
+  // Resolve method + path (query string already stripped) to
+  // { route, params }, or null when nothing matches.
+  function match(method, requestPath) {
+    const parts = requestPath.split('/').slice(1);
+    const exact = matchIn(method, parts);
+    const any = method === 'ANY' ? null : matchIn('ANY', parts);
+    let found = exact;
+    if (any && (!exact || compareRanks(any.rank, exact.rank) > 0)) found = any;
+    if (!found) return null;
+
+    const params = {};
+    found.leaf.names.forEach((name, i) => { params[name] = decodeSegment(found.values[i]); });
+    return { route: found.leaf.route, params };
+  }
+
+  return { source: endpoints, mtimeMs, match, warnings };
+}
+
+// Current table for the endpoints on disk. configManager caches the parsed file
+// by mtime and hands back the same array until it changes, so this rebuilds
+// only after endpoints.json is written (by this node or another one on shared
+// storage). A rebuild logs its warnings once, through the caller's logger.
+let _table = null;
+
+function getRouteTable(log) {
+  const { endpoints, mtimeMs } = configManager.getEndpointsSnapshot();
+  if (!_table || _table.source !== endpoints) {
+    _table = buildRouteTable(endpoints, { mtimeMs });
+    if (log) for (const warning of _table.warnings) log.warn(warning);
+  }
+  return _table;
+}
+
+module.exports = {
+  buildRouteTable,
+  getRouteTable,
+  compileRoute,
+  endpointPattern,
+  isReservedPath,
+  claimsReservedPath
+};
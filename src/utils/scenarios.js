@@ -0,0 +1,151 @@
+'use strict';
+
+// Scenario state machines and sequenced responses for dynamic endpoints.
+//
+// A response variant can take part in a named scenario:
+//   { scenario: 'checkout', requiredState: 'paid', newState: 'shipped', ... }
+// It is only eligible while the scenario is in `requiredState` (every scenario
+// starts in "Started"), and serving it moves the scenario to `newState`. The
+// scenario name defaults to the endpoint's `scenario` field, and one scenario
+// can span several endpoints ("after POST /login, GET /me returns the user").
+//
+// An endpoint with `sequence: 'cycle'` or `sequence: 'last'` serves its eligible
+// responses in order, one per call; after the last one it wraps around (cycle)
+// or keeps repeating it (last).
+//
+// State is kept in DATA_DIR/scenarios.json via configManager, so every cluster
+// worker sees the same scenario states and sequence positions.
+
+const configManager = require('../config/configManager');
+
+const INITIAL_STATE = 'Started';
+const DEFAULT_SCENARIO = 'default';
+const SEQUENCE_MODES = ['cycle', 'last'];
+
+function currentState(state, name) {
+  return state.scenarios[name] || INITIAL_STATE;
+}
+
+// Whether a compiled response entry may be served in the given state snapshot.
+function isEligible(entry, state) {
+  return !entry.requiredState || currentState(state, entry.scenario) === entry.requiredState;
+}
+
+function getState() {
+  return configManager.getScenarioState();
+}
+
+// Pick the next position of an endpoint's sequence among `count` candidates.
+function sequenceIndex(state, endpointId, mode, count) {
+  const calls = state.sequences[endpointId] || 0;
+  return mode === 'cycle' ? calls % count : Math.min(calls, count - 1);
+}
+
+// Persist what serving a response changed: the endpoint's sequence position
+// and/or its scenario's new state. One write per request at most.
+function recordServed(entry, endpointId, sequenced) {
+  if (!sequenced && !entry.newState) return;
+  const state = getState();
+  const next = {
+    scenarios: { ...state.scenarios },
+    sequences: { ...state.sequences }
+  };
+  if (sequenced) next.sequences[endpointId] = (next.sequences[endpointId] || 0) + 1;
+  if (entry.newState) next.scenarios[entry.scenario] = entry.newState;
+  configManager.saveScenarioState(next);
+}
+
+function setScenarioState(name, value) {
+  const state = getState();
+  configManager.saveScenarioState({
+    scenarios: { ...state.scenarios, [name]: value },
+    sequences: { ...state.sequences }
+  });
+}
+
+// Reset one scenario (its state and the sequences of endpoints that belong to
+// it) or, without a name, everything.
+function resetScenarios(name, endpoints = []) {
+  if (name === undefined) {
+    configManager.saveScenarioState({ scenarios: {}, sequences: {} });
+    return;
+  }
+  const state = getState();
+  const scenarios = { ...state.scenarios };
+  const sequences = { ...state.sequences };
+  delete scenarios[name];
+  for (const endpoint of endpoints) {
+    if ((endpoint.scenario || DEFAULT_SCENARIO) === name) delete sequences[endpoint.id];
+  }
+  configManager.saveScenarioState({ scenarios, sequences });
+}
+
+// Summarize the scenarios referenced by the endpoints: current state, the
+// states the responses mention and which endpoints take part.
+function describeScenarios(endpoints) {
+  const state = getState();
+  const byName = new Map();
+  const entry = name => {
+    if (!byName.has(name)) {
+      byName.set(name, { name, state: currentState(state, name), states: new Set([INITIAL_STATE]), endpoints: [] });
+    }
+    return byName.get(name);
+  };
+
+  for (const endpoint of endpoints) {
+    for (const resp of Array.isArray(endpoint.responses) ? endpoint.responses : []) {
+      if (!resp.requiredState && !resp.newState) continue;
+      const scenario = entry(resp.scenario || endpoint.scenario || DEFAULT_SCENARIO);
+      if (resp.requiredState) scenario.states.add(resp.requiredState);
+      if (resp.newState) scenario.states.add(resp.newState);
+      if (!scenario.endpoints.some(e => e.id === endpoint.id)) {
+        scenario.endpoints.push({ id: endpoint.id, method: endpoint.method, path: endpoint.path });
+      }
+    }
+  }
+  // States set through the admin API for scenarios no response mentions yet
+  for (const name of Object.keys(state.scenarios)) entry(name);
+
+  const sequences = endpoints
+    .filter(e => SEQUENCE_MODES.includes(e.sequence))
+    .map(e => ({ id: e.id, method: e.method, path: e.path, mode: e.sequence, calls: state.sequences[e.id] || 0 }));
+
+  return {
+    scenarios: [...byName.values()].map(s => ({ ...s, states: [...s.states] })),
+    sequences
+  };
+}
+
+// Validate an endpoint's scenario/sequence settings and the scenario fields of
+// its responses. Returns an error message or null.
+function validateScenarioFields({ scenario, sequence, responses }) {
+  if (scenario !== undefined && scenario !== null && (typeof scenario !== 'string' || !scenario.trim())) {
+    return 'scenario must be a non-empty string';
+  }
+  if (sequence !== undefined && sequence !== null && !SEQUENCE_MODES.includes(sequence)) {
+    return `sequence must be one of ${SEQUENCE_MODES.join(', ')}`;
+  }
+  for (const [i, resp] of (Array.isArray(responses) ? responses : []).entries()) {
+    for (const key of ['scenario', 'requiredState', 'newState']) {
+      const value = resp?.[key];
+      if (value !== undefined && value !== null && (typeof value !== 'string' || !value.trim())) {
+        return `responses[${i}].${key} must be a non-empty string`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  isEligible,
+  getState,
+  sequenceIndex,
+  recordServed,
+  setScenarioState,
+  resetScenarios,
+  describeScenarios,
+  validateScenarioFields,
+  INITIAL_STATE,
+  DEFAULT_SCENARIO,
+  SEQUENCE_MODES
+};
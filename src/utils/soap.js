@@ -0,0 +1,147 @@
+'use strict';
+
+// SOAP support for xml endpoints.
+//
+// A response variant's `soap` block picks it by the request's SOAP action and
+// operation, and wraps its body in an envelope or answers with a fault:
+//
+//   { soap: { action: 'urn:GetUser', operation: 'GetUser' },
+//     xml: '<GetUserResponse><name>Ann</name></GetUserResponse>' }
+//   { soap: { operation: 'DeleteUser', fault: { code: 'Client', message: 'Not allowed', detail: '<reason>locked</reason>' } } }
+//
+// The action comes from the SOAPAction header (SOAP 1.1) or the action
+// parameter of the Content-Type (SOAP 1.2); the operation is the local name of
+// the first element in the request's soap:Body. Both must match when given,
+// as must the variant's condition. Replies use the request's SOAP version
+// (`version` forces one); faults get status 500 unless the variant sets one.
+
+const { parseXml, localName, childElements, namespaceOf, escapeXml } = require('./xml');
+const { isObject, isNonEmptyString } = require('./common');
+
+const VERSIONS = {
+  '1.1': { namespace: 'http://schemas.xmlsoap.org/soap/envelope/', contentType: 'text/xml; charset=utf-8' },
+  '1.2': { namespace: 'http://www.w3.org/2003/05/soap-envelope', contentType: 'application/soap+xml; charset=utf-8' }
+};
+// Fault codes by name in either version's vocabulary
+const FAULT_CODES = {
+  Client: { '1.1': 'Client', '1.2': 'Sender' },
+  Sender: { '1.1': 'Client', '1.2': 'Sender' },
+  Server: { '1.1': 'Server', '1.2': 'Receiver' },
+  Receiver: { '1.1': 'Server', '1.2': 'Receiver' },
+  VersionMismatch: { '1.1': 'VersionMismatch', '1.2': 'VersionMismatch' },
+  MustUnderstand: { '1.1': 'MustUnderstand', '1.2': 'MustUnderstand' }
+};
+
+// Parsed SOAP details per request, so several variants can check them
+const requestInfo = new WeakMap();
+
+// Blank text is as good as none here
+function isText(value) {
+  return isNonEmptyString(value) && value.trim() !== '';
+}
+
+// Validate a response variant's `soap` block. Returns an error message or null.
+function validateSoap(soap, where) {
+  if (soap === undefined || soap === null) return null;
+  if (!isObject(soap)) return `${where} must be an object`;
+  for (const field of ['action', 'operation']) {
+    if (soap[field] !== undefined && !isText(soap[field])) return `${where}.${field} must be a non-empty string`;
+  }
+  if (soap.version !== undefined && !Object.hasOwn(VERSIONS, soap.version)) return `${where}.version must be "1.1" or "1.2"`;
+  if (soap.envelope !== undefined && typeof soap.envelope !== 'boolean') return `${where}.envelope must be a boolean`;
+  if (soap.fault !== undefined) {
+    const fault = soap.fault;
+    if (!isObject(fault)) return `${where}.fault must be an object`;
+    if (fault.code !== undefined && !Object.hasOwn(FAULT_CODES, fault.code)) {
+      return `${where}.fault.code must be one of ${Object.keys(FAULT_CODES).join(', ')}`;
+    }
+    if (!isText(fault.message)) return `${where}.fault.message is required`;
+    if (fault.detail !== undefined && typeof fault.detail !== 'string') return `${where}.fault.detail must be an XML string`;
+  }
+  return null;
+}
+
+// The action/operation a variant requires, or null when it matches any request.
+function compileSoapMatch(soap) {
+  if (!isObject(soap) || (!soap.action && !soap.operation)) return null;
+  return { action: soap.action || null, operation: soap.operation || null };
+}
+
+function unquote(value) {
+  return String(value).trim().replace(/^"(.*)"$/, '$1');
+}
+
+// { version, action, operation } of a request; null fields when it isn't SOAP.
+function readSoapRequest(request) {
+  if (requestInfo.has(request)) return requestInfo.get(request);
+  const headers = request.headers || {};
+  const contentType = String(headers['content-type'] || '');
+  const actionParam = /;\s*action\s*=\s*("[^"]*"|[^;\s]+)/i.exec(contentType);
+  const info = {
+    version: /application\/soap\+xml/i.test(contentType) ? '1.2' : null,
+    action: headers.soapaction !== undefined ? unquote(headers.soapaction) : actionParam ? unquote(actionParam[1]) : null,
+    operation: null
+  };
+  const xml = typeof request.rawXml === 'string' ? request.rawXml : request.body;
+  if (typeof xml === 'string') {
+    try {
+      const envelope = parseXml(xml);
+      if (localName(envelope.name) === 'Envelope') {
+        const namespace = namespaceOf(envelope);
+        info.version = Object.keys(VERSIONS).find(version => VERSIONS[version].namespace === namespace) || info.version;
+        const body = childElements(envelope, 'Body')[0];
+        const operation = body && childElements(body)[0];
+        if (operation) info.operation = localName(operation.name);
+      }
+    } catch {
+      // Not XML: no operation
+    }
+  }
+  requestInfo.set(request, info);
+  return info;
+}
+
+function matchesSoap(match, request) {
+  const info = readSoapRequest(request);
+  return (!match.action || match.action === info.action) && (!match.operation || match.operation === info.operation);
+}
+
+function envelope(version, content) {
+  return `<?xml version="1.0" encoding="UTF-8"?>\n<soap:Envelope xmlns:soap="${VERSIONS[version].namespace}"><soap:Body>${content}</soap:Body></soap:Envelope>`;
+}
+
+function faultXml(fault, version) {
+  const code = `soap:${(FAULT_CODES[fault.code] || FAULT_CODES.Server)[version]}`;
+  const message = escapeXml(fault.message);
+  if (version === '1.1') {
+    return `<soap:Fault><faultcode>${code}</faultcode><faultstring>${message}</faultstring>${fault.detail ? `<detail>${fault.detail}</detail>` : ''}</soap:Fault>`;
+  }
+  return `<soap:Fault><soap:Code><soap:Value>${code}</soap:Value></soap:Code><soap:Reason><soap:Text xml:lang="en">${message}</soap:Text></soap:Reason>` +
+    `${fault.detail ? `<soap:Detail>${fault.detail}</soap:Detail>` : ''}</soap:Fault>`;
+}
+
+// The reply for a variant with a `soap` block. `content` is its rendered XML
+// body (an XML declaration is dropped); `render` renders fault templates.
+// Returns { status, contentType, body }; status is null unless it's a fault.
+function soapResponse(soap, content, request, render) {
+  const version = soap.version || readSoapRequest(request).version || '1.1';
+  const { contentType } = VERSIONS[version];
+  if (soap.fault) {
+    const fault = {
+      code: soap.fault.code,
+      message: render(soap.fault.message),
+      detail: soap.fault.detail !== undefined ? render(soap.fault.detail) : undefined
+    };
+    return { status: 500, contentType, body: envelope(version, faultXml(fault, version)) };
+  }
+  const inner = String(content).replace(/^\s*<\?xml[^>]*\?>\s*/, '');
+  return { status: null, contentType, body: soap.envelope === false ? content : envelope(version, inner) };
+}
+
+module.exports = {
+  validateSoap,
+  compileSoapMatch,
+  matchesSoap,
+  readSoapRequest,
+  soapResponse
+};
@@ -0,0 +1,131 @@
+'use strict';
+
+// Server-Sent Events streams for `responseType: 'sse'` endpoints.
+//
+// Each response variant scripts a stream (conditions pick the variant as for
+// any endpoint):
+//
+//   {
+//     events: [
+//       { event: 'token', data: 'Hel', delayMs: 50 },
+//       { event: 'token', data: 'lo', delayMs: 50 },
+//       { event: 'done', id: 'end', data: { usage: { tokens: 2 }, at: '{{now}}' } }
+//     ],
+//     repeat: 1,        // play the list this many times
+//     loop: false,      // or keep playing it until the client goes away
+//     retry: 3000       // reconnection delay sent to the client (ms)
+//   }
+//
+// `data` is a template: strings are sent as they render, anything else as
+// JSON. `delayMs` is waited before the event is sent. Events without an `id`
+// get their position in the stream (counting across repeats) as id, so
+// `Last-Event-ID` on a reconnect resumes right after the last event the
+// client saw; an explicit id resumes after the first event carrying it.
+
+const { Readable } = require('stream');
+const { renderTemplate, renderTemplateData, findTemplateError } = require('./templates');
+const { sleep } = require('./latency');
+const { isObject } = require('./common');
+
+const MAX_EVENT_DELAY_MS = 60000;
+const MAX_REPEAT = 1000;
+const FIELD_TEXT = /^[^\r\n]*$/;
+
+// Validate the stream settings of one response variant. Returns an error
+// message or null.
+function validateEventStream(response, where) {
+  if (response.events === undefined) return null;
+  if (!Array.isArray(response.events)) return `${where}.events must be an array`;
+  for (const [i, event] of response.events.entries()) {
+    const at = `${where}.events[${i}]`;
+    if (!isObject(event)) return `${at} must be an object`;
+    for (const field of ['event', 'id']) {
+      if (event[field] !== undefined && (typeof event[field] !== 'string' || !FIELD_TEXT.test(event[field]))) {
+        return `${at}.${field} must be a single-line string`;
+      }
+    }
+    if (event.delayMs !== undefined && !(Number.isFinite(event.delayMs) && event.delayMs >= 0 && event.delayMs <= MAX_EVENT_DELAY_MS)) {
+      return `${at}.delayMs must be between 0 and ${MAX_EVENT_DELAY_MS}`;
+    }
+    const templateError = findTemplateError(event.data);
+    if (templateError) return `${at}.data has a template error: ${templateError}`;
+  }
+  if (response.repeat !== undefined && !(Number.isInteger(response.repeat) && response.repeat >= 1 && response.repeat <= MAX_REPEAT)) {
+    return `${where}.repeat must be a whole number from 1 to ${MAX_REPEAT}`;
+  }
+  if (response.loop !== undefined && typeof response.loop !== 'boolean') return `${where}.loop must be a boolean`;
+  if (response.loop && !response.events.some(event => Number(event.delayMs) > 0)) {
+    return `${where}.loop needs at least one event with a delayMs`;
+  }
+  if (response.retry !== undefined && !(Number.isInteger(response.retry) && response.retry >= 0)) {
+    return `${where}.retry must be a non-negative number of milliseconds`;
+  }
+  return null;
+}
+
+// Validate every variant of an sse endpoint.
+function validateEventStreams(responses) {
+  for (const [i, response] of (Array.isArray(responses) ? responses : []).entries()) {
+    if (!isObject(response)) continue;
+    const error = validateEventStream(response, `responses[${i}]`);
+    if (error) return error;
+  }
+  return null;
+}
+
+function eventId(events, position) {
+  const event = events[position % events.length];
+  return event.id !== undefined ? event.id : String(position);
+}
+
+// Where a stream picks up after Last-Event-ID: one past the event it names,
+// or the start when it names none.
+function resumePosition(events, lastEventId, total) {
+  if (typeof lastEventId !== 'string' || lastEventId === '' || events.length === 0) return 0;
+  if (/^\d+$/.test(lastEventId)) {
+    const position = Number(lastEventId);
+    if (position < total && events[position % events.length].id === undefined) return position + 1;
+  }
+  const index = events.findIndex(event => event.id === lastEventId);
+  return index === -1 ? 0 : index + 1;
+}
+
+// One event in wire format. Multi-line data becomes several data: lines.
+function formatEvent({ event, id, data }) {
+  let text = '';
+  if (event) text += `event: ${event}\n`;
+  if (id !== undefined) text += `id: ${id}\n`;
+  for (const line of String(data).split(/\r\n|\r|\n/)) text += `data: ${line}\n`;
+  return text + '\n';
+}
+
+function renderData(data, template) {
+  if (data === undefined || data === null) return '';
+  if (typeof data === 'string') return renderTemplate(data, template);
+  return JSON.stringify(renderTemplateData(data, template));
+}
+
+// The response body for a variant: a stream that writes the scripted events
+// (rendered with `template`) with their delays, starting after lastEventId.
+function createEventStream(response, template, { lastEventId } = {}) {
+  const events = Array.isArray(response.events) ? response.events.filter(isObject) : [];
+  const total = events.length === 0 ? 0 : response.loop ? Infinity : events.length * (Number(response.repeat) || 1);
+  const start = resumePosition(events, lastEventId, total);
+
+  async function* generate() {
+    if (Number.isInteger(response.retry)) yield `retry: ${response.retry}\n\n`;
+    for (let position = start; position < total; position++) {
+      const event = events[position % events.length];
+      if (event.delayMs > 0) await sleep(event.delayMs);
+      yield formatEvent({ event: event.event, id: eventId(events, position), data: renderData(event.data, template) });
+    }
+  }
+
+  return Readable.from(generate(), { objectMode: false });
+}
+
+module.exports = {
+  validateEventStreams,
+  createEventStream,
+  formatEvent
+};
@@ -0,0 +1,698 @@
+'use strict';
+
+// Template engine for response bodies, headers, cookies and status codes: a
+// Handlebars-style subset evaluated against the request.
+//
+//   {{query.page}} {{headers.x-tenant}} {{body.user.address.city}} {{path.id}}
+//   {{#if (eq query.type 'admin')}}...{{else if query.type}}...{{else}}...{{/if}}
+//   {{#each body.items separator=","}}{{@index}}: {{name}}{{/each}}
+//   {{#repeat 3 separator=","}}{"id": {{@index}}}{{/repeat}}   ({{#repeat 2 5}} picks a count)
+//   {{#with body.user}}{{name}}{{/with}}   {{#unless query.debug}}...{{/unless}}
+//   {{uuid}} {{randomInt 1 10}} {{now 'YYYY-MM-DD' offset='-1d'}} {{base64 body.token}}
+//   {{jsonPath body '$.items[0].name'}} {{faker 'person.fullName'}}
+//   {{xpath body '/order/item[1]/@sku'}}
+//
+// Inside blocks, names resolve against the current item first, then the
+// request; `../name` reaches the enclosing item and @index, @key, @first,
+// @last and @root describe the loop. `\{{` is a literal "{{", and `{{~` /
+// `~}}` trim the whitespace next to a tag. Values render as text (objects as
+// JSON), as they always have; a JSON string that is a single triple-stash
+// {{{expression}}} keeps the value's type instead ("{{{body.items}}}" is an
+// array). Elsewhere {{{...}}} renders like {{...}}.
+//
+// Random helpers draw from a generator seeded with the endpoint's
+// `templateSeed` when it is set, so the same request renders the same output.
+
+const crypto = require('crypto');
+const fakeData = require('./fakeData');
+const { xpath } = require('./xml');
+
+const BLOCKS = new Set(['if', 'unless', 'each', 'with', 'repeat']);
+const MAX_REPEAT = 1000;
+const MAX_ITERATIONS = 100000;
+const CACHE_LIMIT = 500;
+const NUMERIC = /^-?\d+(\.\d+)?$/;
+const TOKEN = /\s*(?:(\()|(\))|('(?:[^'\\]|\\.)*'|"(?:[^"\\]|\\.)*")|([A-Za-z_@][\w.-]*)=(?!=)|([^\s()'"]+))/y;
+
+// ===== PARSING =====
+
+// "a.b[0]", "../name", "@index", "this.x" -> path node
+function parsePath(word) {
+  let rest = word;
+  let up = 0;
+  while (rest.startsWith('../')) {
+    up++;
+    rest = rest.slice(3);
+  }
+  const data = rest.startsWith('@');
+  if (data) rest = rest.slice(1);
+  if (rest.startsWith('./')) rest = rest.slice(2);
+  const parts = rest.replace(/\[([^\]]*)\]/g, '.$1').split('.').filter(part => part !== '');
+  const explicit = parts[0] === 'this';
+  if (explicit) parts.shift();
+  if (!data && !explicit && parts.length === 0 && rest !== '..') throw new Error(`Invalid path "${word}"`);
+  if (rest === '..') up++;
+  return { type: 'path', up, data, explicit: explicit || up > 0, parts, original: word };
+}
+
+function tokenize(source) {
+  const tokens = [];
+  TOKEN.lastIndex = 0;
+  while (TOKEN.lastIndex < source.length) {
+    if (/^\s*$/.test(source.slice(TOKEN.lastIndex))) break;
+    const start = TOKEN.lastIndex;
+    const match = TOKEN.exec(source);
+    if (!match) throw new Error(`Unexpected "${source.slice(start).trim()}"`);
+    if (match[1]) tokens.push({ type: '(' });
+    else if (match[2]) tokens.push({ type: ')' });
+    else if (match[3]) tokens.push({ type: 'literal', value: match[3].slice(1, -1).replace(/\\(.)/g, '$1') });
+    else if (match[4]) tokens.push({ type: 'key', value: match[4] });
+    else tokens.push({ type: 'word', value: match[5] });
+  }
+  return tokens;
+}
+
+function wordValue(word) {
+  if (NUMERIC.test(word)) return { type: 'literal', value: Number(word) };
+  if (word === 'true' || word === 'false') return { type: 'literal', value: word === 'true' };
+  if (word === 'null' || word === 'undefined') return { type: 'literal', value: word === 'null' ? null : undefined };
+  return parsePath(word);
+}
+
+// A helper call checks its name (and a literal faker method) while compiling.
+function makeCall(name, params, hash) {
+  if (!Object.hasOwn(HELPERS, name)) throw new Error(`Unknown helper "${name}"`);
+  if (name === 'faker' && params[0] && params[0].type === 'literal' && !fakeData.isFakerMethod(params[0].value)) {
+    throw new Error(`Unknown faker method "${params[0].value}"`);
+  }
+  return { type: 'call', name, params, hash };
+}
+
+// Parse tokens[start..] up to `until` (")" or the end) into a value or a call.
+function parseExpressionTokens(tokens, state, until) {
+  const items = [];
+  const hash = {};
+  while (state.pos < tokens.length && tokens[state.pos].type !== until) {
+    const token = tokens[state.pos++];
+    if (token.type === 'key') {
+      if (state.pos >= tokens.length || tokens[state.pos].type === ')') throw new Error(`Missing value for ${token.value}=`);
+      hash[token.value] = parseOperand(tokens, state);
+      continue;
+    }
+    state.pos--;
+    if (Object.keys(hash).length) throw new Error('Positional arguments must come before key=value arguments');
+    items.push(parseOperand(tokens, state));
+  }
+  if (until === ')') {
+    if (state.pos >= tokens.length) throw new Error('Unclosed "("');
+    state.pos++;
+  }
+  if (items.length === 0) throw new Error('Empty expression');
+  const [head, ...params] = items;
+  const isName = head.type === 'path' && !head.data && !head.explicit && head.parts.length === 1;
+  if (params.length === 0 && Object.keys(hash).length === 0) {
+    // A lone name may be a zero-argument helper; resolution decides at render time
+    return head;
+  }
+  if (!isName) throw new Error(`"${head.original ?? JSON.stringify(head.value)}" is not a helper`);
+  return makeCall(head.parts[0], params, hash);
+}
+
+function parseOperand(tokens, state) {
+  const token = tokens[state.pos++];
+  if (token.type === '(') {
+    const inner = parseExpressionTokens(tokens, state, ')');
+    if (inner.type === 'path' && !inner.data && !inner.explicit && inner.parts.length === 1 && Object.hasOwn(HELPERS, inner.parts[0])) {
+      return makeCall(inner.parts[0], [], {});
+    }
+    return inner;
+  }
+  if (token.type === ')') throw new Error('Unexpected ")"');
+  if (token.type === 'literal') return token;
+  if (token.type === 'key') throw new Error(`Unexpected ${token.value}=`);
+  return wordValue(token.value);
+}
+
+function parseExpression(source) {
+  const tokens = tokenize(source);
+  const state = { pos: 0 };
+  const expr = parseExpressionTokens(tokens, state, null);
+  return expr;
+}
+
+// Block tags take their arguments as expressions; the block name is not a helper.
+function parseBlockOpen(source) {
+  const [, name, rest] = source.trim().match(/^(\S+)\s*([\s\S]*)$/) || [];
+  if (!BLOCKS.has(name)) throw new Error(`Unknown block "${name}"`);
+  const tokens = tokenize(rest);
+  const state = { pos: 0 };
+  const params = [];
+  const hash = {};
+  while (state.pos < tokens.length) {
+    const token = tokens[state.pos];
+    if (token.type === 'key') {
+      state.pos++;
+      if (state.pos >= tokens.length) throw new Error(`Missing value for ${token.value}=`);
+      hash[token.value] = parseOperand(tokens, state);
+    } else {
+      params.push(parseOperand(tokens, state));
+    }
+  }
+  const needed = name === 'repeat' ? [1, 2] : [1, 1];
+  if (params.length < needed[0] || params.length > needed[1]) {
+    throw new Error(`{{#${name}}} takes ${needed[0] === needed[1] ? 'one argument' : 'one or two arguments'}`);
+  }
+  return { type: 'block', name, params, hash, body: [], inverse: null };
+}
+
+function parseTemplate(source) {
+  const root = { body: [] };
+  const stack = [{ node: root, target: root.body }];
+  let text = '';
+  let trimNext = false;
+  let pos = 0;
+
+  const addText = chunk => {
+    if (trimNext) {
+      chunk = chunk.replace(/^\s+/, '');
+      trimNext = false;
+    }
+    text += chunk;
+  };
+  const flush = () => {
+    if (text) stack[stack.length - 1].target.push({ type: 'text', value: text });
+    text = '';
+  };
+
+  while (pos < source.length) {
+    const open = source.indexOf('{{', pos);
+    if (open === -1) {
+      addText(source.slice(pos));
+      break;
+    }
+    // Backslashes before "{{" pair up: "\\{{" is literal, "\\\\{{x}}" a backslash and a tag
+    let slashes = 0;
+    while (open - slashes - 1 >= pos && source[open - slashes - 1] === '\\') slashes++;
+    addText(source.slice(pos, open - slashes) + '\\'.repeat(Math.floor(slashes / 2)));
+    if (slashes % 2 === 1) {
+      addText('{{');
+      pos = open + 2;
+      continue;
+    }
+
+    const triple = source.startsWith('{{{', open);
+    const start = open + (triple ? 3 : 2);
+    const longComment = /^~?!--/.test(source.slice(start, start + 4));
+    const closer = longComment ? '--}}' : triple ? '}}}' : '}}';
+    const close = source.indexOf(closer, start);
+    if (close === -1) throw new Error(`Unclosed tag at position ${open}`);
+    pos = close + closer.length;
+
+    let content = source.slice(start, close);
+    if (content.startsWith('~')) {
+      text = text.replace(/\s+$/, '');
+      content = content.slice(1);
+    }
+    const trimAfter = content.endsWith('~');
+    if (trimAfter) content = content.slice(0, -1);
+    content = content.trim();
+
+    if (content.startsWith('!')) {
+      trimNext = trimAfter;
+      continue;
+    }
+    flush();
+    const top = stack[stack.length - 1];
+
+    if (content.startsWith('#')) {
+      const block = parseBlockOpen(content.slice(1));
+      top.target.push(block);
+      stack.push({ node: block, target: block.body });
+    } else if (content.startsWith('/')) {
+      const name = content.slice(1).trim();
+      while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+      const frame = stack.pop();
+      if (!frame || frame.node === root) throw new Error(`Unexpected {{/${name}}}`);
+      if (frame.node.name !== name) throw new Error(`{{/${name}}} does not close {{#${frame.node.name}}}`);
+    } else if (content === 'else' || content.startsWith('else ')) {
+      if (top.node === root || top.node.inverse) throw new Error('Unexpected {{else}}');
+      top.node.inverse = [];
+      top.target = top.node.inverse;
+      const chained = content.slice(4).trim();
+      if (chained) {
+        const block = parseBlockOpen(chained);
+        top.target.push(block);
+        stack.push({ node: block, target: block.body, chained: true });
+      }
+    } else {
+      top.target.push({ type: 'mustache', expr: parseExpression(content), typed: triple });
+    }
+    trimNext = trimAfter;
+  }
+  flush();
+  while (stack.length > 1 && stack[stack.length - 1].chained) stack.pop();
+  if (stack.length > 1) throw new Error(`Unclosed {{#${stack[stack.length - 1].node.name}}}`);
+  return root.body;
+}
+
+const cache = new Map();
+
+// Parsed template for a string (cached). Throws on syntax errors.
+function compileTemplate(source) {
+  if (cache.has(source)) return cache.get(source);
+  const nodes = parseTemplate(source);
+  if (cache.size >= CACHE_LIMIT) cache.clear();
+  cache.set(source, nodes);
+  return nodes;
+}
+
+// ===== VALUES =====
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value && value !== '0' && value !== 'false';
+}
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function isNumeric(value) {
+  return typeof value === 'number' || (typeof value === 'string' && NUMERIC.test(value.trim()));
+}
+
+function compare(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return Number(a) - Number(b);
+  const left = toText(a);
+  const right = toText(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// Own properties only, so templates cannot reach prototypes.
+function child(value, key) {
+  if (value === null || value === undefined) return undefined;
+  if (typeof value === 'string' || Array.isArray(value)) {
+    if (key === 'length') return value.length;
+    if (typeof value === 'string') return undefined;
+  }
+  if (typeof value !== 'object') return undefined;
+  return Object.hasOwn(value, key) ? value[key] : undefined;
+}
+
+function dig(value, parts) {
+  return parts.reduce(child, value);
+}
+
+// ===== DATES =====
+
+const UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000, w: 604800000, y: 31536000000 };
+
+// "+1d", "-2h30m", "90s" -> milliseconds
+function parseOffset(offset) {
+  if (offset === undefined || offset === null || offset === '') return 0;
+  if (typeof offset === 'number') return offset;
+  let total = 0;
+  const re = /([+-]?)\s*(\d+)\s*(ms|s|m|h|d|w|y)/g;
+  let match;
+  let sign = 1;
+  while ((match = re.exec(String(offset))) !== null) {
+    if (match[1]) sign = match[1] === '-' ? -1 : 1;
+    total += sign * Number(match[2]) * UNITS[match[3]];
+  }
+  return total;
+}
+
+// UTC date formatting: 'iso' (default), 'unix', 'ms' ('epoch') or a pattern with
+// YYYY MM DD HH mm ss SSS (date-fns style yyyy and dd work too).
+function formatDate(time, format) {
+  const date = new Date(time);
+  if (!format || format === 'iso') return date.toISOString();
+  if (format === 'unix') return Math.floor(time / 1000);
+  if (format === 'ms' || format === 'epoch') return time;
+  const pad = (n, width = 2) => String(n).padStart(width, '0');
+  const tokens = {
+    YYYY: date.getUTCFullYear(), yyyy: date.getUTCFullYear(),
+    MM: pad(date.getUTCMonth() + 1),
+    DD: pad(date.getUTCDate()), dd: pad(date.getUTCDate()),
+    HH: pad(date.getUTCHours()),
+    mm: pad(date.getUTCMinutes()),
+    ss: pad(date.getUTCSeconds()),
+    SSS: pad(date.getUTCMilliseconds(), 3)
+  };
+  return String(format).replace(/YYYY|yyyy|MM|DD|dd|HH|mm|ss|SSS/g, token => tokens[token]);
+}
+
+// ===== JSONPATH =====
+
+// A JSONPath subset: $.a.b, $['a'], $.items[0], $.items[*].id, $..name
+function jsonPath(value, expression) {
+  let root = value;
+  if (typeof root === 'string') {
+    try {
+      root = JSON.parse(root);
+    } catch (e) {
+      return undefined;
+    }
+  }
+  const expr = String(expression || '$').trim();
+  if (!expr.startsWith('$')) return undefined;
+  const steps = [];
+  const re = /(\.\.)([A-Za-z_$][\w$-]*|\*)?|\.([A-Za-z_$][\w$-]*|\*)|\[\s*(?:'([^']*)'|"([^"]*)"|(-?\d+)|(\*))\s*\]/y;
+  re.lastIndex = 1;
+  while (re.lastIndex < expr.length) {
+    const match = re.exec(expr);
+    if (!match) return undefined;
+    if (match[1]) {
+      steps.push({ recursive: true });
+      if (match[2]) steps.push({ key: match[2] });
+    } else {
+      steps.push({ key: match[3] ?? match[4] ?? match[5] ?? match[6] ?? match[7] });
+    }
+  }
+  let nodes = [root];
+  let multiple = false;
+  for (let i = 0; i < steps.length; i++) {
+    const step = steps[i];
+    if (step.recursive) {
+      multiple = true;
+      const all = [];
+      const walk = node => {
+        all.push(node);
+        if (node && typeof node === 'object') Object.values(node).forEach(walk);
+      };
+      nodes.forEach(walk);
+      nodes = all;
+      continue;
+    }
+    const next = [];
+    for (const node of nodes) {
+      if (node === null || typeof node !== 'object') continue;
+      if (step.key === '*') {
+        next.push(...Object.values(node));
+        multiple = true;
+      } else if (Array.isArray(node) && /^-?\d+$/.test(step.key)) {
+        const index = Number(step.key);
+        const item = node[index < 0 ? node.length + index : index];
+        if (item !== undefined) next.push(item);
+      } else if (Object.hasOwn(node, step.key)) {
+        next.push(node[step.key]);
+      }
+    }
+    nodes = next;
+  }
+  return multiple ? nodes : nodes[0];
+}
+
+// ===== HELPERS =====
+
+function number(value, fallback) {
+  const n = Number(value);
+  return value === undefined || value === null || value === '' || !Number.isFinite(n) ? fallback : n;
+}
+
+// Helpers get (positional args, hash args, render env).
+const HELPERS = {
+  uuid: (args, hash, env) => (env.seeded ? fakeData.uuid(env.random) : crypto.randomUUID()),
+  randomInt: ([min, max], hash, env) => {
+    const low = Math.ceil(number(min, 0));
+    const high = Math.floor(number(max, 100));
+    return low + Math.floor(env.random() * (high - low + 1));
+  },
+  randomFloat: ([min, max], hash, env) => {
+    const low = number(min, 0);
+    return Number((low + env.random() * (number(max, 1) - low)).toFixed(number(hash.decimals, 2)));
+  },
+  randomBoolean: (args, hash, env) => env.random() < 0.5,
+  oneOf: (args, hash, env) => {
+    const list = args.length === 1 && Array.isArray(args[0]) ? args[0] : args;
+    return list[Math.floor(env.random() * list.length)];
+  },
+  faker: ([name, ...args], hash, env) => fakeData.generate(String(name), env.random, args, hash),
+  now: ([format, offset], hash) => formatDate(Date.now() + parseOffset(hash.offset ?? offset), hash.format ?? format),
+  timestamp: () => new Date().toISOString(),
+  date: () => new Date().toISOString().split('T')[0],
+  time: () => new Date().toISOString().split('T')[1],
+  base64: ([value]) => Buffer.from(toText(value)).toString('base64'),
+  base64Decode: ([value]) => Buffer.from(toText(value), 'base64').toString('utf8'),
+  json: ([value, indent]) => JSON.stringify(value === undefined ? null : value, null, number(indent, 0) || undefined),
+  jsonPath: ([value, expression]) => jsonPath(value, expression),
+  xpath: ([value, expression]) => xpath(value, expression),
+  eq: ([a, b]) => (isNumeric(a) && isNumeric(b) ? Number(a) === Number(b) : toText(a) === toText(b)),
+  ne: ([a, b]) => !HELPERS.eq([a, b]),
+  gt: ([a, b]) => compare(a, b) > 0,
+  gte: ([a, b]) => compare(a, b) >= 0,
+  lt: ([a, b]) => compare(a, b) < 0,
+  lte: ([a, b]) => compare(a, b) <= 0,
+  and: args => args.every(isTruthy),
+  or: args => args.some(isTruthy),
+  not: ([value]) => !isTruthy(value),
+  default: ([value, fallback]) => (value === undefined || value === null || value === '' ? fallback : value),
+  lowercase: ([value]) => toText(value).toLowerCase(),
+  uppercase: ([value]) => toText(value).toUpperCase(),
+  length: ([value]) => {
+    if (typeof value === 'string' || Array.isArray(value)) return value.length;
+    return value && typeof value === 'object' ? Object.keys(value).length : 0;
+  },
+  add: args => args.reduce((sum, n) => sum + number(n, 0), 0),
+  subtract: ([a, ...rest]) => rest.reduce((total, n) => total - number(n, 0), number(a, 0)),
+  concat: args => args.map(toText).join(''),
+  join: ([list, separator]) => (Array.isArray(list) ? list.map(toText).join(separator ?? ',') : toText(list))
+};
+
+// ===== RENDERING =====
+
+// The request as templates see it: {{query.x}}, {{headers.x}}, {{body.x}},
+// {{params.x}}, {{path.x}} (path parameters), {{method}}, {{url}} and, for
+// GraphQL requests, {{variables.x}}.
+function createTemplateContext(request, params = {}, seed) {
+  const seeded = seed !== undefined && seed !== null && seed !== '';
+  return {
+    root: {
+      query: request.query || {},
+      headers: request.headers || {},
+      body: request.body,
+      params,
+      path: request.pathParams || {},
+      method: request.method,
+      url: request.url,
+      variables: request.variables || {}
+    },
+    seeded,
+    random: seeded ? seededRandom(String(seed)) : Math.random,
+    iterations: 0
+  };
+}
+
+// mulberry32 seeded from a string hash
+function seededRandom(seed) {
+  let h = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  let state = h >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function lookupRoot(path, env) {
+  const [head, ...rest] = path.parts;
+  // {{path}} alone is the request URL, as it always was
+  if (head === 'path' && rest.length === 0) return env.root.url;
+  if (head === 'headers' && rest.length) return dig(env.root.headers, [rest[0].toLowerCase(), ...rest.slice(1)]);
+  return dig(env.root, path.parts);
+}
+
+function resolvePath(path, scopes, env) {
+  const frame = scopes[Math.max(0, scopes.length - 1 - path.up)];
+  if (path.data) {
+    const [name, ...rest] = path.parts;
+    if (name === 'root') return rest.length ? lookupRoot({ parts: rest }, env) : env.root;
+    return dig(frame.data && frame.data[name], rest);
+  }
+  if (path.explicit) return frame === scopes[0] && path.parts.length ? lookupRoot(path, env) : dig(frame.value, path.parts);
+  if (scopes.length > 1) {
+    const value = frame.value;
+    if (value && typeof value === 'object' && Object.hasOwn(value, path.parts[0])) return dig(value, path.parts);
+  }
+  if (path.parts.length === 1 && Object.hasOwn(HELPERS, path.parts[0])) {
+    return HELPERS[path.parts[0]]([], {}, env);
+  }
+  return lookupRoot(path, env);
+}
+
+function evaluate(expr, scopes, env) {
+  switch (expr.type) {
+    case 'literal':
+      return expr.value;
+    case 'path':
+      return resolvePath(expr, scopes, env);
+    case 'call': {
+      const args = expr.params.map(param => evaluate(param, scopes, env));
+      const hash = {};
+      for (const [key, value] of Object.entries(expr.hash)) hash[key] = evaluate(value, scopes, env);
+      return HELPERS[expr.name](args, hash, env);
+    }
+    default:
+      return undefined;
+  }
+}
+
+function tick(env) {
+  if (++env.iterations > MAX_ITERATIONS) throw new Error('Template loop limit exceeded');
+}
+
+function renderBlock(node, scopes, env) {
+  const args = node.params.map(param => evaluate(param, scopes, env));
+  const hash = {};
+  for (const [key, value] of Object.entries(node.hash)) hash[key] = evaluate(value, scopes, env);
+  const inverse = () => (node.inverse ? renderNodes(node.inverse, scopes, env) : '');
+  // Mockoon's comma=true is separator=","
+  const separator = hash.separator !== undefined ? toText(hash.separator) : hash.comma ? ',' : '';
+
+  switch (node.name) {
+    case 'if':
+      return isTruthy(args[0]) ? renderNodes(node.body, scopes, env) : inverse();
+    case 'unless':
+      return isTruthy(args[0]) ? inverse() : renderNodes(node.body, scopes, env);
+    case 'with':
+      return isTruthy(args[0]) ? renderNodes(node.body, [...scopes, { value: args[0], data: {} }], env) : inverse();
+    case 'each': {
+      const list = args[0];
+      const entries = Array.isArray(list)
+        ? list.map((item, index) => [index, item])
+        : list && typeof list === 'object' ? Object.entries(list) : [];
+      if (entries.length === 0) return inverse();
+      return entries.map(([key, item], index) => {
+        tick(env);
+        const data = { index, key, first: index === 0, last: index === entries.length - 1 };
+        return renderNodes(node.body, [...scopes, { value: item, data }], env);
+      }).join(separator);
+    }
+    case 'repeat': {
+      const [min, max] = args;
+      let count = Math.floor(number(min, 0));
+      if (args.length > 1) count += Math.floor(env.random() * (Math.floor(number(max, count)) - count + 1));
+      count = Math.max(0, Math.min(count, MAX_REPEAT));
+      if (count === 0) return inverse();
+      const current = scopes[scopes.length - 1];
+      const parts = [];
+      for (let index = 0; index < count; index++) {
+        tick(env);
+        const data = { index, key: index, first: index === 0, last: index === count - 1 };
+        parts.push(renderNodes(node.body, [...scopes, { value: current.value, data }], env));
+      }
+      return parts.join(separator);
+    }
+    default:
+      return '';
+  }
+}
+
+function renderNodes(nodes, scopes, env) {
+  let out = '';
+  for (const node of nodes) {
+    if (node.type === 'text') out += node.value;
+    else if (node.type === 'mustache') out += toText(evaluate(node.expr, scopes, env));
+    else out += renderBlock(node, scopes, env);
+  }
+  return out;
+}
+
+function rootScopes(env) {
+  return [{ value: env.root, data: {} }];
+}
+
+// Render a template string. A string that does not parse is returned as it
+// is, like any text without {{...}}.
+function renderTemplate(source, env) {
+  if (typeof source !== 'string' || !source.includes('{{')) return source;
+  let nodes;
+  try {
+    nodes = compileTemplate(source);
+  } catch (e) {
+    return source;
+  }
+  return renderNodes(nodes, rootScopes(env), env);
+}
+
+// Render the strings inside JSON response data. A string that is exactly one
+// {{{expression}}} becomes the expression's value, keeping its type.
+function renderTemplateData(data, env) {
+  if (typeof data === 'string') {
+    if (!data.includes('{{')) return data;
+    let nodes;
+    try {
+      nodes = compileTemplate(data);
+    } catch (e) {
+      return data;
+    }
+    if (nodes.length === 1 && nodes[0].type === 'mustache' && nodes[0].typed) {
+      const value = evaluate(nodes[0].expr, rootScopes(env), env);
+      return value === undefined ? '' : value;
+    }
+    return renderNodes(nodes, rootScopes(env), env);
+  }
+  if (Array.isArray(data)) return data.map(item => renderTemplateData(item, env));
+  if (data && typeof data === 'object') {
+    const result = {};
+    for (const [key, value] of Object.entries(data)) result[key] = renderTemplateData(value, env);
+    return result;
+  }
+  return data;
+}
+
+// First template syntax error in a string or JSON value, or null.
+function findTemplateError(value) {
+  if (typeof value === 'string') {
+    if (!value.includes('{{')) return null;
+    try {
+      compileTemplate(value);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+  if (value && typeof value === 'object') {
+    for (const item of Object.values(value)) {
+      const error = findTemplateError(item);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Make text render as itself: every "{{" becomes "\{{". Used for recorded
+// and imported bodies, which are samples rather than templates.
+function escapeTemplate(value) {
+  if (typeof value === 'string') return value.replace(/(\\*)\{\{/g, (match, slashes) => `${slashes}${slashes}\\{{`);
+  if (Array.isArray(value)) return value.map(escapeTemplate);
+  if (value && typeof value === 'object') {
+    const result = {};
+    for (const [key, item] of Object.entries(value)) result[key] = escapeTemplate(item);
+    return result;
+  }
+  return value;
+}
+
+function isHelper(name) {
+  return Object.hasOwn(HELPERS, name);
+}
+
+module.exports = {
+  createTemplateContext,
+  renderTemplate,
+  renderTemplateData,
+  findTemplateError,
+  escapeTemplate,
+  isHelper,
+  formatDate,
+  jsonPath,
+  BLOCKS
+};
@@ -0,0 +1,274 @@
+'use strict';
+
+// Minimal WebSocket (RFC 6455) server side on node:net sockets, for the
+// websocket endpoint type: the opening handshake, framing with fragmentation,
+// ping/pong and the closing handshake. No extensions (permessage-deflate) are
+// negotiated. The frame helpers can also build masked client frames, which is
+// what the tests use to talk to the server.
+
+const crypto = require('crypto');
+const http = require('http');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const OPCODES = { continuation: 0x0, text: 0x1, binary: 0x2, close: 0x8, ping: 0x9, pong: 0xa };
+const CLOSE_CODES = {
+  normal: 1000,
+  goingAway: 1001,
+  protocolError: 1002,
+  invalidData: 1007,
+  policyViolation: 1008,
+  tooBig: 1009,
+  internalError: 1011
+};
+// Close codes a peer may send (1005/1006/1015 are never on the wire).
+const SENDABLE_CLOSE = code => (code >= 1000 && code <= 1014 && ![1004, 1005, 1006].includes(code)) ||
+  (code >= 3000 && code <= 4999);
+// How long to wait for the peer's close frame before dropping the socket.
+const CLOSE_TIMEOUT_MS = 2000;
+
+// Is this HTTP request a WebSocket opening handshake?
+function isWebSocketUpgrade(req) {
+  return req.method === 'GET' &&
+    String(req.headers.upgrade || '').toLowerCase() === 'websocket' &&
+    /(^|,)\s*upgrade\s*(,|$)/i.test(String(req.headers.connection || ''));
+}
+
+// Why a handshake can't be accepted, or null. Sec-WebSocket-Key must be 16
+// random bytes in base64 and only version 13 is spoken.
+function handshakeError(req) {
+  if (req.headers['sec-websocket-version'] !== '13') return 'Unsupported WebSocket version (expected 13)';
+  const key = String(req.headers['sec-websocket-key'] || '');
+  if (!/^[A-Za-z0-9+/]{22}==$/.test(key)) return 'Missing or invalid Sec-WebSocket-Key';
+  return null;
+}
+
+function acceptKey(key) {
+  return crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+}
+
+// Answer an upgrade request with a plain HTTP response and close the socket.
+function rejectUpgrade(socket, status, body, headers = {}) {
+  const payload = Buffer.from(JSON.stringify(body));
+  const lines = [`HTTP/1.1 ${status} ${http.STATUS_CODES[status] || ''}`];
+  const all = { 'Content-Type': 'application/json; charset=utf-8', 'Content-Length': payload.length, Connection: 'close', ...headers };
+  for (const [name, value] of Object.entries(all)) {
+    for (const item of [].concat(value)) lines.push(`${name}: ${String(item).replace(/[\r\n]+/g, ' ')}`);
+  }
+  socket.end(Buffer.concat([Buffer.from(lines.join('\r\n') + '\r\n\r\n'), payload]));
+}
+
+// Encode one frame. Client frames must be masked; server frames never are.
+function encodeFrame(opcode, payload = Buffer.alloc(0), { fin = true, mask = false } = {}) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(String(payload));
+  let header;
+  if (data.length < 126) {
+    header = Buffer.alloc(2);
+    header[1] = data.length;
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  if (!mask) return Buffer.concat([header, data]);
+  header[1] |= 0x80;
+  const key = crypto.randomBytes(4);
+  const masked = Buffer.from(data);
+  for (let i = 0; i < masked.length; i++) masked[i] ^= key[i & 3];
+  return Buffer.concat([header, key, masked]);
+}
+
+function closePayload(code, reason = '') {
+  if (!code) return Buffer.alloc(0);
+  const text = Buffer.from(String(reason)).subarray(0, 123);
+  const payload = Buffer.alloc(2 + text.length);
+  payload.writeUInt16BE(code, 0);
+  text.copy(payload, 2);
+  return payload;
+}
+
+// Incremental frame decoder. Feed it socket data; `onFrame({ fin, opcode,
+// payload })` gets each complete frame (unmasked). Throws { closeCode, message }
+// on a protocol violation. `expectMasked` is true on the server side.
+function createFrameParser({ maxPayload, expectMasked, onFrame }) {
+  let pending = Buffer.alloc(0);
+
+  return function push(chunk) {
+    pending = pending.length ? Buffer.concat([pending, chunk]) : chunk;
+    for (;;) {
+      if (pending.length < 2) return;
+      const fin = (pending[0] & 0x80) !== 0;
+      const opcode = pending[0] & 0x0f;
+      const masked = (pending[1] & 0x80) !== 0;
+      let length = pending[1] & 0x7f;
+      let offset = 2;
+      if ((pending[0] & 0x70) !== 0) throw protocolError('Reserved bits must be zero');
+      if (masked !== expectMasked) throw protocolError(expectMasked ? 'Client frames must be masked' : 'Server frames must not be masked');
+      if (opcode >= 0x8 && (!fin || length > 125)) throw protocolError('Invalid control frame');
+      if (length === 126) {
+        if (pending.length < 4) return;
+        length = pending.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (pending.length < 10) return;
+        const big = pending.readBigUInt64BE(2);
+        if (big > BigInt(maxPayload)) throw tooBig();
+        length = Number(big);
+        offset = 10;
+      }
+      if (length > maxPayload) throw tooBig();
+      const frameLength = offset + (masked ? 4 : 0) + length;
+      if (pending.length < frameLength) return;
+
+      let payload = pending.subarray(offset + (masked ? 4 : 0), frameLength);
+      if (masked) {
+        const key = pending.subarray(offset, offset + 4);
+        payload = Buffer.from(payload);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= key[i & 3];
+      }
+      pending = pending.subarray(frameLength);
+      onFrame({ fin, opcode, payload });
+    }
+  };
+}
+
+function protocolError(message) {
+  return { closeCode: CLOSE_CODES.protocolError, message };
+}
+
+function tooBig() {
+  return { closeCode: CLOSE_CODES.tooBig, message: 'Message too big' };
+}
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+// Complete the handshake on `socket` (selecting `protocol`, when given) and
+// return the connection: { send(data), close(code, reason), isOpen() }. `onMessage(data, isBinary)`
+// gets whole (reassembled) messages, text as a string; `onClose(code, reason)`
+// runs once, however the connection ends.
+function acceptWebSocket(req, socket, head, { maxPayload = 1024 * 1024, protocol = null, onMessage, onClose }) {
+  const lines = [
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${acceptKey(req.headers['sec-websocket-key'])}`
+  ];
+  if (protocol) lines.push(`Sec-WebSocket-Protocol: ${protocol}`);
+  socket.write(lines.join('\r\n') + '\r\n\r\n');
+  socket.setNoDelay(true);
+  socket.setTimeout(0);
+
+  let state = 'open'; // open -> closing -> closed
+  let fragments = null; // { opcode, parts, size } while a message is fragmented
+  let closeTimer = null;
+
+  function finish(code, reason) {
+    if (state === 'closed') return;
+    state = 'closed';
+    clearTimeout(closeTimer);
+    socket.destroy();
+    if (onClose) onClose(code, reason);
+  }
+
+  function close(code = CLOSE_CODES.normal, reason = '') {
+    if (state !== 'open') return;
+    state = 'closing';
+    socket.write(encodeFrame(OPCODES.close, closePayload(code, reason)));
+    closeTimer = setTimeout(() => finish(code, reason), CLOSE_TIMEOUT_MS);
+    closeTimer.unref();
+  }
+
+  function fail(error) {
+    if (state !== 'open') return finish(error.closeCode, error.message);
+    socket.write(encodeFrame(OPCODES.close, closePayload(error.closeCode, error.message)));
+    finish(error.closeCode, error.message);
+  }
+
+  function deliver(opcode, payload) {
+    if (opcode === OPCODES.binary) return onMessage(payload, true);
+    let text;
+    try {
+      text = utf8.decode(payload);
+    } catch {
+      throw { closeCode: CLOSE_CODES.invalidData, message: 'Text message is not valid UTF-8' };
+    }
+    return onMessage(text, false);
+  }
+
+  function onFrame({ fin, opcode, payload }) {
+    if (opcode === OPCODES.ping) {
+      if (state === 'open') socket.write(encodeFrame(OPCODES.pong, payload));
+      return;
+    }
+    if (opcode === OPCODES.pong) return;
+    if (opcode === OPCODES.close) {
+      const code = payload.length >= 2 ? payload.readUInt16BE(0) : 1005;
+      if (payload.length === 1 || (payload.length >= 2 && !SENDABLE_CLOSE(code))) throw protocolError('Invalid close code');
+      const reason = payload.subarray(2).toString('utf8');
+      // Echo the close (unless we started it), then drop the TCP connection
+      if (state === 'open') socket.write(encodeFrame(OPCODES.close, payload.subarray(0, 2)));
+      return finish(code, reason);
+    }
+    if (state !== 'open') return;
+    if (opcode === OPCODES.continuation) {
+      if (!fragments) throw protocolError('Unexpected continuation frame');
+      fragments.parts.push(payload);
+      fragments.size += payload.length;
+      if (fragments.size > maxPayload) throw tooBig();
+      if (fin) {
+        const { opcode: first, parts } = fragments;
+        fragments = null;
+        deliver(first, Buffer.concat(parts));
+      }
+      return;
+    }
+    if (opcode !== OPCODES.text && opcode !== OPCODES.binary) throw protocolError(`Unknown opcode ${opcode}`);
+    if (fragments) throw protocolError('Expected a continuation frame');
+    if (fin) return deliver(opcode, payload);
+    fragments = { opcode, parts: [payload], size: payload.length };
+  }
+
+  const push = createFrameParser({ maxPayload, expectMasked: true, onFrame });
+  const receive = chunk => {
+    try {
+      push(chunk);
+    } catch (err) {
+      fail(err && err.closeCode ? err : { closeCode: CLOSE_CODES.internalError, message: 'Internal error' });
+    }
+  };
+
+  socket.on('data', receive);
+  socket.on('error', () => finish(1006, ''));
+  // HTTP server sockets allow half-open connections; a peer that hangs up is gone
+  socket.on('end', () => finish(1006, ''));
+  socket.on('close', () => finish(1006, ''));
+  if (head && head.length) receive(head);
+
+  return {
+    // Strings go out as text frames, Buffers as binary frames
+    send(data) {
+      if (state !== 'open') return false;
+      const binary = Buffer.isBuffer(data);
+      socket.write(encodeFrame(binary ? OPCODES.binary : OPCODES.text, binary ? data : String(data)));
+      return true;
+    },
+    close,
+    isOpen: () => state === 'open'
+  };
+}
+
+module.exports = {
+  OPCODES,
+  CLOSE_CODES,
+  isWebSocketUpgrade,
+  handshakeError,
+  acceptKey,
+  rejectUpgrade,
+  acceptWebSocket,
+  encodeFrame,
+  createFrameParser
+};
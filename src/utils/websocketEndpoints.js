@@ -0,0 +1,284 @@
+'use strict';
+
+// Scripted mocks for `responseType: 'websocket'` endpoints.
+//
+// endpoint.websocket describes what the server says on each connection:
+//   {
+//     onConnect: [{ type: 'welcome', at: '{{now}}' }],       // sent right after the handshake
+//     rules: [                                                // first match answers a message
+//       { condition: "body.type == 'ping'", reply: { type: 'pong', id: '{{body.id}}' } },
+//       { condition: "body == 'bye'", reply: 'see you', close: true },
+//       { reply: { error: 'unknown message' }, delayMs: 100 }  // no condition: any message
+//     ],
+//     intervals: [{ everyMs: 5000, message: { type: 'tick', value: '{{randomInt 1 100}}' } }]
+//   }
+//
+// Incoming text is parsed as JSON when it is JSON, and is `body` in rule
+// conditions and templates; query, headers and path parameters come from the
+// upgrade request. A string message is sent as text, anything else as JSON.
+// Connections keep the definition they were opened with.
+//
+// Open connections are listed, sent broadcasts and closed through the admin
+// API. They live in the worker that accepted them, so under the cluster each
+// worker only sees its own.
+
+const crypto = require('crypto');
+const { compileCondition, evaluateCompiledCondition, conditionError } = require('./conditions');
+const { createTemplateContext, renderTemplate, renderTemplateData, findTemplateError } = require('./templates');
+const { acceptWebSocket, CLOSE_CODES } = require('./websocket');
+const { isObject } = require('./common');
+
+const MIN_INTERVAL_MS = 100;
+const MAX_DELAY_MS = 60000;
+// Per worker; further handshakes are refused with 503.
+const MAX_CONNECTIONS = 1000;
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+
+const connections = new Map(); // connection id -> session
+
+function validateMessage(message, where) {
+  if (message === undefined) return `${where} is required`;
+  const templateError = findTemplateError(message);
+  return templateError ? `${where} has a template error: ${templateError}` : null;
+}
+
+function validateCloseAction(close, where) {
+  if (close === undefined || close === null || typeof close === 'boolean') return null;
+  if (!isObject(close)) return `${where} must be true or { code, reason }`;
+  if (close.code !== undefined && !(Number.isInteger(close.code) && (close.code === 1000 || (close.code >= 3000 && close.code <= 4999)))) {
+    return `${where}.code must be 1000 or 3000-4999`;
+  }
+  if (close.reason !== undefined && typeof close.reason !== 'string') return `${where}.reason must be a string`;
+  return null;
+}
+
+// Validate an endpoint's `websocket` block. Returns an error message or null.
+function validateWebSocketConfig(websocket) {
+  if (websocket === undefined || websocket === null) return null;
+  if (!isObject(websocket)) return 'websocket must be an object';
+
+  if (websocket.onConnect !== undefined) {
+    if (!Array.isArray(websocket.onConnect)) return 'websocket.onConnect must be a list of messages';
+    for (const [i, message] of websocket.onConnect.entries()) {
+      const error = validateMessage(message, `websocket.onConnect[${i}]`);
+      if (error) return error;
+    }
+  }
+
+  if (websocket.rules !== undefined) {
+    if (!Array.isArray(websocket.rules)) return 'websocket.rules must be an array';
+    for (const [i, rule] of websocket.rules.entries()) {
+      const where = `websocket.rules[${i}]`;
+      if (!isObject(rule)) return `${where} must be an object`;
+      const badCondition = conditionError(rule.condition);
+      if (badCondition) return `${where}.condition is invalid: ${badCondition}`;
+      if (rule.reply === undefined && !rule.close) return `${where} needs a reply or close`;
+      const error = (rule.reply !== undefined && validateMessage(rule.reply, `${where}.reply`)) ||
+        validateCloseAction(rule.close, `${where}.close`);
+      if (error) return error;
+      if (rule.delayMs !== undefined && !(Number.isFinite(rule.delayMs) && rule.delayMs >= 0 && rule.delayMs <= MAX_DELAY_MS)) {
+        return `${where}.delayMs must be between 0 and ${MAX_DELAY_MS}`;
+      }
+    }
+  }
+
+  if (websocket.intervals !== undefined) {
+    if (!Array.isArray(websocket.intervals)) return 'websocket.intervals must be an array';
+    for (const [i, interval] of websocket.intervals.entries()) {
+      const where = `websocket.intervals[${i}]`;
+      if (!isObject(interval)) return `${where} must be an object`;
+      if (!(Number.isFinite(interval.everyMs) && interval.everyMs >= MIN_INTERVAL_MS)) {
+        return `${where}.everyMs must be at least ${MIN_INTERVAL_MS}`;
+      }
+      const error = validateMessage(interval.message, `${where}.message`);
+      if (error) return error;
+    }
+  }
+  return null;
+}
+
+// Compile an endpoint's websocket block for the route table (conditions parsed
+// once). Null for other response types.
+function compileWebSocket(endpoint) {
+  if (endpoint.responseType !== 'websocket') return null;
+  const websocket = isObject(endpoint.websocket) ? endpoint.websocket : {};
+  return {
+    onConnect: Array.isArray(websocket.onConnect) ? websocket.onConnect : [],
+    rules: (Array.isArray(websocket.rules) ? websocket.rules : []).filter(isObject).map(rule => ({
+      rule,
+      hasCondition: !!rule.condition,
+      condition: rule.condition ? compileCondition(rule.condition) : null
+    })),
+    intervals: (Array.isArray(websocket.intervals) ? websocket.intervals : [])
+      .filter(interval => isObject(interval) && Number(interval.everyMs) >= MIN_INTERVAL_MS)
+  };
+}
+
+// Text frames carrying JSON become the parsed value; binary frames are text.
+function parseIncoming(data, isBinary) {
+  const text = isBinary ? data.toString('utf8') : data;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return text;
+  }
+}
+
+// Render a configured message against the connection's upgrade request, with
+// `body` set to the incoming message (if any).
+function renderMessage(message, session, body) {
+  const template = createTemplateContext({ ...session.request, body }, {}, session.endpoint.templateSeed);
+  if (typeof message === 'string') return renderTemplate(message, template);
+  return JSON.stringify(renderTemplateData(message, template));
+}
+
+function send(session, text) {
+  if (session.socket.send(text)) session.messagesOut++;
+}
+
+function closeAction(close) {
+  return isObject(close)
+    ? { code: close.code || CLOSE_CODES.normal, reason: close.reason || '' }
+    : { code: CLOSE_CODES.normal, reason: '' };
+}
+
+function answer(session, data, isBinary) {
+  session.messagesIn++;
+  session.lastMessageAt = new Date().toISOString();
+  const body = parseIncoming(data, isBinary);
+  const request = { ...session.request, body };
+  const matched = session.compiled.rules.find(entry =>
+    !entry.hasCondition || evaluateCompiledCondition(entry.condition, {}, request)
+  );
+  if (!matched) return;
+
+  const { rule } = matched;
+  const respond = () => {
+    if (!session.socket.isOpen()) return;
+    if (rule.reply !== undefined) send(session, renderMessage(rule.reply, session, body));
+    if (rule.close) {
+      const { code, reason } = closeAction(rule.close);
+      session.socket.close(code, reason);
+    }
+  };
+  if (rule.delayMs > 0) {
+    const timer = setTimeout(() => {
+      session.timers.delete(timer);
+      respond();
+    }, rule.delayMs);
+    session.timers.add(timer);
+  } else {
+    respond();
+  }
+}
+
+// Browsers give up on a handshake that ignores the subprotocols they offer, so
+// the first one is accepted (the mock speaks whatever the client expects).
+function selectProtocol(offered) {
+  const protocol = String(offered || '').split(',')[0].trim();
+  return /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(protocol) ? protocol : null;
+}
+
+// Complete the handshake for a matched websocket route and start its script.
+// `request` is the upgrade request as the rules see it: { method, url, query,
+// headers, pathParams }. Returns the connection summary.
+function openConnection(route, request, req, socket, head, { server = null } = {}) {
+  const session = {
+    id: crypto.randomUUID(),
+    endpoint: route.endpoint,
+    compiled: route.websocket,
+    request,
+    server,
+    remoteAddress: req.socket.remoteAddress || null,
+    connectedAt: new Date().toISOString(),
+    lastMessageAt: null,
+    messagesIn: 0,
+    messagesOut: 0,
+    timers: new Set(),
+    intervals: [],
+    socket: null
+  };
+
+  session.socket = acceptWebSocket(req, socket, head, {
+    maxPayload: MAX_MESSAGE_BYTES,
+    protocol: selectProtocol(req.headers['sec-websocket-protocol']),
+    onMessage: (data, isBinary) => answer(session, data, isBinary),
+    onClose: () => {
+      connections.delete(session.id);
+      for (const timer of session.timers) clearTimeout(timer);
+      for (const timer of session.intervals) clearInterval(timer);
+    }
+  });
+  connections.set(session.id, session);
+
+  for (const message of session.compiled.onConnect) send(session, renderMessage(message, session));
+  for (const interval of session.compiled.intervals) {
+    session.intervals.push(setInterval(() => send(session, renderMessage(interval.message, session)), interval.everyMs));
+  }
+  return summary(session);
+}
+
+function hasCapacity() {
+  return connections.size < MAX_CONNECTIONS;
+}
+
+function summary(session) {
+  return {
+    id: session.id,
+    endpointId: session.endpoint.id,
+    path: session.request.url.split('?')[0],
+    remoteAddress: session.remoteAddress,
+    connectedAt: session.connectedAt,
+    lastMessageAt: session.lastMessageAt,
+    messagesIn: session.messagesIn,
+    messagesOut: session.messagesOut
+  };
+}
+
+// Open connections, oldest first, optionally only an endpoint's.
+function listConnections({ endpointId } = {}) {
+  return [...connections.values()]
+    .filter(session => !endpointId || session.endpoint.id === endpointId)
+    .map(summary);
+}
+
+// Send `message` (templated per connection, like onConnect messages) to every
+// open connection, or only those of `endpointId`. Returns how many got it.
+function broadcast(message, { endpointId } = {}) {
+  let sent = 0;
+  for (const session of connections.values()) {
+    if (endpointId && session.endpoint.id !== endpointId) continue;
+    if (session.socket.send(renderMessage(message, session))) {
+      session.messagesOut++;
+      sent++;
+    }
+  }
+  return sent;
+}
+
+// Close one connection. Returns false when there is no such connection.
+function closeConnection(id, code = CLOSE_CODES.normal, reason = '') {
+  const session = connections.get(id);
+  if (!session) return false;
+  session.socket.close(code, reason);
+  return true;
+}
+
+// Close every connection accepted by `server` (or all), e.g. on shutdown.
+function closeAll(server = null, reason = 'Server shutting down') {
+  for (const session of [...connections.values()]) {
+    if (!server || session.server === server) session.socket.close(CLOSE_CODES.goingAway, reason);
+  }
+}
+
+module.exports = {
+  validateWebSocketConfig,
+  compileWebSocket,
+  openConnection,
+  hasCapacity,
+  listConnections,
+  broadcast,
+  closeConnection,
+  closeAll,
+  MAX_CONNECTIONS
+};
@@ -0,0 +1,322 @@
+'use strict';
+
+// Minimal XML reader/writer for xml and SOAP endpoints.
+//
+// parseXml() reads a document into elements: { name, attributes, children },
+// where children are elements and text strings (entities decoded, CDATA as
+// text, comments and processing instructions dropped). DOCTYPE declarations
+// are refused, so no entity expansion or external entity can be triggered by
+// a request body.
+//
+// toXml() writes a JSON value as XML: object keys become child elements, an
+// array repeats its key's element, keys starting with "@" are attributes and
+// "#text" is the element's text, e.g.
+//
+//   toXml({ user: { '@id': 7, name: 'Ann', tags: ['a', 'b'] } })
+//   -> <user id="7"><name>Ann</name><tags>a</tags><tags>b</tags></user>
+//
+// fromXml() reads a document back into that shape (text-only elements become
+// strings), which is how XML request bodies reach conditions and templates,
+// and xpath() looks values up in it with a small XPath subset.
+
+const MAX_DEPTH = 256;
+const NAME = /^[A-Za-z_:][-A-Za-z0-9_:.]*$/;
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// application/xml, text/xml and +xml types (application/soap+xml, ...)
+const XML_CONTENT_TYPE = /^(application|text)\/([-\w.]+\+)?xml\s*(;|$)/i;
+
+function isXmlContentType(contentType) {
+  return XML_CONTENT_TYPE.test(String(contentType || ''));
+}
+
+function xmlError(message, source, index) {
+  const before = source.slice(0, index);
+  const line = before.split('\n').length;
+  const column = index - before.lastIndexOf('\n');
+  return new Error(`XML ${message} at line ${line}, column ${column}`);
+}
+
+function decodeEntities(text, source, index) {
+  if (!text.includes('&')) return text;
+  return text.replace(/&([^;&\s]*);?/g, (match, name) => {
+    if (!match.endsWith(';')) throw xmlError('has an unterminated entity reference', source, index);
+    if (Object.hasOwn(ENTITIES, name)) return ENTITIES[name];
+    const code = /^#x([0-9a-fA-F]+)$/.exec(name) ? parseInt(name.slice(2), 16) : /^#([0-9]+)$/.test(name) ? Number(name.slice(1)) : NaN;
+    if (!Number.isInteger(code) || code > 0x10ffff) throw xmlError(`has an unknown entity "&${name};"`, source, index);
+    return String.fromCodePoint(code);
+  });
+}
+
+// Parse a document. Returns its root element; throws an Error on malformed XML.
+function parseXml(source) {
+  const text = String(source).replace(/^﻿/, '');
+  let pos = 0;
+  let root = null;
+  const stack = [];
+
+  const skipMarkup = (open, close, what) => {
+    const end = text.indexOf(close, pos + open.length);
+    if (end === -1) throw xmlError(`has an unterminated ${what}`, text, pos);
+    const content = text.slice(pos + open.length, end);
+    pos = end + close.length;
+    return content;
+  };
+  const addText = value => {
+    if (stack.length) stack[stack.length - 1].children.push(value);
+    else if (value.trim()) throw xmlError('has text outside the root element', text, pos);
+  };
+
+  while (pos < text.length) {
+    const lt = text.indexOf('<', pos);
+    if (lt === -1) {
+      addText(decodeEntities(text.slice(pos), text, pos));
+      break;
+    }
+    if (lt > pos) addText(decodeEntities(text.slice(pos, lt), text, pos));
+    pos = lt;
+
+    if (text.startsWith('<!--', pos)) {
+      skipMarkup('<!--', '-->', 'comment');
+    } else if (text.startsWith('<![CDATA[', pos)) {
+      if (!stack.length) throw xmlError('has CDATA outside the root element', text, pos);
+      addText(skipMarkup('<![CDATA[', ']]>', 'CDATA section'));
+    } else if (text.startsWith('<?', pos)) {
+      skipMarkup('<?', '?>', 'processing instruction');
+    } else if (text.startsWith('<!', pos)) {
+      throw xmlError('DOCTYPE and entity declarations are not allowed', text, pos);
+    } else if (text.startsWith('</', pos)) {
+      const start = pos;
+      const name = skipMarkup('</', '>', 'end tag').trim();
+      const open = stack.pop();
+      if (!open || open.name !== name) throw xmlError(`has a mismatched end tag </${name}>`, text, start);
+    } else {
+      const start = pos;
+      const match = /^<([^\s/>]+)/.exec(text.slice(pos, pos + 1024));
+      if (!match || !NAME.test(match[1])) throw xmlError('has an invalid tag name', text, pos);
+      pos += match[0].length;
+      const element = { name: match[1], attributes: {}, children: [] };
+      for (;;) {
+        const attribute = /^\s+([^\s=/>]+)\s*=\s*("([^"<]*)"|'([^'<]*)')/.exec(text.slice(pos, pos + 65536));
+        if (!attribute) break;
+        if (!NAME.test(attribute[1])) throw xmlError(`has an invalid attribute name "${attribute[1]}"`, text, pos);
+        if (Object.hasOwn(element.attributes, attribute[1])) throw xmlError(`repeats the attribute "${attribute[1]}"`, text, pos);
+        element.attributes[attribute[1]] = decodeEntities(attribute[3] ?? attribute[4], text, pos);
+        pos += attribute[0].length;
+      }
+      const end = /^\s*(\/?)>/.exec(text.slice(pos, pos + 256));
+      if (!end) throw xmlError(`has a malformed <${element.name}> tag`, text, start);
+      pos += end[0].length;
+
+      if (stack.length) stack[stack.length - 1].children.push(element);
+      else if (root) throw xmlError('has more than one root element', text, start);
+      else root = element;
+      if (!end[1]) {
+        if (stack.length >= MAX_DEPTH) throw xmlError('is nested too deeply', text, start);
+        stack.push(element);
+      }
+    }
+  }
+  if (stack.length) throw xmlError(`is missing the end tag </${stack[stack.length - 1].name}>`, text, text.length);
+  if (!root) throw xmlError('has no root element', text, 0);
+  return root;
+}
+
+// The name without its namespace prefix ("soap:Body" -> "Body").
+function localName(name) {
+  return name.slice(name.indexOf(':') + 1);
+}
+
+// Child elements, optionally only those with the given local name.
+function childElements(element, name) {
+  return element.children.filter(child => typeof child === 'object' && (name === undefined || localName(child.name) === name));
+}
+
+// The namespace URI an element's prefix is bound to, looking only at the
+// element itself and the given ancestors (innermost last).
+function namespaceOf(element, ancestors = []) {
+  const colon = element.name.indexOf(':');
+  const attribute = colon === -1 ? 'xmlns' : `xmlns:${element.name.slice(0, colon)}`;
+  for (const scope of [element, ...ancestors.slice().reverse()]) {
+    if (Object.hasOwn(scope.attributes, attribute)) return scope.attributes[attribute];
+  }
+  return null;
+}
+
+function escapeXml(value) {
+  return String(value).replace(/[&<>]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;' })[ch]);
+}
+
+function escapeAttribute(value) {
+  return String(value).replace(/[&<>"\r\n\t]/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', '\r': '&#13;', '\n': '&#10;', '\t': '&#9;' })[ch]);
+}
+
+// A usable element name for a JSON key.
+function elementName(key) {
+  const name = String(key).replace(/[^-A-Za-z0-9_.:]/g, '_');
+  return NAME.test(name) ? name : `_${name}`;
+}
+
+function writeElement(name, value, depth) {
+  if (depth > MAX_DEPTH) throw new Error('Value is nested too deeply for XML');
+  const tag = elementName(name);
+  if (Array.isArray(value)) return value.map(item => writeElement(name, item, depth)).join('');
+  if (value === null || value === undefined) return `<${tag}/>`;
+  if (typeof value !== 'object') return `<${tag}>${escapeXml(value)}</${tag}>`;
+
+  let attributes = '';
+  let content = '';
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('@')) {
+      if (child !== null && child !== undefined) attributes += ` ${elementName(key.slice(1))}="${escapeAttribute(child)}"`;
+    } else if (key === '#text') {
+      content += escapeXml(child ?? '');
+    } else {
+      content += writeElement(key, child, depth + 1);
+    }
+  }
+  return content ? `<${tag}${attributes}>${content}</${tag}>` : `<${tag}${attributes}/>`;
+}
+
+// Write a JSON value as an XML document. An object with one (non-attribute)
+// key is its own root; anything else is wrapped in `rootName`, with array
+// items as `itemName` elements.
+function toXml(value, { rootName = 'response', itemName = 'item', declaration = true } = {}) {
+  let body;
+  const keys = value !== null && typeof value === 'object' && !Array.isArray(value) ? Object.keys(value) : [];
+  if (keys.length === 1 && !keys[0].startsWith('@') && keys[0] !== '#text' && !Array.isArray(value[keys[0]])) {
+    body = writeElement(keys[0], value[keys[0]], 0);
+  } else if (Array.isArray(value)) {
+    body = writeElement(rootName, { [itemName]: value }, 0);
+  } else {
+    body = writeElement(rootName, value, 0);
+  }
+  return declaration ? `<?xml version="1.0" encoding="UTF-8"?>\n${body}` : body;
+}
+
+// An element as a JSON value: attributes as "@name", child elements by name
+// (repeated ones as arrays) and text as "#text"; an element with nothing but
+// text is that text.
+function elementValue(element) {
+  const value = {};
+  for (const [name, attribute] of Object.entries(element.attributes)) value[`@${name}`] = attribute;
+  let text = '';
+  for (const child of element.children) {
+    if (typeof child === 'string') {
+      text += child;
+      continue;
+    }
+    const item = elementValue(child);
+    if (!Object.hasOwn(value, child.name)) value[child.name] = item;
+    else if (Array.isArray(value[child.name])) value[child.name].push(item);
+    else value[child.name] = [value[child.name], item];
+  }
+  text = text.trim();
+  if (Object.keys(value).length === 0) return text;
+  if (text) value['#text'] = text;
+  return value;
+}
+
+// Parse a document into { rootName: value } (see elementValue).
+function fromXml(source) {
+  const root = parseXml(source);
+  return { [root.name]: elementValue(root) };
+}
+
+// One location step of an xpath() expression: name, prefix:name, *, @name,
+// @*, text() or . with optional [n], [@attr], [@attr='v'], [child] and
+// [child='v'] predicates.
+const XPATH_STEP = /^(@?(?:[A-Za-z_][-\w.]*:)?(?:[A-Za-z_][-\w.]*|\*)|text\(\)|\.)((?:\[[^\]]*\])*)$/;
+const XPATH_PREDICATE = /\[\s*(?:(\d+)|(@?[A-Za-z_][-\w.:]*)(?:\s*=\s*(?:'([^']*)'|"([^"]*)"))?)\s*\]/g;
+
+function nameMatches(test, key) {
+  if (test === '*') return true;
+  return test.includes(':') ? test === key : test === localName(key);
+}
+
+// The child nodes of `node` that a step selects, in document order per name.
+function stepNodes(node, test) {
+  if (test === '.') return [node];
+  if (test === 'text()') {
+    if (typeof node === 'string') return [node];
+    return node && typeof node === 'object' && Object.hasOwn(node, '#text') ? [node['#text']] : [];
+  }
+  if (node === null || typeof node !== 'object') return [];
+  const nodes = [];
+  for (const [key, value] of Object.entries(node)) {
+    if (test.startsWith('@')) {
+      if (key.startsWith('@') && nameMatches(test.slice(1), key.slice(1))) nodes.push(value);
+    } else if (!key.startsWith('@') && key !== '#text' && nameMatches(test, key)) {
+      nodes.push(...(Array.isArray(value) ? value : [value]));
+    }
+  }
+  return nodes;
+}
+
+function descendantsOrSelf(node, into) {
+  into.push(node);
+  if (node === null || typeof node !== 'object') return into;
+  for (const [key, value] of Object.entries(node)) {
+    if (key.startsWith('@') || key === '#text') continue;
+    for (const child of Array.isArray(value) ? value : [value]) descendantsOrSelf(child, into);
+  }
+  return into;
+}
+
+function predicateMatches(node, predicate) {
+  const [name, expected] = predicate;
+  const values = stepNodes(node, name);
+  if (expected === undefined) return values.length > 0;
+  return values.some(value => (typeof value === 'string' ? value : value && value['#text']) === expected);
+}
+
+// Look up `expression` in a value read by fromXml(), e.g.
+//   xpath(body, '/order/item[2]/@sku'), xpath(body, '//Body/*/id')
+// Namespace prefixes may be left out (Body matches soap:Body). Like jsonPath,
+// an expression with // or * gives every match as an array; otherwise the
+// first match, or undefined.
+function xpath(value, expression) {
+  const expr = String(expression ?? '').trim();
+  if (!expr || value === undefined || value === null) return undefined;
+  const parts = expr.replace(/^\//, '').split('/');
+  let nodes = [value];
+  let multiple = false;
+  for (let i = 0; i < parts.length; i++) {
+    if (parts[i] === '') {
+      // "//": every descendant, then the next step
+      if (i === parts.length - 1) return undefined;
+      nodes = nodes.flatMap(node => descendantsOrSelf(node, []));
+      multiple = true;
+      continue;
+    }
+    const step = XPATH_STEP.exec(parts[i].trim());
+    if (!step) return undefined;
+    const [, test, predicates] = step;
+    if (test.endsWith('*')) multiple = true;
+    const filters = [...predicates.matchAll(XPATH_PREDICATE)];
+    if (filters.map(match => match[0]).join('').replace(/\s/g, '') !== predicates.replace(/\s/g, '')) return undefined;
+    nodes = nodes.flatMap(node => {
+      let selected = stepNodes(node, test);
+      for (const [, position, name, single, double] of filters) {
+        selected = position !== undefined
+          ? selected.slice(Number(position) - 1, Number(position))
+          : selected.filter(candidate => predicateMatches(candidate, [name, single ?? double]));
+      }
+      return selected;
+    });
+  }
+  return multiple ? nodes : nodes[0];
+}
+
+module.exports = {
+  parseXml,
+  fromXml,
+  xpath,
+  toXml,
+  localName,
+  childElements,
+  namespaceOf,
+  escapeXml,
+  isXmlContentType,
+  XML_CONTENT_TYPE
+};
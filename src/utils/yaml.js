@@ -0,0 +1,52 @@
+'use strict';
+
+// YAML reading and writing for API descriptions (OpenAPI documents are
+// usually YAML), on top of the `yaml` package. Documents are resolved with the
+// YAML 1.2 core schema plus << merge keys; only the first document of a stream
+// is read and alias expansion is capped.
+//
+// parse() throws Error("YAML line N: ...") on input it can't read. stringify()
+// writes block style, quoting only the strings that need it.
+
+const YAML = require('yaml');
+
+const MAX_ALIAS_EXPANSIONS = 10000;
+
+// An alias inside its own anchor makes a circular value, which nothing
+// downstream can serialize.
+function assertAcyclic(value, ancestors = new Set()) {
+  if (value === null || typeof value !== 'object') return;
+  if (ancestors.has(value)) throw new Error('YAML line 1: alias refers to its own anchor');
+  ancestors.add(value);
+  for (const item of Object.values(value)) assertAcyclic(item, ancestors);
+  ancestors.delete(value);
+}
+
+function parse(text) {
+  const documents = YAML.parseAllDocuments(String(text), { schema: 'core', merge: true });
+  const document = Array.isArray(documents) ? documents[0] : null;
+  if (!document) return null;
+  const [error] = document.errors;
+  if (error) {
+    const line = error.linePos ? error.linePos[0].line : 1;
+    throw new Error(`YAML line ${line}: ${error.message.split(/ at line \d+|\n/)[0]}`);
+  }
+  let value;
+  try {
+    value = document.toJS({ maxAliasCount: MAX_ALIAS_EXPANSIONS });
+  } catch (err) {
+    throw new Error(`YAML line 1: ${err.message}`);
+  }
+  assertAcyclic(value);
+  return value;
+}
+
+// Serialize JSON-compatible data as a YAML document.
+function stringify(value) {
+  return YAML.stringify(value === undefined ? null : JSON.parse(JSON.stringify(value)), { lineWidth: 0 });
+}
+
+module.exports = {
+  parse,
+  stringify
+};
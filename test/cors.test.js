@@ -0,0 +1,99 @@
+'use strict';
+
+// CORS: the global policy, endpoint overrides and automatic preflights.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-cors-'));
+
+const { validateCorsConfig, resolveCorsPolicy } = require('../src/utils/cors.js');
+const { startServer } = require('./helpers');
+
+test('cors settings are validated and merged', () => {
+  assert.equal(validateCorsConfig({ origins: ['https://*.example.com', 'null'], methods: ['get'], maxAge: 0 }), null);
+  assert.equal(validateCorsConfig(false), null);
+  assert.match(validateCorsConfig({ origins: ['https://a.com/path'] }), /cors\.origins must be an array of origins/);
+  assert.match(validateCorsConfig({ headers: ['X Bad'] }), /cors\.headers must be an array of header names/);
+  assert.match(validateCorsConfig({ maxAge: -1 }), /cors\.maxAge/);
+  assert.match(validateCorsConfig('yes'), /must be an object or false/);
+
+  const global = { enabled: false, origins: ['*'], credentials: false };
+  assert.equal(resolveCorsPolicy(global, null), null);
+  assert.equal(resolveCorsPolicy({ ...global, enabled: true }, false), null);
+  const override = { origins: ['https://app.test'] };
+  assert.equal(resolveCorsPolicy(global, override).anyOrigin, false);
+  assert.equal(resolveCorsPolicy(global, override), resolveCorsPolicy(global, override));
+  assert.equal(resolveCorsPolicy(global, { enabled: false }), null);
+});
+
+test('endpoints send CORS headers and answer preflights', async () => {
+  const { app, admin } = await startServer();
+  const create = async definition => assert.equal((await admin('POST', '/endpoints', { responseType: 'json', responses: [{ data: { ok: true } }], ...definition })).statusCode, 200);
+
+  await create({ path: '/items', method: 'GET' });
+  await create({ path: '/items', method: 'POST' });
+  await create({ path: '/private', method: 'GET', cors: false });
+  await create({
+    path: '/account', method: 'GET', protected: true, token: 'secret',
+    cors: { origins: ['https://*.example.com'], headers: ['Authorization'], exposedHeaders: ['X-Total'], credentials: true, maxAge: 60 }
+  });
+  await create({ path: '/custom', method: 'PUT' });
+  await create({ path: '/custom', method: 'OPTIONS', responses: [{ status: 200, data: { mine: true } }] });
+
+  const preflight = (url, origin, method, headers) => app.inject({
+    method: 'OPTIONS', url,
+    headers: { origin, 'access-control-request-method': method, ...(headers && { 'access-control-request-headers': headers }) }
+  });
+
+  // Off by default: no headers, and preflights are just OPTIONS requests
+  assert.equal((await app.inject({ method: 'GET', url: '/items', headers: { origin: 'https://a.test' } })).headers['access-control-allow-origin'], undefined);
+  assert.equal((await preflight('/items', 'https://a.test', 'POST')).statusCode, 404);
+
+  assert.match((await admin('PUT', '/cors', { origins: ['https://a.com/x'] })).json().error, /origins/);
+  const imported = await admin('POST', '/import', { config: { cors: { enabled: true, origins: [1] } } });
+  assert.equal(imported.statusCode, 400);
+  assert.match(imported.json().error, /^Invalid config\.cors: cors\.origins/);
+  assert.equal((await app.inject({ method: 'GET', url: '/items' })).statusCode, 200);
+  const saved = await admin('PUT', '/cors', { enabled: true, exposedHeaders: ['X-Request-Id'] });
+  assert.deepEqual(saved.json().cors, { enabled: true, origins: ['*'], methods: [], headers: [], exposedHeaders: ['X-Request-Id'], credentials: false, maxAge: 600 });
+
+  const get = await app.inject({ method: 'GET', url: '/items', headers: { origin: 'https://a.test' } });
+  assert.equal(get.headers['access-control-allow-origin'], '*');
+  assert.equal(get.headers['access-control-expose-headers'], 'X-Request-Id');
+  const allowed = await preflight('/items', 'https://a.test', 'POST', 'Content-Type, X-Trace');
+  assert.equal(allowed.statusCode, 204);
+  assert.equal(allowed.headers['access-control-allow-methods'], 'GET, POST');
+  assert.equal(allowed.headers['access-control-allow-headers'], 'content-type, x-trace');
+  assert.equal(allowed.headers['access-control-max-age'], '600');
+  assert.equal((await preflight('/items', 'https://a.test', 'DELETE')).statusCode, 404);
+  assert.equal((await preflight('/private', 'https://a.test', 'GET')).statusCode, 404);
+  assert.equal((await app.inject({ method: 'GET', url: '/private', headers: { origin: 'https://a.test' } })).headers['access-control-allow-origin'], undefined);
+
+  // Endpoint override: wildcard origins, credentials, a header allow-list; preflights skip auth
+  const account = await preflight('/account', 'https://app.example.com', 'GET', 'authorization');
+  assert.equal(account.statusCode, 204);
+  assert.equal(account.headers['access-control-allow-origin'], 'https://app.example.com');
+  assert.equal(account.headers['access-control-allow-credentials'], 'true');
+  assert.equal(account.headers['access-control-max-age'], '60');
+  assert.match(account.headers.vary, /Origin/);
+  const otherOrigin = await preflight('/account', 'https://evil.test', 'GET');
+  assert.equal(otherOrigin.statusCode, 204);
+  assert.equal(otherOrigin.headers['access-control-allow-origin'], undefined);
+  assert.equal((await preflight('/account', 'https://app.example.com', 'GET', 'x-other')).headers['access-control-allow-origin'], undefined);
+  const denied = await app.inject({ method: 'GET', url: '/account', headers: { origin: 'https://app.example.com' } });
+  assert.equal(denied.statusCode, 401);
+  assert.equal(denied.headers['access-control-allow-origin'], 'https://app.example.com');
+  assert.equal(denied.headers['access-control-expose-headers'], 'X-Total');
+
+  // An OPTIONS endpoint of its own wins
+  const custom = await preflight('/custom', 'https://a.test', 'PUT');
+  assert.deepEqual(custom.json(), { mine: true });
+  assert.equal(custom.headers['access-control-allow-origin'], '*');
+
+  await app.close();
+});
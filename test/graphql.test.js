@@ -0,0 +1,145 @@
+'use strict';
+
+// GraphQL endpoints: parsing, validation against the schema, execution with
+// fixtures and generated values, overrides and introspection. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-graphql-'));
+
+const graphql = require('../src/utils/graphql.js');
+const { validateGraphQLConfig } = require('../src/utils/graphqlEndpoints.js');
+const { startServer } = require('./helpers');
+
+const SCHEMA = `
+  """A person"""
+  type User implements Node {
+    id: ID!
+    name: String
+    email: String
+    role: Role
+    friends(first: Int = 2): [User!]!
+    legacy: String @deprecated(reason: "use name")
+  }
+  interface Node { id: ID! }
+  type Post implements Node { id: ID! title: String }
+  union SearchResult = User | Post
+  enum Role { ADMIN MEMBER }
+  input UserFilter { role: Role! }
+  type Query {
+    user(id: ID!): User
+    users(filter: UserFilter, first: Int): [User!]!
+    search(text: String!): [SearchResult!]!
+  }
+  type Mutation { rename(id: ID!, name: String!): User }
+`;
+
+test('documents are parsed and validated against the schema', () => {
+  const schema = graphql.buildSchema(SCHEMA);
+  const errorsOf = query => graphql.validate(schema, graphql.parse(query)).map(e => e.message);
+
+  assert.deepEqual(errorsOf('query Q($id: ID!) { user(id: $id) { ...F friends { id } } } fragment F on User { name role }'), []);
+  assert.deepEqual(errorsOf('{ user(id: 1) { nope } }'), ['Cannot query field "nope" on type "User".']);
+  assert.deepEqual(errorsOf('{ user { id } }'), ['Field "user" argument "id" of type "ID!" is required, but it was not provided.']);
+  assert.deepEqual(errorsOf('{ user(id: 1) }'), ['Field "user" of type "User" must have a selection of subfields. Did you mean "user { ... }"?']);
+  assert.deepEqual(errorsOf('{ users(filter: { role: BOSS }) { id } }'), ['Value BOSS does not exist in "Role" enum.']);
+  assert.deepEqual(errorsOf('query ($n: String) { users(first: $n) { id } }'), ['Variable "$n" of type "String" used in position expecting type "Int".']);
+  assert.deepEqual(errorsOf('query ($x: Int) { user(id: $y) { id } }'), ['Variable "$y" is not defined.', 'Variable "$x" is never used.']);
+  assert.deepEqual(errorsOf('{ search(text: "a") { ... on Role { id } } }'), ['Fragment cannot condition on non composite type "Role".']);
+  assert.deepEqual(errorsOf('{ user(id: 1) { ...A } } fragment A on User { ...B } fragment B on User { ...A }'), [
+    'Cannot spread fragment "A" within itself.',
+    'Cannot spread fragment "B" within itself.'
+  ]);
+
+  assert.throws(() => graphql.parse('{ user(id: 1) { id }'), { message: 'Syntax Error: Expected Name, found <EOF>.', locations: [{ line: 1, column: 21 }] });
+  assert.throws(() => graphql.buildSchema('type Query { a: Missing }'), /must be an output type/);
+  assert.throws(() => graphql.buildSchema('type User { id: ID }'), /Query root type must be provided/);
+
+  assert.equal(validateGraphQLConfig({ schema: SCHEMA, data: { User: { name: 'x' } }, overrides: [{ condition: "variables.id == '3'", data: { user: null } }] }), null);
+  assert.match(validateGraphQLConfig({ schema: SCHEMA, data: { Role: {} } }), /graphql\.data\.Role is not an object type/);
+  assert.match(validateGraphQLConfig({ schema: SCHEMA, overrides: [{ condition: 'variables.id ==' }] }), /overrides\[0\]\.condition/);
+  assert.match(validateGraphQLConfig({}), /needs either a schema/);
+});
+
+test('execution completes values, bubbles nulls and runs introspection', () => {
+  const schema = graphql.buildSchema(SCHEMA);
+  const run = (query, options) => {
+    const document = graphql.parse(query);
+    return graphql.execute(schema, document, graphql.getOperation(document).operation, options);
+  };
+
+  const result = run('query ($id: ID!) { user(id: $id) { id name friends { id } } }', {
+    variables: { id: 7 },
+    rootValue: { user: args => ({ id: args.id, name: 'Ada', friends: args.id === '7' ? [{ id: 1 }, { id: null }] : [] }) }
+  });
+  assert.deepEqual(result.data, { user: null });
+  assert.deepEqual(result.errors.map(e => [e.message, e.path]), [['Cannot return null for non-nullable field User.id.', ['user', 'friends', 1, 'id']]]);
+
+  assert.deepEqual(run('query ($id: ID!) { user(id: $id) { id } }', { variables: {} }).errors[0].message,
+    'Variable "$id" of required type "ID!" was not provided.');
+
+  const introspection = run(`{
+    __type(name: "User") { kind interfaces { name } fields { name type { kind ofType { name } } } }
+    __schema { queryType { name } mutationType { name } }
+  }`);
+  assert.deepEqual(introspection.data.__schema, { queryType: { name: 'Query' }, mutationType: { name: 'Mutation' } });
+  assert.deepEqual(introspection.data.__type.interfaces, [{ name: 'Node' }]);
+  assert.deepEqual(introspection.data.__type.fields.map(f => f.name), ['id', 'name', 'email', 'role', 'friends']);
+  assert.deepEqual(introspection.data.__type.fields[0].type, { kind: 'NON_NULL', ofType: { name: 'ID' } });
+});
+
+test('graphql endpoints answer from fixtures, generated values and overrides', async () => {
+  const { app, admin } = await startServer();
+
+  const created = await admin('POST', '/endpoints', {
+    path: '/graphql', method: 'POST', responseType: 'graphql', templateSeed: 'graphql',
+    graphql: {
+      schema: SCHEMA,
+      data: { Query: { user: { id: '{{args.id}}', name: 'Ada Lovelace' } }, User: { role: 'ADMIN' } },
+      overrides: [{ operationName: 'GetUser', condition: "variables.id == '3'", data: { user: null }, errors: [{ message: 'User {{variables.id}} is gone', path: ['user'] }] }]
+    }
+  });
+  assert.equal(created.statusCode, 200);
+  assert.equal(created.json().endpoint.method, 'ANY');
+  const bad = await admin('POST', '/endpoints', { path: '/bad', method: 'POST', responseType: 'graphql', graphql: { schema: 'type Query { a: Nope }' } });
+  assert.match(bad.json().error, /graphql\.schema is invalid/);
+
+  const query = (payload, method = 'POST', url = '/graphql') => app.inject({ method, url, payload });
+  const getUser = 'query GetUser($id: ID!) { user(id: $id) { id name email role friends { __typename email } } }';
+
+  const found = await query({ query: getUser, variables: { id: '7' }, operationName: 'GetUser' });
+  assert.equal(found.statusCode, 200);
+  const { user } = found.json().data;
+  assert.deepEqual([user.id, user.name, user.role], ['7', 'Ada Lovelace', 'ADMIN']);
+  assert.match(user.email, /^[a-z._0-9]+@[a-z.]+$/);
+  // friends(first: 2) decides the length; fields come from the User fixture or are generated
+  assert.equal(user.friends.length, 2);
+  assert.ok(user.friends.every(friend => friend.__typename === 'User' && friend.email.includes('@')));
+  // Seeded: the same request generates the same values
+  assert.deepEqual((await query({ query: getUser, variables: { id: '7' } })).json(), found.json());
+
+  const gone = await query({ query: getUser, variables: { id: 3 } });
+  assert.deepEqual(gone.json(), { errors: [{ message: 'User 3 is gone', path: ['user'] }], data: { user: null } });
+
+  const search = await query(null, 'GET', `/graphql?query=${encodeURIComponent('{ search(text: "a") { __typename ... on Post { title } } }')}`);
+  assert.ok(search.json().data.search.every(item => ['User', 'Post'].includes(item.__typename)));
+  assert.equal(search.json().data.search.length, 3);
+
+  const invalid = await query({ query: '{ user(id: 1) { nope } }' });
+  assert.equal(invalid.statusCode, 400);
+  assert.deepEqual(invalid.json().errors, [{ message: 'Cannot query field "nope" on type "User".', locations: [{ line: 1, column: 17 }] }]);
+  assert.equal((await query({ query: '{ user(' })).statusCode, 400);
+  assert.deepEqual((await query({ variables: {} })).json(), { errors: [{ message: 'Must provide query string.' }] });
+
+  const mutationOverGet = await query(null, 'GET', `/graphql?query=${encodeURIComponent('mutation { rename(id: 1, name: "x") { id } }')}`);
+  assert.equal(mutationOverGet.statusCode, 405);
+  assert.equal(mutationOverGet.headers.allow, 'POST');
+  assert.equal((await query({ query: 'mutation { rename(id: 1, name: "x") { id } }' })).statusCode, 200);
+  assert.equal((await query({}, 'DELETE')).statusCode, 405);
+
+  await app.close();
+});
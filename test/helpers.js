@@ -0,0 +1,21 @@
+'use strict';
+
+// Shared fixture for tests that drive the whole server. Test files point
+// DATA_DIR at their own temp directory before requiring this.
+
+const SETUP_TOKEN = 'test-setup-token';
+
+// Build a server, claim the admin account and return { app, cookie, admin },
+// where admin(method, url, payload) injects an authenticated /api/admin call.
+async function startServer() {
+  process.env.SETUP_TOKEN = SETUP_TOKEN;
+  const { buildServer } = require('../src/server.js');
+  const app = await buildServer();
+  app.log.level = 'error';
+  const setup = await app.inject({ method: 'POST', url: '/api/admin/setup', payload: { password: 'password123', setupToken: SETUP_TOKEN } });
+  const cookie = setup.headers['set-cookie'].split(';')[0];
+  const admin = (method, url, payload) => app.inject({ method, url: `/api/admin${url}`, payload, headers: { cookie } });
+  return { app, cookie, admin };
+}
+
+module.exports = { startServer };
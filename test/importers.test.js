@@ -0,0 +1,265 @@
+'use strict';
+
+// Converters between other API descriptions and endpoint definitions, and the
+// YAML reader/writer they share. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+
+const yaml = require('../src/utils/yaml.js');
+const { convertOpenApi, toPathPattern } = require('../src/utils/openapiImport.js');
+const { buildOpenApiDocument } = require('../src/utils/openapiExport.js');
+const { convertPostman, convertHar } = require('../src/utils/exchangeImport.js');
+const { convertWireMock, convertMockoon } = require('../src/utils/mockToolImport.js');
+
+test('yaml reads block, flow and scalar styles', () => {
+  const doc = yaml.parse([
+    'base: &base { a: 1, b: "x # y" }',
+    'merged:',
+    '  <<: *base',
+    '  b: 2',
+    'list:',
+    '- plain text',
+    '- key: value',
+    '  other: [1, 2.5, true, null]',
+    'folded: >',
+    '  one',
+    '  two',
+    'literal: |-',
+    '  line 1',
+    '    line 2',
+    "'200': 'it''s' # comment"
+  ].join('\n'));
+  assert.deepEqual(doc, {
+    base: { a: 1, b: 'x # y' },
+    merged: { a: 1, b: 2 },
+    list: ['plain text', { key: 'value', other: [1, 2.5, true, null] }],
+    folded: 'one two\n',
+    literal: 'line 1\n  line 2',
+    200: "it's"
+  });
+  assert.throws(() => yaml.parse('a: [1, 2'), /YAML line 1/);
+
+  const data = { a: ['', 'true', { k: 'x: y', n: null }], '200': { nested: [[1], {}] } };
+  assert.deepEqual(yaml.parse(yaml.stringify(data)), data);
+  assert.deepEqual(yaml.parse("a: { d: the fault's x }\nb: [it's, \"q\"]"), { a: { d: "the fault's x" }, b: ["it's", 'q'] });
+  assert.throws(() => yaml.parse('a: &a [*a]'), /own anchor/);
+});
+
+test('yaml round-trips the service\'s own openapi.yaml', () => {
+  const doc = yaml.parse(fs.readFileSync(path.join(__dirname, '../openapi.yaml'), 'utf8'));
+  assert.ok(doc.paths['/api/admin/endpoints']);
+  assert.ok(Object.keys(doc.paths).length > 35);
+  assert.deepEqual(yaml.parse(yaml.stringify(doc)), doc);
+});
+
+test('openapi operations become endpoints with status-keyed variants', () => {
+  const result = convertOpenApi({
+    openapi: '3.0.3',
+    servers: [{ url: 'https://api.example.com/v1' }],
+    components: {
+      securitySchemes: {
+        jwt: { type: 'http', scheme: 'bearer' },
+        key: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        basic: { type: 'http', scheme: 'basic' },
+        session: { type: 'apiKey', in: 'cookie', name: 'sid' }
+      },
+      schemas: { User: { type: 'object', required: ['name'], properties: { id: { type: 'integer' }, name: { type: 'string' } } } }
+    },
+    paths: {
+      '/users/{user-id}': {
+        get: {
+          security: [{ jwt: [] }],
+          parameters: [{ name: 'fields', in: 'query' }],
+          responses: {
+            200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+            404: { content: { 'application/json': { example: { error: 'missing' } } } }
+          }
+        }
+      },
+      '/users': {
+        post: {
+          requestBody: { required: true, content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } },
+          responses: { 201: { content: { 'application/json': { examples: { a: { value: { id: 1 } }, b: { value: { id: 2 } } } } } } }
+        }
+      },
+      '/reports': {
+        get: {
+          security: [{ key: [] }, { basic: [] }],
+          responses: { 200: { content: { 'text/plain': { example: 'Hello {{name}}' } } } }
+        }
+      },
+      '/session': {
+        get: { security: [{ session: [] }], responses: { 204: { description: 'ok' } } }
+      }
+    }
+  });
+
+  const [get, post, reports, session] = result.endpoints;
+  assert.equal(get.path, '/v1/users/:user_id');
+  assert.equal(get.protected, true);
+  assert.equal(get.token, result.token);
+  assert.equal(get.parameterSource, 'query');
+  assert.deepEqual(get.responses, [
+    { condition: "headers.x-mock-status == '404'", status: 404, data: { error: 'missing' } },
+    { condition: null, status: 200, data: { id: 0, name: 'string' } }
+  ]);
+  assert.equal(post.protected, false);
+  assert.deepEqual(post.validation.body.required, ['name']);
+  assert.deepEqual(post.responses.map(r => [r.condition, r.data.id]),
+    [["headers.x-mock-example == 'a'", 1], ["headers.x-mock-example == 'b'", 2], [null, 1]]);
+  assert.equal(get.auth, null);
+  assert.equal(reports.protected, true);
+  assert.deepEqual(reports.auth, [
+    { type: 'apiKey', in: 'header', name: 'X-API-Key', keys: [result.token] },
+    { type: 'basic', users: [{ username: 'mock', password: result.token }] }
+  ]);
+  assert.equal(reports.responses[0].text, 'Hello \\{{name}}');
+  assert.equal(session.protected, false);
+  assert.match(result.warnings.join('\n'), /GET \/session: security scheme session can't be mocked/);
+  assert.equal(toPathPattern('/files/{name}.txt'), null);
+  assert.throws(() => convertOpenApi({ swagger: '2.0' }), /OpenAPI 3/);
+});
+
+test('generated openapi lists variants by status with inferred schemas', () => {
+  const doc = buildOpenApiDocument([
+    {
+      path: '/users/:id?', method: 'GET', enabled: true, protected: true, responseType: 'json',
+      parameterSource: 'header', parameters: [{ name: 'X-Tenant', required: true }],
+      responses: [
+        { condition: "path.id == '0'", status: 404, data: { error: 'missing' } },
+        { condition: null, data: { id: 1, name: 'a' } },
+        { condition: "query.full == '1'", data: { id: 1, extra: 2.5 } }
+      ]
+    },
+    { path: '/off', method: 'GET', enabled: false, responses: [] }
+  ]);
+
+  assert.equal(doc.openapi, '3.1.0');
+  assert.deepEqual(Object.keys(doc.paths), ['/users', '/users/{id}']);
+  const op = doc.paths['/users/{id}'].get;
+  assert.deepEqual(op.parameters.map(p => [p.name, p.in, p.required]), [['id', 'path', true], ['X-Tenant', 'header', true]]);
+  assert.deepEqual(op.security, [{ bearerAuth: [] }]);
+  assert.deepEqual(Object.keys(op.responses).sort(), ['200', '401', '404']);
+  const ok = op.responses[200].content['application/json'];
+  assert.deepEqual(ok.schema, {
+    type: 'object',
+    properties: { id: { type: 'integer' }, name: { type: 'string' }, extra: { type: 'number' } },
+    required: ['id']
+  });
+  assert.equal(Object.keys(ok.examples).length, 2);
+  assert.equal(doc.components.securitySchemes.bearerAuth.scheme, 'bearer');
+});
+
+test('postman examples sharing a method and path become conditional variants', () => {
+  const example = (name, page, body) => ({
+    name,
+    originalRequest: { method: 'GET', url: { raw: `{{baseUrl}}/users?page=${page}`, query: [{ key: 'page', value: String(page) }] } },
+    code: 200,
+    header: [{ key: 'Content-Type', value: 'application/json' }, { key: 'Date', value: 'Mon' }],
+    body
+  });
+  const result = convertPostman({
+    info: { name: 'Shop' },
+    variable: [{ key: 'baseUrl', value: 'https://api.test/v1' }, { key: 'token', value: 's3cret' }],
+    auth: { type: 'bearer', bearer: [{ key: 'token', value: '{{token}}' }] },
+    item: [{
+      name: 'Users',
+      item: [
+        { name: 'List', request: { method: 'GET', url: '{{baseUrl}}/users' }, response: [example('one', 1, '[1]'), example('two', 2, '[2]'), example('again', 2, '[]')] },
+        { name: 'Get', auth: { type: 'noauth' }, request: { method: 'GET', url: '{{baseUrl}}/users/{{userId}}' } },
+        { name: 'Broken', request: { method: 'GET' } }
+      ]
+    }]
+  });
+
+  const [list, get] = result.endpoints;
+  assert.equal(list.path, '/v1/users');
+  assert.equal(list.token, 's3cret');
+  assert.deepEqual(list.responses.map(r => [r.condition, r.data]), [["query.page == '2'", [2]], [null, [1]]]);
+  assert.deepEqual(list.responses[1].headers, {});
+  assert.equal(get.path, '/v1/users/:userId');
+  assert.equal(get.protected, false);
+  assert.deepEqual(result.skipped.map(s => [s.entry, s.error]), [['Users / Broken', 'Request has no URL']]);
+  assert.ok(result.warnings.some(w => w.includes('Users / List / again')));
+  assert.throws(() => convertPostman({ entries: [] }), /Postman/);
+});
+
+test('har entries keep binary bodies as base64 and report failed requests', () => {
+  const entry = (url, response, postData) => ({ request: { method: postData ? 'POST' : 'GET', url, postData }, response });
+  const result = convertHar({
+    log: {
+      entries: [
+        entry('https://api.test/logo.png', { status: 200, headers: [], content: { mimeType: 'image/png', text: 'iVBORw==', encoding: 'base64' } }),
+        entry('https://api.test/search', { status: 200, content: { mimeType: 'application/json', text: '{"hits":1}' } }, { mimeType: 'application/json', text: '{"q":"cats"}' }),
+        entry('https://api.test/search', { status: 200, content: { mimeType: 'application/json', text: '{"hits":2}' } }, { mimeType: 'application/json', text: '{"q":"dogs"}' }),
+        entry('https://cdn.test/app.js', { status: 200, content: { mimeType: 'text/javascript', text: '' } }),
+        entry('https://api.test/gone', { status: 0, content: {} })
+      ]
+    }
+  }, { host: 'api.test' });
+
+  const [logo, search] = result.endpoints;
+  assert.equal(logo.responseType, 'binary');
+  assert.deepEqual([logo.responses[0].fileData, logo.responses[0].contentType], ['iVBORw==', 'image/png']);
+  assert.deepEqual(search.responses.map(r => r.condition), ["body.q == 'dogs'", null]);
+  assert.deepEqual(result.skipped.map(s => [s.entry, s.path]), [['entries[4]', '/gone']]);
+  assert.match(result.warnings[0], /1 entries for other hosts \(cdn\.test\)/);
+});
+
+test('wiremock stubs merge by priority with mapped matchers, delays and scenarios', () => {
+  const result = convertWireMock({
+    mappings: [
+      {
+        request: { method: 'GET', urlPathTemplate: '/users/{id}', pathParameters: { id: { equalTo: '1' } }, headers: { Accept: { matches: '.*' } } },
+        response: { status: 200, jsonBody: { id: 1, q: '{{request.query.q}}' }, transformers: ['response-template'], fixedDelayMilliseconds: 50 }
+      },
+      { request: { method: 'GET', urlPathTemplate: '/users/{id}' }, response: { status: 404 }, priority: 9 },
+      { scenarioName: 'cart', requiredScenarioState: 'Started', newScenarioState: 'full', request: { method: 'POST', urlPath: '/cart' }, response: { body: 'added' } },
+      { request: { method: 'GET', urlPattern: '/v(1|2)/x' }, response: { status: 200 } }
+    ]
+  });
+
+  const [user, cart] = result.endpoints;
+  assert.equal(user.path, '/users/:id');
+  assert.deepEqual(user.responses.map(r => [r.condition, r.status]), [["path.id == '1'", 200], [null, 404]]);
+  assert.deepEqual(user.responses[0].data, { id: 1, q: '{{query.q}}' });
+  assert.deepEqual(user.responses[0].delay, { fixed: 50 });
+  assert.deepEqual(cart.responses.map(r => [r.requiredState, r.newState, r.status]), [['Started', 'full', 200], [undefined, undefined, 404]]);
+  assert.deepEqual(result.skipped.map(s => s.entry), ['mappings[3]']);
+  assert.ok(result.warnings.some(w => w.startsWith('mappings[0]: header matcher on "Accept"')));
+});
+
+test('mockoon routes map rules, sequences and crud buckets', () => {
+  const result = convertMockoon({
+    name: 'Legacy',
+    endpointPrefix: 'api',
+    data: [{ uuid: 'b1', id: 'ab12', value: '[{"id":"1"}]' }],
+    routes: [
+      {
+        type: 'http', method: 'get', endpoint: 'users/:id',
+        responses: [
+          { statusCode: 200, body: '{"id":"{{urlParam \'id\'}}"}', headers: [], rules: [], default: true },
+          { statusCode: 404, body: '{}', rules: [{ target: 'params', modifier: 'id', value: '0', operator: 'equals' }, { target: 'header', modifier: 'X-Trace', value: '', operator: 'null', invert: true }], rulesOperator: 'AND', latency: 20 },
+          { statusCode: 401, body: '', rules: [{ target: 'cookie', modifier: 'session', value: 'x', operator: 'equals' }] }
+        ]
+      },
+      { type: 'http', method: 'post', endpoint: 'jobs', responseMode: 'SEQUENTIAL', responses: [{ statusCode: 202, body: 'queued' }, { statusCode: 200, body: 'done' }] },
+      { type: 'crud', method: '', endpoint: 'people', responses: [{ databucketID: 'ab12', crudKey: 'id' }] },
+      { type: 'ws', method: '', endpoint: 'socket', responses: [] }
+    ]
+  });
+
+  const [user, jobs, people] = result.endpoints;
+  assert.equal(result.title, 'Legacy');
+  assert.deepEqual(user.responses.map(r => [r.condition, r.status]), [["path.id == '0' && headers.x-trace", 404], [null, 200]]);
+  assert.deepEqual(user.responses[1].data, { id: '{{path.id}}' });
+  assert.deepEqual(user.responses[0].delay, { fixed: 20 });
+  assert.equal(jobs.sequence, 'cycle');
+  assert.deepEqual(jobs.responses.map(r => r.text), ['queued', 'done']);
+  assert.deepEqual([people.responseType, people.resource.seed], ['resource', [{ id: '1' }]]);
+  assert.deepEqual(result.skipped.map(s => s.error), ['WebSocket routes are not supported']);
+  assert.ok(result.warnings.some(w => w.includes('response 3: not imported')));
+});
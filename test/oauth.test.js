@@ -0,0 +1,136 @@
+'use strict';
+
+// Built-in OAuth 2.0 / OpenID Connect server: grants, PKCE, userinfo and
+// endpoints protected with its tokens. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-oauth-'));
+
+const { handleOAuthRequest, validateOAuthConfig } = require('../src/utils/oauthServer.js');
+const { compileAuth, authenticate } = require('../src/utils/endpointAuth.js');
+const { decodeJwt } = require('../src/utils/jwt.js');
+const { startServer } = require('./helpers');
+
+const settings = {
+  enabled: true,
+  audience: 'orders-api',
+  clients: [
+    { clientId: 'svc', clientSecret: 's3cret', scopes: ['orders:read', 'orders:write'] },
+    { clientId: 'spa', redirectUris: ['http://localhost:3000/cb'], scopes: ['openid', 'orders:read'] }
+  ],
+  users: [{ username: 'ann', password: 'pw', sub: 'u-1', claims: { email: 'ann@example.com' } }]
+};
+const origin = 'http://localhost:4242';
+const oauth = (requestPath, request) => handleOAuthRequest(settings, requestPath, { origin, query: {}, headers: {}, ...request });
+const token = body => oauth('/oauth/token', { method: 'POST', body });
+
+test('client credentials and password grants issue signed tokens', () => {
+  const basic = `Basic ${Buffer.from('svc:s3cret').toString('base64')}`;
+  const issued = oauth('/oauth/token', { method: 'POST', headers: { authorization: basic }, body: { grant_type: 'client_credentials', scope: 'orders:read' } });
+  assert.equal(issued.status, 200);
+  const { header, payload } = decodeJwt(issued.body.access_token);
+  assert.equal(header.typ, 'at+jwt');
+  assert.equal(header.kid, oauth('/oauth/jwks', { method: 'GET' }).body.keys[0].kid);
+  assert.deepEqual([payload.iss, payload.sub, payload.aud, payload.scope], [origin, 'svc', 'orders-api', 'orders:read']);
+  assert.equal(issued.body.refresh_token, undefined);
+
+  assert.equal(token({ grant_type: 'client_credentials', client_id: 'svc', client_secret: 'nope' }).status, 401);
+  assert.equal(token({ grant_type: 'client_credentials', client_id: 'spa' }).body.error, 'unauthorized_client');
+  assert.equal(token({ grant_type: 'client_credentials', client_id: 'svc', client_secret: 's3cret', scope: 'admin' }).body.error, 'invalid_scope');
+  assert.equal(token({ grant_type: 'password', client_id: 'spa', username: 'ann', password: 'no' }).body.error, 'invalid_grant');
+  const password = token({ grant_type: 'password', client_id: 'spa', username: 'ann', password: 'pw', scope: 'openid' });
+  assert.ok(password.body.refresh_token && password.body.id_token);
+});
+
+test('authorization code flow checks PKCE, then refreshes and serves userinfo', () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const query = {
+    response_type: 'code', client_id: 'spa', scope: 'openid orders:read', state: 'st', nonce: 'n-1',
+    code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'), code_challenge_method: 'S256'
+  };
+  assert.match(oauth('/oauth/authorize', { method: 'GET', query }).body, /<form method="post"/);
+  assert.equal(oauth('/oauth/authorize', { method: 'GET', query: { ...query, redirect_uri: 'http://evil.test/' } }).status, 400);
+  const noPkce = new URL(oauth('/oauth/authorize', { method: 'GET', query: { ...query, code_challenge: undefined } }).redirect);
+  assert.equal(noPkce.searchParams.get('error'), 'invalid_request');
+
+  const signedIn = new URL(oauth('/oauth/authorize', { method: 'POST', query, body: { username: 'ann', password: 'pw' } }).redirect);
+  assert.equal(signedIn.searchParams.get('state'), 'st');
+  const code = signedIn.searchParams.get('code');
+  assert.equal(token({ grant_type: 'authorization_code', client_id: 'spa', code, code_verifier: 'x'.repeat(43) }).body.error, 'invalid_grant');
+  const tokens = token({ grant_type: 'authorization_code', client_id: 'spa', code, code_verifier: verifier }).body;
+  assert.equal(decodeJwt(tokens.id_token).payload.nonce, 'n-1');
+  const replayed = token({ grant_type: 'authorization_code', client_id: 'spa', code, code_verifier: verifier });
+  assert.deepEqual([replayed.status, replayed.body.error], [400, 'invalid_grant']);
+
+  const info = oauth('/oauth/userinfo', { method: 'GET', headers: { authorization: `Bearer ${tokens.access_token}` } });
+  assert.deepEqual(info.body, { email: 'ann@example.com', sub: 'u-1' });
+  const refreshed = token({ grant_type: 'refresh_token', client_id: 'spa', refresh_token: tokens.refresh_token, scope: 'orders:read' });
+  assert.equal(refreshed.body.scope, 'orders:read');
+  assert.equal(token({ grant_type: 'refresh_token', client_id: 'spa', refresh_token: tokens.access_token }).body.error, 'invalid_grant');
+});
+
+test('plain PKCE is accepted only from clients that allow it', () => {
+  const verifier = crypto.randomBytes(32).toString('base64url');
+  const query = { response_type: 'code', client_id: 'spa', login_hint: 'ann', code_challenge: verifier };
+  const refused = new URL(oauth('/oauth/authorize', { method: 'GET', query }).redirect);
+  assert.match(refused.searchParams.get('error_description'), /S256/);
+  assert.deepEqual(oauth('/.well-known/openid-configuration', { method: 'GET' }).body.code_challenge_methods_supported, ['S256']);
+
+  const lenient = { ...settings, clients: settings.clients.map(client => ({ ...client, allowPlainPkce: client.clientId === 'spa' })) };
+  const redirect = new URL(handleOAuthRequest(lenient, '/oauth/authorize', { method: 'GET', origin, headers: {}, query }).redirect);
+  const issued = handleOAuthRequest(lenient, '/oauth/token', {
+    method: 'POST', origin, headers: {}, body: { grant_type: 'authorization_code', client_id: 'spa', code: redirect.searchParams.get('code'), code_verifier: verifier }
+  });
+  assert.equal(issued.status, 200);
+  assert.ok(handleOAuthRequest(lenient, '/.well-known/openid-configuration', { method: 'GET', origin }).body.code_challenge_methods_supported.includes('plain'));
+  assert.match(validateOAuthConfig({ clients: [{ clientId: 'x', allowPlainPkce: 'yes' }] }), /allowPlainPkce/);
+});
+
+test('oauth-protected endpoints require the server\'s tokens and scopes', () => {
+  const schemes = compileAuth({ protected: true, auth: { type: 'oauth', scopes: ['orders:write'] } });
+  const check = accessToken => authenticate(schemes, { query: {}, headers: { authorization: `Bearer ${accessToken}` } });
+  const issue = scope => token({ grant_type: 'client_credentials', client_id: 'svc', client_secret: 's3cret', scope }).body.access_token;
+
+  assert.equal(check(issue('orders:write')), null);
+  const denied = check(issue('orders:read'));
+  assert.equal(denied.status, 403);
+  assert.match(denied.challenges[0], /error="insufficient_scope", .*scope="orders:write"/);
+  assert.equal(check(token({ grant_type: 'password', client_id: 'spa', username: 'ann', password: 'pw', scope: 'openid' }).body.id_token).status, 401);
+
+  assert.match(validateOAuthConfig({ users: [{ username: 'a', password: 'b', claims: { exp: 1 } }] }), /reserved claim exp/);
+  assert.match(validateOAuthConfig({ clients: [{ clientId: 'x', grantTypes: ['client_credentials'] }] }), /clientSecret/);
+});
+
+test('token requests and sign-in forms reach the journal without their secrets', async () => {
+  const { app, admin } = await startServer();
+  const clients = [{ clientId: 'svc', clientSecret: 'TOPSECRET' }, { clientId: 'spa', redirectUris: ['http://localhost:3000/cb'], allowPlainPkce: true }];
+  const saved = await admin('PUT', '/oauth', { enabled: true, clients, users: [{ username: 'ann', password: 'USERPW' }] });
+  assert.equal(saved.statusCode, 200);
+  const imported = await admin('POST', '/import', { config: { oauth: { enabled: true, clients: 'all' } } });
+  assert.equal(imported.statusCode, 400);
+  assert.match(imported.json().error, /^Invalid config\.oauth: clients must be an array/);
+  const form = fields => ({ payload: new URLSearchParams(fields).toString(), headers: { 'content-type': 'application/x-www-form-urlencoded' } });
+
+  const granted = await app.inject({ method: 'POST', url: '/oauth/token', ...form({ grant_type: 'password', client_id: 'svc', client_secret: 'TOPSECRET', username: 'ann', password: 'USERPW' }) });
+  assert.equal(granted.statusCode, 200);
+  const verifier = 'V'.repeat(43);
+  const signedIn = await app.inject({
+    method: 'POST', url: '/oauth/authorize',
+    ...form({ response_type: 'code', client_id: 'spa', code_challenge: verifier, username: 'ann', password: 'USERPW' })
+  });
+  const code = new URL(signedIn.headers.location).searchParams.get('code');
+  const exchanged = await app.inject({ method: 'POST', url: '/oauth/token', ...form({ grant_type: 'authorization_code', client_id: 'spa', code, code_verifier: verifier }) });
+  assert.equal(exchanged.statusCode, 200);
+  await app.inject({ method: 'GET', url: `/oauth/authorize?response_type=code&client_id=spa&code_challenge=${verifier}` });
+
+  const journaled = await admin('GET', '/requests?path=/oauth');
+  assert.equal(journaled.json().total, 4);
+  for (const secret of ['TOPSECRET', 'USERPW', verifier, code]) assert.ok(!journaled.body.includes(secret), secret);
+  await app.close();
+});
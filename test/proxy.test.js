@@ -0,0 +1,76 @@
+'use strict';
+
+// Proxy passthrough: unmatched requests reach the upstream with their bytes
+// and headers as sent, minus the admin session. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-proxy-'));
+
+const { startServer } = require('./helpers');
+
+// An upstream that remembers the last request and answers with its body.
+async function startUpstream() {
+  const received = {};
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      Object.assign(received, { method: req.method, url: req.url, headers: req.headers, body: Buffer.concat(chunks) });
+      res.writeHead(200, { 'content-type': req.headers['content-type'] || 'application/octet-stream' });
+      res.end(received.body);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, received, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('proxied requests keep their raw body and drop the admin session cookie', async () => {
+  const upstream = await startUpstream();
+  const { app, cookie, admin } = await startServer();
+  assert.equal((await admin('PUT', '/proxy', { enabled: true, target: upstream.url, record: false })).statusCode, 200);
+  // Imports are held to the same rules, so they can't break the saved settings
+  const imported = await admin('POST', '/import', { config: { proxy: { enabled: true, target: 'ftp://files', routes: 'all' } } });
+  assert.equal(imported.statusCode, 400);
+  assert.match(imported.json().error, /^Invalid config\.proxy: target must be an http\(s\) URL/);
+  assert.equal((await admin('POST', '/endpoints', { path: '/mocked', method: 'POST', responseType: 'json', responses: [{ data: { ok: true } }] })).statusCode, 200);
+
+  // Multipart forms go up as sent, boundary included
+  const form = new FormData();
+  form.append('title', 'Report');
+  form.append('file', new Blob([Buffer.from([0, 1, 2, 255])], { type: 'application/octet-stream' }), 'r.bin');
+  const request = new Request('http://localhost/upload', { method: 'POST', body: form });
+  const multipart = Buffer.from(await request.arrayBuffer());
+  const uploaded = await app.inject({ method: 'POST', url: '/upload?x=1', payload: multipart, headers: { 'content-type': request.headers.get('content-type') } });
+  assert.equal(uploaded.statusCode, 200);
+  assert.equal(upstream.received.url, '/upload?x=1');
+  assert.equal(upstream.received.headers['content-type'], request.headers.get('content-type'));
+  assert.deepEqual(upstream.received.body, multipart);
+
+  // Binary bodies of types the mock doesn't parse, in both directions
+  const bytes = Buffer.from(Array.from({ length: 256 }, (_, i) => i));
+  const binary = await app.inject({
+    method: 'PUT', url: '/blobs/1', payload: bytes,
+    headers: { 'content-type': 'application/octet-stream', cookie: `theme=dark; ${cookie}` }
+  });
+  assert.equal(binary.statusCode, 200);
+  assert.deepEqual(upstream.received.body, bytes);
+  assert.deepEqual(binary.rawPayload, bytes);
+  assert.equal(upstream.received.headers.cookie, 'theme=dark');
+
+  await app.inject({ method: 'POST', url: '/json', payload: '{"broken": ', headers: { 'content-type': 'application/json', cookie } });
+  assert.equal(upstream.received.body.toString(), '{"broken": ');
+  assert.equal(upstream.received.headers.cookie, undefined);
+
+  // Mock endpoints still refuse what they can't read
+  const refused = await app.inject({ method: 'POST', url: '/mocked', payload: bytes, headers: { 'content-type': 'application/octet-stream' } });
+  assert.equal(refused.statusCode, 415);
+
+  await app.close();
+  upstream.server.close();
+});
@@ -0,0 +1,99 @@
+'use strict';
+
+// XML, multipart and urlencoded request bodies on mock endpoints, as
+// conditions and templates see them. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-body-'));
+
+const { fromXml, xpath } = require('../src/utils/xml.js');
+const { evaluateCondition } = require('../src/utils/conditions.js');
+const { startServer } = require('./helpers');
+
+const ORDER = `<?xml version="1.0"?>
+<s:Envelope xmlns:s="http://schemas.xmlsoap.org/soap/envelope/"><s:Body>
+  <order id="9"><item sku="A">1</item><item sku="B"><qty>2</qty></item><total currency="EUR">12.50</total></order>
+</s:Body></s:Envelope>`;
+
+test('xml documents become values that xpath looks into', () => {
+  const value = fromXml(ORDER);
+  assert.deepEqual(value['s:Envelope']['s:Body'].order, {
+    '@id': '9',
+    item: [{ '@sku': 'A', '#text': '1' }, { '@sku': 'B', qty: '2' }],
+    total: { '@currency': 'EUR', '#text': '12.50' }
+  });
+
+  assert.equal(xpath(value, '/Envelope/Body/order/@id'), '9');
+  assert.equal(xpath(value, '/s:Envelope/s:Body/order/item[2]/qty'), '2');
+  assert.equal(xpath(value, '/x:Envelope'), undefined);
+  assert.deepEqual(xpath(value, '//item/@sku'), ['A', 'B']);
+  assert.deepEqual(xpath(value, "//item[qty='2']/@sku"), ['B']);
+  assert.deepEqual(xpath(value, '//total/text()'), ['12.50']);
+  assert.equal(xpath(value, '/Envelope/Body/order/item'), value['s:Envelope']['s:Body'].order.item[0]);
+  assert.equal(xpath(value, 'order[['), undefined);
+
+  const request = { body: value };
+  assert.equal(evaluateCondition("xpath(body, '//total/text()') contains '12.50'", {}, request), true);
+  assert.equal(evaluateCondition("xpath(body, '/Envelope/Body/order/@id') == 9", {}, request), true);
+  assert.equal(evaluateCondition("body['s:Envelope']['s:Body'].order.item.length == 2", {}, request), true);
+});
+
+test('conditions and templates see xml, multipart and form bodies', async () => {
+  const { app, admin } = await startServer();
+
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/orders', method: 'POST', responseType: 'json',
+    responses: [
+      { condition: "xpath(body, '/Envelope/Body/order/@id') == '9'", data: { id: "{{xpath body '/Envelope/Body/order/@id'}}", second: "{{xpath body '/Envelope/Body/order/item[2]/qty'}}" } },
+      { data: { id: null } }
+    ]
+  })).statusCode, 200);
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/uploads', method: 'POST', responseType: 'json',
+    responses: [
+      { condition: 'body.file.size > 1000', status: 413, data: { error: '{{body.file.filename}} is too big' } },
+      { data: { title: '{{body.title}}', tags: '{{{body.tag}}}', file: '{{{body.file}}}' } }
+    ]
+  })).statusCode, 200);
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/login', method: 'POST', responseType: 'text',
+    responses: [{ condition: "body.user == 'ann'", text: 'hi {{body.user}} ({{body.remember}})' }, { text: 'who?', status: 401 }]
+  })).statusCode, 200);
+
+  const order = await app.inject({ method: 'POST', url: '/orders', payload: ORDER, headers: { 'content-type': 'text/xml' } });
+  assert.deepEqual(order.json(), { id: '9', second: '2' });
+  const malformed = await app.inject({ method: 'POST', url: '/orders', payload: '<order>', headers: { 'content-type': 'application/xml' } });
+  assert.equal(malformed.statusCode, 400);
+  assert.match(malformed.json().message, /missing the end tag <\/order>/);
+
+  const upload = async (size) => {
+    const form = new FormData();
+    form.append('title', 'Report');
+    form.append('tag', 'a');
+    form.append('tag', 'b');
+    form.append('file', new Blob([Buffer.alloc(size, 'x')], { type: 'text/plain' }), 'report.txt');
+    const request = new Request('http://localhost/uploads', { method: 'POST', body: form });
+    return app.inject({
+      method: 'POST', url: '/uploads',
+      payload: Buffer.from(await request.arrayBuffer()),
+      headers: { 'content-type': request.headers.get('content-type') }
+    });
+  };
+  const small = await upload(10);
+  assert.equal(small.statusCode, 200);
+  assert.deepEqual(small.json(), { title: 'Report', tags: ['a', 'b'], file: { filename: 'report.txt', contentType: 'text/plain', size: 10 } });
+  const big = await upload(4096);
+  assert.equal(big.statusCode, 413);
+  assert.deepEqual(big.json(), { error: 'report.txt is too big' });
+
+  const login = await app.inject({ method: 'POST', url: '/login', payload: 'user=ann&remember=on', headers: { 'content-type': 'application/x-www-form-urlencoded' } });
+  assert.equal(login.body, 'hi ann (on)');
+  assert.equal((await app.inject({ method: 'POST', url: '/login', payload: 'user=bob', headers: { 'content-type': 'application/x-www-form-urlencoded' } })).statusCode, 401);
+
+  await app.close();
+});
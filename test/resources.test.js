@@ -0,0 +1,63 @@
+'use strict';
+
+// Stateful CRUD collections behind `responseType: 'resource'` endpoints.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-resources-'));
+
+const { handleResourceRequest, queryItems, resetCollection, validateResource, resourcePattern } = require('../src/utils/resourceStore.js');
+
+const endpoint = {
+  id: 'test-resource',
+  responseType: 'resource',
+  resource: { idStrategy: 'increment', seed: [{ name: 'bob', age: 30 }, { name: 'amy', age: 25 }] }
+};
+
+test('resource endpoints also route their item paths', () => {
+  assert.equal(resourcePattern('/users'), '/users/:id?');
+  assert.equal(resourcePattern('/users/'), '/users/:id?');
+});
+
+test('create then fetch round-trips through the collection', () => {
+  resetCollection(endpoint);
+  const created = handleResourceRequest(endpoint, { method: 'POST', body: { name: 'cat' } });
+  assert.equal(created.status, 201);
+  assert.equal(created.body.id, 3);
+
+  assert.deepEqual(handleResourceRequest(endpoint, { method: 'GET', id: '3' }).body, { name: 'cat', id: 3 });
+  assert.equal(handleResourceRequest(endpoint, { method: 'PATCH', id: '3', body: { age: 5, id: 9 } }).body.id, 3);
+  assert.equal(handleResourceRequest(endpoint, { method: 'DELETE', id: '3' }).status, 204);
+  assert.equal(handleResourceRequest(endpoint, { method: 'GET', id: '3' }).status, 404);
+  assert.equal(handleResourceRequest(endpoint, { method: 'POST', body: { id: 1 } }).status, 409);
+  assert.equal(handleResourceRequest(endpoint, { method: 'DELETE' }).status, 405);
+});
+
+test('seeded items of a persisted collection keep their generated ids', () => {
+  const persisted = { id: 'test-persisted', responseType: 'resource', resource: { persist: true, seed: [{ name: 'bob' }] } };
+  resetCollection(persisted);
+  const [listed] = handleResourceRequest(persisted, { method: 'GET', query: {} }).body;
+  assert.match(String(listed.id), /^[0-9a-f-]{36}$/);
+  assert.deepEqual(handleResourceRequest(persisted, { method: 'GET', id: listed.id }).body, listed);
+  assert.ok(fs.existsSync(path.join(process.env.DATA_DIR, 'resources', 'test-persisted.json')));
+});
+
+test('lists filter, sort and page via the query string', () => {
+  const items = [{ n: 'b', age: 2, tag: 'x' }, { n: 'a', age: 3, tag: 'y' }, { n: 'c', tag: 'x' }];
+  assert.deepEqual(queryItems(items, { tag: 'x' }).items.map(i => i.n), ['b', 'c']);
+  assert.deepEqual(queryItems(items, { _sort: 'age', _order: 'desc' }).items.map(i => i.n), ['a', 'b', 'c']);
+  const page = queryItems(items, { _sort: 'n', _limit: '1', _offset: '1' });
+  assert.deepEqual(page.items.map(i => i.n), ['b']);
+  assert.equal(page.total, 3);
+});
+
+test('resource settings are validated', () => {
+  assert.equal(validateResource({ idField: 'sku', idStrategy: 'uuid', seed: [] }), null);
+  assert.match(validateResource({ idStrategy: 'random' }), /idStrategy/);
+  assert.match(validateResource({ seed: [1] }), /seed/);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// Response shaping for mock endpoints: status codes, headers, cookies,
+// redirects, latency, jitter, bandwidth and faults. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-responses-'));
+
+const { resolveDelay, sampleDelayMs, validateDelay, throttleStream } = require('../src/utils/latency.js');
+const { validateFaults, pickFault } = require('../src/utils/faults.js');
+const { startServer } = require('./helpers');
+
+test('responses set their status, templated headers, cookies and redirects', async () => {
+  const { app, admin } = await startServer();
+  const create = async definition => (await admin('POST', '/endpoints', { method: 'GET', responseType: 'json', ...definition })).json();
+
+  await create({
+    path: '/orders/:id',
+    responses: [
+      { condition: "query.fail == 'yes'", status: '{{query.code}}', data: { error: 'failed' } },
+      {
+        status: 201,
+        headers: { 'X-Order': '{{path.id}}', 'X-Trace': 'a{{query.trace}}b' },
+        cookies: [
+          { name: 'session', value: 's-{{path.id}}', httpOnly: true, sameSite: 'lax', path: '/' },
+          { name: 'theme', value: 'dark', maxAge: 60 }
+        ],
+        data: { id: '{{path.id}}' }
+      }
+    ]
+  });
+  await create({ path: '/old', responseType: 'redirect', responses: [{ status: 308, redirectUrl: '/new' }] });
+  await create({ path: '/moved', responseType: 'redirect', responses: [{ status: '{{query.code}}', redirectUrl: '/elsewhere' }] });
+
+  const created = await app.inject({ method: 'GET', url: '/orders/7?trace=%0d%0aInjected:%20x' });
+  assert.equal(created.statusCode, 201);
+  assert.deepEqual(created.json(), { id: '7' });
+  assert.equal(created.headers['x-order'], '7');
+  assert.equal(created.headers['x-trace'], 'a Injected: xb');
+  assert.equal(created.headers.injected, undefined);
+  assert.deepEqual(created.headers['set-cookie'], ['session=s-7; Path=/; HttpOnly; SameSite=Lax', 'theme=dark; Max-Age=60; SameSite=Lax']);
+
+  assert.equal((await app.inject({ method: 'GET', url: '/orders/7?fail=yes&code=418' })).statusCode, 418);
+  // A templated status that isn't a status code falls back to the default
+  assert.equal((await app.inject({ method: 'GET', url: '/orders/7?fail=yes&code=999' })).statusCode, 200);
+
+  const permanent = await app.inject({ method: 'GET', url: '/old' });
+  assert.equal(permanent.statusCode, 308);
+  assert.equal(permanent.headers.location, '/new');
+  assert.equal((await app.inject({ method: 'GET', url: '/moved?code=303' })).statusCode, 303);
+  assert.equal((await app.inject({ method: 'GET', url: '/moved?code=200' })).statusCode, 302);
+
+  const rejected = await create({ path: '/bad', responseType: 'redirect', responses: [{ status: 200, redirectUrl: '/' }] });
+  assert.match(rejected.error, /301, 302, 303, 307, 308 for redirects/);
+  assert.match((await create({ path: '/bad', responses: [{ headers: { 'Bad Header': 'x' } }] })).error, /invalid header name/);
+  assert.match((await create({ path: '/bad', responses: [{ cookies: [{ name: 'a', sameSite: 'sideways' }] }] })).error, /sameSite/);
+  assert.match((await create({ path: '/bad', responses: [{ cookies: [{ name: 'a', maxAge: 'abc' }] }] })).error, /maxAge/);
+  assert.match((await create({ path: '/bad', responses: [{ cookies: [{ name: 'a', expires: 'notadate' }] }] })).error, /expires/);
+
+  // Request input Node would refuse in a header is encoded, on a real socket too
+  await create({
+    path: '/echo',
+    responses: [{ headers: { 'X-Echo': '{{query.q}}' }, cookies: [{ name: 'q', value: '{{query.q}}', expires: '2030-01-01T00:00:00Z' }], data: { ok: true } }]
+  });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const echoed = await fetch(`http://127.0.0.1:${app.server.address().port}/echo?q=%E2%82%AC%01`);
+  assert.equal(echoed.status, 200);
+  assert.equal(echoed.headers.get('x-echo'), '%E2%82%AC%01');
+  assert.equal(echoed.headers.get('set-cookie'), 'q=%E2%82%AC%01; Expires=Tue, 01 Jan 2030 00:00:00 GMT; SameSite=Lax');
+
+  await app.close();
+});
+
+test('delay specs merge field by field, most specific last', () => {
+  const merged = resolveDelay({ fixed: 100, bytesPerSecond: 10 }, { fixed: 5 }, null, { distribution: 'none' });
+  assert.deepEqual(merged, { fixed: 5, bytesPerSecond: 10, distribution: 'none' });
+});
+
+test('sampled delays stay within the configured bounds and the cap', () => {
+  for (let i = 0; i < 50; i++) {
+    const ms = sampleDelayMs({ fixed: 10, distribution: 'uniform', min: 5, max: 15 });
+    assert.ok(ms >= 15 && ms <= 25, `out of range: ${ms}`);
+    assert.ok(sampleDelayMs({ distribution: 'normal', mean: 1000, stdDev: 500 }, 200) <= 200);
+  }
+  assert.equal(sampleDelayMs({}), 0);
+});
+
+test('delay validation rejects bad values and worst cases beyond the timeout', () => {
+  assert.equal(validateDelay({ fixed: 100 }, 30000), null);
+  assert.match(validateDelay({ fixed: -1 }, 30000), /non-negative/);
+  assert.match(validateDelay({ distribution: 'pareto' }, 30000), /distribution/);
+  assert.match(validateDelay({ distribution: 'uniform', min: 10, max: 5 }, 30000), /min/);
+  assert.match(validateDelay({ fixed: 25000, distribution: 'uniform', max: 6000 }, 30000), /connection timeout/);
+  assert.match(validateDelay({ distribution: 'normal', mean: 20000, stdDev: 4000 }, 30000), /connection timeout/);
+});
+
+test('throttled streams deliver the whole payload', async () => {
+  const chunks = [];
+  for await (const chunk of throttleStream(Buffer.from('x'.repeat(250)), 1000)) chunks.push(chunk);
+  assert.equal(Buffer.concat(chunks).length, 250);
+  assert.ok(chunks.length > 1);
+});
+
+test('fault maps are validated as probabilities', () => {
+  assert.equal(validateFaults(null), null);
+  assert.equal(validateFaults({ abort: 0.25, error: 0.75 }), null);
+  assert.match(validateFaults({ explode: 0.5 }), /Unknown fault mode/);
+  assert.match(validateFaults({ close: 2 }), /between 0 and 1/);
+  assert.match(validateFaults({ close: 0.6, error: 0.6 }), /more than 1/);
+});
+
+test('faults honour the chaos switch and endpoint overrides', () => {
+  assert.equal(pickFault({ enabled: false, faults: { error: 1 } }, { close: 1 }), null);
+  assert.equal(pickFault({ enabled: true, faults: { error: 1 } }, {}), 'error');
+  assert.equal(pickFault({ enabled: true, faults: { error: 1 } }, { error: 0, truncate: 1 }), 'truncate');
+  assert.equal(pickFault({ enabled: true, faults: {} }, null), null);
+
+  // Merged probabilities over 1 always fault, in proportion
+  const counts = { error: 0, abort: 0 };
+  for (let i = 0; i < 2000; i++) counts[pickFault({ enabled: true, faults: { error: 0.9 } }, { abort: 0.9 })]++;
+  assert.equal(counts.error + counts.abort, 2000);
+  assert.ok(counts.error > 800 && counts.abort > 800);
+});
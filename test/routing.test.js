@@ -0,0 +1,351 @@
+'use strict';
+
+// Dynamic endpoint routing: path patterns (:param, :param?, *), the
+// precedence rules used to pick an endpoint, scenarios, proxying and the
+// request journal and request validation. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-routing-'));
+
+const { compilePathPattern, matchPath, patternsOverlap } = require('../src/utils/pathPattern.js');
+const { buildRouteTable, getRouteTable, compileRoute, isReservedPath, claimsReservedPath } = require('../src/utils/routeTable.js');
+const { evaluateCondition, selectResponse } = require('../src/routes/dynamic.js');
+const { conditionError } = require('../src/utils/conditions.js');
+const configManager = require('../src/config/configManager.js');
+const scenarios = require('../src/utils/scenarios.js');
+const { resolveUpstream, toEndpoint } = require('../src/utils/proxy.js');
+const journal = require('../src/utils/journal.js');
+const { compileRequestValidation, validateValidationConfig, validateRequest } = require('../src/utils/requestValidation.js');
+
+const ep = (method, p, extra = {}) => ({ id: `${method} ${p}`, method, path: p, enabled: true, ...extra });
+
+test('patterns capture params, optional segments and wildcards', () => {
+  assert.deepEqual(matchPath(compilePathPattern('/users/:id'), '/users/42'), { id: '42' });
+  assert.equal(matchPath(compilePathPattern('/users/:id'), '/users'), null);
+  assert.equal(matchPath(compilePathPattern('/users/:id'), '/users/42/x'), null);
+  assert.deepEqual(matchPath(compilePathPattern('/orders/:id?'), '/orders'), {});
+  assert.deepEqual(matchPath(compilePathPattern('/orders/:id?'), '/orders/9'), { id: '9' });
+  assert.deepEqual(matchPath(compilePathPattern('/files/*'), '/files/a/b%20c'), { wildcard: 'a/b c' });
+  assert.deepEqual(matchPath(compilePathPattern('/files/*rest'), '/files/x'), { rest: 'x' });
+});
+
+test('malformed patterns are rejected', () => {
+  assert.throws(() => compilePathPattern('no-slash'));
+  assert.throws(() => compilePathPattern('/a/*/b'), /last path segment/);
+  assert.throws(() => compilePathPattern('/a/:id/:id'), /Duplicate/);
+  assert.throws(() => compilePathPattern('/a/:bad-name'), /Invalid path parameter/);
+});
+
+test('overlap ignores parameter names and expands optional segments', () => {
+  assert.equal(patternsOverlap('/users/:id', '/users/:userId'), true);
+  assert.equal(patternsOverlap('/orders/:id?', '/orders'), true);
+  assert.equal(patternsOverlap('/users/:id', '/users/me'), false);
+});
+
+test('static segments win over params, params over wildcards, exact method over ANY', () => {
+  const endpoints = [
+    ep('GET', '/users/*'),
+    ep('GET', '/users/:id'),
+    ep('ANY', '/users/me'),
+    ep('GET', '/users/me'),
+    ep('GET', '/users/off', { enabled: false })
+  ];
+  const table = buildRouteTable(endpoints);
+  const id = (method, p) => table.match(method, p).route.endpoint.id;
+  assert.equal(id('GET', '/users/me'), 'GET /users/me');
+  assert.equal(id('POST', '/users/me'), 'ANY /users/me');
+  assert.equal(id('GET', '/users/7'), 'GET /users/:id');
+  assert.equal(id('GET', '/users/off'), 'GET /users/:id');
+  assert.equal(id('GET', '/users/7/avatar'), 'GET /users/*');
+  assert.equal(table.match('DELETE', '/users/7'), null);
+});
+
+test('route table backtracks and prefers an exact end over an empty wildcard', () => {
+  const table = buildRouteTable([
+    ep('GET', '/a/:x/c'),
+    ep('GET', '/a/b/d'),
+    ep('GET', '/files'),
+    ep('GET', '/files/*')
+  ]);
+  const m = table.match('GET', '/a/b/c');
+  assert.equal(m.route.endpoint.id, 'GET /a/:x/c');
+  assert.deepEqual(m.params, { x: 'b' });
+  assert.equal(table.match('GET', '/files').route.endpoint.id, 'GET /files');
+  assert.deepEqual(table.match('GET', '/files/').params, { wildcard: '' });
+});
+
+test('only patterns written inside a reserved path claim it', () => {
+  const claims = pattern => claimsReservedPath(compilePathPattern(pattern));
+  for (const pattern of ['/health', '/admin', '/admin/x', '/admin/*', '/api/admin/:id', '/api/admin/', '/:v?/health']) {
+    assert.equal(claims(pattern), true, pattern);
+  }
+  for (const pattern of ['/:page', '/*', '/api/:version', '/api/*', '/api/:x/foo', '/health/:check', '/administrators', '/api/administer']) {
+    assert.equal(claims(pattern), false, pattern);
+  }
+  assert.equal(isReservedPath('/api/admin/endpoints'), true);
+  assert.equal(isReservedPath('/administrators'), false);
+  assert.equal(isReservedPath('/health/db'), false);
+});
+
+test('route table precompiles conditions and is rebuilt only when endpoints change', () => {
+  configManager.saveEndpoints([
+    ep('GET', '/c/:id', {
+      responses: [
+        { condition: "path.id == '42'", data: { hit: 42 } },
+        { condition: 'this is not ( valid', data: { never: true } },
+        { condition: null, data: { hit: 'other' } }
+      ]
+    })
+  ]);
+  const table = getRouteTable();
+  assert.equal(getRouteTable(), table);
+
+  const m = table.match('GET', '/c/42');
+  const request = { query: {}, headers: {}, body: {}, method: 'GET', pathParams: m.params };
+  assert.deepEqual(selectResponse(m.route, {}, request).response.data, { hit: 42 });
+  request.pathParams = { id: '1' };
+  assert.deepEqual(selectResponse(m.route, {}, request).response.data, { hit: 'other' });
+
+  configManager.createEndpoint(ep('GET', '/new'));
+  assert.notEqual(getRouteTable(), table);
+  assert.ok(getRouteTable().match('GET', '/new'));
+});
+
+test('captured path values are available to conditions', () => {
+  const request = { query: {}, headers: {}, body: {}, method: 'GET', pathParams: { id: '42' } };
+  assert.equal(evaluateCondition("path.id == '42'", {}, request), true);
+  assert.equal(evaluateCondition('path.id > 100', {}, request), false);
+});
+
+test('conditions reach nested values and support word operators and type checks', () => {
+  const request = {
+    method: 'POST',
+    query: { role: 'admin', email: 'ann@example.com', tags: ['a', 'b'] },
+    headers: { accept: 'text/html' },
+    body: { user: { role: 'owner', address: { city: 'Oslo' } }, items: [{ id: 1 }, { id: 2 }], coupon: '' }
+  };
+  const holds = condition => evaluateCondition(condition, {}, request);
+  assert.equal(holds("body.user.address.city == 'Oslo' && body.items[1].id == 2 && body.items.length == 2"), true);
+  assert.equal(holds("query.tags contains 'b' && body.user contains 'role' && body.user.role contains 'own'"), true);
+  assert.equal(holds("headers.accept startsWith 'text/' && query.email endsWith '.com'"), true);
+  assert.equal(holds("query.email matches /^ANN@/i && query.email matches '\\.com$'"), true);
+  assert.equal(holds("query.role in ['admin', 'owner'] && !(method in ['GET'])"), true);
+  assert.equal(holds('body.coupon exists && !(body.missing exists)'), true);
+  assert.equal(holds('isArray(body.items) && isObject(body.user) && isString(query.role) && !isNumber(query.role)'), true);
+  assert.equal(holds('body.items[5].id == 1'), false);
+  assert.match(conditionError("query.x matches '['"), /Invalid matches pattern/);
+  assert.match(conditionError('nope == 1'), /Unknown variable/);
+  assert.equal(conditionError("body.a.b in [1, 'x'] || isNull(body.c)"), null);
+});
+
+test('scenario states gate responses and move on when served', () => {
+  scenarios.resetScenarios();
+  const request = { query: {}, headers: {}, body: {}, method: 'GET', pathParams: {} };
+  const login = compileRoute(ep('POST', '/login', { scenario: 'auth', responses: [{ newState: 'in', data: 'ok' }] }), 0);
+  const me = compileRoute(ep('GET', '/me', {
+    scenario: 'auth',
+    responses: [{ requiredState: 'in', data: 'bob' }, { requiredState: 'Started', status: 401, data: 'no' }]
+  }), 1);
+
+  assert.equal(selectResponse(me, {}, request).response.data, 'no');
+  selectResponse(login, {}, request);
+  assert.equal(selectResponse(me, {}, request).response.data, 'bob');
+  scenarios.resetScenarios('auth', [login.endpoint, me.endpoint]);
+  assert.equal(selectResponse(me, {}, request).response.data, 'no');
+});
+
+test('sequenced endpoints serve responses in turn', () => {
+  scenarios.resetScenarios();
+  const request = { query: {}, headers: {}, body: {}, method: 'GET', pathParams: {} };
+  const responses = [{ data: 1 }, { data: 2 }, { data: 3 }];
+  const cycle = compileRoute(ep('GET', '/cycle', { sequence: 'cycle', responses }), 0);
+  const last = compileRoute(ep('GET', '/last', { sequence: 'last', responses }), 1);
+  const served = route => [1, 2, 3, 4].map(() => selectResponse(route, {}, request).response.data);
+  assert.deepEqual(served(cycle), [1, 2, 3, 1]);
+  assert.deepEqual(served(last), [1, 2, 3, 3]);
+});
+
+test('unmatched requests resolve to the longest proxy prefix, else the global target', () => {
+  const proxy = {
+    enabled: true,
+    target: 'http://up.test/',
+    routes: [
+      { prefix: '/pay', target: 'http://pay.test' },
+      { prefix: '/pay/v2/', target: 'http://pay2.test/api', stripPrefix: true }
+    ]
+  };
+  assert.equal(resolveUpstream(proxy, '/users', '?a=1'), 'http://up.test/users?a=1');
+  assert.equal(resolveUpstream(proxy, '/pay/x'), 'http://pay.test/pay/x');
+  assert.equal(resolveUpstream(proxy, '/payments'), 'http://up.test/payments');
+  assert.equal(resolveUpstream(proxy, '/pay/v2/charge'), 'http://pay2.test/api/charge');
+  assert.equal(resolveUpstream({ ...proxy, enabled: false }, '/users'), null);
+});
+
+test('recorded exchanges become endpoints without volatile headers', () => {
+  const exchange = {
+    url: 'http://up.test/users',
+    status: 201,
+    headers: { 'content-type': 'application/json', date: 'today', 'x-keep': '1' },
+    body: Buffer.from('{"id":1}')
+  };
+  const endpoint = toEndpoint({ method: 'POST' }, '/users', exchange, { stripVolatileHeaders: true });
+  assert.equal(endpoint.responseType, 'json');
+  assert.deepEqual(endpoint.responses[0], {
+    condition: null, status: 201, headers: { 'content-type': 'application/json', 'x-keep': '1' }, data: { id: 1 }
+  });
+  const raw = toEndpoint({ method: 'POST' }, '/users', exchange, { stripVolatileHeaders: false });
+  assert.equal(raw.responses[0].headers.date, 'today');
+});
+
+test('journal filters by method, status class, endpoint and match', () => {
+  const entries = [
+    { method: 'GET', path: '/users/1', endpointId: 'a', status: 200, timestamp: '2026-01-01T00:00:00.000Z' },
+    { method: 'POST', path: '/users', endpointId: 'a', status: 201, timestamp: '2026-01-01T00:00:01.000Z' },
+    { method: 'GET', path: '/nope', endpointId: null, status: 404, timestamp: '2026-01-01T00:00:02.000Z' }
+  ];
+  const paths = filter => journal.filterEntries(entries, filter).map(e => e.path);
+  assert.deepEqual(paths({ method: 'get' }), ['/users/1', '/nope']);
+  assert.deepEqual(paths({ status: '2xx', path: 'users' }), ['/users/1', '/users']);
+  assert.deepEqual(paths({ matched: 'false' }), ['/nope']);
+  assert.deepEqual(paths({ endpointId: 'a', since: '2026-01-01T00:00:00.500Z' }), ['/users']);
+});
+
+test('verification matcher combines method, path pattern and condition', () => {
+  const entries = [
+    { method: 'POST', path: '/echo', endpointId: 'e', pathParams: {}, query: {}, headers: {}, body: { user: 'x' } },
+    { method: 'POST', path: '/echo', endpointId: 'e', pathParams: {}, query: {}, headers: {}, body: { user: 'y' } },
+    { method: 'GET', path: '/users/7', endpointId: 'u', parameterSource: 'query', pathParams: { id: '7' }, query: { v: '2' }, headers: {}, body: null }
+  ];
+  const count = criteria => entries.filter(journal.compileRequestMatcher(criteria).test).length;
+  assert.equal(count({ method: 'post', path: '/echo', condition: "body.user == 'x'" }), 1);
+  assert.equal(count({ path: '/users/:id', condition: "path.id == '7' && query.v == '2'" }), 1);
+  assert.equal(count({ endpointId: 'u', condition: "path.id == '8'" }), 0);
+  assert.equal(count({ condition: "params.v == '2'" }), 1);
+  assert.equal(count({}), 3);
+  assert.deepEqual(journal.compileRequestMatcher({ condition: 'body.user ==' }), { error: 'Invalid condition' });
+});
+
+test('persisted journal entries are readable at once and overflow is reported', () => {
+  const request = n => ({ method: 'GET', url: `/r/${n}?q=${n}`, query: { q: String(n) }, pathParams: {}, headers: {}, body: undefined });
+  const reply = { statusCode: 200, elapsedTime: 1 };
+  const endpoint = { id: 'r', path: '/r/:n', parameterSource: 'query' };
+  const original = configManager.getJournalSettings();
+  journal.clear();
+  try {
+    configManager.updateJournalSettings({ persist: true, size: 2 });
+    journal.record(request(1), reply, { endpoint });
+    assert.deepEqual(journal.getEntries().map(e => e.path), ['/r/1']);
+    assert.equal(journal.windowExceeded(), false);
+    journal.record(request(2), reply, { endpoint });
+    journal.record(request(3), reply, { endpoint });
+    assert.deepEqual(journal.getEntries().map(e => e.path), ['/r/2', '/r/3']);
+    assert.equal(journal.windowExceeded(), true);
+    assert.equal(journal.getEntries().filter(journal.compileRequestMatcher({ condition: "params.q == '3'" }).test).length, 1);
+
+    configManager.updateJournalSettings({ persist: false });
+    assert.equal(journal.windowExceeded(), true);
+    journal.clear();
+    assert.equal(journal.windowExceeded(), false);
+  } finally {
+    configManager.updateJournalSettings(original);
+    journal.clear();
+  }
+});
+
+test('journaled requests keep credentials out of headers, query and the JSONL file', () => {
+  const request = {
+    method: 'GET', url: '/r?key=k1&access_token=t&page=2', query: { key: 'k1', access_token: 't', page: '2' }, pathParams: {},
+    headers: { authorization: 'Bearer t', cookie: 'sessionToken=s', 'x-tenant-key': 'k2', accept: 'application/json' }, body: undefined
+  };
+  const reply = { statusCode: 200, elapsedTime: 1 };
+  const endpoint = { id: 'r', path: '/r', auth: [{ type: 'apiKey', in: 'query', name: 'key' }, { type: 'apiKey', in: 'header', name: 'X-Tenant-Key' }] };
+  const original = configManager.getJournalSettings();
+  journal.clear();
+  try {
+    configManager.updateJournalSettings({ persist: true });
+    const entry = journal.record(request, reply, { endpoint });
+    assert.deepEqual(entry.query, { key: '[redacted]', access_token: '[redacted]', page: '2' });
+    assert.deepEqual(entry.headers, { authorization: '[redacted]', cookie: '[redacted]', 'x-tenant-key': '[redacted]', accept: 'application/json' });
+    const persisted = fs.readFileSync(journal.JOURNAL_FILE, 'utf8');
+    for (const secret of ['Bearer t', 'sessionToken', 'k1', 'k2']) assert.ok(!persisted.includes(secret), secret);
+
+    // The header list is configurable; an empty one leaves only endpoint credentials
+    configManager.updateJournalSettings({ persist: false, redactHeaders: [] });
+    assert.deepEqual(journal.record(request, reply).headers, request.headers);
+    assert.equal(journal.record(request, reply, { endpoint }).headers['x-tenant-key'], '[redacted]');
+  } finally {
+    configManager.updateJournalSettings(original);
+    journal.clear();
+  }
+});
+
+test('journaled bodies keep credential fields out, at any depth', () => {
+  const reply = { statusCode: 200, elapsedTime: 1 };
+  const request = body => ({ method: 'POST', url: '/oauth/token', query: {}, pathParams: {}, headers: {}, body });
+  const endpoint = { id: 'k', path: '/k', auth: { type: 'apiKey', in: 'header', name: 'X-Tenant-Key' } };
+  const original = configManager.getJournalSettings();
+  journal.clear();
+  try {
+    configManager.updateJournalSettings({ persist: true, maxBodyBytes: 120 });
+    const form = journal.record(request({ grant_type: 'password', client_secret: 'TOPSECRET', password: 'USERPW', code_verifier: 'v' }), reply);
+    assert.deepEqual(form.body, { grant_type: 'password', client_secret: '[redacted]', password: '[redacted]', code_verifier: '[redacted]' });
+    // Truncated previews are taken after redaction
+    const nested = journal.record(request({ users: [{ name: 'ann', Password: 'USERPW' }], 'x-tenant-key': 'KEY', notes: 'n'.repeat(200) }), reply, { endpoint });
+    assert.equal(nested.body.truncated, true);
+    assert.ok(!nested.body.preview.includes('USERPW'));
+    assert.deepEqual(journal.record(request({ 'x-tenant-key': 'KEY' }), reply, { endpoint }).body, { 'x-tenant-key': '[redacted]' });
+    assert.equal(journal.record(request('password=USERPW'), reply).body, 'password=USERPW');
+    const persisted = fs.readFileSync(journal.JOURNAL_FILE, 'utf8');
+    for (const secret of ['TOPSECRET', '"USERPW', 'KEY"']) assert.ok(!persisted.includes(secret), secret);
+
+    configManager.updateJournalSettings({ redactBodyFields: ['grant_type'] });
+    assert.deepEqual(journal.record(request({ grant_type: 'password', password: 'pw' }), reply).body, { grant_type: '[redacted]', password: 'pw' });
+  } finally {
+    configManager.updateJournalSettings(original);
+    journal.clear();
+  }
+});
+
+test('request validation checks body, coerced query and headers against JSON Schema', () => {
+  const validation = {
+    status: 422,
+    body: { type: 'object', required: ['name'], properties: { name: { type: 'string' } } },
+    query: { properties: { page: { type: 'integer', minimum: 1 } } },
+    headers: { required: ['x-api-version'] }
+  };
+  assert.equal(validateValidationConfig(validation), null);
+  assert.match(validateValidationConfig({ body: { type: 'nope' } }), /not a valid JSON Schema/);
+  assert.match(validateValidationConfig({ status: 500 }), /400, 422/);
+
+  const compiled = compileRequestValidation(validation);
+  const ok = { body: { name: 'a' }, query: { page: '2' }, headers: { 'x-api-version': '1' } };
+  assert.equal(validateRequest(compiled, ok), null);
+  assert.deepEqual(ok.query, { page: '2' });
+
+  const result = validateRequest(compiled, { body: {}, query: { page: '0' }, headers: {} });
+  assert.equal(result.status, 422);
+  assert.deepEqual(result.body.details.map(d => [d.location, d.keyword]),
+    [['body', 'required'], ['query', 'minimum'], ['headers', 'required']]);
+  assert.equal(compileRequestValidation({ status: 422 }), null);
+
+  // Equal schemas share a validator (Ajv would otherwise keep one per copy), per coercion mode
+  const again = compileRequestValidation(structuredClone(validation));
+  assert.equal(again.validators[0].validate, compiled.validators[0].validate);
+  assert.notEqual(compileRequestValidation({ body: validation.query }).validators[0].validate, compiled.validators[1].validate);
+  const withId = n => ({ body: { $id: 'https://example.com/user', type: 'integer', minimum: n } });
+  assert.equal(validateValidationConfig(withId(1)), null);
+  assert.equal(validateValidationConfig(withId(2)), null);
+});
+
+test('broken stored schemas are skipped and reported once per route table build', () => {
+  const table = buildRouteTable([ep('POST', '/broken', { validation: { body: { type: 'nope' }, query: { required: ['page'] } } })]);
+  assert.deepEqual(table.match('POST', '/broken').route.validation.validators.map(v => v.location), ['query']);
+  assert.equal(table.warnings.length, 1);
+  assert.match(table.warnings[0], /^Ignoring invalid body schema on POST \/broken: /);
+  assert.deepEqual(buildRouteTable([ep('GET', '/fine')]).warnings, []);
+});
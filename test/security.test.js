@@ -3,7 +3,7 @@
 // Regression suite for the security hardening. Uses only the built-in
 // node:test runner (no external dependencies). Run with: npm test
 //
-// Covers: C1 (safe condition evaluator), M1 (constant-time compares),
+// Covers: C1 (safe condition evaluator), M1 (constant-time compares, endpoint auth),
 // M2 (stateless sessions), H1 (setup token), H3/M3 (path traversal),
 // M5 (no shipped credential), H2 (rate limiter), A05/M4 (security headers).
 
@@ -16,7 +16,9 @@ const path = require('path');
 // Keep any incidental file writes out of the repo's ./data during require.
 process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-root-'));
 
+const crypto = require('crypto');
 const { evaluateCondition, constantTimeEquals } = require('../src/routes/dynamic.js');
+const { compileAuth, authenticate, validateAuthConfig } = require('../src/utils/endpointAuth.js');
 const auth = require('../src/plugins/auth.js');
 const { createRateLimiter } = require('../src/plugins/rateLimit.js');
 const { SECURITY_HEADERS, CONTENT_SECURITY_POLICY } = require('../src/plugins/securityHeaders.js');
@@ -56,6 +58,16 @@ test('C1: injection payloads are inert (no code execution)', () => {
   }
 });
 
+test('C1: nested paths stay off the prototype chain and slow regexes give up', () => {
+  assert.equal(evaluateCondition('body.constructor exists || body.__proto__ exists', {}, req({}, {}, { a: 1 })), false);
+  assert.equal(evaluateCondition("body.toString == 'x'", {}, req({}, {}, {})), false);
+  const started = Date.now();
+  const evil = req({ x: 'a'.repeat(40) + '!' });
+  assert.equal(evaluateCondition("query.x matches '^(a|a)*$'", {}, evil), false);
+  assert.ok(Date.now() - started < 1000);
+  assert.equal(evaluateCondition("query.x matches '^a+!$'", {}, evil), true);
+});
+
 // ---------- M1: constant-time compare ----------
 
 test('M1: constantTimeEquals', () => {
@@ -66,6 +78,64 @@ test('M1: constantTimeEquals', () => {
   assert.equal(constantTimeEquals(undefined, 'x'), false);
 });
 
+const check = (endpoint, request) => authenticate(compileAuth({ protected: true, ...endpoint }), { query: {}, headers: {}, method: 'GET', url: '/', ...request });
+
+test('M1: endpoint auth schemes need the scheme and answer with challenges', () => {
+  const legacy = { token: 'abc' };
+  assert.equal(check(legacy, { headers: { authorization: 'Bearer abc' } }), null);
+  assert.equal(check(legacy, { headers: { authorization: 'abc' } }).error, 'Authorization required');
+  assert.deepEqual(check(legacy, { headers: { authorization: 'Bearer abd' } }).challenges,
+    ['Bearer realm="RoarinAPI", error="invalid_token", error_description="The access token is invalid"']);
+
+  const either = { auth: [{ type: 'basic', realm: 'shop', users: [{ username: 'ann', password: 'pw' }] }, { type: 'apiKey', in: 'query', name: 'key', keys: ['k1'] }] };
+  const basic = credentials => ({ headers: { authorization: `Basic ${Buffer.from(credentials).toString('base64')}` } });
+  assert.equal(check(either, basic('ann:pw')), null);
+  assert.equal(check(either, { query: { key: 'k1' } }), null);
+  const denied = check(either, basic('ann:nope'));
+  assert.equal(denied.status, 401);
+  assert.deepEqual(denied.challenges, ['Basic realm="shop", charset="UTF-8"', 'ApiKey realm="RoarinAPI", in="query", name="key"']);
+
+  const hmac = { auth: { type: 'hmac', secret: 'shh', header: 'X-Signature', prefix: 'sha256=', timestampHeader: 'X-Timestamp' } };
+  const rawBody = Buffer.from('{"a": 1}');
+  const signed = ts => ({ rawBody, headers: { 'x-timestamp': ts, 'x-signature': 'sha256=' + crypto.createHmac('sha256', 'shh').update(`${ts}.${rawBody}`).digest('hex') } });
+  assert.equal(check(hmac, signed(String(Math.floor(Date.now() / 1000)))), null);
+  assert.match(check(hmac, signed('1000')).error, /outside the allowed window/);
+  assert.equal(check(hmac, { ...signed(String(Date.now())), rawBody: Buffer.from('{"a":1}') }).error, 'Invalid signature');
+
+  assert.match(validateAuthConfig({ type: 'jwt', secret: 's', algorithms: ['RS256'] }), /with a secret/);
+  assert.match(validateAuthConfig({ type: 'basic', users: [] }), /users/);
+});
+
+test('M1: JWT auth verifies signature, expiry, audience and required claims', () => {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const hs256 = (claims, header = { alg: 'HS256' }) => {
+    const input = `${encode(header)}.${encode(claims)}`;
+    return `Bearer ${input}.${crypto.createHmac('sha256', 'sec').update(input).digest('base64url')}`;
+  };
+  const endpoint = { auth: { type: 'jwt', secret: 'sec', audience: 'api', requiredClaims: { scope: 'read' } } };
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { aud: ['api'], exp: now + 60, scope: 'read write' };
+  const jwt = authorization => check(endpoint, { headers: { authorization } });
+
+  assert.equal(jwt(hs256(claims)), null);
+  assert.equal(jwt(hs256({ ...claims, exp: now - 1 })).error, 'Token expired');
+  assert.equal(jwt(hs256({ ...claims, aud: 'other' })).error, 'Invalid token audience');
+  assert.equal(jwt(hs256(claims, { alg: 'none' })).error, 'Token algorithm is not allowed');
+  // Change the signature's first character, which always alters the decoded bytes
+  const signed = hs256(claims);
+  const at = signed.lastIndexOf('.') + 1;
+  assert.equal(jwt(signed.slice(0, at) + (signed[at] === 'A' ? 'B' : 'A') + signed.slice(at + 1)).error, 'Invalid token signature');
+  const forbidden = jwt(hs256({ ...claims, scope: 'write' }));
+  assert.equal(forbidden.status, 403);
+  assert.match(forbidden.challenges[0], /error="insufficient_scope"/);
+
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const jwks = { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'k1' }] };
+  const input = `${encode({ alg: 'ES256', kid: 'k1' })}.${encode({ sub: 'u1' })}`;
+  const signature = crypto.sign('sha256', Buffer.from(input), { key: privateKey, dsaEncoding: 'ieee-p1363' }).toString('base64url');
+  assert.equal(check({ auth: { type: 'jwt', jwks } }, { headers: { authorization: `Bearer ${input}.${signature}` } }), null);
+});
+
 // ---------- M2: stateless sessions + password ----------
 
 test('M2: stateless session tokens verify, reject tampering, and revoke', () => {
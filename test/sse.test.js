@@ -0,0 +1,83 @@
+'use strict';
+
+// Server-Sent Events endpoints: event formatting, repeat/loop and resuming
+// with Last-Event-ID. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-sse-'));
+
+const { validateEventStreams, formatEvent } = require('../src/utils/sse.js');
+const { startServer } = require('./helpers');
+
+test('events are formatted per the spec and scripts are validated', () => {
+  assert.equal(formatEvent({ event: 'token', id: '3', data: 'a\nb' }), 'event: token\nid: 3\ndata: a\ndata: b\n\n');
+  assert.equal(formatEvent({ data: '' }), 'data: \n\n');
+
+  assert.equal(validateEventStreams([{ events: [{ data: 'x', delayMs: 10 }], loop: true }]), null);
+  assert.match(validateEventStreams([{ events: [{ data: 'x' }], loop: true }]), /loop needs/);
+  assert.match(validateEventStreams([{ events: [{ id: 'a\nb' }] }]), /events\[0\]\.id/);
+  assert.match(validateEventStreams([{ events: [], repeat: 0 }]), /repeat/);
+  assert.match(validateEventStreams([{ events: [{ data: '{{#if}}' }] }]), /template error/);
+});
+
+test('sse endpoints stream scripted events and resume after Last-Event-ID', async () => {
+  const { app, admin } = await startServer();
+
+  const created = await admin('POST', '/endpoints', {
+    path: '/chat', method: 'GET', responseType: 'sse',
+    responses: [{
+      events: [
+        { event: 'token', data: 'Hi {{query.name}}', delayMs: 5 },
+        { event: 'done', id: 'end', data: { tokens: 1 } }
+      ],
+      repeat: 2,
+      retry: 500
+    }]
+  });
+  assert.equal(created.statusCode, 200);
+  assert.match((await admin('POST', '/endpoints', { path: '/bad', method: 'GET', responseType: 'sse', responses: [{ events: 'x' }] })).json().error, /events must be an array/);
+
+  const res = await app.inject({ url: '/chat?name=Ann' });
+  assert.equal(res.headers['content-type'], 'text/event-stream; charset=utf-8');
+  assert.equal(res.headers['cache-control'], 'no-cache');
+  assert.equal(res.body, [
+    'retry: 500\n\n',
+    'event: token\nid: 0\ndata: Hi Ann\n\n',
+    'event: done\nid: end\ndata: {"tokens":1}\n\n',
+    'event: token\nid: 2\ndata: Hi Ann\n\n',
+    'event: done\nid: end\ndata: {"tokens":1}\n\n'
+  ].join(''));
+
+  const resumed = await app.inject({ url: '/chat?name=Ann', headers: { 'last-event-id': '2' } });
+  assert.equal(resumed.body, 'retry: 500\n\nevent: done\nid: end\ndata: {"tokens":1}\n\n');
+  const afterNamed = await app.inject({ url: '/chat', headers: { 'last-event-id': 'end' } });
+  assert.match(afterNamed.body, /^retry: 500\n\nevent: token\nid: 2\n/);
+
+  // A looping stream runs until the client goes away
+  await admin('POST', '/endpoints', { path: '/ticks', method: 'GET', responseType: 'sse', responses: [{ events: [{ data: 'tick', delayMs: 10 }], loop: true }] });
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  try {
+    const received = await new Promise((resolve, reject) => {
+      const req = http.get({ port: app.server.address().port, path: '/ticks' }, stream => {
+        let text = '';
+        stream.on('data', chunk => {
+          text += chunk;
+          if (text.split('\n\n').length > 3) {
+            req.destroy();
+            resolve(text);
+          }
+        });
+      });
+      req.on('error', reject);
+    });
+    assert.match(received, /^id: 0\ndata: tick\n\nid: 1\ndata: tick\n\nid: 2\ndata: tick\n\n/);
+  } finally {
+    await app.close();
+  }
+});
@@ -0,0 +1,76 @@
+'use strict';
+
+// Response template engine: request values, blocks, helpers and seeded output.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+
+const { createTemplateContext, renderTemplate, renderTemplateData, findTemplateError, escapeTemplate, jsonPath } = require('../src/utils/templates.js');
+
+const request = {
+  method: 'POST',
+  url: '/orders/7?type=admin',
+  query: { type: 'admin', page: '2' },
+  headers: { 'x-tenant': 'acme' },
+  pathParams: { id: '7' },
+  body: { user: { address: { city: 'Oslo' } }, items: [{ name: 'a', qty: 1 }, { name: 'b', qty: 3 }] }
+};
+const render = (source, seed) => renderTemplate(source, createTemplateContext(request, {}, seed));
+
+test('templates read nested request values', () => {
+  assert.equal(render('{{body.user.address.city}} {{headers.X-Tenant}} {{path.id}} {{method}}'), 'Oslo acme 7 POST');
+  assert.equal(render('{{body.items.1.name}} {{body.items[0].name}} {{length body.items}}'), 'b a 2');
+  assert.equal(render('{{path}}|{{body.missing.deep}}|'), '/orders/7?type=admin||');
+});
+
+test('blocks branch, loop and repeat', () => {
+  assert.equal(render("{{#if (eq query.type 'admin')}}A{{else if query.page}}P{{else}}N{{/if}}"), 'A');
+  assert.equal(render('{{#unless query.debug}}quiet{{/unless}}'), 'quiet');
+  assert.equal(
+    render('{{#each body.items separator=","}}{{@index}}:{{name}}{{#if (gt qty 1)}}+{{/if}}@{{../query.page}}{{/each}}'),
+    '0:a@2,1:b+@2'
+  );
+  assert.equal(render('[{{#repeat 3 separator=","}}{{@index}}{{/repeat}}]'), '[0,1,2]');
+  assert.equal(render('{{#with body.user.address}}{{city}}{{/with}}'), 'Oslo');
+  assert.equal(render('{{#each body.none}}x{{else}}empty{{/each}}'), 'empty');
+});
+
+test('helpers encode, query and format values', () => {
+  assert.equal(render("{{base64 'hi'}} {{base64Decode 'aGk='}} {{uppercase (concat 'a' query.type)}}"), 'aGk= hi AADMIN');
+  assert.equal(render("{{jsonPath body '$.items[1].name'}} {{default query.none 'fb'}} {{add 1 '2'}}"), 'b fb 3');
+  assert.deepEqual(jsonPath(request.body, '$..name'), ['a', 'b']);
+  assert.match(render("{{now 'YYYY-MM-DD' offset='-1d'}}"), /^\d{4}-\d{2}-\d{2}$/);
+  assert.match(render('{{uuid}}'), /^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/);
+  const n = Number(render('{{randomInt 5 9}}'));
+  assert.ok(n >= 5 && n <= 9);
+});
+
+test('a lone triple-stash expression in JSON data keeps its type', () => {
+  const data = renderTemplateData(
+    { items: '{{{body.items}}}', count: '{{{length body.items}}}', label: 'page {{{query.page}}}', fixed: 3, none: '{{{query.none}}}' },
+    createTemplateContext(request, {})
+  );
+  assert.deepEqual(data, { items: request.body.items, count: 2, label: 'page 2', fixed: 3, none: '' });
+  // Plain {{...}} renders text, as before typed output existed
+  const text = renderTemplateData({ items: '{{body.items}}', count: '{{length body.items}}', body: '{{body}}' }, createTemplateContext(request, {}));
+  assert.deepEqual(text, { items: JSON.stringify(request.body.items), count: '2', body: JSON.stringify(request.body) });
+});
+
+test('a template seed makes random helpers and fake data repeatable', () => {
+  const source = "{{uuid}} {{randomInt 1 1000}} {{faker 'person.fullName'}} {{faker 'internet.email'}} {{#repeat 1 5}}x{{/repeat}}";
+  assert.equal(render(source, 'demo-1'), render(source, 'demo-1'));
+  assert.notEqual(render(source, 'demo-1'), render(source, 'demo-2'));
+  assert.match(render("{{faker 'location.streetAddress'}}", 7), /^\d+ \w+ \w+$/);
+});
+
+test('syntax errors are reported and escaped text renders as itself', () => {
+  assert.equal(findTemplateError('{{#if a}}x{{/if}} {{body.x}}'), null);
+  assert.match(findTemplateError('{{#each items}}'), /Unclosed/);
+  assert.match(findTemplateError('{{#if a}}{{/each}}'), /does not close/);
+  assert.match(findTemplateError('{{nope 1}}'), /Unknown helper/);
+  assert.match(findTemplateError({ a: ["{{faker 'x.y'}}"] }), /Unknown faker method/);
+  assert.equal(render('\\{{literal}} {{! note }}a {{~ query.page ~}} b'), '{{literal}} a2b');
+  const recorded = { html: '<p>{{ vue.binding }}</p>', path: 'C:\\{{x}}' };
+  assert.deepEqual(renderTemplateData(escapeTemplate(recorded), createTemplateContext(request, {})), recorded);
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+// WebSocket endpoints: framing, scripted replies, pushes, auth on the upgrade
+// and the admin connection API. Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-websocket-'));
+
+const { encodeFrame, createFrameParser, acceptKey, OPCODES } = require('../src/utils/websocket.js');
+const { validateWebSocketConfig } = require('../src/utils/websocketEndpoints.js');
+const { startServer } = require('./helpers');
+
+// Open a WebSocket with node:http and masked frames. Resolves to the HTTP
+// response when the handshake is refused.
+function connect(port, requestPath, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({
+      port,
+      path: requestPath,
+      headers: {
+        Connection: 'Upgrade',
+        Upgrade: 'websocket',
+        'Sec-WebSocket-Version': '13',
+        'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+        ...headers
+      }
+    });
+    req.on('error', reject);
+    req.on('response', res => resolve({ status: res.statusCode, headers: res.headers }));
+    req.on('upgrade', (res, socket, head) => {
+      const frames = [];
+      const waiting = [];
+      const push = createFrameParser({
+        maxPayload: 1024 * 1024,
+        expectMasked: false,
+        onFrame: frame => {
+          const message = frame.opcode === OPCODES.close
+            ? { closed: frame.payload.readUInt16BE(0) }
+            : frame.payload.toString('utf8');
+          if (waiting.length) waiting.shift()(message);
+          else frames.push(message);
+          if (frame.opcode === OPCODES.close) socket.end();
+        }
+      });
+      socket.on('data', push);
+      if (head.length) push(head);
+      resolve({
+        status: res.statusCode,
+        headers: res.headers,
+        send: text => socket.write(encodeFrame(OPCODES.text, text, { mask: true })),
+        raw: buffer => socket.write(buffer),
+        next: () => new Promise(done => (frames.length ? done(frames.shift()) : waiting.push(done)))
+      });
+    });
+    req.end();
+  });
+}
+
+test('frames round-trip and the accept key follows RFC 6455', () => {
+  assert.equal(acceptKey('dGhlIHNhbXBsZSBub25jZQ=='), 's3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+  const frames = [];
+  const push = createFrameParser({ maxPayload: 100000, expectMasked: true, onFrame: frame => frames.push(frame) });
+  const long = 'x'.repeat(70000);
+  const wire = Buffer.concat([encodeFrame(OPCODES.text, 'hi', { mask: true }), encodeFrame(OPCODES.binary, long, { mask: true })]);
+  push(wire.subarray(0, 5));
+  push(wire.subarray(5));
+  assert.deepEqual(frames.map(f => [f.opcode, f.payload.length]), [[OPCODES.text, 2], [OPCODES.binary, 70000]]);
+  assert.throws(() => push(encodeFrame(OPCODES.text, 'x')), { closeCode: 1002, message: 'Client frames must be masked' });
+
+  assert.equal(validateWebSocketConfig({ rules: [{ condition: "body.type == 'a'", reply: { ok: true } }] }), null);
+  assert.match(validateWebSocketConfig({ rules: [{ condition: 'body ==', reply: 1 }] }), /rules\[0\]\.condition/);
+  assert.match(validateWebSocketConfig({ intervals: [{ everyMs: 5, message: 'x' }] }), /everyMs/);
+  assert.match(validateWebSocketConfig({ onConnect: ['{{#if}}'] }), /template error/);
+});
+
+test('websocket endpoints script replies, push messages and authenticate the upgrade', async () => {
+  const { app, admin: adminRequest } = await startServer();
+  const admin = (method, url, payload) => adminRequest(method, url, payload).then(r => r.json());
+
+  const { endpoint } = await admin('POST', '/endpoints', {
+    path: '/rooms/:room', method: 'POST', responseType: 'websocket', protected: true, token: 'ws-token',
+    websocket: {
+      onConnect: [{ type: 'welcome', room: '{{path.room}}' }],
+      rules: [
+        { condition: "body.type == 'ping'", reply: { type: 'pong', id: '{{body.id}}' } },
+        { condition: "body == 'bye'", reply: 'see you', close: { code: 4000 } }
+      ]
+    }
+  });
+  assert.equal(endpoint.method, 'GET');
+  await app.listen({ port: 0, host: '127.0.0.1' });
+  const { port } = app.server.address();
+
+  try {
+    const refused = await connect(port, '/rooms/lobby');
+    assert.equal(refused.status, 401);
+    assert.match(refused.headers['www-authenticate'], /^Bearer/);
+    assert.equal((await app.inject({ url: '/rooms/lobby', headers: { authorization: 'Bearer ws-token' } })).statusCode, 426);
+
+    const ws = await connect(port, '/rooms/lobby?access_token=ws-token');
+    assert.equal(ws.status, 101);
+    assert.deepEqual(JSON.parse(await ws.next()), { type: 'welcome', room: 'lobby' });
+    // A fragmented message with a ping in between
+    ws.raw(encodeFrame(OPCODES.text, '{"type":"pi', { fin: false, mask: true }));
+    ws.raw(encodeFrame(OPCODES.ping, 'p', { mask: true }));
+    ws.raw(encodeFrame(OPCODES.continuation, 'ng","id":7}', { mask: true }));
+    assert.equal(await ws.next(), 'p');
+    assert.deepEqual(JSON.parse(await ws.next()), { type: 'pong', id: 7 });
+
+    const { connections } = await admin('GET', '/websockets');
+    assert.deepEqual(connections.map(c => [c.path, c.endpointId, c.messagesIn]), [['/rooms/lobby', endpoint.id, 1]]);
+    assert.deepEqual(await admin('POST', '/websockets/broadcast', { message: { news: '{{query.access_token}}' } }), { sent: 1 });
+    assert.deepEqual(JSON.parse(await ws.next()), { news: 'ws-token' });
+
+    ws.send('bye');
+    assert.equal(await ws.next(), 'see you');
+    assert.deepEqual(await ws.next(), { closed: 4000 });
+  } finally {
+    await app.close();
+  }
+});
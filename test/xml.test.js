@@ -0,0 +1,120 @@
+'use strict';
+
+// XML responses, SOAP matching and faults, and Accept-based representations.
+// Run with: npm test
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'roarin-test-xml-'));
+
+const { parseXml, toXml, childElements } = require('../src/utils/xml.js');
+const { pickRepresentation, toCsv, validateRepresentations } = require('../src/utils/negotiation.js');
+const { validateSoap } = require('../src/utils/soap.js');
+const { startServer } = require('./helpers');
+
+test('xml is read and written', () => {
+  const root = parseXml('<?xml version="1.0"?>\n<!-- c --><a x="1 &amp; 2"><b>t&lt;<![CDATA[<raw>]]></b><b/></a>');
+  assert.equal(root.name, 'a');
+  assert.deepEqual(root.attributes, { x: '1 & 2' });
+  assert.deepEqual(childElements(root, 'b')[0].children, ['t<', '<raw>']);
+  assert.equal(childElements(root).length, 2);
+
+  assert.throws(() => parseXml('<!DOCTYPE a [<!ENTITY e "x">]><a>&e;</a>'), /DOCTYPE/);
+  assert.throws(() => parseXml('<a><b></a>'), /mismatched end tag <\/a> at line 1/);
+  assert.throws(() => parseXml('<a/><b/>'), /more than one root/);
+  assert.throws(() => parseXml('<a>&nope;</a>'), /unknown entity/);
+
+  assert.equal(toXml({ user: { '@id': 7, name: 'A&B', tags: ['a', 'b'], note: null } }, { declaration: false }),
+    '<user id="7"><name>A&amp;B</name><tags>a</tags><tags>b</tags><note/></user>');
+  assert.equal(toXml([1, 2], { rootName: 'ids', itemName: 'id', declaration: false }), '<ids><id>1</id><id>2</id></ids>');
+  assert.equal(toXml({ a: 1, b: { '#text': 'x', '@y': 'q"' } }, { declaration: false }), '<response><a>1</a><b y="q&quot;">x</b></response>');
+});
+
+test('representations are picked by the Accept header', () => {
+  const reps = [{ contentType: 'application/json' }, { contentType: 'application/xml' }, { contentType: 'text/csv' }];
+  const pick = accept => pickRepresentation(reps, accept)?.contentType ?? null;
+  assert.equal(pick(undefined), 'application/json');
+  assert.equal(pick('application/xml'), 'application/xml');
+  assert.equal(pick('text/*;q=0.9, application/json;q=0.5'), 'text/csv');
+  assert.equal(pick('*/*;q=0.1, application/xml;q=0'), 'application/json');
+  assert.equal(pick('image/png'), null);
+
+  assert.equal(toCsv([{ a: 1, b: 'x,y' }, { a: 2, c: 'q"' }]), 'a,b,c\r\n1,"x,y",\r\n2,,"q"""\r\n');
+  assert.match(validateRepresentations([{ contentType: 'application/json' }, { contentType: 'application/JSON' }], 'r'), /repeats application\/json/);
+  assert.match(validateRepresentations([{ contentType: 'xml' }], 'r'), /r\[0\]\.contentType must be a media type/);
+  assert.match(validateSoap({ fault: { code: 'Nope', message: 'x' } }, 's'), /s\.fault\.code must be one of/);
+});
+
+test('xml endpoints serve templates, SOAP replies and negotiated representations', async () => {
+  const { app, admin } = await startServer();
+
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/users/:id', method: 'GET', responseType: 'xml',
+    responses: [{ data: { user: { '@id': '{{path.id}}', name: 'Ann' } } }]
+  })).statusCode, 200);
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/soap', method: 'POST', responseType: 'xml',
+    responses: [
+      { soap: { action: 'urn:GetUser' }, xml: "<GetUserResponse><id>{{xpath body '/Envelope/Body/GetUser/id'}}</id></GetUserResponse>" },
+      { soap: { operation: 'DeleteUser', fault: { code: 'Client', message: 'Locked & gone' } } },
+      { xml: '<Unknown/>', status: 400 }
+    ]
+  })).statusCode, 200);
+  assert.equal((await admin('POST', '/endpoints', {
+    path: '/people', method: 'GET', responseType: 'json',
+    responses: [{
+      data: [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }],
+      representations: [
+        { contentType: 'application/json' },
+        { contentType: 'application/xml', root: 'people', item: 'person' },
+        { contentType: 'text/csv' },
+        { contentType: 'text/plain', data: 'page {{query.page}}' }
+      ]
+    }]
+  })).statusCode, 200);
+  const bad = await admin('POST', '/endpoints', { path: '/bad', method: 'GET', responseType: 'json', responses: [{ soap: { action: 'x' } }] });
+  assert.match(bad.json().error, /soap needs responseType xml/);
+
+  const user = await app.inject({ method: 'GET', url: '/users/7' });
+  assert.equal(user.headers['content-type'], 'application/xml; charset=utf-8');
+  assert.equal(user.body, '<?xml version="1.0" encoding="UTF-8"?>\n<user id="7"><name>Ann</name></user>');
+
+  const envelope = (ns, operation) => `<s:Envelope xmlns:s="${ns}"><s:Body><${operation} xmlns="urn:users"><id>3</id></${operation}></s:Body></s:Envelope>`;
+  const soap11 = 'http://schemas.xmlsoap.org/soap/envelope/';
+  const soap12 = 'http://www.w3.org/2003/05/soap-envelope';
+
+  const get = await app.inject({ method: 'POST', url: '/soap', payload: envelope(soap11, 'GetUser'), headers: { 'content-type': 'text/xml', soapaction: '"urn:GetUser"' } });
+  assert.equal(get.statusCode, 200);
+  assert.equal(get.headers['content-type'], 'text/xml; charset=utf-8');
+  const reply = parseXml(get.body);
+  assert.equal(reply.attributes['xmlns:soap'], soap11);
+  assert.deepEqual(childElements(childElements(reply, 'Body')[0])[0], { name: 'GetUserResponse', attributes: {}, children: [{ name: 'id', attributes: {}, children: ['3'] }] });
+
+  const fault = await app.inject({ method: 'POST', url: '/soap', payload: envelope(soap12, 'DeleteUser'), headers: { 'content-type': 'application/soap+xml; charset=utf-8' } });
+  assert.equal(fault.statusCode, 500);
+  assert.equal(fault.headers['content-type'], 'application/soap+xml; charset=utf-8');
+  assert.match(fault.body, /<soap:Value>soap:Sender<\/soap:Value>.*Locked &amp; gone/);
+
+  const other = await app.inject({ method: 'POST', url: '/soap', payload: envelope(soap11, 'ListUsers'), headers: { 'content-type': 'text/xml' } });
+  assert.equal(other.statusCode, 400);
+  assert.match(other.body, /<Unknown\/>/);
+
+  const people = accept => app.inject({ method: 'GET', url: '/people?page=2', headers: accept ? { accept } : {} });
+  assert.deepEqual((await people()).json(), [{ id: 1, name: 'Ann' }, { id: 2, name: 'Bob' }]);
+  const asXml = await people('application/xml');
+  assert.equal(asXml.headers.vary, 'Accept');
+  assert.match(asXml.body, /<people><person><id>1<\/id><name>Ann<\/name><\/person><person>/);
+  const asCsv = await people('text/csv, */*;q=0.1');
+  assert.equal(asCsv.headers['content-type'], 'text/csv; charset=utf-8');
+  assert.equal(asCsv.body, 'id,name\r\n1,Ann\r\n2,Bob\r\n');
+  assert.equal((await people('text/plain')).body, 'page 2');
+  const none = await people('image/png');
+  assert.equal(none.statusCode, 406);
+  assert.deepEqual(none.json().available, ['application/json', 'application/xml', 'text/csv', 'text/plain']);
+
+  await app.close();
+});